@@ -0,0 +1,95 @@
+/**
+ * @fileoverview The Express app factory. createApp() only builds the app: it
+ * neither connects to MongoDB nor listens, so tests can create as many
+ * isolated instances as they need. index.js does both for the real server.
+ */
+
+const express = require("express");
+const mongoose = require("mongoose");
+
+const userRoutes = require("./routes/user_routes");
+const costRoutes = require("./routes/cost_routes");
+const aboutRoutes = require("./routes/about_routes");
+const docsRoutes = require("./routes/docs_routes");
+const adminRoutes = require("./routes/admin_routes");
+const categoryRoutes = require("./routes/category_routes");
+const budgetRoutes = require("./routes/budget_routes");
+const recurrenceRoutes = require("./routes/recurrence_routes");
+const authRoutes = require("./routes/auth_routes");
+const groupRoutes = require("./routes/group_routes");
+const logRoutes = require("./routes/log_routes");
+const healthRoutes = require("./routes/health_routes");
+
+const { authenticate } = require("./middleware/auth");
+const { notFound, errorHandler } = require("./middleware/errors");
+const { requestLogger } = require("./middleware/logging");
+const { MemoryStore } = require("./middleware/rate_limit");
+
+const { loadConfig } = require("./utils/config");
+const { createStorage } = require("./utils/storage");
+
+/**
+ * Build the Express app.
+ * @param {Object} [options]
+ * @param {mongoose.Connection} [options.db=mongoose.connection] - The
+ *        connection the models use; the health probes report its state,
+ *        and receipts are kept in its GridFS unless a directory is set.
+ * @param {import("./utils/config").Config} [options.config] - Settings
+ *        (default: read from the environment).
+ * @return {import("express").Express} The app. `app.locals.shuttingDown`
+ *         makes GET /readyz fail once set.
+ */
+function createApp({ db = mongoose.connection, config = loadConfig() } = {}) {
+  const app = express();
+  app.locals.db = db;
+  app.locals.config = config;
+  app.locals.shuttingDown = false;
+  // Request counts of the rate-limited routes, per instance
+  app.locals.rateLimitStore = new MemoryStore();
+  // Where receipts attached to costs are kept
+  app.locals.storage = createStorage({ db, dir: config.attachmentDir });
+
+  /**
+   * @description Health probes for the orchestrator: public and, being
+   * outside /api, not logged.
+   */
+  app.use(healthRoutes);
+
+  /**
+   * @description Log every API request with its ID, route, status, latency and
+   * account (see middleware/logging); first, so malformed bodies are logged too.
+   */
+  app.use("/api", requestLogger);
+
+  // Middleware to parse JSON bodies
+  app.use(express.json({ limit: config.jsonLimit }));
+
+  /**
+   * @description Mount API routes. /api/about, /api/openapi.json and signing up
+   * or in are public; every route mounted after `authenticate` needs a bearer
+   * token.
+   */
+  app.use("/api", aboutRoutes);
+  app.use("/api", docsRoutes);
+  app.use("/api", authRoutes);
+  app.use("/api", authenticate);
+  app.use("/api", userRoutes);
+  app.use("/api", costRoutes);
+  app.use("/api", adminRoutes);
+  app.use("/api", categoryRoutes);
+  app.use("/api", budgetRoutes);
+  app.use("/api", recurrenceRoutes);
+  app.use("/api", groupRoutes);
+  app.use("/api", logRoutes);
+
+  /**
+   * @description Unknown routes and every error a route throws end up here and
+   * are answered as { error, code, details? }.
+   */
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
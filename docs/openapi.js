@@ -0,0 +1,2033 @@
+/**
+ * @fileoverview The OpenAPI 3 description of the API, served at
+ * GET /api/openapi.json. Keep it in step with the @route blocks above the
+ * handlers; tests/openapi.test.js checks real responses against it.
+ */
+
+/**
+ * Reference a schema under components.schemas.
+ * @param {String} name - Schema name.
+ * @return {Object} A $ref object.
+ */
+function ref(name) {
+  return { $ref: `#/components/schemas/${name}` };
+}
+
+/**
+ * A JSON response.
+ * @param {String} description - What the response is.
+ * @param {Object} schema - Schema of the body.
+ * @return {Object} An OpenAPI response object.
+ */
+function json(description, schema) {
+  return { description, content: { "application/json": { schema } } };
+}
+
+/**
+ * A response that is either JSON or, on request, CSV.
+ * @param {String} description - What the response is.
+ * @param {Object} schema - Schema of the JSON body.
+ * @return {Object} An OpenAPI response object.
+ */
+function jsonOrCsv(description, schema) {
+  return {
+    description,
+    content: {
+      "application/json": { schema },
+      "text/csv": { schema: { type: "string" } },
+    },
+  };
+}
+
+/**
+ * Reference one of the shared error responses.
+ * @param {...String} names - Names under components.responses.
+ * @return {Object} Responses keyed by status code.
+ */
+function errors(...names) {
+  const codes = {
+    BadRequest: "400",
+    Unauthorized: "401",
+    Forbidden: "403",
+    NotFound: "404",
+    Conflict: "409",
+    PayloadTooLarge: "413",
+    UnsupportedMediaType: "415",
+    MissingRate: "422",
+    TooManyRequests: "429",
+  };
+  return Object.fromEntries(
+    names.map((name) => [
+      codes[name],
+      { $ref: `#/components/responses/${name}` },
+    ])
+  );
+}
+
+/**
+ * A path parameter.
+ * @param {String} name - Parameter name.
+ * @param {Object} schema - Its schema.
+ * @param {String} description
+ * @return {Object} An OpenAPI parameter object.
+ */
+function pathParam(name, schema, description) {
+  return { name, in: "path", required: true, description, schema };
+}
+
+/**
+ * A query parameter.
+ * @param {String} name - Parameter name.
+ * @param {Object} schema - Its schema.
+ * @param {String} description
+ * @param {Boolean} [required=false]
+ * @return {Object} An OpenAPI parameter object.
+ */
+function queryParam(name, schema, description, required = false) {
+  return { name, in: "query", required, description, schema };
+}
+
+/**
+ * A JSON request body.
+ * @param {Object} schema - Schema of the body.
+ * @param {Boolean} [required=true]
+ * @return {Object} An OpenAPI request body object.
+ */
+function body(schema, required = true) {
+  return { required, content: { "application/json": { schema } } };
+}
+
+const integer = { type: "integer" };
+const number = { type: "number" };
+const string = { type: "string" };
+const boolean = { type: "boolean" };
+const dateTime = { type: "string", format: "date-time" };
+const objectId = ref("ObjectId");
+const day = ref("Day");
+const currency = ref("Currency");
+
+const userIdParam = pathParam("id", integer, "The user ID.");
+const userParam = (description) => queryParam("userid", integer, description);
+const objectIdParam = (what) =>
+  pathParam("id", objectId, `The ${what}'s ObjectId.`);
+const changedByHeader = {
+  name: "X-Changed-By",
+  in: "header",
+  required: false,
+  description:
+    "Admins only: who they act for, for the revision history (default: the signed-in username).",
+  schema: string,
+};
+const formatParam = queryParam(
+  "format",
+  { type: "string", enum: ["json", "csv"] },
+  "Overrides the Accept header."
+);
+const currencyParam = (description) =>
+  queryParam("currency", currency, description);
+const costTags = {
+  type: "array",
+  maxItems: 20,
+  description:
+    "Free-form labels, each 1–50 letters, digits, '-' or '_'; stored in lowercase without duplicates.",
+  items: string,
+};
+
+/**
+ * The fields of a cost accepted by POST /api/add and PATCH /api/costs/:id.
+ */
+const costDateFields = {
+  date: {
+    type: "string",
+    description:
+      "When the expense happened (default now). Not in the past for new costs.",
+  },
+  year: {
+    type: "integer",
+    minimum: 1000,
+    maximum: 9999,
+    description: "Alternative to `date`.",
+  },
+  month: { type: "integer", minimum: 1, maximum: 12 },
+  day: { type: "integer", description: "Day of month in the user's zone." },
+};
+
+const schemas = {
+  Error: {
+    type: "object",
+    required: ["error", "code"],
+    properties: {
+      error: { type: "string", description: "Human-readable message." },
+      code: {
+        type: "string",
+        enum: [
+          "VALIDATION_ERROR",
+          "INVALID_BODY",
+          "BAD_REQUEST",
+          "UNAUTHORIZED",
+          "FORBIDDEN",
+          "NOT_FOUND",
+          "CONFLICT",
+          "PAYLOAD_TOO_LARGE",
+          "UNSUPPORTED_MEDIA_TYPE",
+          "MISSING_EXCHANGE_RATE",
+          "IDEMPOTENCY_KEY_MISMATCH",
+          "RATE_LIMITED",
+          "INTERNAL_ERROR",
+        ],
+      },
+      details: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["message"],
+          properties: {
+            field: string,
+            in: {
+              type: "string",
+              enum: ["params", "query", "body", "header"],
+            },
+            row: { type: "integer", description: "Row of an upload, from 1." },
+            message: string,
+          },
+        },
+      },
+    },
+  },
+  ObjectId: { type: "string", pattern: "^[0-9a-fA-F]{24}$" },
+  Day: {
+    type: "string",
+    pattern: "^\\d{4}-\\d{2}-\\d{2}$",
+    description: "A calendar day, YYYY-MM-DD.",
+  },
+  Currency: {
+    type: "string",
+    pattern: "^[A-Z]{3}$",
+    description: "ISO 4217 currency code.",
+  },
+  TeamMember: {
+    type: "object",
+    required: ["id", "first_name", "last_name", "birthday", "marital_status"],
+    properties: {
+      id: string,
+      first_name: string,
+      last_name: string,
+      birthday: { type: "string", description: "DD/MM/YYYY." },
+      marital_status: string,
+    },
+  },
+  Account: {
+    type: "object",
+    required: ["username", "role", "userid"],
+    properties: {
+      username: string,
+      role: { type: "string", enum: ["user", "admin"] },
+      userid: { type: "integer", nullable: true },
+    },
+  },
+  Session: {
+    type: "object",
+    required: ["token", "expiresAt", "username", "role", "userid"],
+    properties: {
+      token: { type: "string", description: "Bearer token." },
+      expiresAt: dateTime,
+      username: string,
+      role: { type: "string", enum: ["user", "admin"] },
+      userid: { type: "integer", nullable: true },
+    },
+  },
+  User: {
+    type: "object",
+    required: ["id", "first_name", "last_name", "birthday", "marital_status"],
+    properties: {
+      id: integer,
+      first_name: string,
+      last_name: string,
+      birthday: dateTime,
+      marital_status: {
+        type: "string",
+        enum: ["single", "married", "divorced", "widowed"],
+      },
+      timezone: { type: "string", description: "IANA time zone." },
+    },
+  },
+  UserInput: {
+    type: "object",
+    required: ["id", "first_name", "last_name", "birthday", "marital_status"],
+    properties: {
+      id: integer,
+      first_name: string,
+      last_name: string,
+      birthday: { type: "string", description: "e.g. '1990-01-15'." },
+      marital_status: {
+        type: "string",
+        enum: ["single", "married", "divorced", "widowed"],
+      },
+      timezone: string,
+    },
+  },
+  UserPage: {
+    type: "object",
+    required: ["page", "limit", "total", "users"],
+    properties: {
+      page: integer,
+      limit: integer,
+      total: integer,
+      users: { type: "array", items: ref("User") },
+    },
+  },
+  UserTotal: {
+    type: "object",
+    required: ["id", "first_name", "last_name", "total"],
+    properties: {
+      id: integer,
+      first_name: string,
+      last_name: string,
+      total: number,
+      currency: { ...currency, description: "Only when requested." },
+      groupShares: {
+        type: "string",
+        enum: ["include", "exclude"],
+        description: "Only when requested.",
+      },
+    },
+  },
+  CostSplit: {
+    type: "object",
+    required: ["userid", "amount"],
+    properties: {
+      userid: integer,
+      amount: { type: "integer", description: "Minor units." },
+      percent: number,
+    },
+  },
+  BudgetWarning: {
+    type: "object",
+    required: ["message", "category", "year", "month", "budget", "spent"],
+    properties: {
+      message: string,
+      category: string,
+      year: integer,
+      month: integer,
+      budget: number,
+      spent: number,
+      currency: currency,
+    },
+  },
+  Cost: {
+    type: "object",
+    required: ["_id", "description", "category", "userid", "sum", "date"],
+    properties: {
+      _id: objectId,
+      description: string,
+      category: string,
+      subcategory: string,
+      userid: integer,
+      sum: number,
+      currency: currency,
+      amount: { type: "integer", description: "`sum` in minor units." },
+      createdAt: dateTime,
+      date: dateTime,
+      deletedAt: { ...dateTime, nullable: true },
+      recurrenceId: objectId,
+      groupId: objectId,
+      splitMethod: {
+        type: "string",
+        enum: ["equal", "percentage", "exact"],
+      },
+      splits: { type: "array", items: ref("CostSplit") },
+      attachments: { type: "array", items: ref("Attachment") },
+      tags: costTags,
+      warning: ref("BudgetWarning"),
+      __v: integer,
+    },
+  },
+  Attachment: {
+    type: "object",
+    required: ["_id", "filename", "contentType", "size"],
+    properties: {
+      _id: objectId,
+      filename: string,
+      contentType: {
+        type: "string",
+        enum: ["application/pdf", "image/jpeg", "image/png", "image/webp"],
+      },
+      size: { type: "integer", description: "In bytes." },
+      createdAt: dateTime,
+    },
+  },
+  ReceiptInput: {
+    type: "object",
+    required: ["contentType", "data"],
+    description: "A receipt to attach, as for /costs/{id}/attachments.",
+    properties: {
+      contentType: string,
+      data: { type: "string", format: "byte", description: "Base64." },
+      filename: string,
+    },
+  },
+  CostInput: {
+    type: "object",
+    required: ["description", "category", "userid", "sum"],
+    properties: {
+      description: string,
+      category: string,
+      subcategory: string,
+      userid: integer,
+      sum: number,
+      currency: currency,
+      groupId: objectId,
+      split: ref("SplitInput"),
+      receipt: ref("ReceiptInput"),
+      tags: costTags,
+      ...costDateFields,
+    },
+  },
+  CostUpdate: {
+    type: "object",
+    properties: {
+      description: string,
+      category: string,
+      subcategory: string,
+      userid: integer,
+      sum: number,
+      split: ref("SplitInput"),
+      tags: { ...costTags, description: "Replaces the tags; [] removes them." },
+      ...costDateFields,
+    },
+  },
+  SplitInput: {
+    type: "object",
+    required: ["method"],
+    description:
+      "{ method: 'equal', members? }, { method: 'percentage', shares: [ { userid, percent } ] } or { method: 'exact', shares: [ { userid, sum } ] }.",
+    properties: {
+      method: { type: "string", enum: ["equal", "percentage", "exact"] },
+      members: { type: "array", items: integer },
+      shares: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["userid"],
+          properties: {
+            userid: integer,
+            percent: { ...number, minimum: 0 },
+            sum: { ...number, minimum: 0 },
+          },
+        },
+      },
+    },
+  },
+  CostPage: {
+    type: "object",
+    required: ["costs", "nextCursor"],
+    properties: {
+      costs: { type: "array", items: ref("Cost") },
+      nextCursor: {
+        type: "string",
+        nullable: true,
+        description: "null on the last page.",
+      },
+    },
+  },
+  CostRevision: {
+    type: "object",
+    required: ["_id", "costId", "action", "changedBy", "changes", "createdAt"],
+    properties: {
+      _id: objectId,
+      costId: objectId,
+      action: { type: "string", enum: ["create", "update", "delete"] },
+      changedBy: string,
+      changes: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["field"],
+          properties: {
+            field: string,
+            from: { nullable: true },
+            to: { nullable: true },
+          },
+        },
+      },
+      createdAt: dateTime,
+    },
+  },
+  ImportResult: {
+    type: "object",
+    required: ["key", "imported"],
+    description:
+      "{ key, importId, imported } after an import, { key, dryRun, valid, imported: 0 } for a dry run, { key, duplicate, importId, imported: 0 } for a repeated upload.",
+    properties: {
+      key: string,
+      importId: objectId,
+      imported: integer,
+      dryRun: boolean,
+      valid: integer,
+      duplicate: boolean,
+    },
+  },
+  ReportItem: {
+    type: "object",
+    required: ["sum", "description", "day"],
+    properties: {
+      sum: number,
+      description: string,
+      day: integer,
+      date: { ...day, description: "Range reports only." },
+      subcategory: string,
+      recurrenceId: objectId,
+      hasAttachment: {
+        type: "boolean",
+        enum: [true],
+        description: "Present when the cost has attachments.",
+      },
+      tags: { type: "array", items: string },
+      original: {
+        type: "object",
+        required: ["sum", "currency"],
+        description: "The cost's own sum when it was converted.",
+        properties: { sum: number, currency: currency },
+      },
+    },
+  },
+  ReportCosts: {
+    type: "array",
+    description: "One single-key object per category, e.g. { food: [ … ] }.",
+    items: {
+      type: "object",
+      additionalProperties: { type: "array", items: ref("ReportItem") },
+    },
+  },
+  CategoryTotals: {
+    type: "object",
+    additionalProperties: number,
+  },
+  ReportMonth: {
+    type: "object",
+    required: ["year", "month", "totals", "total", "change"],
+    properties: {
+      year: integer,
+      month: integer,
+      totals: ref("CategoryTotals"),
+      total: number,
+      change: {
+        type: "object",
+        description: "Percentage change per category from the month before.",
+        additionalProperties: { type: "number", nullable: true },
+      },
+    },
+  },
+  MonthlyReport: {
+    type: "object",
+    required: ["userid", "year", "month", "costs"],
+    properties: {
+      userid: integer,
+      year: integer,
+      month: integer,
+      costs: ref("ReportCosts"),
+      currency: currency,
+      tag: string,
+      budgets: {
+        type: "object",
+        additionalProperties: {
+          type: "object",
+          required: ["budget", "spent", "remaining"],
+          properties: { budget: number, spent: number, remaining: number },
+        },
+      },
+    },
+  },
+  YearlyReport: {
+    type: "object",
+    required: ["userid", "year", "months", "totals", "total"],
+    properties: {
+      userid: integer,
+      year: integer,
+      months: { type: "array", items: ref("ReportMonth") },
+      totals: ref("CategoryTotals"),
+      total: number,
+      currency: currency,
+      tag: string,
+    },
+  },
+  RangeReport: {
+    type: "object",
+    required: ["userid", "from", "to", "costs", "months", "totals", "total"],
+    properties: {
+      userid: integer,
+      from: day,
+      to: day,
+      costs: ref("ReportCosts"),
+      months: { type: "array", items: ref("ReportMonth") },
+      totals: ref("CategoryTotals"),
+      total: number,
+      currency: currency,
+      tag: string,
+    },
+  },
+  TagTotals: {
+    type: "object",
+    required: ["userid", "currency", "tags"],
+    properties: {
+      userid: integer,
+      currency: currency,
+      tags: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["tag", "count", "total"],
+          properties: { tag: string, count: integer, total: number },
+        },
+      },
+    },
+  },
+  Insights: {
+    type: "object",
+    required: [
+      "userid",
+      "currency",
+      "from",
+      "to",
+      "months",
+      "total",
+      "categories",
+      "topDescriptions",
+      "anomalies",
+    ],
+    properties: {
+      userid: integer,
+      currency: currency,
+      from: { ...day, nullable: true },
+      to: { ...day, nullable: true },
+      months: integer,
+      total: number,
+      categories: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["category", "total", "count", "monthlyAverage", "share"],
+          properties: {
+            category: string,
+            total: number,
+            count: integer,
+            monthlyAverage: number,
+            share: { type: "number", description: "Percent of `total`." },
+          },
+        },
+      },
+      topDescriptions: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["description", "total", "count"],
+          properties: { description: string, total: number, count: integer },
+        },
+      },
+      anomalies: {
+        type: "array",
+        items: {
+          type: "object",
+          required: [
+            "_id",
+            "description",
+            "category",
+            "date",
+            "sum",
+            "currency",
+            "mean",
+            "stdDev",
+            "deviations",
+          ],
+          properties: {
+            _id: objectId,
+            description: string,
+            category: string,
+            date: dateTime,
+            sum: number,
+            currency: currency,
+            mean: number,
+            stdDev: number,
+            deviations: number,
+          },
+        },
+      },
+    },
+  },
+  Notification: {
+    type: "object",
+    required: ["_id", "type", "message", "createdAt"],
+    properties: {
+      _id: objectId,
+      type: { type: "string", enum: ["budget_exceeded"] },
+      message: string,
+      category: string,
+      year: integer,
+      month: integer,
+      budget: number,
+      spent: number,
+      currency: currency,
+      costId: objectId,
+      createdAt: dateTime,
+    },
+  },
+  Budget: {
+    type: "object",
+    required: ["_id", "userid", "category", "limit", "currency"],
+    properties: {
+      _id: objectId,
+      userid: integer,
+      category: string,
+      limit: number,
+      currency: currency,
+    },
+  },
+  Category: {
+    type: "object",
+    required: ["_id", "name", "userid", "parent"],
+    properties: {
+      _id: objectId,
+      name: string,
+      userid: { type: "integer", nullable: true },
+      parent: { type: "string", nullable: true },
+    },
+  },
+  Recurrence: {
+    type: "object",
+    required: [
+      "_id",
+      "userid",
+      "description",
+      "category",
+      "sum",
+      "currency",
+      "frequency",
+      "startDate",
+      "endDate",
+      "materializedThrough",
+    ],
+    properties: {
+      _id: objectId,
+      userid: integer,
+      description: string,
+      category: string,
+      subcategory: string,
+      sum: number,
+      currency: currency,
+      frequency: { type: "string", enum: ["weekly", "monthly", "yearly"] },
+      startDate: dateTime,
+      endDate: { ...dateTime, nullable: true },
+      materializedThrough: { ...dateTime, nullable: true },
+      materialized: {
+        type: "integer",
+        description: "POST only: costs materialized so far.",
+      },
+    },
+  },
+  Group: {
+    type: "object",
+    required: ["_id", "name", "members", "invited", "createdBy", "currency"],
+    properties: {
+      _id: objectId,
+      name: string,
+      members: { type: "array", items: integer },
+      invited: {
+        type: "array",
+        items: integer,
+        description: "Users invited who have not joined yet.",
+      },
+      createdBy: { ...integer, nullable: true },
+      currency: currency,
+    },
+  },
+  Balances: {
+    type: "object",
+    required: ["groupId", "currency", "balances", "settlements"],
+    properties: {
+      groupId: objectId,
+      currency: currency,
+      balances: {
+        type: "array",
+        items: {
+          type: "object",
+          required: ["userid", "paid", "share", "net"],
+          properties: {
+            userid: integer,
+            paid: number,
+            share: number,
+            net: { type: "number", description: "> 0: is owed money." },
+          },
+        },
+      },
+      settlements: {
+        type: "array",
+        description:
+          "The fewest transfers that settle every balance, for up to 20 members with a balance; larger groups need at most one transfer fewer than their members with a balance.",
+        items: {
+          type: "object",
+          required: ["from", "to", "amount"],
+          properties: { from: integer, to: integer, amount: number },
+        },
+      },
+    },
+  },
+  ExchangeRate: {
+    type: "object",
+    required: ["currency", "date", "rate"],
+    properties: { currency: currency, date: dateTime, rate: number },
+  },
+  Health: {
+    type: "object",
+    required: ["status", "db", "uptime"],
+    properties: {
+      status: { type: "string", enum: ["ok"] },
+      db: ref("DbState"),
+      uptime: { type: "integer", description: "Seconds." },
+    },
+  },
+  Readiness: {
+    type: "object",
+    required: ["status", "db", "shuttingDown"],
+    properties: {
+      status: { type: "string", enum: ["ready", "unavailable"] },
+      db: ref("DbState"),
+      shuttingDown: boolean,
+    },
+  },
+  DbState: {
+    type: "string",
+    enum: [
+      "disconnected",
+      "connected",
+      "connecting",
+      "disconnecting",
+      "unknown",
+    ],
+  },
+  LogEntry: {
+    type: "object",
+    required: ["_id", "level", "message", "createdAt"],
+    properties: {
+      _id: objectId,
+      level: { type: "string", enum: ["debug", "info", "warn", "error"] },
+      message: string,
+      requestId: string,
+      method: string,
+      route: { type: "string", description: "e.g. '/api/users/:id'." },
+      path: string,
+      status: integer,
+      durationMs: number,
+      userid: integer,
+      username: string,
+      error: {
+        type: "object",
+        properties: { code: string, message: string, stack: string },
+      },
+      body: { description: "Body of a failed request, redacted." },
+      context: { type: "object", additionalProperties: true },
+      createdAt: dateTime,
+    },
+  },
+  LogPage: {
+    type: "object",
+    required: ["logs", "nextCursor"],
+    properties: {
+      logs: { type: "array", items: ref("LogEntry") },
+      nextCursor: {
+        type: "string",
+        nullable: true,
+        description: "null on the last page.",
+      },
+    },
+  },
+};
+
+/**
+ * Shared error responses.
+ */
+const responses = Object.fromEntries(
+  [
+    ["BadRequest", "Invalid input; `details` names each bad field."],
+    ["Unauthorized", "Missing, invalid or expired bearer token."],
+    ["Forbidden", "The account may not access this data."],
+    ["NotFound", "No such record or route."],
+    ["Conflict", "The request clashes with existing data."],
+    ["PayloadTooLarge", "The upload is too large."],
+    ["UnsupportedMediaType", "The file type is not accepted."],
+    ["MissingRate", "An exchange rate needed for a conversion is missing."],
+    ["TooManyRequests", "The client sent too many requests."],
+  ].map(([name, description]) => [name, json(description, ref("Error"))])
+);
+responses.TooManyRequests.headers = {
+  "Retry-After": {
+    description: "Seconds until requests are accepted again.",
+    schema: integer,
+  },
+};
+
+/** Headers of the rate-limited routes (see middleware/rate_limit). */
+const rateLimitHeaders = {
+  "RateLimit-Limit": {
+    description: "Requests allowed per window.",
+    schema: integer,
+  },
+  "RateLimit-Remaining": {
+    description: "Requests left in the current window.",
+    schema: integer,
+  },
+  "RateLimit-Reset": {
+    description: "Seconds until the current window ends.",
+    schema: integer,
+  },
+  "RateLimit-Policy": {
+    description: "The limit and window length, e.g. '60;w=60'.",
+    schema: string,
+  },
+};
+
+const paths = {
+  "/about": {
+    get: {
+      tags: ["about"],
+      summary: "List the team members.",
+      security: [],
+      responses: {
+        200: json("The team.", { type: "array", items: ref("TeamMember") }),
+      },
+    },
+  },
+  "/openapi.json": {
+    get: {
+      tags: ["about"],
+      summary: "This document.",
+      security: [],
+      responses: { 200: json("The OpenAPI document.", { type: "object" }) },
+    },
+  },
+
+  "/healthz": {
+    servers: [{ url: "/" }],
+    get: {
+      tags: ["health"],
+      summary: "Liveness probe; answers whatever the database state.",
+      security: [],
+      responses: {
+        200: json("The process runs.", ref("Health")),
+      },
+    },
+  },
+  "/readyz": {
+    servers: [{ url: "/" }],
+    get: {
+      tags: ["health"],
+      summary: "Readiness probe: database connected and not shutting down.",
+      security: [],
+      responses: {
+        200: json("Ready for traffic.", ref("Readiness")),
+        503: json("Not ready.", ref("Readiness")),
+      },
+    },
+  },
+
+  "/auth/register": {
+    post: {
+      tags: ["auth"],
+      summary: "Sign up: create a user and the account that logs in as it.",
+      security: [],
+      requestBody: body({
+        allOf: [
+          ref("UserInput"),
+          {
+            type: "object",
+            required: ["username", "password"],
+            properties: {
+              username: { type: "string", pattern: "^[a-zA-Z0-9._-]{3,40}$" },
+              password: { type: "string", minLength: 8 },
+            },
+          },
+        ],
+      }),
+      responses: {
+        201: json("The new account.", ref("Account")),
+        ...errors("BadRequest", "Conflict"),
+      },
+    },
+  },
+  "/auth/login": {
+    post: {
+      tags: ["auth"],
+      summary: "Exchange a username and password for a bearer token.",
+      security: [],
+      requestBody: body({
+        type: "object",
+        required: ["username", "password"],
+        properties: { username: string, password: string },
+      }),
+      responses: {
+        200: json("A new session.", ref("Session")),
+        ...errors("BadRequest", "Unauthorized"),
+      },
+    },
+  },
+  "/auth/logout": {
+    post: {
+      tags: ["auth"],
+      summary: "Revoke the bearer token of the request.",
+      responses: {
+        200: json("Logged out.", {
+          type: "object",
+          required: ["loggedOut"],
+          properties: { loggedOut: boolean },
+        }),
+        ...errors("Unauthorized"),
+      },
+    },
+  },
+  "/auth/me": {
+    get: {
+      tags: ["auth"],
+      summary: "Get the signed-in account.",
+      responses: {
+        200: json("The account.", ref("Account")),
+        ...errors("Unauthorized"),
+      },
+    },
+  },
+  "/auth/accounts": {
+    post: {
+      tags: ["auth"],
+      summary: "Admins only: create an account.",
+      requestBody: body({
+        type: "object",
+        required: ["username", "password"],
+        properties: {
+          username: string,
+          password: { type: "string", minLength: 8 },
+          role: { type: "string", enum: ["user", "admin"] },
+          userid: { type: "integer", nullable: true },
+        },
+      }),
+      responses: {
+        201: json("The new account.", ref("Account")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "Conflict"),
+      },
+    },
+  },
+
+  "/users": {
+    get: {
+      tags: ["users"],
+      summary: "List users, paginated; ordinary accounts see only their own.",
+      parameters: [
+        queryParam("page", { type: "integer", minimum: 1 }, "1-based page."),
+        queryParam(
+          "limit",
+          { type: "integer", minimum: 1, maximum: 100 },
+          "Page size (default 20)."
+        ),
+        queryParam("marital_status", string, "Only this marital status."),
+        queryParam("name", string, "Substring of first or last name."),
+      ],
+      responses: {
+        200: json("A page of users.", ref("UserPage")),
+        ...errors("BadRequest", "Unauthorized"),
+      },
+    },
+    post: {
+      tags: ["users"],
+      summary: "Admins only: create a user.",
+      requestBody: body(ref("UserInput")),
+      responses: {
+        201: json("The new user.", ref("User")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "Conflict"),
+      },
+    },
+  },
+  "/users/{id}": {
+    parameters: [userIdParam],
+    get: {
+      tags: ["users"],
+      summary: "Get a user with the total of their costs.",
+      parameters: [
+        currencyParam("Currency of the total (default: the base currency)."),
+        queryParam(
+          "groupShares",
+          { type: "string", enum: ["include", "exclude"] },
+          "Count the user's share of group costs, or leave them out."
+        ),
+        formatParam,
+      ],
+      responses: {
+        200: jsonOrCsv(
+          "The user and their total, or their costs as CSV.",
+          ref("UserTotal")
+        ),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "MissingRate"
+        ),
+      },
+    },
+    patch: {
+      tags: ["users"],
+      summary: "Update a user; the id cannot change.",
+      requestBody: body({
+        type: "object",
+        properties: {
+          first_name: string,
+          last_name: string,
+          birthday: string,
+          marital_status: string,
+          timezone: string,
+        },
+      }),
+      responses: {
+        200: json("The updated user.", ref("User")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+    delete: {
+      tags: ["users"],
+      summary: "Delete a user and their categories, budgets and accounts.",
+      parameters: [
+        queryParam(
+          "cascade",
+          boolean,
+          "Also delete the user's live costs; without it, live costs give a 409. Live group costs the user paid or shares always give a 409."
+        ),
+      ],
+      responses: {
+        200: json("The deleted user.", {
+          type: "object",
+          required: ["id", "deletedCosts"],
+          properties: { id: integer, deletedCosts: integer },
+        }),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "Conflict"
+        ),
+      },
+    },
+  },
+  "/users/{id}/export": {
+    parameters: [userIdParam],
+    get: {
+      tags: ["users"],
+      summary: "Download one year of a user's costs as CSV.",
+      parameters: [
+        queryParam(
+          "year",
+          { type: "integer", minimum: 1000, maximum: 9999 },
+          "Year to export.",
+          true
+        ),
+      ],
+      responses: {
+        200: {
+          description: "CSV attachment.",
+          content: { "text/csv": { schema: string } },
+        },
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+  "/users/{id}/costs": {
+    parameters: [userIdParam],
+    get: {
+      tags: ["users"],
+      summary: "List a user's costs with cursor pagination.",
+      parameters: [
+        queryParam(
+          "limit",
+          { type: "integer", minimum: 1, maximum: 100 },
+          "Page size (default 20)."
+        ),
+        queryParam("cursor", string, "`nextCursor` of the previous page."),
+        queryParam(
+          "sort",
+          { type: "string", enum: ["-date", "date", "-sum", "sum"] },
+          "Order (default '-date')."
+        ),
+        queryParam("category", string, "Only this category."),
+        queryParam("minSum", number, "Only costs of at least this sum."),
+        queryParam("maxSum", number, "Only costs of at most this sum."),
+        queryParam("from", day, "First day, in the user's time zone."),
+        queryParam("to", day, "Last day, inclusive."),
+        queryParam("q", string, "Words to search for in the description."),
+      ],
+      responses: {
+        200: json("A page of costs.", ref("CostPage")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+  "/users/{id}/insights": {
+    parameters: [userIdParam],
+    get: {
+      tags: ["users"],
+      summary: "Spending per category, top descriptions and anomalous costs.",
+      parameters: [
+        queryParam("from", day, "First day (default: the earliest cost)."),
+        queryParam("to", day, "Last day (default: the latest cost)."),
+        currencyParam("Currency of the totals."),
+        queryParam(
+          "top",
+          { type: "integer", minimum: 1, maximum: 50 },
+          "How many descriptions to list (default 5)."
+        ),
+        queryParam(
+          "threshold",
+          { type: "number", minimum: 0 },
+          "Standard deviations above the rolling mean (default 2)."
+        ),
+        queryParam(
+          "window",
+          { type: "integer", minimum: 3, maximum: 100 },
+          "Earlier costs the rolling mean covers (default 10)."
+        ),
+      ],
+      responses: {
+        200: json("The insights.", ref("Insights")),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "MissingRate"
+        ),
+      },
+    },
+  },
+  "/users/{id}/tags": {
+    parameters: [userIdParam],
+    get: {
+      tags: ["users"],
+      summary: "List a user's tags with the count and total of their costs.",
+      parameters: [currencyParam("Currency of the totals.")],
+      responses: {
+        200: json("The tags, alphabetically.", ref("TagTotals")),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "MissingRate"
+        ),
+      },
+    },
+  },
+  "/users/{id}/notifications": {
+    parameters: [userIdParam],
+    get: {
+      tags: ["users"],
+      summary: "List a user's notifications, newest first.",
+      parameters: [queryParam("type", string, "Only this type.")],
+      responses: {
+        200: json("The notifications.", {
+          type: "array",
+          items: ref("Notification"),
+        }),
+        ...errors("Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+
+  "/add": {
+    post: {
+      tags: ["costs"],
+      summary: "Add a cost.",
+      parameters: [
+        {
+          name: "Idempotency-Key",
+          in: "header",
+          required: false,
+          description:
+            "Makes retries safe: a repeat with the same key and body returns the cost created first. A repeat while the first request runs gets a 409, unless that request has not answered for 60 seconds.",
+          schema: { type: "string", pattern: "^[\\x21-\\x7e]{1,255}$" },
+        },
+        changedByHeader,
+      ],
+      requestBody: body(ref("CostInput")),
+      responses: {
+        201: {
+          ...json("The new cost.", ref("Cost")),
+          headers: {
+            ...rateLimitHeaders,
+            "Idempotent-Replayed": {
+              description:
+                "'true' when the cost was created by an earlier request with the same Idempotency-Key.",
+              schema: { type: "string", enum: ["true"] },
+            },
+          },
+        },
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "Conflict",
+          "TooManyRequests"
+        ),
+        422: json(
+          "An exchange rate is missing, or the Idempotency-Key was used for a different request.",
+          ref("Error")
+        ),
+      },
+    },
+  },
+  "/import": {
+    post: {
+      tags: ["costs"],
+      summary: "Import many costs at once, all or nothing.",
+      parameters: [
+        queryParam("dryRun", boolean, "Validate without importing."),
+        {
+          name: "Idempotency-Key",
+          in: "header",
+          required: false,
+          description:
+            "Identifies the upload within the account (default: a hash of its rows).",
+          schema: string,
+        },
+        changedByHeader,
+      ],
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: { type: "array", items: ref("CostInput") },
+          },
+          "text/csv": { schema: string },
+        },
+      },
+      responses: {
+        200: json(
+          "A dry run, or an upload imported before.",
+          ref("ImportResult")
+        ),
+        201: json("The import.", ref("ImportResult")),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "Conflict",
+          "PayloadTooLarge"
+        ),
+        422: json(
+          "The Idempotency-Key was already used for different rows.",
+          ref("Error")
+        ),
+      },
+    },
+  },
+  "/report": {
+    get: {
+      tags: ["costs"],
+      summary: "Monthly, yearly or date-range report of a user's costs.",
+      parameters: [
+        queryParam("id", integer, "The user ID.", true),
+        queryParam(
+          "year",
+          { type: "integer", minimum: 1000, maximum: 9999 },
+          "Year; required unless from/to is given."
+        ),
+        queryParam(
+          "month",
+          { type: "integer", minimum: 1, maximum: 12 },
+          "Month; omit for a yearly report."
+        ),
+        queryParam("from", day, "First day of a range report."),
+        queryParam("to", day, "Last day of a range report, inclusive."),
+        queryParam("tz", string, "IANA time zone overriding the user's."),
+        currencyParam("Currency of the report."),
+        queryParam(
+          "tag",
+          string,
+          "Only costs with this tag; such reports are not cached and have no budgets."
+        ),
+        formatParam,
+      ],
+      responses: {
+        200: {
+          ...jsonOrCsv("The report.", {
+            oneOf: [
+              ref("MonthlyReport"),
+              ref("YearlyReport"),
+              ref("RangeReport"),
+            ],
+          }),
+          headers: {
+            "X-Cache": {
+              description: "'HIT' when a past month came from the cache.",
+              schema: { type: "string", enum: ["HIT", "MISS"] },
+            },
+          },
+        },
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "MissingRate"),
+      },
+    },
+  },
+  "/costs/{id}": {
+    parameters: [objectIdParam("cost")],
+    get: {
+      tags: ["costs"],
+      summary: "Get a cost.",
+      responses: {
+        200: json("The cost.", ref("Cost")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+    patch: {
+      tags: ["costs"],
+      summary: "Update a cost and record the change.",
+      parameters: [changedByHeader],
+      requestBody: body(ref("CostUpdate")),
+      responses: {
+        200: json("The updated cost.", ref("Cost")),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "MissingRate"
+        ),
+      },
+    },
+    delete: {
+      tags: ["costs"],
+      summary: "Soft-delete a cost, or remove it with hard=true.",
+      parameters: [
+        queryParam("hard", boolean, "Permanently remove the cost."),
+        changedByHeader,
+      ],
+      responses: {
+        200: json("The deleted cost.", {
+          type: "object",
+          required: ["_id", "deleted"],
+          properties: {
+            _id: objectId,
+            deleted: { type: "string", enum: ["soft", "hard"] },
+          },
+        }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+  "/costs/{id}/history": {
+    parameters: [objectIdParam("cost")],
+    get: {
+      tags: ["costs"],
+      summary: "Revision history of a cost, oldest first.",
+      responses: {
+        200: json("The revisions.", {
+          type: "array",
+          items: ref("CostRevision"),
+        }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+  "/costs/{id}/attachments": {
+    parameters: [objectIdParam("cost")],
+    post: {
+      tags: ["costs"],
+      summary: "Attach a receipt (PDF, JPEG, PNG or WebP, at most 5 MB).",
+      parameters: [
+        queryParam("filename", string, "Name to download the file under."),
+      ],
+      requestBody: {
+        required: true,
+        content: Object.fromEntries(
+          ["application/pdf", "image/jpeg", "image/png", "image/webp"].map(
+            (type) => [type, { schema: { type: "string", format: "binary" } }]
+          )
+        ),
+      },
+      responses: {
+        201: json("The attachment.", ref("Attachment")),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "Conflict",
+          "PayloadTooLarge",
+          "UnsupportedMediaType"
+        ),
+      },
+    },
+  },
+  "/costs/{id}/attachments/{attachmentId}": {
+    parameters: [
+      objectIdParam("cost"),
+      pathParam("attachmentId", objectId, "The attachment's ObjectId."),
+    ],
+    get: {
+      tags: ["costs"],
+      summary: "Download an attachment.",
+      responses: {
+        200: {
+          description: "The file, with its own Content-Type.",
+          content: {
+            "application/octet-stream": {
+              schema: { type: "string", format: "binary" },
+            },
+          },
+        },
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+    delete: {
+      tags: ["costs"],
+      summary: "Delete an attachment and its file.",
+      responses: {
+        200: json("The deleted attachment.", ref("Attachment")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+
+  "/categories": {
+    get: {
+      tags: ["categories"],
+      summary: "List global categories and, optionally, a user's own.",
+      parameters: [userParam("Also include this user's custom categories.")],
+      responses: {
+        200: json("The categories.", { type: "array", items: ref("Category") }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+    post: {
+      tags: ["categories"],
+      summary: "Create a global or custom category or subcategory.",
+      requestBody: body({
+        type: "object",
+        required: ["name"],
+        properties: {
+          name: string,
+          userid: { ...integer, description: "Omit for a global category." },
+          parent: string,
+        },
+      }),
+      responses: {
+        201: json("The new category.", ref("Category")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "Conflict"),
+      },
+    },
+  },
+  "/categories/{id}": {
+    parameters: [objectIdParam("category")],
+    patch: {
+      tags: ["categories"],
+      summary: "Rename a category and migrate what uses it.",
+      parameters: [changedByHeader],
+      requestBody: body({
+        type: "object",
+        required: ["name"],
+        properties: { name: string },
+      }),
+      responses: {
+        200: json("The renamed category.", {
+          type: "object",
+          required: ["category", "migratedCosts"],
+          properties: {
+            category: ref("Category"),
+            migratedCosts: integer,
+          },
+        }),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "Conflict"
+        ),
+      },
+    },
+    delete: {
+      tags: ["categories"],
+      summary: "Delete an unused category.",
+      responses: {
+        200: json("The deleted category.", {
+          type: "object",
+          required: ["_id", "name"],
+          properties: { _id: objectId, name: string },
+        }),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "Conflict"
+        ),
+      },
+    },
+  },
+  "/categories/{id}/merge": {
+    parameters: [objectIdParam("category")],
+    post: {
+      tags: ["categories"],
+      summary: "Merge a category into another one and delete it.",
+      parameters: [changedByHeader],
+      requestBody: body({
+        type: "object",
+        required: ["into"],
+        properties: { into: objectId },
+      }),
+      responses: {
+        200: json("The merge.", {
+          type: "object",
+          required: ["merged", "into", "migratedCosts"],
+          properties: { merged: string, into: string, migratedCosts: integer },
+        }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+
+  "/budgets": {
+    get: {
+      tags: ["budgets"],
+      summary: "List monthly budgets.",
+      parameters: [userParam("Only this user's budgets.")],
+      responses: {
+        200: json("The budgets.", { type: "array", items: ref("Budget") }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+    post: {
+      tags: ["budgets"],
+      summary: "Set a user's monthly budget for a category.",
+      requestBody: body({
+        type: "object",
+        required: ["userid", "category", "limit"],
+        properties: {
+          userid: integer,
+          category: string,
+          limit: number,
+          currency: currency,
+        },
+      }),
+      responses: {
+        201: json("The new budget.", ref("Budget")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "Conflict"),
+      },
+    },
+  },
+  "/budgets/{id}": {
+    parameters: [objectIdParam("budget")],
+    patch: {
+      tags: ["budgets"],
+      summary: "Change a budget's limit or currency.",
+      requestBody: body({
+        type: "object",
+        properties: { limit: number, currency: currency },
+      }),
+      responses: {
+        200: json("The updated budget.", ref("Budget")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+    delete: {
+      tags: ["budgets"],
+      summary: "Remove a budget.",
+      responses: {
+        200: json("The removed budget.", ref("Budget")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+
+  "/recurrences": {
+    get: {
+      tags: ["recurrences"],
+      summary: "List recurring cost templates.",
+      parameters: [userParam("Only this user's templates.")],
+      responses: {
+        200: json("The templates.", {
+          type: "array",
+          items: ref("Recurrence"),
+        }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+    post: {
+      tags: ["recurrences"],
+      summary: "Create a recurring cost template.",
+      requestBody: body({
+        type: "object",
+        required: [
+          "userid",
+          "description",
+          "category",
+          "sum",
+          "frequency",
+          "startDate",
+        ],
+        properties: {
+          userid: integer,
+          description: string,
+          category: string,
+          subcategory: string,
+          sum: number,
+          currency: currency,
+          frequency: { type: "string", enum: ["weekly", "monthly", "yearly"] },
+          startDate: {
+            ...string,
+            description:
+              "Day of the first occurrence; today or later unless past cost dates are allowed.",
+          },
+          endDate: string,
+        },
+      }),
+      responses: {
+        201: json(
+          "The new template. At most 100 occurrences are materialized right away; the scheduler creates the rest.",
+          ref("Recurrence")
+        ),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+  },
+  "/recurrences/run": {
+    post: {
+      tags: ["recurrences"],
+      summary: "Admins only: materialize every occurrence that is due.",
+      requestBody: body(
+        {
+          type: "object",
+          properties: { until: { ...dateTime, description: "Default now." } },
+        },
+        false
+      ),
+      responses: {
+        200: json("The run.", {
+          type: "object",
+          required: ["created"],
+          properties: { created: integer },
+        }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+  },
+  "/recurrences/{id}": {
+    parameters: [objectIdParam("template")],
+    get: {
+      tags: ["recurrences"],
+      summary: "Get a recurring cost template.",
+      responses: {
+        200: json("The template.", ref("Recurrence")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+    patch: {
+      tags: ["recurrences"],
+      summary: "Change a template's later occurrences.",
+      requestBody: body({
+        type: "object",
+        properties: {
+          description: string,
+          category: string,
+          subcategory: string,
+          sum: number,
+          currency: currency,
+          endDate: { type: "string", nullable: true },
+        },
+      }),
+      responses: {
+        200: json("The updated template.", ref("Recurrence")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+    delete: {
+      tags: ["recurrences"],
+      summary: "Stop a recurrence; its costs are kept.",
+      responses: {
+        200: json("The removed template.", ref("Recurrence")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+
+  "/groups": {
+    get: {
+      tags: ["groups"],
+      summary: "List shared-expense groups.",
+      parameters: [userParam("Only groups this user is a member of.")],
+      responses: {
+        200: json("The groups.", { type: "array", items: ref("Group") }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+    post: {
+      tags: ["groups"],
+      summary: "Create a group of users who share costs.",
+      requestBody: body({
+        type: "object",
+        required: ["name", "members"],
+        properties: {
+          name: string,
+          members: {
+            type: "array",
+            items: integer,
+            minItems: 1,
+            description:
+              "Must include an ordinary account's own user; the others are invited.",
+          },
+          currency: currency,
+        },
+      }),
+      responses: {
+        201: json("The new group.", ref("Group")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+  },
+  "/groups/{id}": {
+    parameters: [objectIdParam("group")],
+    get: {
+      tags: ["groups"],
+      summary: "Get a group.",
+      responses: {
+        200: json("The group.", ref("Group")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+    patch: {
+      tags: ["groups"],
+      summary: "Rename a group, change its currency or members.",
+      requestBody: body({
+        type: "object",
+        properties: {
+          name: string,
+          members: {
+            type: "array",
+            items: integer,
+            minItems: 1,
+            description:
+              "The complete member list, invited users included. Only the creator and admins can change it; users the creator adds are invited.",
+          },
+          currency: currency,
+        },
+      }),
+      responses: {
+        200: json("The updated group.", ref("Group")),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "Conflict"
+        ),
+      },
+    },
+    delete: {
+      tags: ["groups"],
+      summary: "Delete a group without live costs.",
+      responses: {
+        200: json("The removed group.", ref("Group")),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "Conflict"
+        ),
+      },
+    },
+  },
+  "/groups/{id}/join": {
+    parameters: [objectIdParam("group")],
+    post: {
+      tags: ["groups"],
+      summary: "Accept an invitation to a group.",
+      responses: {
+        200: json("The group joined.", ref("Group")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+  "/groups/{id}/balances": {
+    parameters: [objectIdParam("group")],
+    get: {
+      tags: ["groups"],
+      summary: "Who owes whom in a group, and the transfers that settle it.",
+      parameters: [currencyParam("Currency of the figures.")],
+      responses: {
+        200: json("The balances.", ref("Balances")),
+        ...errors(
+          "BadRequest",
+          "Unauthorized",
+          "Forbidden",
+          "NotFound",
+          "MissingRate"
+        ),
+      },
+    },
+  },
+
+  "/admin/orphan-costs": {
+    get: {
+      tags: ["admin"],
+      summary: "List costs of users that do not exist, per userid.",
+      responses: {
+        200: json("The orphans.", {
+          type: "object",
+          required: ["count", "orphans"],
+          properties: {
+            count: integer,
+            orphans: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["userid", "count", "total"],
+                properties: { userid: integer, count: integer, total: number },
+              },
+            },
+          },
+        }),
+        ...errors("Unauthorized", "Forbidden"),
+      },
+    },
+    delete: {
+      tags: ["admin"],
+      summary: "Permanently delete orphan costs.",
+      parameters: [userParam("Only orphans with this userid.")],
+      responses: {
+        200: json("The purge.", {
+          type: "object",
+          required: ["deleted"],
+          properties: { deleted: integer },
+        }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+  "/admin/orphan-costs/reassign": {
+    post: {
+      tags: ["admin"],
+      summary: "Move orphan costs to an existing user.",
+      requestBody: body({
+        type: "object",
+        required: ["to"],
+        properties: { to: integer, userid: integer },
+      }),
+      responses: {
+        200: json("The move.", {
+          type: "object",
+          required: ["to", "reassigned"],
+          properties: { to: integer, reassigned: integer },
+        }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden", "NotFound"),
+      },
+    },
+  },
+  "/admin/exchange-rates": {
+    get: {
+      tags: ["admin"],
+      summary: "List the exchange-rate table, oldest first.",
+      parameters: [currencyParam("Only rates of this currency.")],
+      responses: {
+        200: json("The rates.", { type: "array", items: ref("ExchangeRate") }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+    post: {
+      tags: ["admin"],
+      summary: "Load exchange rates, replacing those of the same day.",
+      requestBody: {
+        required: true,
+        content: {
+          "application/json": {
+            schema: {
+              type: "array",
+              items: {
+                type: "object",
+                required: ["currency", "date", "rate"],
+                properties: { currency: currency, date: string, rate: number },
+              },
+            },
+          },
+          "text/csv": { schema: string },
+        },
+      },
+      responses: {
+        200: json("The load.", {
+          type: "object",
+          required: ["loaded"],
+          properties: { loaded: integer },
+        }),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+  },
+
+  "/logs": {
+    get: {
+      tags: ["admin"],
+      summary: "Admins only: list log entries, newest first.",
+      parameters: [
+        queryParam(
+          "level",
+          { type: "string", enum: ["debug", "info", "warn", "error"] },
+          "Minimum level."
+        ),
+        queryParam("route", string, "Only this route, e.g. '/api/add'."),
+        queryParam("requestId", string, "Only entries of this request."),
+        queryParam("userid", integer, "Only requests made as this user."),
+        queryParam("from", dateTime, "Only entries logged at or after this."),
+        queryParam("to", dateTime, "Only entries logged before this."),
+        queryParam(
+          "limit",
+          { type: "integer", minimum: 1, maximum: 200 },
+          "Page size (default 50)."
+        ),
+        queryParam("cursor", string, "`nextCursor` of the previous page."),
+      ],
+      responses: {
+        200: json("A page of log entries.", ref("LogPage")),
+        ...errors("BadRequest", "Unauthorized", "Forbidden"),
+      },
+    },
+  },
+};
+
+/**
+ * The OpenAPI document.
+ */
+module.exports = {
+  openapi: "3.0.3",
+  info: {
+    title: "Cost Manager API",
+    version: "1.0.0",
+    description:
+      "Users, their costs and reports. Every route but /about, /openapi.json, /auth/register, /auth/login and the /healthz and /readyz probes (served at the root, not under /api) needs an `Authorization: Bearer <token>` header from POST /auth/login. Errors are { error, code, details? }. Every response carries an X-Request-Id header naming its entries in GET /logs.",
+  },
+  servers: [{ url: "/api" }],
+  security: [{ bearerAuth: [] }],
+  tags: [
+    "about",
+    "auth",
+    "users",
+    "costs",
+    "categories",
+    "budgets",
+    "recurrences",
+    "groups",
+    "admin",
+    "health",
+  ].map((name) => ({ name })),
+  paths,
+  components: {
+    securitySchemes: {
+      bearerAuth: { type: "http", scheme: "bearer" },
+    },
+    schemas,
+    responses,
+  },
+};
@@ -1,51 +1,125 @@
+/**
+ * @fileoverview Server bootstrap: connects to MongoDB, starts the recurring
+ * cost scheduler and listens, using the app of createApp() (see app.js).
+ * `node index.js` starts it and shuts it down gracefully on SIGTERM or
+ * SIGINT: readiness fails, new connections are refused and in-flight
+ * requests get SHUTDOWN_TIMEOUT_MS to finish before the process exits.
+ */
+
 require("dotenv").config();
 
-const express = require("express");
+const http = require("http");
 const mongoose = require("mongoose");
 
-const User = require("./models/User");
-const Cost = require("./models/Cost");
-
-const userRoutes = require("./routes/user_routes");
-const costRoutes = require("./routes/cost_routes");
-const aboutRoutes = require("./routes/about_routes");
-
-const app = express();
-const PORT = 3000;
+const { createApp } = require("./app");
+const { loadConfig } = require("./utils/config");
+const { flushLogs, logger } = require("./utils/logger");
+const { startRecurrenceScheduler } = require("./utils/scheduler");
 
-// Middleware to parse JSON bodies
-app.use(express.json());
+/** How often idle connections are closed while draining, in milliseconds. */
+const DRAIN_INTERVAL_MS = 100;
 
 /**
- * @description Mount API routes
+ * Stop accepting connections and wait for in-flight requests. Connections
+ * still busy after `timeoutMs` are cut.
+ * @param {http.Server} server
+ * @param {Number} timeoutMs
+ * @return {Promise<void>} Resolves once every connection is closed.
  */
-app.use("/api", userRoutes);
-app.use("/api", costRoutes);
-app.use("/api", aboutRoutes);
+function closeServer(server, timeoutMs) {
+  return new Promise((resolve) => {
+    // A keep-alive connection stays open once its request is answered, so
+    // idle ones are closed until none is left
+    const drain = setInterval(
+      () => server.closeIdleConnections(),
+      DRAIN_INTERVAL_MS
+    );
+    const timer = setTimeout(() => {
+      logger.warn("In-flight requests did not finish in time; closing them", {
+        timeoutMs,
+      });
+      server.closeAllConnections();
+    }, timeoutMs);
 
-/**
- * Ensure MONGO_URI is set in .env
- */
-const MONGO_URI = process.env.MONGO_URI;
-if (!MONGO_URI) {
-  console.error("[Index] MONGO_URI not found in .env");
-  process.exit(1);
+    server.close(() => {
+      clearInterval(drain);
+      clearTimeout(timer);
+      resolve();
+    });
+    server.closeIdleConnections();
+  });
 }
 
 /**
- * Connect to MongoDB (using Mongoose) and start the server
+ * Connect to MongoDB and start the server.
+ * @param {import("./utils/config").Config} [config] - Settings (default: read
+ *        from the environment).
+ * @return {Promise<{ app: import("express").Express, server: http.Server,
+ *         stop: function(): Promise<void> }>} The running server; stop()
+ *         shuts it down gracefully and may be called more than once.
+ * @throws {Error} When MONGO_URI is missing, the connection fails or the
+ *         port is taken.
  */
-mongoose
-  .connect(MONGO_URI)
-  .then(() => {
-    console.log("[Index] Connected to MongoDB successfully");
-    app.listen(PORT, () => {
-      console.log(`[Index] Server is running on http://localhost:${PORT}`);
-    });
-  })
-  .catch((err) => {
-    console.error("[Index] MongoDB connection error:", err.message);
-    process.exit(1);
+async function start(config = loadConfig()) {
+  if (!config.mongoUri) {
+    throw new Error("MONGO_URI not found in .env");
+  }
+  await mongoose.connect(config.mongoUri);
+  logger.info("Connected to MongoDB");
+
+  const app = createApp({ db: mongoose.connection, config });
+  const server = http.createServer(app);
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(config.port, resolve);
   });
+  const { port } = server.address();
+  logger.info(`Server is running on http://localhost:${port}`, { port });
+
+  const scheduler = startRecurrenceScheduler(config.recurrenceIntervalMs);
+
+  let stopping = null;
+  function stop() {
+    if (!stopping) {
+      stopping = (async () => {
+        app.locals.shuttingDown = true;
+        clearInterval(scheduler);
+        await closeServer(server, config.shutdownTimeoutMs);
+        logger.info("Server stopped");
+        await flushLogs();
+        await mongoose.disconnect();
+      })();
+    }
+    return stopping;
+  }
+
+  return { app, server, stop };
+}
+
+if (require.main === module) {
+  start()
+    .then(({ stop }) => {
+      ["SIGTERM", "SIGINT"].forEach((signal) =>
+        process.once(signal, () => {
+          logger.info(`${signal} received; shutting down`);
+          stop().then(
+            () => process.exit(0),
+            (err) => {
+              logger.error("Shutdown failed", {
+                error: { message: err.message, stack: err.stack },
+              });
+              process.exit(1);
+            }
+          );
+        })
+      );
+    })
+    .catch((err) => {
+      logger.error("Startup failed", {
+        error: { message: err.message, stack: err.stack },
+      });
+      process.exit(1);
+    });
+}
 
-module.exports = app;
+module.exports = { start };
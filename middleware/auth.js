@@ -0,0 +1,93 @@
+/**
+ * @fileoverview Authentication and authorization middleware. Clients send
+ * the token from POST /api/auth/login as `Authorization: Bearer <token>`;
+ * ordinary accounts may only touch their own user's data, admins everyone's.
+ */
+
+const Account = require("../models/Account");
+const Session = require("../models/Session");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+
+/**
+ * Read the bearer token of a request.
+ * @param {import("express").Request} req
+ * @return {String|null} The token, or null when there is none.
+ */
+function getBearerToken(req) {
+  const match = /^Bearer\s+(\S+)$/i.exec(req.get("Authorization") || "");
+  return match ? match[1] : null;
+}
+
+/**
+ * Require a valid session token. On success `req.auth` holds
+ * { accountId, username, role, userid }; otherwise fails with a 401.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Function} next
+ */
+async function authenticate(req, res, next) {
+  const token = getBearerToken(req);
+  if (!token) {
+    throw new UnauthorizedError("Authentication required.");
+  }
+
+  const session = await Session.findByToken(token);
+  const accountDoc = session
+    ? await Account.findById(session.accountId).lean()
+    : null;
+  if (!accountDoc) {
+    throw new UnauthorizedError("Invalid or expired token.");
+  }
+
+  req.auth = {
+    accountId: accountDoc._id,
+    username: accountDoc.username,
+    role: accountDoc.role,
+    userid: accountDoc.userid,
+  };
+  return next();
+}
+
+/**
+ * Whether the signed-in account is an admin.
+ * @param {import("express").Request} req
+ * @return {Boolean}
+ */
+function isAdmin(req) {
+  return Boolean(req.auth && req.auth.role === "admin");
+}
+
+/**
+ * Only let admins through; fails with a 403 otherwise.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Function} next
+ */
+function requireAdmin(req, res, next) {
+  if (!isAdmin(req)) {
+    throw new ForbiddenError("Admin access required.");
+  }
+  return next();
+}
+
+/**
+ * Check that the signed-in account may access a user's data.
+ * @param {import("express").Request} req
+ * @param {Number} userid - The user whose data is accessed.
+ * @throws {ForbiddenError} When it may not.
+ */
+function assertUserAccess(req, userid) {
+  if (!isAdmin(req) && !(req.auth && req.auth.userid === userid)) {
+    throw new ForbiddenError(
+      `Not allowed to access the data of user ${userid}.`
+    );
+  }
+}
+
+module.exports = {
+  getBearerToken,
+  authenticate,
+  isAdmin,
+  requireAdmin,
+  assertUserAccess,
+};
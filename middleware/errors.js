@@ -0,0 +1,135 @@
+/**
+ * @fileoverview The shared error responses. Routes throw (or pass to
+ * `next`) the errors of utils/errors.js, Mongoose errors or anything else;
+ * `errorHandler` answers every one of them as
+ * { error: <message>, code: <CODE>, details?: [ { field, in, message }, … ] }.
+ */
+
+const mongoose = require("mongoose");
+
+const {
+  ApiError,
+  ValidationError,
+  ConflictError,
+  NotFoundError,
+} = require("../utils/errors");
+const { MissingRateError } = require("../utils/exchange_rates");
+const { logger } = require("../utils/logger");
+
+/**
+ * Turn one failed path of a Mongoose validation into a readable message.
+ * Messages the schemas set themselves are kept.
+ * @param {mongoose.Error.ValidatorError|mongoose.Error.CastError} error
+ * @return {String}
+ */
+function describeMongooseError(error) {
+  const path = error.path;
+  if (error.name === "CastError" || error.kind === "ObjectId") {
+    const kind = String(error.kind || "value").toLowerCase();
+    return kind === "objectid"
+      ? `${path} must be a valid id.`
+      : `${path} must be a valid ${kind}.`;
+  }
+  switch (error.kind) {
+    case "required":
+      return `${path} is required.`;
+    case "enum":
+      return `${path} must be one of: ${error.properties.enumValues.join(", ")}.`;
+    default:
+      return error.message;
+  }
+}
+
+/**
+ * Map any error to an ApiError.
+ * @param {Error} error
+ * @return {ApiError}
+ */
+function toApiError(error) {
+  if (error instanceof ApiError) {
+    return error;
+  }
+  if (error instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(
+      Object.values(error.errors).map((e) => ({
+        field: e.path,
+        in: "body",
+        message: describeMongooseError(e),
+      }))
+    );
+  }
+  if (error instanceof mongoose.Error.CastError) {
+    return new ValidationError([
+      { field: error.path, message: describeMongooseError(error) },
+    ]);
+  }
+  if (error && error.code === 11000) {
+    return new ConflictError("A record with the same key already exists.");
+  }
+  if (error instanceof MissingRateError) {
+    return new ApiError(422, "MISSING_EXCHANGE_RATE", error.message);
+  }
+  // Errors of the body parsers
+  if (error && error.type === "entity.parse.failed") {
+    return new ApiError(400, "INVALID_BODY", "Malformed request body.");
+  }
+  if (error && error.type === "entity.too.large") {
+    return new ApiError(413, "PAYLOAD_TOO_LARGE", "Request body too large.");
+  }
+  if (error && error.expose && error.status >= 400 && error.status < 500) {
+    return new ApiError(error.status, "BAD_REQUEST", error.message);
+  }
+  return new ApiError(500, "INTERNAL_ERROR", "Internal server error.");
+}
+
+/**
+ * Answer requests no route matched with a 404.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Function} next
+ */
+function notFound(req, res, next) {
+  next(new NotFoundError(`No route for ${req.method} ${req.path}.`));
+}
+
+/**
+ * Send the structured error response. Unexpected errors are answered with a
+ * generic 500; their real message and stack go to the logs only. The error
+ * is left in `res.locals.error` for the request log (see middleware/logging);
+ * unexpected errors the request log cannot report are logged here. Express
+ * recognizes error handlers by their four parameters, so `next` stays even
+ * where unused.
+ * @param {Error} err
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Function} next
+ */
+function errorHandler(err, req, res, next) {
+  const apiError = toApiError(err);
+  const unexpected = apiError.status >= 500;
+  res.locals.error = unexpected
+    ? {
+        code: apiError.code,
+        message: err && err.message,
+        stack: err && err.stack,
+      }
+    : { code: apiError.code, message: apiError.message };
+  // Otherwise the request log reports it once the response is sent
+  if (unexpected && (req.id === undefined || res.headersSent)) {
+    logger.error(`${req.method} ${req.originalUrl} failed`, {
+      requestId: req.id,
+      error: res.locals.error,
+    });
+  }
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  const body = { error: apiError.message, code: apiError.code };
+  if (apiError.details) {
+    body.details = apiError.details;
+  }
+  return res.status(apiError.status).json(body);
+}
+
+module.exports = { toApiError, notFound, errorHandler };
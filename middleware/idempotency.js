@@ -0,0 +1,138 @@
+/**
+ * @fileoverview Idempotency keys. A client that retries a request sends the
+ * same `Idempotency-Key` header each time; the first request runs and its
+ * response is stored, and repeats with the same body get that response back
+ * (with `Idempotent-Replayed: true`) instead of running again. Reusing a key
+ * for a different request fails with a 422, and repeating it while the first
+ * request still runs with a 409. Failed requests release their key so they
+ * can be retried, and a request that has not answered within a short lease
+ * (e.g. because the process crashed) is taken to have died, so a retry runs
+ * again. Keys belong to the signed-in account.
+ */
+
+const crypto = require("crypto");
+
+const IdempotencyKey = require("../models/IdempotencyKey");
+const { ApiError, ConflictError, ValidationError } = require("../utils/errors");
+const { logger } = require("../utils/logger");
+
+/** Keys accepted from clients: visible ASCII characters. */
+const IDEMPOTENCY_KEY = /^[\x21-\x7e]{1,255}$/;
+
+/**
+ * JSON with the keys of every object sorted, so equal bodies hash equally
+ * whatever the order of their fields.
+ * @param {*} value
+ * @return {String}
+ */
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hash what makes two requests the same: method, URL and body.
+ * @param {import("express").Request} req
+ * @return {String} Hex SHA-256 digest.
+ */
+function hashRequest(req) {
+  return crypto
+    .createHash("sha256")
+    .update(`${req.method} ${req.originalUrl}\n${canonicalJson(req.body)}`)
+    .digest("hex");
+}
+
+/**
+ * Make a route idempotent for requests with an Idempotency-Key header;
+ * requests without one pass through. Mount it after `authenticate` and
+ * before the handler.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Function} next
+ */
+async function idempotent(req, res, next) {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) {
+    return next();
+  }
+  if (!IDEMPOTENCY_KEY.test(key)) {
+    throw new ValidationError([
+      {
+        field: "Idempotency-Key",
+        in: "header",
+        message: "Idempotency-Key must be 1 to 255 visible ASCII characters.",
+      },
+    ]);
+  }
+
+  const accountId = req.auth.accountId;
+  const requestHash = hashRequest(req);
+  try {
+    await IdempotencyKey.create({ accountId, key, requestHash });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const previous = await IdempotencyKey.findOne({ accountId, key }).lean();
+    if (!previous) {
+      // Released by a failed request in the meantime
+      return idempotent(req, res, next);
+    }
+    if (previous.requestHash !== requestHash) {
+      throw new ApiError(
+        422,
+        "IDEMPOTENCY_KEY_MISMATCH",
+        "This Idempotency-Key was already used for a different request."
+      );
+    }
+    if (previous.status !== undefined) {
+      res.set("Idempotent-Replayed", "true");
+      return res.status(previous.status).json(previous.body);
+    }
+    if (!(await IdempotencyKey.takeOver(previous))) {
+      throw new ConflictError(
+        "A request with this Idempotency-Key is still in progress."
+      );
+    }
+  }
+
+  // Store the response before it is sent, so a retry right after sees it
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    const stored =
+      res.statusCode < 400
+        ? IdempotencyKey.updateOne(
+            { accountId, key },
+            // Stored as sent, i.e. after toJSON()
+            {
+              $set: {
+                status: res.statusCode,
+                body: JSON.parse(JSON.stringify(body)),
+              },
+            }
+          )
+        : IdempotencyKey.deleteOne({ accountId, key });
+    stored.then(
+      () => json(body),
+      (error) => {
+        logger.warn("Could not store the idempotent response", {
+          requestId: req.id,
+          error: { message: error.message },
+        });
+        json(body);
+      }
+    );
+    return res;
+  };
+  return next();
+}
+
+module.exports = { idempotent };
@@ -0,0 +1,72 @@
+/**
+ * @fileoverview Request logging. Every request gets an ID, taken from a
+ * well-formed X-Request-Id header or generated, and echoed in the
+ * X-Request-Id response header. When the response is sent, one entry with
+ * the route, status, latency and signed-in account is logged: 'info' for
+ * successes, 'warn' for 4xx and 'error' for 5xx responses. Failed requests
+ * also log their error and their redacted body.
+ */
+
+const crypto = require("crypto");
+
+const { logger, summarizeBody } = require("../utils/logger");
+
+/** Request IDs accepted from clients. */
+const REQUEST_ID = /^[\w.:-]{1,100}$/;
+
+/**
+ * The log level of a response status.
+ * @param {Number} status
+ * @return {String}
+ */
+function levelOf(status) {
+  if (status >= 500) return "error";
+  if (status >= 400) return "warn";
+  return "info";
+}
+
+/**
+ * Log every request. Mount it where the routes are mounted: the mount path
+ * is read when the request arrives, as Express resets it once a route fails.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Function} next
+ */
+function requestLogger(req, res, next) {
+  const incoming = req.get("X-Request-Id");
+  req.id =
+    incoming && REQUEST_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+
+  const baseUrl = req.baseUrl;
+  const start = process.hrtime.bigint();
+
+  res.on("finish", () => {
+    const durationMs = Number(process.hrtime.bigint() - start) / 1e6;
+    const status = res.statusCode;
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      // Unset when no route matched
+      route: req.route ? baseUrl + req.route.path : undefined,
+      path: req.originalUrl,
+      status,
+      durationMs: Math.round(durationMs * 10) / 10,
+    };
+    if (req.auth) {
+      fields.userid = req.auth.userid === null ? undefined : req.auth.userid;
+      fields.username = req.auth.username;
+    }
+    if (status >= 400) {
+      fields.error = res.locals.error;
+      fields.body = summarizeBody(req.body);
+    }
+
+    const target = fields.route || req.originalUrl.split("?")[0];
+    logger[levelOf(status)](`${req.method} ${target} ${status}`, fields);
+  });
+
+  return next();
+}
+
+module.exports = { requestLogger };
@@ -0,0 +1,97 @@
+/**
+ * @fileoverview Per-client rate limiting with fixed windows, kept in process
+ * (each app of createApp() has its own store, see app.js). A client is the
+ * signed-in account, or the IP address before signing in, and is counted per
+ * route. Responses carry the RateLimit-Limit, RateLimit-Remaining,
+ * RateLimit-Reset and RateLimit-Policy headers; once the limit is reached the
+ * client gets a 429 with Retry-After until the window ends.
+ */
+
+const { RateLimitError } = require("../utils/errors");
+
+/**
+ * Request counts per key and window, in memory.
+ */
+class MemoryStore {
+  constructor() {
+    /** @type {Map<String, { count: Number, resetAt: Number }>} */
+    this.windows = new Map();
+    this.nextSweep = 0;
+  }
+
+  /**
+   * Count a request.
+   * @param {String} key - Client and route.
+   * @param {Number} windowMs - Length of a window.
+   * @param {Number} [now=Date.now()]
+   * @return {{ count: Number, resetAt: Number }} Requests in the current
+   *         window, this one included, and when the window ends.
+   */
+  increment(key, windowMs, now = Date.now()) {
+    // Forget ended windows once per window length
+    if (now >= this.nextSweep) {
+      for (const [k, window] of this.windows) {
+        if (window.resetAt <= now) this.windows.delete(k);
+      }
+      this.nextSweep = now + windowMs;
+    }
+
+    let window = this.windows.get(key);
+    if (!window || window.resetAt <= now) {
+      window = { count: 0, resetAt: now + windowMs };
+      this.windows.set(key, window);
+    }
+    window.count++;
+    return { ...window };
+  }
+}
+
+/**
+ * Who a request counts against.
+ * @param {import("express").Request} req
+ * @return {String}
+ */
+function clientOf(req) {
+  return req.auth ? `account:${req.auth.accountId}` : `ip:${req.ip}`;
+}
+
+/**
+ * Limit the requests of each client to a route, with the settings in
+ * `config.rateLimit` and the store in `app.locals.rateLimitStore`; a `max`
+ * of 0 turns limiting off. Mount it on the route, before its handler.
+ * @param {import("express").Request} req
+ * @param {import("express").Response} res
+ * @param {Function} next
+ * @throws {RateLimitError} When the client used up its window.
+ */
+function rateLimit(req, res, next) {
+  const { max, windowMs } = req.app.locals.config.rateLimit;
+  if (!max) {
+    return next();
+  }
+
+  const now = Date.now();
+  const key = `${clientOf(req)} ${req.method} ${req.baseUrl}${req.route.path}`;
+  const { count, resetAt } = req.app.locals.rateLimitStore.increment(
+    key,
+    windowMs,
+    now
+  );
+  const reset = Math.ceil((resetAt - now) / 1000);
+  res.set({
+    "RateLimit-Limit": String(max),
+    "RateLimit-Remaining": String(Math.max(max - count, 0)),
+    "RateLimit-Reset": String(reset),
+    "RateLimit-Policy": `${max};w=${Math.ceil(windowMs / 1000)}`,
+  });
+
+  if (count > max) {
+    res.set("Retry-After", String(reset));
+    throw new RateLimitError(
+      `Too many requests; try again in ${reset} seconds.`
+    );
+  }
+  return next();
+}
+
+module.exports = { MemoryStore, rateLimit };
@@ -0,0 +1,215 @@
+/**
+ * @fileoverview Declarative request validation. Each route declares the
+ * params, query and body fields it reads; `validate()` checks and converts
+ * them and puts the result in `req.valid`, or fails with a
+ * ValidationError listing every bad field.
+ */
+
+const mongoose = require("mongoose");
+
+const { ValidationError } = require("../utils/errors");
+const { isValidCurrency } = require("../utils/currency");
+const { isValidTimeZone } = require("../utils/timezone");
+
+/**
+ * @typedef {Object} FieldRule
+ * @property {String} type - One of: 'integer', 'number', 'string',
+ *           'boolean', 'objectId', 'day' (YYYY-MM-DD, becomes { year, month,
+ *           day }), 'date' (anything Date can parse), 'currency' (becomes
+ *           uppercase), 'timezone', 'array', 'object', 'any'.
+ * @property {Boolean} [required] - Reject the request when the field is missing.
+ * @property {Boolean} [nullable] - Accept null (kept as null).
+ * @property {*} [default] - Value used when the field is missing.
+ * @property {Number} [min] - Smallest value, or shortest length for strings and arrays.
+ * @property {Number} [max] - Largest value, or longest length for strings and arrays.
+ * @property {Array} [enum] - Allowed values.
+ * @property {FieldRule} [items] - Rule for each element of an array.
+ * @property {String} [message] - Message for any problem with the field,
+ *           instead of the generated one.
+ */
+
+/**
+ * Parse a YYYY-MM-DD calendar day.
+ * @param {*} value
+ * @return {{ year: Number, month: Number, day: Number }|null} null when invalid.
+ */
+function parseDay(value) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(String(value));
+  if (!match) {
+    return null;
+  }
+  const [year, month, day] = match.slice(1).map((n) => parseInt(n, 10));
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return { year, month, day };
+}
+
+/**
+ * Convert a raw value to a rule's type.
+ * @param {*} value - Present, non-null raw value.
+ * @param {FieldRule} rule
+ * @return {{ value?: *, problem?: String }} `problem` completes
+ *         "<field> must be …" when the value has the wrong type.
+ */
+function convert(value, rule) {
+  switch (rule.type) {
+    case "integer": {
+      const number = typeof value === "string" ? Number(value) : value;
+      return typeof value !== "boolean" &&
+        value !== "" &&
+        Number.isInteger(number)
+        ? { value: number }
+        : { problem: "an integer" };
+    }
+    case "number": {
+      const number = typeof value === "string" ? Number(value) : value;
+      return typeof number === "number" &&
+        value !== "" &&
+        Number.isFinite(number)
+        ? { value: number }
+        : { problem: "a number" };
+    }
+    case "string":
+      return typeof value === "string" ? { value } : { problem: "a string" };
+    case "boolean":
+      if (value === true || value === "true") return { value: true };
+      if (value === false || value === "false") return { value: false };
+      return { problem: "true or false" };
+    case "objectId":
+      return mongoose.isObjectIdOrHexString(value)
+        ? { value: String(value) }
+        : { problem: "a valid id" };
+    case "day": {
+      const day = typeof value === "string" ? parseDay(value) : null;
+      return day ? { value: day } : { problem: "a date in YYYY-MM-DD form" };
+    }
+    case "date": {
+      const date =
+        typeof value === "string" || typeof value === "number"
+          ? new Date(value)
+          : null;
+      return date && !Number.isNaN(date.getTime())
+        ? { value: date }
+        : { problem: "a valid date" };
+    }
+    case "currency": {
+      const code = typeof value === "string" ? value.trim().toUpperCase() : "";
+      return isValidCurrency(code)
+        ? { value: code }
+        : { problem: "an ISO 4217 currency code" };
+    }
+    case "timezone":
+      return typeof value === "string" && isValidTimeZone(value)
+        ? { value }
+        : { problem: "an IANA time zone" };
+    case "array":
+      return Array.isArray(value) ? { value } : { problem: "an array" };
+    case "object":
+      return value !== null &&
+        typeof value === "object" &&
+        !Array.isArray(value)
+        ? { value }
+        : { problem: "an object" };
+    default:
+      return { value };
+  }
+}
+
+/**
+ * Check one field against its rule.
+ * @param {String} name - Field name, for messages.
+ * @param {*} raw - The raw value (undefined when missing).
+ * @param {FieldRule} rule
+ * @return {{ value?: *, message?: String }} The converted value, or the
+ *         message describing what is wrong.
+ */
+function checkField(name, raw, rule) {
+  const fail = (message) => ({ message: rule.message || message });
+
+  if (raw === undefined) {
+    if (rule.required) return fail(`${name} is required.`);
+    return { value: rule.default };
+  }
+  if (raw === null) {
+    return rule.nullable ? { value: null } : fail(`${name} cannot be null.`);
+  }
+
+  const { value, problem } = convert(raw, rule);
+  if (problem) {
+    return fail(`${name} must be ${problem}.`);
+  }
+
+  const size =
+    typeof value === "string" || Array.isArray(value) ? value.length : value;
+  const unit = typeof size === "number" && size !== value ? " long" : "";
+  if (rule.min !== undefined && size < rule.min) {
+    return fail(`${name} must be at least ${rule.min}${unit}.`);
+  }
+  if (rule.max !== undefined && size > rule.max) {
+    return fail(`${name} must be at most ${rule.max}${unit}.`);
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`${name} must be one of: ${rule.enum.join(", ")}.`);
+  }
+
+  if (rule.items) {
+    const items = [];
+    for (let i = 0; i < value.length; i++) {
+      const item = checkField(`${name}[${i}]`, value[i], {
+        required: true,
+        ...rule.items,
+      });
+      if (item.message) return fail(item.message);
+      items.push(item.value);
+    }
+    return { value: items };
+  }
+  return { value };
+}
+
+/**
+ * Build a middleware that validates a request against declared fields.
+ * Fields that are not declared are left out of `req.valid` but not rejected.
+ * @param {{ params?: Object<String, FieldRule>, query?: Object<String, FieldRule>, body?: Object<String, FieldRule> }} schema
+ * @return {Function} Express middleware setting
+ *         `req.valid = { params, query, body }`.
+ */
+function validate(schema) {
+  return (req, res, next) => {
+    const details = [];
+    const valid = { params: {}, query: {}, body: {} };
+
+    ["params", "query", "body"].forEach((location) => {
+      const rules = schema[location];
+      if (!rules) return;
+
+      const source =
+        req[location] !== null && typeof req[location] === "object"
+          ? req[location]
+          : {};
+      Object.entries(rules).forEach(([name, rule]) => {
+        // An empty query parameter (?month=) counts as missing
+        const raw =
+          location !== "body" && source[name] === "" && rule.type !== "string"
+            ? undefined
+            : source[name];
+        const result = checkField(name, raw, rule);
+        if (result.message) {
+          details.push({ field: name, in: location, message: result.message });
+        } else if (result.value !== undefined) {
+          valid[location][name] = result.value;
+        }
+      });
+    });
+
+    if (details.length > 0) {
+      return next(new ValidationError(details));
+    }
+    req.valid = valid;
+    return next();
+  };
+}
+
+module.exports = { parseDay, checkField, validate };
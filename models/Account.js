@@ -0,0 +1,107 @@
+const mongoose = require("mongoose");
+
+const { hashPassword, verifyPassword } = require("../utils/passwords");
+
+/**
+ * @fileoverview Defines the Account schema and model: the login credentials
+ * of a user, or of an administrator who may act on every user's data.
+ */
+
+/** Roles an account can have. */
+const ROLES = ["user", "admin"];
+
+/** Shortest password accepted for an account. */
+const MIN_PASSWORD_LENGTH = 8;
+
+/**
+ * @typedef {Object} Account
+ * @property {String} username - Unique login name (stored lowercase).
+ * @property {String} passwordHash - scrypt hash of the password (see utils/passwords).
+ * @property {String} role - One of: 'user', 'admin'.
+ * @property {Number|null} userid - The User whose data a 'user' account may
+ *           access; null for admins without a user of their own.
+ * @property {Date} createdAt - When the account was created.
+ */
+
+/** @type {mongoose.Schema<Account>} */
+const accountSchema = new mongoose.Schema({
+  username: {
+    type: String,
+    required: true,
+    unique: true,
+    lowercase: true,
+    trim: true,
+    match: [
+      /^[a-z0-9._-]{3,40}$/,
+      "Username must be 3-40 letters, digits, '.', '_' or '-'.",
+    ],
+  },
+  passwordHash: {
+    type: String,
+    required: true,
+  },
+  role: {
+    type: String,
+    enum: ROLES,
+    default: "user",
+  },
+  userid: {
+    type: Number,
+    default: null,
+    ref: "User",
+    index: true,
+    validate: {
+      validator: function (value) {
+        return this.role === "admin" || value !== null;
+      },
+      message: "A user account needs a userid.",
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Build an unsaved account, hashing its password.
+ * @param {Object} fields - { username, password, role?, userid? }.
+ * @return {Promise<Account>} The new document; call validate() or save().
+ * @throws {Error} When the password is too short.
+ */
+accountSchema.statics.build = async function ({
+  username,
+  password,
+  role,
+  userid,
+}) {
+  if (typeof password !== "string" || password.length < MIN_PASSWORD_LENGTH) {
+    const error = new mongoose.Error.ValidationError();
+    error.addError(
+      "password",
+      new mongoose.Error.ValidatorError({
+        path: "password",
+        message: `Password must be at least ${MIN_PASSWORD_LENGTH} characters.`,
+      })
+    );
+    throw error;
+  }
+  return new this({
+    username,
+    passwordHash: await hashPassword(password),
+    role,
+    userid: userid === undefined ? null : userid,
+  });
+};
+
+/**
+ * Check a password against this account's hash.
+ * @param {String} password - The plain-text password.
+ * @return {Promise<Boolean>}
+ */
+accountSchema.methods.checkPassword = function (password) {
+  return verifyPassword(password, this.passwordHash);
+};
+
+/** @type {mongoose.Model<Account>} */
+module.exports = mongoose.model("Account", accountSchema);
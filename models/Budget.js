@@ -0,0 +1,124 @@
+const mongoose = require("mongoose");
+
+const Cost = require("./Cost");
+const Notification = require("./Notification");
+const {
+  getBaseCurrency,
+  isValidCurrency,
+  toMinor,
+  fromMinor,
+} = require("../utils/currency");
+const { getZonedParts, getZonedMonthRange } = require("../utils/timezone");
+
+/**
+ * @fileoverview Defines the Budget schema and model: a monthly spending limit
+ * of one user on one top-level category, applying to every month.
+ */
+
+/**
+ * @typedef {Object} Budget
+ * @property {Number} userid - Numeric ID of the user the budget belongs to.
+ * @property {String} category - Name of a top-level Category visible to the user.
+ * @property {Number} limit - Monthly limit, in `currency`.
+ * @property {String} currency - ISO 4217 code of `limit`. Defaults to the base currency.
+ * @property {Date} createdAt - When the budget was set.
+ */
+
+/** @type {mongoose.Schema<Budget>} */
+const budgetSchema = new mongoose.Schema({
+  userid: {
+    type: Number,
+    required: true,
+    ref: "User",
+  },
+  category: {
+    type: String,
+    required: true,
+  },
+  limit: {
+    type: Number,
+    required: true,
+    min: [Number.MIN_VALUE, "Budget limit must be positive."],
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: getBaseCurrency,
+    validate: {
+      validator: isValidCurrency,
+      message: (props) => `${props.value} is not a valid currency code.`,
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+budgetSchema.index({ userid: 1, category: 1 }, { unique: true });
+
+/**
+ * Check whether a newly saved cost pushed its category over the user's
+ * monthly budget, i.e. the month was within budget without it and is over
+ * budget with it. If so, record a 'budget_exceeded' notification.
+ * @param {Object} costDoc - The saved cost.
+ * @param {String} timeZone - Time zone the cost's month is computed in.
+ * @return {Promise<Object|null>} The warning ({ message, category, year,
+ *         month, budget, spent, currency }), or null when no budget was crossed.
+ * @throws {MissingRateError} When a needed exchange rate is missing.
+ */
+budgetSchema.statics.checkOverspend = async function (costDoc, timeZone) {
+  const budgetDoc = await this.findOne({
+    userid: costDoc.userid,
+    category: costDoc.category,
+  }).lean();
+  if (!budgetDoc) {
+    return null;
+  }
+
+  const { year, month } = getZonedParts(costDoc.date, timeZone);
+  const { start, end } = getZonedMonthRange(year, month, timeZone);
+  const match = {
+    userid: costDoc.userid,
+    category: costDoc.category,
+    date: { $gte: start, $lt: end },
+  };
+
+  const limit = toMinor(budgetDoc.limit, budgetDoc.currency);
+  const spent = await Cost.totalMatching(match, budgetDoc.currency);
+  if (spent <= limit) {
+    return null;
+  }
+  const spentBefore = await Cost.totalMatching(
+    { ...match, _id: { $ne: costDoc._id } },
+    budgetDoc.currency
+  );
+  if (spentBefore > limit) {
+    // Already over budget; only the cost crossing the limit raises an alert
+    return null;
+  }
+
+  const warning = {
+    message:
+      `Spending on ${budgetDoc.category} in ${year}-${String(month).padStart(2, "0")} ` +
+      `is ${fromMinor(spent, budgetDoc.currency)} ${budgetDoc.currency}, ` +
+      `over the budget of ${budgetDoc.limit} ${budgetDoc.currency}.`,
+    category: budgetDoc.category,
+    year,
+    month,
+    budget: budgetDoc.limit,
+    spent: fromMinor(spent, budgetDoc.currency),
+    currency: budgetDoc.currency,
+  };
+  await Notification.create({
+    ...warning,
+    userid: costDoc.userid,
+    type: "budget_exceeded",
+    costId: costDoc._id,
+  });
+  return warning;
+};
+
+/** @type {mongoose.Model<Budget>} */
+module.exports = mongoose.model("Budget", budgetSchema);
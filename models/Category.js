@@ -0,0 +1,135 @@
+const mongoose = require("mongoose");
+
+/**
+ * @fileoverview Defines the Category schema and model. Categories are either
+ * global (userid null, visible to everyone) or custom to one user, and are
+ * either top-level or a subcategory of a top-level category.
+ */
+
+/**
+ * Global categories created when none exist, in report order.
+ */
+const DEFAULT_CATEGORIES = ["food", "health", "housing", "sport", "education"];
+
+/**
+ * @typedef {Object} Category
+ * @property {String} name - Lowercase category name, e.g. 'transport'.
+ * @property {Number|null} userid - Owner of a custom category, or null for a global one.
+ * @property {String|null} parent - Name of the parent category for a subcategory, or null.
+ * @property {Date} createdAt - When the category was created.
+ */
+
+/** @type {mongoose.Schema<Category>} */
+const categorySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    lowercase: true,
+    match: [
+      /^[a-z0-9][a-z0-9 _-]*$/,
+      "Category name may only contain letters, digits, spaces, '_' and '-'.",
+    ],
+  },
+  userid: {
+    type: Number,
+    default: null,
+    ref: "User",
+  },
+  parent: {
+    type: String,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Subcategories of different parents may share a name, e.g. 'other'
+categorySchema.index({ name: 1, userid: 1, parent: 1 }, { unique: true });
+
+/**
+ * Create the default global categories if there is no global category at all.
+ * @return {Promise<void>}
+ */
+categorySchema.statics.ensureDefaults = async function () {
+  if (await this.exists({ userid: null })) {
+    return;
+  }
+
+  // Upserts keep concurrent callers from inserting duplicates
+  await this.bulkWrite(
+    DEFAULT_CATEGORIES.map((name) => ({
+      updateOne: {
+        filter: { name, userid: null, parent: null },
+        update: { $setOnInsert: { createdAt: new Date() } },
+        upsert: true,
+      },
+    }))
+  );
+};
+
+/**
+ * Categories a user can use: the global ones followed by the user's own,
+ * each group in creation order.
+ * @param {Number|null} userid - The user, or null for global categories only.
+ * @return {Promise<Array<Category>>} Lean category documents.
+ */
+categorySchema.statics.visibleTo = async function (userid) {
+  await this.ensureDefaults();
+
+  const scopes = userid === null ? [null] : [null, userid];
+  const categories = await this.find({ userid: { $in: scopes } })
+    .sort({ createdAt: 1, _id: 1 })
+    .lean();
+
+  return [
+    ...categories.filter((c) => c.userid === null),
+    ...categories.filter((c) => c.userid !== null),
+  ];
+};
+
+/**
+ * Names of the top-level categories a user can use, in report order.
+ * @param {Number} userid
+ * @return {Promise<Array<String>>}
+ */
+categorySchema.statics.topLevelNamesFor = async function (userid) {
+  const categories = await this.visibleTo(userid);
+  return categories.filter((c) => c.parent === null).map((c) => c.name);
+};
+
+/**
+ * Check that a category (and optional subcategory) may be used on a cost of
+ * the given user.
+ * @param {Number} userid - The cost's user.
+ * @param {String} category - Top-level category name.
+ * @param {String} [subcategory] - Subcategory name; must belong to `category`.
+ * @return {Promise<String|null>} An error message, or null when valid.
+ */
+categorySchema.statics.checkFor = async function (
+  userid,
+  category,
+  subcategory
+) {
+  const categories = await this.visibleTo(userid);
+
+  const top = categories.find((c) => c.name === category && c.parent === null);
+  if (!top) {
+    return `Unknown category '${category}'.`;
+  }
+
+  if (subcategory !== undefined && subcategory !== null) {
+    const sub = categories.find(
+      (c) => c.name === subcategory && c.parent === category
+    );
+    if (!sub) {
+      return `Unknown subcategory '${subcategory}' of '${category}'.`;
+    }
+  }
+  return null;
+};
+
+/** @type {mongoose.Model<Category>} */
+module.exports = mongoose.model("Category", categorySchema);
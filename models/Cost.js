@@ -1,5 +1,16 @@
 const mongoose = require("mongoose");
 
+const {
+  getBaseCurrency,
+  isValidCurrency,
+  minorUnitExponent,
+  toMinor,
+  fromMinor,
+} = require("../utils/currency");
+const { createConverter } = require("../utils/exchange_rates");
+const { SPLIT_METHODS } = require("../utils/splits");
+const { MAX_TAGS_PER_COST, isValidTag } = require("../utils/tags");
+
 /**
  * @fileoverview Defines the Cost schema and model.
  */
@@ -7,10 +18,42 @@ const mongoose = require("mongoose");
 /**
  * @typedef {Object} Cost
  * @property {String} description - Brief description of the expense.
- * @property {String} category - One of: 'food', 'health', 'housing', 'sport', 'education'.
+ * @property {String} category - Name of a top-level Category visible to the user.
+ * @property {String} [subcategory] - Name of a subcategory of `category`.
  * @property {Number} userid - Numeric ID of the user who incurred this cost.
- * @property {Number} sum - Amount of the expense.
+ * @property {Number} sum - Amount of the expense, in `currency`.
+ * @property {String} currency - ISO 4217 code of `sum`. Defaults to the base currency.
+ * @property {Number} amount - `sum` in integer minor units of `currency`; derived on validate.
  * @property {Date} createdAt - Timestamp when the cost was created.
+ * @property {Date} date - When the expense actually happened. Defaults to createdAt.
+ * @property {Date|null} deletedAt - Set when the cost is soft-deleted, otherwise null.
+ * @property {mongoose.Types.ObjectId} [recurrenceId] - The Recurrence this cost
+ *           was materialized from, if any.
+ * @property {mongoose.Types.ObjectId} [groupId] - The Group sharing this cost;
+ *           `userid` is then the member who paid it.
+ * @property {String} [splitMethod] - How a group cost is split: 'equal',
+ *           'percentage' or 'exact'.
+ * @property {Array<CostSplit>} [splits] - Each member's share of a group cost.
+ * @property {Array<CostAttachment>} [attachments] - Receipts attached to the
+ *           cost; the files are in the app's storage (see utils/storage).
+ * @property {Array<String>} [tags] - Free-form lowercase labels such as
+ *           'reimbursable' (see utils/tags).
+ */
+
+/**
+ * @typedef {Object} CostAttachment
+ * @property {mongoose.Types.ObjectId} _id - Also the id of the stored file.
+ * @property {String} filename - Name the file is downloaded under.
+ * @property {String} contentType - Its MIME type (see utils/attachments).
+ * @property {Number} size - Its size in bytes.
+ * @property {Date} createdAt - When it was attached.
+ */
+
+/**
+ * @typedef {Object} CostSplit
+ * @property {Number} userid - The member.
+ * @property {Number} amount - The member's share, in minor units of the cost's currency.
+ * @property {Number} [percent] - The member's percentage, for percentage splits.
  */
 
 /** @type {mongoose.Schema<Cost>} */
@@ -19,11 +62,14 @@ const costSchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Checked against the Category collection by the routes, not by an enum
   category: {
     type: String,
-    enum: ["food", "health", "housing", "sport", "education"],
     required: true,
   },
+  subcategory: {
+    type: String,
+  },
   userid: {
     type: Number,
     required: true,
@@ -33,11 +79,450 @@ const costSchema = new mongoose.Schema({
     type: Number,
     required: true,
   },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: getBaseCurrency,
+    validate: {
+      validator: isValidCurrency,
+      message: (props) => `${props.value} is not a valid currency code.`,
+    },
+  },
+  // Integer minor units; totals are computed from this, never from `sum`
+  amount: {
+    type: Number,
+    validate: {
+      validator: Number.isInteger,
+      message: "amount must be an integer number of minor units.",
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
   },
+  // Declared after createdAt so its default can read the insertion timestamp
+  date: {
+    type: Date,
+    default: function () {
+      return this.createdAt;
+    },
+  },
+  deletedAt: {
+    type: Date,
+    default: null,
+  },
+  recurrenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Recurrence",
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Group",
+  },
+  splitMethod: {
+    type: String,
+    enum: SPLIT_METHODS,
+  },
+  // Kept in step with `amount` by the routes (see utils/splits)
+  splits: {
+    type: [
+      {
+        _id: false,
+        userid: { type: Number, required: true },
+        amount: { type: Number, required: true },
+        percent: { type: Number },
+      },
+    ],
+    default: undefined,
+  },
+  attachments: {
+    type: [
+      {
+        filename: { type: String, required: true },
+        contentType: { type: String, required: true },
+        size: { type: Number, required: true },
+        createdAt: { type: Date, default: Date.now },
+      },
+    ],
+    default: undefined,
+  },
+  // Normalized (trimmed, lowercase, unique) by the routes, see utils/tags
+  tags: {
+    type: [String],
+    default: undefined,
+    validate: [
+      {
+        validator: (tags) => tags.every(isValidTag),
+        message:
+          "Every tag must be 1–50 lowercase letters, digits, '-' or '_'.",
+      },
+      {
+        validator: (tags) => tags.length <= MAX_TAGS_PER_COST,
+        message: `A cost may have at most ${MAX_TAGS_PER_COST} tags.`,
+      },
+    ],
+  },
 });
 
+/**
+ * Keep `amount` in step with `sum` and `currency`, rounding `sum` to what
+ * the currency's minor unit can represent.
+ */
+costSchema.pre("validate", function () {
+  if (typeof this.sum === "number" && isValidCurrency(this.currency)) {
+    this.amount = toMinor(this.sum, this.currency);
+    this.sum = fromMinor(this.amount, this.currency);
+  }
+});
+
+/**
+ * Aggregation expressions that read costs saved before `currency` and
+ * `amount` existed as base-currency amounts.
+ * @return {{ currency: Object, amount: Object }}
+ */
+function legacySafeFields() {
+  const base = getBaseCurrency();
+  return {
+    currency: { $ifNull: ["$currency", base] },
+    amount: {
+      $ifNull: [
+        "$amount",
+        {
+          $round: [{ $multiply: ["$sum", 10 ** minorUnitExponent(base)] }, 0],
+        },
+      ],
+    },
+  };
+}
+
+// Serves the report ($match on userid + date range, grouped by category)
+// and, through its userid prefix, the per-user total
+costSchema.index({ userid: 1, date: 1, category: 1 });
+
+// The cost listing (GET /api/users/:id/costs) sorted by sum, and the full-text
+// search on its description
+costSchema.index({ userid: 1, sum: 1 });
+costSchema.index({ description: "text" });
+
+// Group balances and each member's share of group costs
+costSchema.index(
+  { groupId: 1, date: 1 },
+  { partialFilterExpression: { groupId: { $type: "objectId" } } }
+);
+costSchema.index({ "splits.userid": 1 }, { sparse: true });
+
+// A user's tag totals and reports filtered by tag (multikey: one entry per tag)
+costSchema.index({ userid: 1, tags: 1 });
+
+// One cost per occurrence of a recurrence, however often it is materialized
+costSchema.index(
+  { recurrenceId: 1, date: 1 },
+  {
+    unique: true,
+    partialFilterExpression: { recurrenceId: { $type: "objectId" } },
+  }
+);
+
+/**
+ * Sum of the live (not soft-deleted) costs matching a filter, in minor units
+ * of the target currency. Amounts are summed in the database per currency
+ * and UTC day, and each day's sum is converted at that day's rate.
+ * @param {Object} match - Cost filter, e.g. { userid: 1 }.
+ * @param {String} currency - Currency of the result.
+ * @return {Promise<Number>} Total in minor units of `currency`.
+ * @throws {MissingRateError} When a needed exchange rate is missing.
+ */
+costSchema.statics.totalMatching = async function (match, currency) {
+  const fields = legacySafeFields();
+  const groups = await this.aggregate([
+    { $match: { ...match, deletedAt: null } },
+    {
+      $group: {
+        _id: {
+          currency: fields.currency,
+          day: { $dateTrunc: { date: "$date", unit: "day" } },
+        },
+        amount: { $sum: fields.amount },
+      },
+    },
+  ]);
+
+  const convert = await createConverter(
+    currency,
+    groups.map((g) => g._id.currency)
+  );
+  return groups.reduce(
+    (total, g) => total + convert(g.amount, g._id.currency, g._id.day),
+    0
+  );
+};
+
+/**
+ * Sum of all live costs of a user, in minor units of the target currency.
+ * @param {Number} userid - The user to total.
+ * @param {String} currency - Currency of the result.
+ * @return {Promise<Number>} Total in minor units of `currency`.
+ * @throws {MissingRateError} When a needed exchange rate is missing.
+ */
+costSchema.statics.totalForUser = function (userid, currency) {
+  return this.totalMatching({ userid }, currency);
+};
+
+/**
+ * Sum of a user's shares of live group costs, whoever paid them, in minor
+ * units of the target currency.
+ * @param {Number} userid - The member to total.
+ * @param {String} currency - Currency of the result.
+ * @return {Promise<Number>} Total in minor units of `currency`.
+ * @throws {MissingRateError} When a needed exchange rate is missing.
+ */
+costSchema.statics.totalSharesForUser = async function (userid, currency) {
+  const fields = legacySafeFields();
+  const groups = await this.aggregate([
+    { $match: { "splits.userid": userid, deletedAt: null } },
+    { $unwind: "$splits" },
+    { $match: { "splits.userid": userid } },
+    {
+      $group: {
+        _id: {
+          currency: fields.currency,
+          day: { $dateTrunc: { date: "$date", unit: "day" } },
+        },
+        amount: { $sum: "$splits.amount" },
+      },
+    },
+  ]);
+
+  const convert = await createConverter(
+    currency,
+    groups.map((g) => g._id.currency)
+  );
+  return groups.reduce(
+    (total, g) => total + convert(g.amount, g._id.currency, g._id.day),
+    0
+  );
+};
+
+/**
+ * Group a user's live costs with an expense date within [start, end) by
+ * category, in date order. The day of month is computed in the database in
+ * the given time zone.
+ * @param {Number} userid - The user to report on.
+ * @param {Date} start - First instant of the period.
+ * @param {Date} end - First instant after the period.
+ * @param {String} timeZone - IANA time zone used for each cost's `day`.
+ * @param {String} [tag] - Only costs with this tag.
+ * @return {Promise<Array<{ _id: String, items: Array<{ sum, description, subcategory?, day, amount, currency, date, recurrenceId?, hasAttachment, tags? }> }>>}
+ */
+costSchema.statics.groupByCategory = function (
+  userid,
+  start,
+  end,
+  timeZone,
+  tag
+) {
+  const fields = legacySafeFields();
+  const match = { userid, date: { $gte: start, $lt: end }, deletedAt: null };
+  if (tag !== undefined) {
+    match.tags = tag;
+  }
+  return this.aggregate([
+    { $match: match },
+    { $sort: { date: 1, _id: 1 } },
+    {
+      $group: {
+        _id: "$category",
+        items: {
+          $push: {
+            sum: "$sum",
+            description: "$description",
+            subcategory: "$subcategory",
+            day: { $dayOfMonth: { date: "$date", timezone: timeZone } },
+            amount: fields.amount,
+            currency: fields.currency,
+            date: "$date",
+            recurrenceId: "$recurrenceId",
+            hasAttachment: {
+              $gt: [{ $size: { $ifNull: ["$attachments", []] } }, 0],
+            },
+            tags: "$tags",
+          },
+        },
+      },
+    },
+  ]);
+};
+
+/**
+ * Totals of the live costs matching a filter for spending insights, summed
+ * in the database per category, description, currency and UTC day so each
+ * day's sum can be converted at that day's rate. Descriptions are grouped
+ * case-insensitively and keep the spelling of their earliest cost.
+ * @param {Object} match - Cost filter, e.g. { userid: 1, date: { … } }.
+ * @return {Promise<{ categories: Array<Object>, descriptions: Array<Object>, first: Date|null, last: Date|null }>}
+ *         categories: [ { category, currency, day, amount, count } ],
+ *         descriptions: [ { key, description, currency, day, amount, count } ],
+ *         and the dates of the earliest and latest cost.
+ */
+costSchema.statics.spendingBreakdown = async function (match) {
+  const fields = legacySafeFields();
+  const day = { $dateTrunc: { date: "$date", unit: "day" } };
+  const [result] = await this.aggregate([
+    { $match: { ...match, deletedAt: null } },
+    { $sort: { date: 1, _id: 1 } },
+    {
+      $facet: {
+        categories: [
+          {
+            $group: {
+              _id: { category: "$category", currency: fields.currency, day },
+              amount: { $sum: fields.amount },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        descriptions: [
+          {
+            $group: {
+              _id: {
+                key: { $toLower: { $trim: { input: "$description" } } },
+                currency: fields.currency,
+                day,
+              },
+              description: { $first: "$description" },
+              amount: { $sum: fields.amount },
+              count: { $sum: 1 },
+            },
+          },
+        ],
+        range: [
+          {
+            $group: {
+              _id: null,
+              first: { $min: "$date" },
+              last: { $max: "$date" },
+            },
+          },
+        ],
+      },
+    },
+  ]);
+
+  const flatten = (groups) =>
+    groups.map(({ _id, ...rest }) => ({ ..._id, ...rest }));
+  const range = result.range[0] || { first: null, last: null };
+  return {
+    categories: flatten(result.categories),
+    descriptions: flatten(result.descriptions),
+    first: range.first,
+    last: range.last,
+  };
+};
+
+/**
+ * Totals of a user's live tagged costs, summed in the database per tag,
+ * currency and UTC day so each day's sum can be converted at that day's
+ * rate. A cost with several tags counts towards each of them.
+ * @param {Number} userid - The user to total.
+ * @return {Promise<Array<{ tag: String, currency: String, day: Date, amount: Number, count: Number }>>}
+ */
+costSchema.statics.tagBreakdown = async function (userid) {
+  const fields = legacySafeFields();
+  const groups = await this.aggregate([
+    { $match: { userid, deletedAt: null, "tags.0": { $exists: true } } },
+    { $unwind: "$tags" },
+    {
+      $group: {
+        _id: {
+          tag: "$tags",
+          currency: fields.currency,
+          day: { $dateTrunc: { date: "$date", unit: "day" } },
+        },
+        amount: { $sum: fields.amount },
+        count: { $sum: 1 },
+      },
+    },
+  ]);
+  return groups.map(({ _id, ...rest }) => ({ ..._id, ...rest }));
+};
+
+/**
+ * Live costs of a user well above their category's recent spending: more
+ * than `threshold` standard deviations above the mean of the previous
+ * `window` costs in the same category and currency. Costs with fewer than
+ * `minSamples` earlier costs, or whose earlier costs are all equal, are never
+ * flagged. Earlier costs outside [start, end) still count towards the mean.
+ * @param {Number} userid - The user to check.
+ * @param {Object} options
+ * @param {Number} options.window - How many earlier costs the mean covers.
+ * @param {Number} options.threshold - Standard deviations above the mean.
+ * @param {Number} options.minSamples - Earlier costs needed to judge a cost.
+ * @param {Date} [options.start] - Only flag costs from this instant on.
+ * @param {Date} [options.end] - Only flag costs before this instant.
+ * @return {Promise<Array<Object>>} In date order: [ { _id, description,
+ *         category, sum, currency, amount, date, mean, stdDev, deviations } ],
+ *         with `mean` and `stdDev` in minor units of `currency`.
+ */
+costSchema.statics.findAnomalies = function (
+  userid,
+  { window, threshold, minSamples, start, end }
+) {
+  const fields = legacySafeFields();
+  const previous = { documents: [-window, -1] };
+  const date = {};
+  if (start) {
+    date.$gte = start;
+  }
+  if (end) {
+    date.$lt = end;
+  }
+
+  return this.aggregate([
+    { $match: { userid, deletedAt: null } },
+    { $set: { currency: fields.currency, amount: fields.amount } },
+    {
+      $setWindowFields: {
+        partitionBy: { category: "$category", currency: "$currency" },
+        sortBy: { date: 1, _id: 1 },
+        output: {
+          mean: { $avg: "$amount", window: previous },
+          stdDev: { $stdDevPop: "$amount", window: previous },
+          samples: { $sum: 1, window: previous },
+        },
+      },
+    },
+    {
+      $match: {
+        ...(start || end ? { date } : {}),
+        samples: { $gte: minSamples },
+        stdDev: { $gt: 0 },
+      },
+    },
+    {
+      $set: {
+        deviations: {
+          $divide: [{ $subtract: ["$amount", "$mean"] }, "$stdDev"],
+        },
+      },
+    },
+    { $match: { deviations: { $gt: threshold } } },
+    { $sort: { date: 1, _id: 1 } },
+    {
+      $project: {
+        description: 1,
+        category: 1,
+        sum: 1,
+        currency: 1,
+        amount: 1,
+        date: 1,
+        mean: 1,
+        stdDev: 1,
+        deviations: 1,
+      },
+    },
+  ]);
+};
+
 /** @type {mongoose.Model<Cost>} */
 module.exports = mongoose.model("Cost", costSchema);
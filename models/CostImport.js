@@ -0,0 +1,62 @@
+const mongoose = require("mongoose");
+
+/**
+ * @fileoverview Defines the CostImport schema and model: one document per
+ * completed bulk import, keyed by the account and an idempotency key so the
+ * same upload is only imported once.
+ */
+
+/**
+ * @typedef {Object} CostImport
+ * @property {mongoose.Types.ObjectId} accountId - The account that ran the import.
+ * @property {String} key - Idempotency key: the Idempotency-Key header, or a
+ *           hash of the uploaded rows.
+ * @property {String} rowsHash - SHA-256 of the uploaded rows, to tell a
+ *           re-upload from a reused key.
+ * @property {Number} rowCount - Number of costs imported.
+ * @property {Array<mongoose.Types.ObjectId>} costIds - The imported costs.
+ * @property {String} importedBy - Who ran the import.
+ * @property {Date} createdAt - When the import was committed.
+ */
+
+/** @type {mongoose.Schema<CostImport>} */
+const costImportSchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: "Account",
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  rowsHash: {
+    type: String,
+    required: true,
+  },
+  rowCount: {
+    type: Number,
+    required: true,
+  },
+  costIds: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Cost",
+    },
+  ],
+  importedBy: {
+    type: String,
+    required: true,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+// Each account has its own keys; the unique index also makes two concurrent
+// imports of the same upload fail for all but one
+costImportSchema.index({ accountId: 1, key: 1 }, { unique: true });
+
+/** @type {mongoose.Model<CostImport>} */
+module.exports = mongoose.model("CostImport", costImportSchema);
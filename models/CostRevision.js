@@ -0,0 +1,78 @@
+const mongoose = require("mongoose");
+
+/**
+ * @fileoverview Defines the CostRevision schema and model: one document per
+ * change made to a Cost, forming that cost's audit history.
+ */
+
+/**
+ * @typedef {Object} CostChange
+ * @property {String} field - Name of the Cost field that changed.
+ * @property {*} from - Value before the change (null on create).
+ * @property {*} to - Value after the change (null on hard delete).
+ */
+
+/**
+ * @typedef {Object} CostRevision
+ * @property {mongoose.Types.ObjectId} costId - The Cost this revision belongs to.
+ * @property {String} action - One of: 'create', 'update', 'delete'.
+ * @property {String} changedBy - Who made the change.
+ * @property {Array<CostChange>} changes - Field-level old/new values.
+ * @property {Date} createdAt - When the change was made.
+ */
+
+/** @type {mongoose.Schema<CostRevision>} */
+const costRevisionSchema = new mongoose.Schema({
+  costId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: "Cost",
+    index: true,
+  },
+  action: {
+    type: String,
+    enum: ["create", "update", "delete"],
+    required: true,
+  },
+  changedBy: {
+    type: String,
+    required: true,
+  },
+  changes: [
+    {
+      _id: false,
+      field: { type: String, required: true },
+      from: { type: mongoose.Schema.Types.Mixed, default: null },
+      to: { type: mongoose.Schema.Types.Mixed, default: null },
+    },
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Record the same update on many costs at once, e.g. after a category rename.
+ * @param {Array<mongoose.Types.ObjectId>} costIds - The costs that changed.
+ * @param {String} changedBy - Who made the change.
+ * @param {Array<CostChange>} changes - Field-level old/new values.
+ * @return {Promise<Array<CostRevision>>}
+ */
+costRevisionSchema.statics.recordBulkUpdate = function (
+  costIds,
+  changedBy,
+  changes
+) {
+  return this.insertMany(
+    costIds.map((costId) => ({
+      costId,
+      action: "update",
+      changedBy,
+      changes,
+    }))
+  );
+};
+
+/** @type {mongoose.Model<CostRevision>} */
+module.exports = mongoose.model("CostRevision", costRevisionSchema);
@@ -0,0 +1,45 @@
+const mongoose = require("mongoose");
+
+const { isValidCurrency } = require("../utils/currency");
+
+/**
+ * @fileoverview Defines the ExchangeRate schema and model: a locally
+ * maintained table of rates against the base currency (see
+ * utils/currency.js). A rate applies from its date until the next rate of
+ * the same currency.
+ */
+
+/**
+ * @typedef {Object} ExchangeRate
+ * @property {String} currency - ISO 4217 code, e.g. 'USD'.
+ * @property {Date} date - UTC day from which the rate applies.
+ * @property {Number} rate - Value of one unit of `currency` in the base currency.
+ */
+
+/** @type {mongoose.Schema<ExchangeRate>} */
+const exchangeRateSchema = new mongoose.Schema({
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    validate: {
+      validator: isValidCurrency,
+      message: (props) => `${props.value} is not a valid currency code.`,
+    },
+  },
+  date: {
+    type: Date,
+    required: true,
+  },
+  rate: {
+    type: Number,
+    required: true,
+    min: [Number.MIN_VALUE, "Rate must be positive."],
+  },
+});
+
+exchangeRateSchema.index({ currency: 1, date: 1 }, { unique: true });
+
+/** @type {mongoose.Model<ExchangeRate>} */
+module.exports = mongoose.model("ExchangeRate", exchangeRateSchema);
@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+const { getBaseCurrency, isValidCurrency } = require("../utils/currency");
+
+/**
+ * @fileoverview Defines the Group schema and model: a household or other set
+ * of users who share costs. Group costs are Cost documents with a `groupId`
+ * and per-member `splits`.
+ */
+
+/**
+ * @typedef {Object} Group
+ * @property {String} name - Display name, e.g. 'Home'.
+ * @property {Array<Number>} members - Userids of the members.
+ * @property {Array<Number>} invited - Userids invited by the creator who
+ *           have not joined yet. Only members share costs.
+ * @property {Number|null} createdBy - Userid of the account that created
+ *           the group; null when an admin without a user did.
+ * @property {String} currency - ISO 4217 code balances are settled in.
+ *           Defaults to the base currency.
+ * @property {Date} createdAt - When the group was created.
+ */
+
+/** @type {mongoose.Schema<Group>} */
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  members: {
+    type: [Number],
+    validate: [
+      {
+        validator: (members) => members.length > 0,
+        message: "A group needs at least one member.",
+      },
+      {
+        validator: (members) => new Set(members).size === members.length,
+        message: "Group members must be distinct.",
+      },
+    ],
+  },
+  invited: {
+    type: [Number],
+    default: [],
+    validate: {
+      validator: (invited) => new Set(invited).size === invited.length,
+      message: "Invited users must be distinct.",
+    },
+  },
+  createdBy: {
+    type: Number,
+    default: null,
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: getBaseCurrency,
+    validate: {
+      validator: isValidCurrency,
+      message: (props) => `${props.value} is not a valid currency code.`,
+    },
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+groupSchema.index({ members: 1 });
+groupSchema.index({ invited: 1 });
+
+/** @type {mongoose.Model<Group>} */
+module.exports = mongoose.model("Group", groupSchema);
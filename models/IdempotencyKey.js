@@ -0,0 +1,96 @@
+const mongoose = require("mongoose");
+
+/**
+ * @fileoverview Defines the IdempotencyKey schema and model: one document per
+ * Idempotency-Key an account sent, holding a hash of the request and, once it
+ * succeeded, its response, so a retried request is answered from here instead
+ * of being run again (see middleware/idempotency). Keys are forgotten after
+ * IDEMPOTENCY_TTL_HOURS by a TTL index.
+ */
+
+/** How long a key is remembered. */
+const IDEMPOTENCY_TTL_HOURS = 24;
+
+/**
+ * How long a request may hold its key without answering. After that it is
+ * taken to have died (e.g. the process crashed) and a retry may run again.
+ */
+const IDEMPOTENCY_LEASE_SECONDS = 60;
+
+/**
+ * @typedef {Object} IdempotencyKey
+ * @property {mongoose.Types.ObjectId} accountId - The account that sent the key.
+ * @property {String} key - The Idempotency-Key header.
+ * @property {String} requestHash - SHA-256 of the method, URL and body.
+ * @property {Number} [status] - HTTP status of the response; unset while the
+ *           first request is still running.
+ * @property {*} [body] - The response body.
+ * @property {Date} lockedAt - When the request now running under the key
+ *           started; see IDEMPOTENCY_LEASE_SECONDS.
+ * @property {Date} createdAt - When the key was first used.
+ */
+
+/** @type {mongoose.Schema<IdempotencyKey>} */
+const idempotencyKeySchema = new mongoose.Schema({
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: "Account",
+  },
+  key: {
+    type: String,
+    required: true,
+  },
+  requestHash: {
+    type: String,
+    required: true,
+  },
+  status: {
+    type: Number,
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+  },
+  lockedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: IDEMPOTENCY_TTL_HOURS * 60 * 60,
+  },
+});
+
+// Each account has its own keys; the unique index also makes two concurrent
+// requests with the same key fail for all but one
+idempotencyKeySchema.index({ accountId: 1, key: 1 }, { unique: true });
+
+/**
+ * Take over a key whose request has not answered within
+ * IDEMPOTENCY_LEASE_SECONDS, so the retry at hand can run instead. Only one
+ * of several concurrent retries gets it.
+ * @param {Object} keyDoc - The key, as read, without a `status`.
+ * @return {Promise<Boolean>} Whether the key was taken over; false while
+ *         the lease lasts or when another retry took it first.
+ */
+idempotencyKeySchema.statics.takeOver = async function (keyDoc) {
+  // Keys stored before lockedAt existed are locked since their creation
+  const lockedAt = keyDoc.lockedAt || keyDoc.createdAt;
+  if (Date.now() - lockedAt.getTime() < IDEMPOTENCY_LEASE_SECONDS * 1000) {
+    return false;
+  }
+
+  const { modifiedCount } = await this.updateOne(
+    {
+      _id: keyDoc._id,
+      status: { $exists: false },
+      lockedAt: keyDoc.lockedAt || null,
+    },
+    { $set: { lockedAt: new Date() } }
+  );
+  return modifiedCount === 1;
+};
+
+/** @type {mongoose.Model<IdempotencyKey>} */
+module.exports = mongoose.model("IdempotencyKey", idempotencyKeySchema);
@@ -0,0 +1,74 @@
+const mongoose = require("mongoose");
+
+/**
+ * @fileoverview Defines the Log schema and model: the persisted entries of
+ * utils/logger, one per request plus whatever the app logs itself. Entries
+ * older than LOG_TTL_DAYS are removed by a TTL index.
+ */
+
+/** How long entries are kept. */
+const LOG_TTL_DAYS = 30;
+
+/**
+ * @typedef {Object} LogEntry
+ * @property {String} level - One of: 'debug', 'info', 'warn', 'error'.
+ * @property {String} message - e.g. 'POST /api/add 400'.
+ * @property {String} [requestId] - ID of the request the entry belongs to.
+ * @property {String} [method] - HTTP method of the request.
+ * @property {String} [route] - The matched route, e.g. '/api/users/:id'.
+ * @property {String} [path] - The requested URL, query string included.
+ * @property {Number} [status] - HTTP status of the response.
+ * @property {Number} [durationMs] - Time to respond, in milliseconds.
+ * @property {Number} [userid] - The user the signed-in account logs in as.
+ * @property {String} [username] - The signed-in account.
+ * @property {Object} [error] - { code, message, stack? } of a failed
+ *           request; the stack only for unexpected errors.
+ * @property {*} [body] - The request body of a failed request, redacted.
+ * @property {Object} [context] - Any other fields of the entry.
+ * @property {Date} createdAt - When the entry was logged.
+ */
+
+/** @type {mongoose.Schema<LogEntry>} */
+const logSchema = new mongoose.Schema({
+  level: {
+    type: String,
+    // Least severe first; utils/logger reads its levels from here
+    enum: ["debug", "info", "warn", "error"],
+    required: true,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+  requestId: {
+    type: String,
+    index: true,
+  },
+  method: String,
+  route: String,
+  path: String,
+  status: Number,
+  durationMs: Number,
+  userid: Number,
+  username: String,
+  error: {
+    _id: false,
+    code: String,
+    message: String,
+    stack: String,
+  },
+  body: mongoose.Schema.Types.Mixed,
+  context: mongoose.Schema.Types.Mixed,
+  createdAt: {
+    type: Date,
+    default: Date.now,
+    expires: LOG_TTL_DAYS * 24 * 60 * 60,
+  },
+});
+
+// GET /api/logs filters by level or route and pages newest first
+logSchema.index({ level: 1, createdAt: -1, _id: -1 });
+logSchema.index({ route: 1, createdAt: -1, _id: -1 });
+
+/** @type {mongoose.Model<LogEntry>} */
+module.exports = mongoose.model("Log", logSchema);
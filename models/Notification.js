@@ -0,0 +1,76 @@
+const mongoose = require("mongoose");
+
+/**
+ * @fileoverview Defines the Notification schema and model: alerts raised for
+ * a user, such as a category going over its monthly budget.
+ */
+
+/**
+ * @typedef {Object} Notification
+ * @property {Number} userid - Numeric ID of the user the alert is for.
+ * @property {String} type - One of: 'budget_exceeded'.
+ * @property {String} message - Human-readable alert text.
+ * @property {String} category - The category concerned.
+ * @property {Number} year - Year of the month concerned.
+ * @property {Number} month - Month (1–12) concerned.
+ * @property {Number} budget - The category's monthly budget.
+ * @property {Number} spent - Spending in that month when the alert was raised.
+ * @property {String} currency - Currency of `budget` and `spent`.
+ * @property {mongoose.Types.ObjectId} [costId] - The cost that raised the alert.
+ * @property {Date} createdAt - When the alert was raised.
+ */
+
+/** @type {mongoose.Schema<Notification>} */
+const notificationSchema = new mongoose.Schema({
+  userid: {
+    type: Number,
+    required: true,
+    ref: "User",
+  },
+  type: {
+    type: String,
+    enum: ["budget_exceeded"],
+    required: true,
+  },
+  message: {
+    type: String,
+    required: true,
+  },
+  category: {
+    type: String,
+    required: true,
+  },
+  year: {
+    type: Number,
+    required: true,
+  },
+  month: {
+    type: Number,
+    required: true,
+  },
+  budget: {
+    type: Number,
+    required: true,
+  },
+  spent: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    required: true,
+  },
+  costId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "Cost",
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+notificationSchema.index({ userid: 1, createdAt: -1 });
+
+/** @type {mongoose.Model<Notification>} */
+module.exports = mongoose.model("Notification", notificationSchema);
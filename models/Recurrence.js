@@ -0,0 +1,220 @@
+const mongoose = require("mongoose");
+
+const Cost = require("./Cost");
+const CostRevision = require("./CostRevision");
+const Report = require("./Report");
+const User = require("./User");
+const { getBaseCurrency, isValidCurrency } = require("../utils/currency");
+const { FREQUENCIES, occurrencesBetween } = require("../utils/recurrence");
+
+/**
+ * @fileoverview Defines the Recurrence schema and model: templates of costs
+ * that repeat weekly, monthly or yearly (rent, gym, tuition). Each occurrence
+ * is materialized into a real Cost carrying the template's `recurrenceId`.
+ */
+
+/**
+ * Template fields copied onto every materialized cost.
+ */
+const TEMPLATE_FIELDS = [
+  "description",
+  "category",
+  "subcategory",
+  "userid",
+  "sum",
+  "currency",
+];
+
+/**
+ * Recorded as `changedBy` in the revision history of materialized costs.
+ */
+const RECURRENCE_ACTOR = "recurrence";
+
+/**
+ * @typedef {Object} Recurrence
+ * @property {Number} userid - Numeric ID of the user the costs belong to.
+ * @property {String} description - Description of each cost.
+ * @property {String} category - Name of a top-level Category visible to the user.
+ * @property {String} [subcategory] - Name of a subcategory of `category`.
+ * @property {Number} sum - Amount of each cost, in `currency`.
+ * @property {String} currency - ISO 4217 code of `sum`. Defaults to the base currency.
+ * @property {String} frequency - One of: 'weekly', 'monthly', 'yearly'.
+ * @property {Date} startDate - Calendar day of the first occurrence (UTC midnight).
+ * @property {Date|null} endDate - Last calendar day an occurrence may fall on, or null.
+ * @property {Date|null} materializedThrough - Occurrences up to this instant
+ *           have been turned into costs.
+ * @property {Date} createdAt - When the template was created.
+ */
+
+/** @type {mongoose.Schema<Recurrence>} */
+const recurrenceSchema = new mongoose.Schema({
+  userid: {
+    type: Number,
+    required: true,
+    ref: "User",
+  },
+  description: {
+    type: String,
+    required: true,
+  },
+  category: {
+    type: String,
+    required: true,
+  },
+  subcategory: {
+    type: String,
+  },
+  sum: {
+    type: Number,
+    required: true,
+  },
+  currency: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: getBaseCurrency,
+    validate: {
+      validator: isValidCurrency,
+      message: (props) => `${props.value} is not a valid currency code.`,
+    },
+  },
+  frequency: {
+    type: String,
+    enum: FREQUENCIES,
+    required: true,
+  },
+  startDate: {
+    type: Date,
+    required: true,
+  },
+  endDate: {
+    type: Date,
+    default: null,
+    validate: {
+      validator: function (value) {
+        return value === null || value >= this.startDate;
+      },
+      message: "endDate cannot be before startDate.",
+    },
+  },
+  materializedThrough: {
+    type: Date,
+    default: null,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Keep start and end on whole calendar days, which is what occurrences are
+ * computed from.
+ */
+recurrenceSchema.pre("validate", function () {
+  ["startDate", "endDate"].forEach((field) => {
+    if (this[field] instanceof Date && !Number.isNaN(this[field].getTime())) {
+      const day = new Date(this[field]);
+      day.setUTCHours(0, 0, 0, 0);
+      this[field] = day;
+    }
+  });
+});
+
+recurrenceSchema.index({ userid: 1 });
+
+/**
+ * Turn the occurrences of one template up to `until` that have not been
+ * materialized yet into costs. Occurrences start at midnight in the user's
+ * time zone. A unique index on the costs' (recurrenceId, date) keeps
+ * overlapping runs from creating duplicates.
+ * @param {Object} recurrenceDoc - The template.
+ * @param {Date} until - Materialize occurrences up to this instant.
+ * @param {Object} [options]
+ * @param {Number} [options.limit] - Most occurrences to materialize; the
+ *        progress marker then stops at the last one, so the next run
+ *        continues from there.
+ * @return {Promise<Number>} Number of costs created.
+ */
+recurrenceSchema.statics.materialize = async function (
+  recurrenceDoc,
+  until,
+  { limit } = {}
+) {
+  const userDoc = await User.findOne({ id: recurrenceDoc.userid })
+    .select("timezone")
+    .lean();
+  const timeZone = (userDoc && userDoc.timezone) || "UTC";
+
+  let dates = occurrencesBetween(
+    recurrenceDoc,
+    recurrenceDoc.materializedThrough,
+    until,
+    timeZone
+  );
+  let through = until;
+  if (limit !== undefined && dates.length > limit) {
+    dates = dates.slice(0, limit);
+    through = dates[dates.length - 1];
+  }
+
+  let created = 0;
+  for (const date of dates) {
+    const fields = { date, recurrenceId: recurrenceDoc._id };
+    TEMPLATE_FIELDS.forEach((field) => {
+      fields[field] = recurrenceDoc[field];
+    });
+
+    const costDoc = new Cost(fields);
+    try {
+      await costDoc.save();
+    } catch (error) {
+      // Another run already materialized this occurrence
+      if (error.code === 11000) continue;
+      throw error;
+    }
+    created++;
+
+    await Report.invalidateFor(costDoc.userid, costDoc.date);
+    await CostRevision.create({
+      costId: costDoc._id,
+      action: "create",
+      changedBy: RECURRENCE_ACTOR,
+      changes: [...TEMPLATE_FIELDS, "date"]
+        .filter((field) => costDoc[field] !== undefined)
+        .map((field) => ({ field, from: null, to: costDoc[field] })),
+    });
+  }
+
+  await this.updateOne(
+    { _id: recurrenceDoc._id },
+    { $max: { materializedThrough: through } }
+  );
+  return created;
+};
+
+/**
+ * Materialize every template with occurrences due up to `until`. Run by the
+ * scheduler and at startup, so periods missed while the app was down are
+ * filled in.
+ * @param {Date} until - Materialize occurrences up to this instant.
+ * @return {Promise<Number>} Number of costs created.
+ */
+recurrenceSchema.statics.materializeDue = async function (until) {
+  const due = await this.find({
+    startDate: { $lte: until },
+    $or: [
+      { materializedThrough: null },
+      { materializedThrough: { $lt: until } },
+    ],
+  }).lean();
+
+  let created = 0;
+  for (const recurrenceDoc of due) {
+    created += await this.materialize(recurrenceDoc, until);
+  }
+  return created;
+};
+
+/** @type {mongoose.Model<Recurrence>} */
+module.exports = mongoose.model("Recurrence", recurrenceSchema);
@@ -0,0 +1,114 @@
+const mongoose = require("mongoose");
+
+/**
+ * @fileoverview Defines the Report schema and model. Implements the Computed
+ * design pattern: the monthly report of a month that is already over is
+ * computed once, stored here and served from here until a cost in that
+ * month changes.
+ */
+
+/**
+ * @typedef {Object} Report
+ * @property {Number} userid - Numeric ID of the user the report belongs to.
+ * @property {Number} year - Report year.
+ * @property {Number} month - Report month (1–12).
+ * @property {String} timezone - IANA time zone the month was computed in.
+ * @property {Date} start - First instant of the month in that time zone.
+ * @property {Date} end - First instant of the following month in that time zone.
+ * @property {Array<Object>} costs - The report's `costs` array before currency
+ *           conversion (items keep their amount, currency and date).
+ * @property {Number} format - Version of the `costs` item shape; entries of an
+ *           older format are recomputed.
+ * @property {Date} computedAt - When the report was computed.
+ */
+
+/** @type {mongoose.Schema<Report>} */
+const reportSchema = new mongoose.Schema({
+  userid: {
+    type: Number,
+    required: true,
+    ref: "User",
+  },
+  year: {
+    type: Number,
+    required: true,
+  },
+  month: {
+    type: Number,
+    required: true,
+  },
+  timezone: {
+    type: String,
+    required: true,
+  },
+  start: {
+    type: Date,
+    required: true,
+  },
+  end: {
+    type: Date,
+    required: true,
+  },
+  costs: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true,
+  },
+  format: {
+    type: Number,
+    default: 1,
+  },
+  computedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+reportSchema.index(
+  { userid: 1, year: 1, month: 1, timezone: 1 },
+  { unique: true }
+);
+reportSchema.index({ userid: 1, start: 1, end: 1 });
+
+/**
+ * Drop the cached reports of a user whose month contains the given instant,
+ * in whichever time zone they were computed. Call this whenever a cost is
+ * added, changed or removed.
+ * @param {Number} userid - The cost's user.
+ * @param {Date} date - The cost's expense date.
+ * @return {Promise<Object>} The deleteMany result.
+ */
+reportSchema.statics.invalidateFor = function (userid, date) {
+  return this.deleteMany({
+    userid,
+    start: { $lte: date },
+    end: { $gt: date },
+  });
+};
+
+/**
+ * Drop the cached reports of a user whose month overlaps the instants from
+ * `first` to `last`, e.g. after a bulk import.
+ * @param {Number} userid
+ * @param {Date} first - Earliest affected instant.
+ * @param {Date} last - Latest affected instant.
+ * @param {Object} [options] - Query options, e.g. { session }.
+ * @return {Promise<Object>} The deleteMany result.
+ */
+reportSchema.statics.invalidateBetween = function (
+  userid,
+  first,
+  last,
+  options
+) {
+  return this.deleteMany(
+    {
+      userid,
+      start: { $lte: last },
+      end: { $gt: first },
+    },
+    options
+  );
+};
+
+/** @type {mongoose.Model<Report>} */
+module.exports = mongoose.model("Report", reportSchema);
@@ -0,0 +1,93 @@
+const crypto = require("crypto");
+const mongoose = require("mongoose");
+
+/**
+ * @fileoverview Defines the Session schema and model: one document per login,
+ * holding a hash of the opaque bearer token handed to the client. Expired
+ * sessions are removed by a TTL index.
+ */
+
+/** How long a token stays valid after login. */
+const SESSION_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Session
+ * @property {String} tokenHash - SHA-256 of the bearer token (the token itself is never stored).
+ * @property {mongoose.Types.ObjectId} accountId - The Account that logged in.
+ * @property {Date} expiresAt - When the token stops being accepted.
+ * @property {Date} createdAt - When the session was opened.
+ */
+
+/** @type {mongoose.Schema<Session>} */
+const sessionSchema = new mongoose.Schema({
+  tokenHash: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+  accountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    ref: "Account",
+    index: true,
+  },
+  expiresAt: {
+    type: Date,
+    required: true,
+    expires: 0,
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+/**
+ * Hash a bearer token for lookup.
+ * @param {String} token
+ * @return {String} Hex SHA-256 digest.
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+/**
+ * Open a session for an account.
+ * @param {Object} accountDoc - The Account logging in.
+ * @return {Promise<{ token: String, expiresAt: Date }>} The new bearer token.
+ */
+sessionSchema.statics.issue = async function (accountDoc) {
+  const token = crypto.randomBytes(32).toString("base64url");
+  const expiresAt = new Date(Date.now() + SESSION_TTL_MS);
+  await this.create({
+    tokenHash: hashToken(token),
+    accountId: accountDoc._id,
+    expiresAt,
+  });
+  return { token, expiresAt };
+};
+
+/**
+ * Find the unexpired session of a bearer token. The TTL monitor only runs
+ * once a minute, so expiry is checked here as well.
+ * @param {String} token
+ * @return {Promise<Object|null>} The lean session, or null.
+ */
+sessionSchema.statics.findByToken = function (token) {
+  return this.findOne({
+    tokenHash: hashToken(token),
+    expiresAt: { $gt: new Date() },
+  }).lean();
+};
+
+/**
+ * Close the session of a bearer token.
+ * @param {String} token
+ * @return {Promise<Object>} The deleteOne result.
+ */
+sessionSchema.statics.revoke = function (token) {
+  return this.deleteOne({ tokenHash: hashToken(token) });
+};
+
+/** @type {mongoose.Model<Session>} */
+module.exports = mongoose.model("Session", sessionSchema);
@@ -1,5 +1,7 @@
 const mongoose = require("mongoose");
 
+const { isValidTimeZone } = require("../utils/timezone");
+
 /**
  * @fileoverview Defines the User schema and model.
  */
@@ -11,6 +13,7 @@ const mongoose = require("mongoose");
  * @property {String} last_name - Last name of the user.
  * @property {Date} birthday - User's birth date.
  * @property {String} marital_status - One of: 'single', 'married', 'divorced', 'widowed'.
+ * @property {String} timezone - IANA time zone used for the user's reports (default 'UTC').
  */
 
 /** @type {mongoose.Schema<User>} */
@@ -39,6 +42,14 @@ const userSchema = new mongoose.Schema({
     enum: ["single", "married", "divorced", "widowed"],
     required: true,
   },
+  timezone: {
+    type: String,
+    default: "UTC",
+    validate: {
+      validator: isValidTimeZone,
+      message: (props) => `${props.value} is not a valid IANA time zone.`,
+    },
+  },
 });
 
 /** @type {mongoose.Model<User>} */
@@ -0,0 +1,209 @@
+const express = require("express");
+const router = express.Router();
+
+const User = require("../models/User");
+const Cost = require("../models/Cost");
+const ExchangeRate = require("../models/ExchangeRate");
+const Report = require("../models/Report");
+const {
+  normalizeRates,
+  parseRatesCsv,
+  saveRates,
+} = require("../utils/exchange_rates");
+const { removeAttachments } = require("../utils/attachments");
+const { requireAdmin } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+
+// Every /api/admin route is for admins only
+router.use("/admin", requireAdmin);
+
+/**
+ * Find every userid referenced by a cost that has no matching User.
+ * @return {Promise<Array<Number>>} Orphan userids in ascending order.
+ */
+async function findOrphanUserIds() {
+  const costUserIds = await Cost.distinct("userid");
+  const existingUsers = await User.find({ id: { $in: costUserIds } })
+    .select("id")
+    .lean();
+  const existingIds = new Set(existingUsers.map((u) => u.id));
+
+  return costUserIds.filter((id) => !existingIds.has(id)).sort((a, b) => a - b);
+}
+
+/**
+ * Resolve the optional `userid` selector of a reassign/purge request against
+ * the current orphan ids.
+ * @param {Number|undefined} userid - The validated userid, or undefined for all.
+ * @param {Array<Number>} orphanIds - Result of findOrphanUserIds().
+ * @return {Array<Number>} The selected orphan ids.
+ * @throws {NotFoundError} When `userid` has no orphan costs.
+ */
+function selectOrphanIds(userid, orphanIds) {
+  if (userid === undefined) {
+    return orphanIds;
+  }
+  if (!orphanIds.includes(userid)) {
+    throw new NotFoundError(`No orphan costs for userid ${userid}.`);
+  }
+  return [userid];
+}
+
+/**
+ * @route   GET /api/admin/orphan-costs
+ * @desc    List costs whose userid does not match any existing user, grouped by userid.
+ * @return  {Object} JSON:
+ *           {
+ *             count:   <Number>,
+ *             orphans: [ { userid, count, total }, … ]
+ *           }
+ *         Or an error object.
+ */
+router.get("/admin/orphan-costs", async (req, res) => {
+  const orphanIds = await findOrphanUserIds();
+
+  const groups = await Cost.aggregate([
+    { $match: { userid: { $in: orphanIds } } },
+    {
+      $group: {
+        _id: "$userid",
+        count: { $sum: 1 },
+        total: { $sum: "$sum" },
+      },
+    },
+    { $sort: { _id: 1 } },
+  ]);
+
+  const orphans = groups.map((g) => ({
+    userid: g._id,
+    count: g.count,
+    total: g.total,
+  }));
+
+  return res.json({
+    count: orphans.reduce((sum, o) => sum + o.count, 0),
+    orphans,
+  });
+});
+
+/**
+ * @route   POST /api/admin/orphan-costs/reassign
+ * @desc    Move orphan costs to an existing user.
+ * @body    {Number} to - ID of the existing user that receives the costs.
+ * @body    {Number} [userid] - Only reassign orphans with this userid (default: all orphans).
+ * @return  {Object} JSON: { to: <Number>, reassigned: <Number> }, or an error object.
+ */
+router.post(
+  "/admin/orphan-costs/reassign",
+  validate({
+    body: {
+      to: {
+        type: "integer",
+        required: true,
+        message: "Invalid target user id.",
+      },
+      userid: { type: "integer" },
+    },
+  }),
+  async (req, res) => {
+    const { to, userid } = req.valid.body;
+
+    const targetExists = await User.exists({ id: to });
+    if (!targetExists) {
+      throw new ValidationError(`User with id ${to} does not exist.`);
+    }
+
+    const ids = selectOrphanIds(userid, await findOrphanUserIds());
+    const result = await Cost.updateMany(
+      { userid: { $in: ids } },
+      { $set: { userid: to } }
+    );
+    // Cached reports of both the old and the new userid are now stale
+    await Report.deleteMany({ userid: { $in: [to, ...ids] } });
+
+    return res.json({ to, reassigned: result.modifiedCount });
+  }
+);
+
+/**
+ * @route   DELETE /api/admin/orphan-costs
+ * @desc    Permanently delete orphan costs and their attachments.
+ * @query   {Number} [userid] - Only purge orphans with this userid (default: all orphans).
+ * @return  {Object} JSON: { deleted: <Number> }, or an error object.
+ */
+router.delete(
+  "/admin/orphan-costs",
+  validate({ query: { userid: { type: "integer" } } }),
+  async (req, res) => {
+    const ids = selectOrphanIds(
+      req.valid.query.userid,
+      await findOrphanUserIds()
+    );
+
+    await removeAttachments(req.app.locals.storage, { userid: { $in: ids } });
+    const result = await Cost.deleteMany({ userid: { $in: ids } });
+    await Report.deleteMany({ userid: { $in: ids } });
+    return res.json({ deleted: result.deletedCount });
+  }
+);
+
+/**
+ * @route   GET /api/admin/exchange-rates
+ * @desc    List the exchange-rate table, oldest first.
+ * @query   {String} [currency] - Only rates of this currency.
+ * @return  {Array<Object>} e.g. [ { currency: 'USD', date, rate }, … ], or an error object.
+ */
+router.get(
+  "/admin/exchange-rates",
+  validate({ query: { currency: { type: "currency" } } }),
+  async (req, res) => {
+    const filter = {};
+    if (req.valid.query.currency !== undefined) {
+      filter.currency = req.valid.query.currency;
+    }
+
+    const rates = await ExchangeRate.find(filter)
+      .sort({ currency: 1, date: 1 })
+      .select("-_id -__v")
+      .lean();
+    return res.json(rates);
+  }
+);
+
+/**
+ * @route   POST /api/admin/exchange-rates
+ * @desc    Load exchange rates into the table, replacing existing rates of the
+ *          same currency and date. Rates are the value of one unit of the
+ *          currency in the base currency, applying from their date on.
+ * @body    {Array<Object>|String} Either a JSON array of { currency, date, rate }
+ *          or, with Content-Type text/csv, CSV text with a currency,date,rate header.
+ * @return  {Object} JSON: { loaded: <Number> }, 400 with { error, code,
+ *          details: [ { row, field, message }, … ] } for invalid rows, or an error object.
+ */
+router.post(
+  "/admin/exchange-rates",
+  express.text({ type: "text/csv" }),
+  async (req, res) => {
+    let rows = req.body;
+    if (req.is("text/csv")) {
+      try {
+        rows = parseRatesCsv(req.body);
+      } catch (error) {
+        throw new ValidationError(error.message);
+      }
+    }
+    const { rates, errors } = normalizeRates(rows);
+    if (errors) {
+      throw new ValidationError(
+        "Invalid exchange rates.",
+        errors.map((e) => ({ ...e, in: "body" }))
+      );
+    }
+
+    const loaded = await saveRates(rates);
+    return res.json({ loaded });
+  }
+);
+
+module.exports = router;
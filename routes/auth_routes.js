@@ -0,0 +1,199 @@
+const express = require("express");
+const router = express.Router();
+
+const Account = require("../models/Account");
+const Session = require("../models/Session");
+const User = require("../models/User");
+const {
+  getBearerToken,
+  authenticate,
+  requireAdmin,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const {
+  ConflictError,
+  UnauthorizedError,
+  ValidationError,
+} = require("../utils/errors");
+
+/**
+ * Strip the password hash and Mongoose internals from an account.
+ * @param {Object} accountDoc - An Account document or lean object.
+ * @return {Object} The public account fields.
+ */
+function toAccountJson(accountDoc) {
+  return {
+    username: accountDoc.username,
+    role: accountDoc.role,
+    userid: accountDoc.userid,
+  };
+}
+
+/**
+ * Body fields every new account needs; the Account model checks the rest.
+ */
+const ACCOUNT_BODY = {
+  username: { type: "string", required: true },
+  password: { type: "string", required: true },
+};
+
+/**
+ * Build and validate a new account.
+ * @param {Object} fields - { username, password, role?, userid? }.
+ * @return {Promise<Object>} The unsaved Account.
+ * @throws {mongoose.Error.ValidationError} When a field is invalid.
+ * @throws {ConflictError} When the username is taken.
+ */
+async function buildAccount(fields) {
+  const accountDoc = await Account.build(fields);
+  await accountDoc.validate();
+
+  if (await Account.exists({ username: accountDoc.username })) {
+    throw new ConflictError(
+      `Username '${accountDoc.username}' is already taken.`
+    );
+  }
+  return accountDoc;
+}
+
+/**
+ * @route   POST /api/auth/register
+ * @desc    Sign up: create a user together with the account that logs in as it.
+ * @body    {String} username - Login name, 3-40 letters, digits, '.', '_' or '-'.
+ * @body    {String} password - At least 8 characters.
+ * @body    {Number} id - Unique numeric user ID.
+ * @body    {String} first_name
+ * @body    {String} last_name
+ * @body    {String} birthday - Date string, e.g. '1990-01-15'.
+ * @body    {String} marital_status - One of: 'single', 'married', 'divorced', 'widowed'.
+ * @body    {String} [timezone] - IANA time zone for reports (default 'UTC').
+ * @return  {Object} The new account { username, role, userid } with status
+ *          201, 409 if the username or user id is taken, or an error object.
+ */
+router.post(
+  "/auth/register",
+  validate({ body: ACCOUNT_BODY }),
+  async (req, res) => {
+    const body = req.body;
+    const newUser = new User({
+      id: body.id,
+      first_name: body.first_name,
+      last_name: body.last_name,
+      birthday: body.birthday,
+      marital_status: body.marital_status,
+      timezone: body.timezone,
+    });
+    await newUser.validate();
+
+    const newAccount = await buildAccount({
+      username: body.username,
+      password: body.password,
+      userid: newUser.id,
+    });
+
+    if (await User.exists({ id: newUser.id })) {
+      throw new ConflictError(`User with id ${newUser.id} already exists.`);
+    }
+
+    await newUser.save();
+    try {
+      await newAccount.save();
+    } catch (error) {
+      // Don't leave a user behind that nobody can log in as
+      await User.deleteOne({ _id: newUser._id });
+      throw error;
+    }
+    return res.status(201).json(toAccountJson(newAccount));
+  }
+);
+
+/**
+ * @route   POST /api/auth/login
+ * @desc    Exchange a username and password for a bearer token, to be sent
+ *          as `Authorization: Bearer <token>` on every other request.
+ * @body    {String} username
+ * @body    {String} password
+ * @return  {Object} JSON: { token, expiresAt, username, role, userid }, 401
+ *          for wrong credentials, or an error object.
+ */
+router.post(
+  "/auth/login",
+  validate({ body: ACCOUNT_BODY }),
+  async (req, res) => {
+    const { username, password } = req.valid.body;
+
+    const accountDoc = await Account.findOne({
+      username: username.trim().toLowerCase(),
+    });
+    if (!accountDoc || !(await accountDoc.checkPassword(password))) {
+      throw new UnauthorizedError("Invalid username or password.");
+    }
+
+    const { token, expiresAt } = await Session.issue(accountDoc);
+    return res.json({ token, expiresAt, ...toAccountJson(accountDoc) });
+  }
+);
+
+/**
+ * @route   POST /api/auth/logout
+ * @desc    Revoke the bearer token of the request.
+ * @header  {String} Authorization - 'Bearer <token>'.
+ * @return  {Object} JSON: { loggedOut: true }, or an error object.
+ */
+router.post("/auth/logout", authenticate, async (req, res) => {
+  await Session.revoke(getBearerToken(req));
+  return res.json({ loggedOut: true });
+});
+
+/**
+ * @route   GET /api/auth/me
+ * @desc    Get the signed-in account.
+ * @header  {String} Authorization - 'Bearer <token>'.
+ * @return  {Object} JSON: { username, role, userid }, or an error object.
+ */
+router.get("/auth/me", authenticate, (req, res) => {
+  return res.json(toAccountJson(req.auth));
+});
+
+/**
+ * @route   POST /api/auth/accounts
+ * @desc    Admins only: create an account, e.g. for a user that was created
+ *          without one or for another admin.
+ * @header  {String} Authorization - 'Bearer <token>' of an admin.
+ * @body    {String} username
+ * @body    {String} password - At least 8 characters.
+ * @body    {String} [role='user'] - 'user' or 'admin'.
+ * @body    {Number} [userid] - The existing user the account logs in as
+ *          (required for role 'user').
+ * @return  {Object} The new account { username, role, userid } with status
+ *          201, 409 if the username is taken, or an error object.
+ */
+router.post(
+  "/auth/accounts",
+  authenticate,
+  requireAdmin,
+  validate({
+    body: {
+      ...ACCOUNT_BODY,
+      role: { type: "string", enum: ["user", "admin"] },
+      userid: { type: "integer", nullable: true },
+    },
+  }),
+  async (req, res) => {
+    const newAccount = await buildAccount(req.valid.body);
+
+    if (
+      newAccount.userid !== null &&
+      !(await User.exists({ id: newAccount.userid }))
+    ) {
+      throw new ValidationError(
+        `User with id ${newAccount.userid} does not exist.`
+      );
+    }
+
+    const savedAccount = await newAccount.save();
+    return res.status(201).json(toAccountJson(savedAccount));
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require("express");
+const router = express.Router();
+
+const Budget = require("../models/Budget");
+const Category = require("../models/Category");
+const User = require("../models/User");
+const { isAdmin, assertUserAccess } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+/**
+ * Strip Mongoose internals from a budget document for JSON output.
+ * @param {Object} budgetDoc - A Budget document or lean object.
+ * @return {Object} The public budget fields.
+ */
+function toBudgetJson(budgetDoc) {
+  return {
+    _id: budgetDoc._id,
+    userid: budgetDoc.userid,
+    category: budgetDoc.category,
+    limit: budgetDoc.limit,
+    currency: budgetDoc.currency,
+  };
+}
+
+/**
+ * Path parameters of the /budgets/:id routes.
+ */
+const ID_PARAMS = {
+  id: { type: "objectId", required: true, message: "Invalid budget ID." },
+};
+
+/**
+ * Load the budget of a validated `:id` path parameter that the signed-in
+ * account may access.
+ * @param {express.Request} req
+ * @return {Promise<Object>} The Budget document.
+ * @throws {NotFoundError|ForbiddenError}
+ */
+async function findBudget(req) {
+  const budgetDoc = await Budget.findById(req.valid.params.id);
+  if (!budgetDoc) {
+    throw new NotFoundError("Budget not found.");
+  }
+  assertUserAccess(req, budgetDoc.userid);
+  return budgetDoc;
+}
+
+/**
+ * @route   GET /api/budgets
+ * @desc    List monthly budgets, optionally of one user. Ordinary accounts
+ *          only see their own.
+ * @query   {Number} [userid] - Only this user's budgets.
+ * @return  {Array<Object>} e.g. [ { _id, userid, category, limit, currency }, … ],
+ *          or an error object.
+ */
+router.get(
+  "/budgets",
+  validate({ query: { userid: { type: "integer" } } }),
+  async (req, res) => {
+    const filter = isAdmin(req) ? {} : { userid: req.auth.userid };
+    if (req.valid.query.userid !== undefined) {
+      filter.userid = req.valid.query.userid;
+      assertUserAccess(req, filter.userid);
+    }
+
+    const budgets = await Budget.find(filter)
+      .sort({ userid: 1, category: 1 })
+      .lean();
+    return res.json(budgets.map(toBudgetJson));
+  }
+);
+
+/**
+ * @route   POST /api/budgets
+ * @desc    Set the monthly budget of a user for a top-level category.
+ * @body    {Number} userid - ID of an existing user.
+ * @body    {String} category - A top-level category visible to the user.
+ * @body    {Number} limit - Monthly limit, e.g. 1500.
+ * @body    {String} [currency] - ISO 4217 code of `limit` (default: the base currency).
+ * @return  {Object} The new budget with status 201, 409 if the user already
+ *          has a budget for the category, or an error object.
+ */
+router.post(
+  "/budgets",
+  validate({
+    body: {
+      userid: { type: "integer", required: true },
+      category: { type: "string", required: true },
+      limit: { type: "number", required: true },
+      currency: { type: "currency" },
+    },
+  }),
+  async (req, res) => {
+    const newBudget = new Budget(req.valid.body);
+    await newBudget.validate();
+    assertUserAccess(req, newBudget.userid);
+
+    if (!(await User.exists({ id: newBudget.userid }))) {
+      throw new ValidationError(
+        `User with id ${newBudget.userid} does not exist.`
+      );
+    }
+
+    const categoryError = await Category.checkFor(
+      newBudget.userid,
+      newBudget.category
+    );
+    if (categoryError) {
+      throw new ValidationError(categoryError);
+    }
+
+    if (
+      await Budget.exists({
+        userid: newBudget.userid,
+        category: newBudget.category,
+      })
+    ) {
+      throw new ConflictError(
+        `User ${newBudget.userid} already has a budget for '${newBudget.category}'.`
+      );
+    }
+
+    const savedBudget = await newBudget.save();
+    return res.status(201).json(toBudgetJson(savedBudget));
+  }
+);
+
+/**
+ * @route   PATCH /api/budgets/:id
+ * @desc    Change the limit or currency of a budget.
+ * @param   {String} id - The budget's ObjectId in the URL path.
+ * @body    {Number} [limit]
+ * @body    {String} [currency]
+ * @return  {Object} The updated budget, or an error object.
+ */
+router.patch(
+  "/budgets/:id",
+  validate({
+    params: ID_PARAMS,
+    body: {
+      limit: { type: "number" },
+      currency: { type: "currency" },
+    },
+  }),
+  async (req, res) => {
+    const budgetDoc = await findBudget(req);
+
+    const fixed = ["userid", "category"].find(
+      (field) => (req.body || {})[field] !== undefined
+    );
+    if (fixed) {
+      throw new ValidationError([
+        {
+          field: fixed,
+          in: "body",
+          message: "Only the limit and currency of a budget can be changed.",
+        },
+      ]);
+    }
+
+    const body = req.valid.body;
+
+    if (body.limit !== undefined) {
+      budgetDoc.limit = body.limit;
+    }
+    if (body.currency !== undefined) {
+      budgetDoc.currency = body.currency;
+    }
+
+    await budgetDoc.validate();
+    const savedBudget = await budgetDoc.save();
+    return res.json(toBudgetJson(savedBudget));
+  }
+);
+
+/**
+ * @route   DELETE /api/budgets/:id
+ * @desc    Remove a budget.
+ * @param   {String} id - The budget's ObjectId in the URL path.
+ * @return  {Object} The removed budget, or an error object.
+ */
+router.delete(
+  "/budgets/:id",
+  validate({ params: ID_PARAMS }),
+  async (req, res) => {
+    const budgetDoc = await findBudget(req);
+    await Budget.deleteOne({ _id: budgetDoc._id });
+    return res.json(toBudgetJson(budgetDoc));
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,506 @@
+const express = require("express");
+const router = express.Router();
+
+const Budget = require("../models/Budget");
+const Category = require("../models/Category");
+const Cost = require("../models/Cost");
+const CostRevision = require("../models/CostRevision");
+const Recurrence = require("../models/Recurrence");
+const Report = require("../models/Report");
+const User = require("../models/User");
+const { getActor } = require("../utils/actor");
+const { isAdmin, assertUserAccess } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+/**
+ * Strip Mongoose internals from a category document for JSON output.
+ * @param {Object} categoryDoc - A Category document or lean object.
+ * @return {Object} The public category fields.
+ */
+function toCategoryJson(categoryDoc) {
+  return {
+    _id: categoryDoc._id,
+    name: categoryDoc.name,
+    userid: categoryDoc.userid,
+    parent: categoryDoc.parent,
+  };
+}
+
+/**
+ * Find a category whose name would clash with `name` under the same parent
+ * in the given scope: a global name clashes with every category of that name,
+ * a custom name with global ones and the same user's.
+ * @param {String} name - Normalized category name.
+ * @param {Number|null} userid - Scope of the new or renamed category.
+ * @param {String|null} parent - Parent of the category; null for a top-level one.
+ * @param {import("mongoose").Types.ObjectId} [excludeId] - The category being renamed.
+ * @return {Promise<Object|null>} The clashing category, if any.
+ */
+function findNameClash(name, userid, parent, excludeId) {
+  const filter = { name, parent };
+  if (userid !== null) {
+    filter.userid = { $in: [null, userid] };
+  }
+  if (excludeId) {
+    filter._id = { $ne: excludeId };
+  }
+  return Category.findOne(filter).lean();
+}
+
+/**
+ * Cost filter selecting the costs that may use a category of this scope.
+ * @param {Object} categoryDoc - The category.
+ * @return {Object} `{}` for a global category, `{ userid }` for a custom one.
+ */
+function costScope(categoryDoc) {
+  return categoryDoc.userid === null ? {} : { userid: categoryDoc.userid };
+}
+
+/**
+ * Cost filter selecting the costs that currently use a category.
+ * @param {Object} categoryDoc - The category.
+ * @return {Object}
+ */
+function costsUsing(categoryDoc) {
+  if (categoryDoc.parent === null) {
+    return { ...costScope(categoryDoc), category: categoryDoc.name };
+  }
+  return {
+    ...costScope(categoryDoc),
+    category: categoryDoc.parent,
+    subcategory: categoryDoc.name,
+  };
+}
+
+/**
+ * Category filter selecting the subcategories of a top-level category. The
+ * subcategories of a global category may be global or custom.
+ * @param {Object} categoryDoc - The top-level category.
+ * @return {Object}
+ */
+function childrenOf(categoryDoc) {
+  if (categoryDoc.userid === null) {
+    return { parent: categoryDoc.name };
+  }
+  return { parent: categoryDoc.name, userid: categoryDoc.userid };
+}
+
+/**
+ * Move the subcategories of a top-level category under another one. A
+ * subcategory whose name the target already has in its scope is deleted,
+ * since its costs now use the target's subcategory of that name; a global
+ * subcategory replaces custom ones of the same name.
+ * @param {Object} categoryDoc - The top-level category whose subcategories move.
+ * @param {String} parent - Name of the new parent.
+ * @return {Promise<void>}
+ */
+async function moveChildren(categoryDoc, parent) {
+  const children = await Category.find(childrenOf(categoryDoc)).lean();
+  for (const child of children) {
+    const existing = await Category.exists({
+      name: child.name,
+      parent,
+      userid: child.userid === null ? null : { $in: [null, child.userid] },
+    });
+    if (existing) {
+      await Category.deleteOne({ _id: child._id });
+      continue;
+    }
+    if (child.userid === null) {
+      await Category.deleteMany({
+        name: child.name,
+        parent,
+        userid: { $ne: null },
+      });
+    }
+    await Category.updateOne({ _id: child._id }, { $set: { parent } });
+  }
+}
+
+/**
+ * Move costs to another category, recording a revision for each of them.
+ * Recurring cost templates matching the filter move along.
+ * @param {Object} filter - Costs to move.
+ * @param {Object} set - New field values, e.g. `{ category: 'transport' }`.
+ * @param {Array<Object>} changes - Revision changes ({ field, from, to }).
+ * @param {String} changedBy - Who made the change.
+ * @return {Promise<Number>} Number of costs moved.
+ */
+async function migrateCosts(filter, set, changes, changedBy) {
+  await Recurrence.updateMany(filter, { $set: set });
+
+  const costIds = await Cost.distinct("_id", filter);
+  if (costIds.length === 0) {
+    return 0;
+  }
+
+  await Cost.updateMany({ _id: { $in: costIds } }, { $set: set });
+  await CostRevision.recordBulkUpdate(costIds, changedBy, changes);
+  return costIds.length;
+}
+
+/**
+ * Move the budgets on a top-level category to another name. A user who
+ * already has a budget on the target keeps that one.
+ * @param {Object} categoryDoc - The category whose budgets move.
+ * @param {String} from - Current category name.
+ * @param {String} to - New category name.
+ * @return {Promise<void>}
+ */
+async function moveBudgets(categoryDoc, from, to) {
+  const scope = costScope(categoryDoc);
+  const keepTarget = await Budget.distinct("userid", {
+    ...scope,
+    category: to,
+  });
+  await Budget.deleteMany({
+    ...scope,
+    category: from,
+    userid: { $in: keepTarget },
+  });
+  await Budget.updateMany(
+    { ...scope, category: from },
+    { $set: { category: to } }
+  );
+}
+
+/**
+ * Drop the cached reports whose category list may have changed.
+ * @param {Object} categoryDoc - The changed category.
+ * @return {Promise<Object>}
+ */
+function invalidateReports(categoryDoc) {
+  return Report.deleteMany(
+    categoryDoc.userid === null ? {} : { userid: categoryDoc.userid }
+  );
+}
+
+/**
+ * Check that the signed-in account may manage categories of a scope: global
+ * categories are for admins, custom ones for their user.
+ * @param {express.Request} req
+ * @param {Number|null} userid - Owner of the category; null for global.
+ * @throws {ForbiddenError} When it may not.
+ */
+function assertCategoryAccess(req, userid) {
+  if (userid !== null) {
+    assertUserAccess(req, userid);
+  } else if (!isAdmin(req)) {
+    throw new ForbiddenError("Only admins can manage global categories.");
+  }
+}
+
+/**
+ * Path parameters of the /categories/:id routes.
+ */
+const ID_PARAMS = {
+  id: { type: "objectId", required: true, message: "Invalid category ID." },
+};
+
+/**
+ * Load a category by a validated id.
+ * @param {String} id - The category's ObjectId.
+ * @return {Promise<Object>} The Category document.
+ * @throws {NotFoundError}
+ */
+async function findCategory(id) {
+  const categoryDoc = await Category.findById(id);
+  if (!categoryDoc) {
+    throw new NotFoundError("Category not found.");
+  }
+  return categoryDoc;
+}
+
+/**
+ * @route   GET /api/categories
+ * @desc    List the categories available to everyone, or to one user.
+ * @query   {Number} [userid] - Also include this user's custom categories
+ *          (for ordinary accounts: their own user, which is the default).
+ * @return  {Array<Object>} e.g. [ { _id, name, userid, parent }, … ] with
+ *          global categories first, or an error object.
+ */
+router.get(
+  "/categories",
+  validate({ query: { userid: { type: "integer" } } }),
+  async (req, res) => {
+    let userid = isAdmin(req) ? null : req.auth.userid;
+    if (req.valid.query.userid !== undefined) {
+      userid = req.valid.query.userid;
+      assertUserAccess(req, userid);
+    }
+
+    const categories = await Category.visibleTo(userid);
+    return res.json(categories.map(toCategoryJson));
+  }
+);
+
+/**
+ * @route   POST /api/categories
+ * @desc    Create a global or per-user category, optionally as a subcategory.
+ * @body    {String} name - Category name (stored lowercase).
+ * @body    {Number} [userid] - Owner of a custom category; omit for a global
+ *          one (admins only).
+ * @body    {String} [parent] - Name of the top-level category this is a subcategory of.
+ * @return  {Object} The new category with status 201, 409 if the name is
+ *          taken, or an error object.
+ */
+router.post(
+  "/categories",
+  validate({
+    body: {
+      name: { type: "string", required: true },
+      userid: { type: "integer", nullable: true, default: null },
+      parent: { type: "string", nullable: true, default: null },
+    },
+  }),
+  async (req, res) => {
+    const { name, userid, parent } = req.valid.body;
+    assertCategoryAccess(req, userid);
+
+    const newCategory = new Category({ name, userid, parent });
+    await newCategory.validate();
+
+    if (userid !== null && !(await User.exists({ id: userid }))) {
+      throw new ValidationError(`User with id ${userid} does not exist.`);
+    }
+
+    if (newCategory.parent !== null) {
+      // Subcategories hang off a top-level category visible in the same scope
+      const parentOk = (await Category.topLevelNamesFor(userid)).includes(
+        newCategory.parent
+      );
+      if (!parentOk) {
+        throw new ValidationError(
+          `Unknown parent category '${newCategory.parent}'.`
+        );
+      }
+    }
+
+    await Category.ensureDefaults();
+    if (await findNameClash(newCategory.name, userid, newCategory.parent)) {
+      throw new ConflictError(`Category '${newCategory.name}' already exists.`);
+    }
+
+    const savedCategory = await newCategory.save();
+    if (savedCategory.parent === null) {
+      await invalidateReports(savedCategory);
+    }
+    return res.status(201).json(toCategoryJson(savedCategory));
+  }
+);
+
+/**
+ * @route   PATCH /api/categories/:id
+ * @desc    Rename a category. Costs, subcategories and budgets using the old
+ *          name are migrated to the new one, and each migrated cost gets a revision.
+ * @param   {String} id - The category's ObjectId in the URL path.
+ * @header  {String} [X-Changed-By] - Admins only: who they act for (default: the signed-in username).
+ * @body    {String} name - The new name.
+ * @return  {Object} JSON: { category: { _id, name, userid, parent }, migratedCosts: <Number> },
+ *          or an error object.
+ */
+router.patch(
+  "/categories/:id",
+  validate({
+    params: ID_PARAMS,
+    body: { name: { type: "string", required: true } },
+  }),
+  async (req, res) => {
+    const categoryDoc = await findCategory(req.valid.params.id);
+    assertCategoryAccess(req, categoryDoc.userid);
+
+    const fixed = ["userid", "parent"].find(
+      (field) => (req.body || {})[field] !== undefined
+    );
+    if (fixed) {
+      throw new ValidationError([
+        {
+          field: fixed,
+          in: "body",
+          message: "Only the name of a category can be changed.",
+        },
+      ]);
+    }
+
+    const oldName = categoryDoc.name;
+    categoryDoc.name = req.valid.body.name;
+    await categoryDoc.validate();
+
+    if (categoryDoc.name === oldName) {
+      return res.json({
+        category: toCategoryJson(categoryDoc),
+        migratedCosts: 0,
+      });
+    }
+
+    if (
+      await findNameClash(
+        categoryDoc.name,
+        categoryDoc.userid,
+        categoryDoc.parent,
+        categoryDoc._id
+      )
+    ) {
+      throw new ConflictError(`Category '${categoryDoc.name}' already exists.`);
+    }
+
+    const field = categoryDoc.parent === null ? "category" : "subcategory";
+    const migratedCosts = await migrateCosts(
+      costsUsing({ ...categoryDoc.toObject(), name: oldName }),
+      { [field]: categoryDoc.name },
+      [{ field, from: oldName, to: categoryDoc.name }],
+      getActor(req)
+    );
+
+    if (categoryDoc.parent === null) {
+      await Category.updateMany(
+        childrenOf({ ...categoryDoc.toObject(), name: oldName }),
+        { $set: { parent: categoryDoc.name } }
+      );
+      await moveBudgets(categoryDoc, oldName, categoryDoc.name);
+    }
+
+    const savedCategory = await categoryDoc.save();
+    await invalidateReports(savedCategory);
+
+    return res.json({
+      category: toCategoryJson(savedCategory),
+      migratedCosts,
+    });
+  }
+);
+
+/**
+ * @route   POST /api/categories/:id/merge
+ * @desc    Merge a category into another one of the same level and delete it.
+ *          Its costs (and, for a top-level category, its subcategories and
+ *          budgets) move to the target; subcategories the target already has
+ *          are merged into the target's. A global category can only be merged into a global
+ *          one; a custom category into a global one or one of the same user.
+ * @param   {String} id - ObjectId of the category to merge away.
+ * @header  {String} [X-Changed-By] - Admins only: who they act for (default: the signed-in username).
+ * @body    {String} into - ObjectId of the category that absorbs it.
+ * @return  {Object} JSON: { merged: <String>, into: <String>, migratedCosts: <Number> },
+ *          or an error object.
+ */
+router.post(
+  "/categories/:id/merge",
+  validate({
+    params: ID_PARAMS,
+    body: {
+      into: {
+        type: "objectId",
+        required: true,
+        message: "Invalid category ID.",
+      },
+    },
+  }),
+  async (req, res) => {
+    const source = await findCategory(req.valid.params.id);
+    assertCategoryAccess(req, source.userid);
+    const target = await findCategory(req.valid.body.into);
+
+    if (source._id.equals(target._id)) {
+      throw new ValidationError("Cannot merge a category into itself.");
+    }
+    if ((source.parent === null) !== (target.parent === null)) {
+      throw new ValidationError(
+        "Categories must both be top-level or both be subcategories."
+      );
+    }
+    if (target.userid !== null && target.userid !== source.userid) {
+      throw new ValidationError(
+        "A category can only be merged into a global category or one of the same user."
+      );
+    }
+
+    let migratedCosts;
+    if (source.parent === null) {
+      migratedCosts = await migrateCosts(
+        costsUsing(source),
+        { category: target.name },
+        [{ field: "category", from: source.name, to: target.name }],
+        getActor(req)
+      );
+      await moveChildren(source, target.name);
+      await moveBudgets(source, source.name, target.name);
+    } else {
+      const changes = [
+        { field: "subcategory", from: source.name, to: target.name },
+      ];
+      if (source.parent !== target.parent) {
+        changes.push({
+          field: "category",
+          from: source.parent,
+          to: target.parent,
+        });
+      }
+      migratedCosts = await migrateCosts(
+        costsUsing(source),
+        { category: target.parent, subcategory: target.name },
+        changes,
+        getActor(req)
+      );
+    }
+
+    await Category.deleteOne({ _id: source._id });
+    await invalidateReports(source);
+
+    return res.json({ merged: source.name, into: target.name, migratedCosts });
+  }
+);
+
+/**
+ * @route   DELETE /api/categories/:id
+ * @desc    Delete a category that no cost, recurring cost or subcategory
+ *          uses, together with its budgets. Use the merge endpoint to retire a
+ *          category that is still in use.
+ * @param   {String} id - The category's ObjectId in the URL path.
+ * @return  {Object} JSON: { _id: <String>, name: <String> }, 409 if the
+ *          category is in use, or an error object.
+ */
+router.delete(
+  "/categories/:id",
+  validate({ params: ID_PARAMS }),
+  async (req, res) => {
+    const categoryDoc = await findCategory(req.valid.params.id);
+    assertCategoryAccess(req, categoryDoc.userid);
+
+    const costCount = await Cost.countDocuments(costsUsing(categoryDoc));
+    if (costCount > 0) {
+      throw new ConflictError(
+        `Category is used by ${costCount} cost(s). Merge it into another category instead.`
+      );
+    }
+
+    if (await Recurrence.exists(costsUsing(categoryDoc))) {
+      throw new ConflictError("Category is used by a recurring cost.");
+    }
+
+    if (
+      categoryDoc.parent === null &&
+      (await Category.exists(childrenOf(categoryDoc)))
+    ) {
+      throw new ConflictError("Category still has subcategories.");
+    }
+
+    await Category.deleteOne({ _id: categoryDoc._id });
+    if (categoryDoc.parent === null) {
+      await Budget.deleteMany({
+        ...costScope(categoryDoc),
+        category: categoryDoc.name,
+      });
+      await invalidateReports(categoryDoc);
+    }
+
+    return res.json({ _id: categoryDoc._id, name: categoryDoc.name });
+  }
+);
+
+module.exports = router;
@@ -1,110 +1,1750 @@
+const crypto = require("crypto");
 const express = require("express");
+const mongoose = require("mongoose");
+const { pipeline } = require("stream/promises");
 const router = express.Router();
 
+const Budget = require("../models/Budget");
+const Category = require("../models/Category");
 const Cost = require("../models/Cost");
+const CostImport = require("../models/CostImport");
+const CostRevision = require("../models/CostRevision");
+const Group = require("../models/Group");
+const Report = require("../models/Report");
+const User = require("../models/User");
+const {
+  getZonedParts,
+  formatDay,
+  formatZonedDate,
+  startOfZonedDay,
+  getZonedMonthRange,
+  isAllowedCostDate,
+} = require("../utils/timezone");
+const { getActor } = require("../utils/actor");
+const {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_COST,
+  describeAttachment,
+} = require("../utils/attachments");
+const { isAdmin, assertUserAccess } = require("../middleware/auth");
+const { toApiError } = require("../middleware/errors");
+const { idempotent } = require("../middleware/idempotency");
+const { rateLimit } = require("../middleware/rate_limit");
+const { parseDay, validate } = require("../middleware/validate");
+const { computeSplits } = require("../utils/splits");
+const { isValidTag, normalizeTag, parseTags } = require("../utils/tags");
+const { parseCsvRows, getResponseFormat, sendCsv } = require("../utils/csv");
+const { getBaseCurrency, toMinor, fromMinor } = require("../utils/currency");
+const {
+  ApiError,
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const {
+  MissingRateError,
+  createConverter,
+} = require("../utils/exchange_rates");
+
+/**
+ * Cost fields a bulk import row may set, i.e. the CSV columns it accepts.
+ */
+const IMPORT_FIELDS = [
+  "description",
+  "category",
+  "subcategory",
+  "userid",
+  "sum",
+  "currency",
+  "date",
+];
+
+/**
+ * Query parameters of GET /api/report. `year` is required unless the report
+ * covers a `from`–`to` range, and has four digits like the year of a cost
+ * (see COST_DATE_FIELDS).
+ */
+const REPORT_QUERY = {
+  id: {
+    type: "integer",
+    required: true,
+    message: "Invalid id, year, or month parameter.",
+  },
+  year: {
+    type: "integer",
+    min: 1000,
+    max: 9999,
+    message: "Invalid id, year, or month parameter.",
+  },
+  month: {
+    type: "integer",
+    min: 1,
+    max: 12,
+    message: "Invalid id, year, or month parameter.",
+  },
+  from: {
+    type: "day",
+    message: "Invalid from or to parameter. Use YYYY-MM-DD.",
+  },
+  to: { type: "day", message: "Invalid from or to parameter. Use YYYY-MM-DD." },
+  tz: { type: "timezone", message: "Invalid tz parameter." },
+  currency: { type: "currency", message: "Invalid currency parameter." },
+  tag: { type: "string", message: "Invalid tag parameter." },
+};
+
+/**
+ * Most rows a single bulk import may contain.
+ */
+const MAX_IMPORT_ROWS = 10000;
+
+/**
+ * Version of the item shape stored in Report.costs. Bump it whenever
+ * buildReportCosts() changes what it stores, so older cache entries are
+ * recomputed instead of served.
+ */
+const REPORT_CACHE_FORMAT = 5;
+
+/**
+ * Cost fields tracked in the revision history and editable through PATCH.
+ */
+const TRACKED_FIELDS = [
+  "description",
+  "category",
+  "subcategory",
+  "userid",
+  "sum",
+  "currency",
+  "date",
+  "tags",
+];
+
+/**
+ * Body fields that give the expense date of a cost: `date`, or `year`,
+ * `month` and `day` together. Years have four digits, since Date.UTC reads
+ * years below 100 as 19xx.
+ */
+const COST_DATE_FIELDS = {
+  date: { type: "date", message: "Invalid date." },
+  year: {
+    type: "integer",
+    min: 1000,
+    max: 9999,
+    message: "Invalid year, month, or day.",
+  },
+  month: {
+    type: "integer",
+    min: 1,
+    max: 12,
+    message: "Invalid year, month, or day.",
+  },
+  day: {
+    type: "integer",
+    min: 1,
+    max: 31,
+    message: "Invalid year, month, or day.",
+  },
+};
+
+/**
+ * Path parameters of the /costs/:id routes.
+ */
+const ID_PARAMS = {
+  id: { type: "objectId", required: true, message: "Invalid cost ID." },
+};
+
+/**
+ * Path parameters of the routes of a single attachment.
+ */
+const ATTACHMENT_PARAMS = {
+  ...ID_PARAMS,
+  attachmentId: {
+    type: "objectId",
+    required: true,
+    message: "Invalid attachment ID.",
+  },
+};
+
+/**
+ * Read the expense date of a cost from a validated request body. Either
+ * `date` (any string Date can parse) or all of `year`, `month` (1–12) and
+ * `day` may be given; year/month/day are taken as a calendar day in the
+ * user's time zone. Dates in the past are refused unless
+ * ALLOW_PAST_COST_DATES is "true" (see isAllowedCostDate()).
+ * @param {Object} body - `req.valid.body`, see COST_DATE_FIELDS.
+ * @param {String} timeZone - IANA time zone of the cost's user.
+ * @return {Date|undefined} The expense date, or undefined when none was given.
+ * @throws {ValidationError} When the date is invalid or in the past.
+ */
+function parseCostDate(body, timeZone) {
+  const fail = (field, message) => {
+    throw new ValidationError([{ field, in: "body", message }]);
+  };
+  const hasParts =
+    body.year !== undefined ||
+    body.month !== undefined ||
+    body.day !== undefined;
+
+  if (body.date !== undefined && hasParts) {
+    fail("date", "Give either date or year/month/day, not both.");
+  }
+
+  let date = body.date;
+  if (hasParts) {
+    const { year, month, day } = body;
+    // Reject missing parts and overflow such as February 30
+    const calendarDay = parseDay(formatDay({ year, month, day }));
+    if (!calendarDay) {
+      fail("day", "Invalid year, month, or day.");
+    }
+    date = startOfZonedDay(year, month, day, timeZone);
+  }
+
+  if (date !== undefined && !isAllowedCostDate(date, timeZone)) {
+    fail(hasParts ? "day" : "date", "Cost date cannot be in the past.");
+  }
+  return date;
+}
+
+/**
+ * Resolve the time zone of a user document, falling back to UTC for missing
+ * users and for users saved before the timezone field existed.
+ * @param {Object|null} userDoc - A User document or lean object.
+ * @return {String} IANA time zone name.
+ */
+function getUserTimeZone(userDoc) {
+  return (userDoc && userDoc.timezone) || "UTC";
+}
+
+/**
+ * Compare two values the way the revision history needs (dates by time,
+ * arrays such as tags element by element).
+ * @param {*} a
+ * @param {*} b
+ * @return {Boolean} True if both values are equal.
+ */
+function sameValue(a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => item === b[i]);
+  }
+  return a === b;
+}
+
+/**
+ * List the fields that differ between two snapshots of a cost.
+ * @param {Object} before - Field values before the change ({} on create).
+ * @param {Object} after - Field values after the change ({} on hard delete).
+ * @return {Array<{ field: String, from: *, to: * }>}
+ */
+function diffChanges(before, after) {
+  const fields = new Set([...Object.keys(before), ...Object.keys(after)]);
+  const changes = [];
+  fields.forEach((field) => {
+    const from = before[field] === undefined ? null : before[field];
+    const to = after[field] === undefined ? null : after[field];
+    if (!sameValue(from, to)) {
+      changes.push({ field, from, to });
+    }
+  });
+  return changes;
+}
+
+/**
+ * Append a revision to a cost's audit history.
+ * @param {mongoose.Types.ObjectId} costId - The cost that changed.
+ * @param {String} action - 'create', 'update' or 'delete'.
+ * @param {String} changedBy - Who made the change.
+ * @param {Object} before - Field values before the change ({} on create).
+ * @param {Object} after - Field values after the change ({} on hard delete).
+ * @return {Promise<CostRevision>}
+ */
+function recordRevision(costId, action, changedBy, before, after) {
+  const changes = diffChanges(before, after);
+  return CostRevision.create({ costId, action, changedBy, changes });
+}
+
+/**
+ * Pick the tracked fields (and deletedAt) from a cost document.
+ * @param {Object} costDoc - A Cost document or lean object.
+ * @return {Object} A plain snapshot of the tracked fields.
+ */
+function snapshot(costDoc) {
+  const result = {};
+  [...TRACKED_FIELDS, "deletedAt"].forEach((field) => {
+    const value = costDoc[field];
+    // Copy arrays so later changes to the document do not alter the snapshot
+    result[field] = Array.isArray(value) ? [...value] : value;
+  });
+  return result;
+}
+
+/**
+ * Split a group cost between the members of its group. The payer
+ * (`userid`) must be a member.
+ * @param {Object} costDoc - A validated Cost document with `groupId` set.
+ * @param {Object} [split] - The requested split (see computeSplits()).
+ * @return {Promise<void>}
+ * @throws {ValidationError} When the group or the split is invalid.
+ */
+async function applySplit(costDoc, split) {
+  const groupDoc = await Group.findById(costDoc.groupId).lean();
+  if (!groupDoc) {
+    throw new ValidationError([
+      { field: "groupId", in: "body", message: "Group not found." },
+    ]);
+  }
+  if (!groupDoc.members.includes(costDoc.userid)) {
+    throw new ValidationError([
+      {
+        field: "userid",
+        in: "body",
+        message: `User ${costDoc.userid} is not a member of the group.`,
+      },
+    ]);
+  }
+
+  const result = computeSplits(
+    split,
+    costDoc.amount,
+    costDoc.currency,
+    groupDoc.members
+  );
+  if (result.error) {
+    throw new ValidationError([
+      { field: "split", in: "body", message: result.error },
+    ]);
+  }
+  costDoc.splitMethod = result.method;
+  costDoc.splits = result.splits;
+}
+
+/**
+ * Describe the current split of a group cost as a split request, so it can
+ * be applied again after the sum or the payer changed.
+ * @param {Object} costDoc - A group Cost document.
+ * @return {Object} e.g. { method: 'percentage', shares: [ { userid, percent }, … ] }
+ */
+function currentSplit(costDoc) {
+  const splits = costDoc.splits || [];
+  if (costDoc.splitMethod === "percentage") {
+    return {
+      method: "percentage",
+      shares: splits.map((s) => ({ userid: s.userid, percent: s.percent })),
+    };
+  }
+  if (costDoc.splitMethod === "exact") {
+    return {
+      method: "exact",
+      shares: splits.map((s) => ({
+        userid: s.userid,
+        sum: fromMinor(s.amount, costDoc.currency),
+      })),
+    };
+  }
+  return { method: "equal", members: splits.map((s) => s.userid) };
+}
+
+/**
+ * Find the last userid a cost had according to its revision history.
+ * @param {Array<Object>} revisions - The cost's revisions, oldest first.
+ * @return {Number|null} The userid, or null when no revision records one.
+ */
+function historyOwner(revisions) {
+  let userid = null;
+  revisions.forEach((revision) => {
+    revision.changes.forEach((change) => {
+      if (change.field === "userid") {
+        userid = change.to === null ? change.from : change.to;
+      }
+    });
+  });
+  return userid;
+}
+
+/**
+ * Load the live (not soft-deleted) cost of a validated `:id` path parameter
+ * that the signed-in account may access.
+ * @param {express.Request} req
+ * @return {Promise<Object>} The Cost document.
+ * @throws {NotFoundError|ForbiddenError}
+ */
+async function findCost(req) {
+  const costDoc = await Cost.findOne({
+    _id: req.valid.params.id,
+    deletedAt: null,
+  });
+  if (!costDoc) {
+    throw new NotFoundError("Cost not found.");
+  }
+  assertUserAccess(req, costDoc.userid);
+  return costDoc;
+}
+
+/**
+ * Find an attachment of a cost.
+ * @param {Object} costDoc - The Cost document.
+ * @param {String} attachmentId - The attachment's ObjectId.
+ * @return {Object} The attachment subdocument.
+ * @throws {NotFoundError}
+ */
+function findAttachment(costDoc, attachmentId) {
+  const attachment = costDoc.attachments
+    ? costDoc.attachments.id(attachmentId)
+    : null;
+  if (!attachment) {
+    throw new NotFoundError("Attachment not found.");
+  }
+  return attachment;
+}
+
+/**
+ * Decode and check the `receipt` of a POST /api/add body.
+ * @param {{ contentType: String, data: String, filename?: String }} receipt -
+ *        The file as base64 `data` with its MIME type.
+ * @return {{ buffer: Buffer, attachment: { filename, contentType, size } }}
+ * @throws {ApiError} As describeAttachment().
+ */
+function readReceipt(receipt) {
+  const data = typeof receipt.data === "string" ? receipt.data : "";
+  if (!/^[A-Za-z0-9+/\s]*={0,2}\s*$/.test(data)) {
+    throw new ValidationError([
+      {
+        field: "receipt",
+        in: "body",
+        message: "receipt.data must be base64-encoded.",
+      },
+    ]);
+  }
+  const buffer = Buffer.from(data, "base64");
+  return {
+    buffer,
+    attachment: describeAttachment(
+      buffer,
+      receipt.contentType,
+      receipt.filename,
+      "receipt"
+    ),
+  };
+}
+
+/**
+ * Attach a file to a cost and save the cost. The file is stored first and
+ * removed again when the cost cannot be saved.
+ * @param {Object} storage - The app's storage (see utils/storage).
+ * @param {Object} costDoc - The Cost document.
+ * @param {Buffer} buffer - The file.
+ * @param {{ filename, contentType, size }} attachment - From describeAttachment().
+ * @return {Promise<{ costDoc: Object, attachment: Object }>} The saved cost
+ *         and the new attachment subdocument.
+ */
+async function attachFile(storage, costDoc, buffer, attachment) {
+  costDoc.attachments = (costDoc.attachments || []).concat(attachment);
+  const added = costDoc.attachments[costDoc.attachments.length - 1];
+  await storage.save(added._id, buffer, added);
+  try {
+    return { costDoc: await costDoc.save(), attachment: added };
+  } catch (error) {
+    await storage.remove(added._id);
+    throw error;
+  }
+}
+
+/**
+ * Group a user's live costs within [start, end) into the report's `costs`
+ * array: one single-key object per top-level category the user can see, in
+ * Category order. Categories no longer defined but still used by a cost are
+ * appended so that no cost is dropped.
+ * @param {Number} userid - The user to report on.
+ * @param {Date} start - First instant of the period.
+ * @param {Date} end - First instant after the period.
+ * @param {String} timeZone - IANA time zone used for each cost's `day`.
+ * @param {String} [tag] - Only costs with this tag.
+ * @return {Promise<Array<Object>>} e.g. [ { food: [ { sum, description, day } ] }, … ]
+ */
+async function buildReportCosts(userid, start, end, timeZone, tag) {
+  const [categories, groups] = await Promise.all([
+    Category.topLevelNamesFor(userid),
+    Cost.groupByCategory(userid, start, end, timeZone, tag),
+  ]);
+
+  // Initialize an object with empty arrays for each category
+  const grouped = {};
+  categories.forEach((cat) => {
+    grouped[cat] = [];
+  });
+  groups.forEach((g) => {
+    if (!grouped[g._id]) {
+      categories.push(g._id);
+    }
+    grouped[g._id] = g.items;
+  });
+
+  // Build the costs array in the required format
+  return categories.map((cat) => {
+    return { [cat]: grouped[cat] };
+  });
+}
+
+/**
+ * Load the exchange rates needed to convert every item of a stored report
+ * `costs` array into `currency`.
+ * @param {Array<Object>} costsArray - Output of buildReportCosts().
+ * @param {String} currency - Currency of the report.
+ * @return {Promise<function(Object): Number>} Maps an item to its amount in
+ *         minor units of `currency`, at the rate in effect on its date.
+ * @throws {MissingRateError} When a needed exchange rate is missing.
+ */
+async function createItemConverter(costsArray, currency) {
+  const currencies = [];
+  costsArray.forEach((entry) => {
+    Object.values(entry)[0].forEach((item) => currencies.push(item.currency));
+  });
+  const convert = await createConverter(currency, currencies);
+
+  return (item) =>
+    item.currency === currency
+      ? item.amount
+      : convert(item.amount, item.currency, new Date(item.date));
+}
+
+/**
+ * Turn the stored report `costs` array into the public one, converting every
+ * item into `currency` at the rate in effect on its date. Converted items
+ * keep their original sum and currency under `original`.
+ * @param {Array<Object>} costsArray - Output of buildReportCosts().
+ * @param {function(Object): Number} convertItem - From createItemConverter().
+ * @param {String} currency - Currency of the report.
+ * @param {String} [timeZone] - When given, items also carry their calendar
+ *        `date` (YYYY-MM-DD) in this zone, for reports spanning several months.
+ * @return {Array<Object>} e.g. [ { food: [ { sum, description, day } ] }, … ]
+ */
+function convertReportCosts(costsArray, convertItem, currency, timeZone) {
+  return costsArray.map((entry) => {
+    const [cat, items] = Object.entries(entry)[0];
+    return {
+      [cat]: items.map((item) => {
+        const result = {
+          sum:
+            item.currency === currency
+              ? item.sum
+              : fromMinor(convertItem(item), currency),
+          description: item.description,
+          day: item.day,
+        };
+        if (timeZone !== undefined) {
+          result.date = formatZonedDate(new Date(item.date), timeZone);
+        }
+        if (item.subcategory !== undefined) {
+          result.subcategory = item.subcategory;
+        }
+        if (item.recurrenceId !== undefined) {
+          result.recurrenceId = item.recurrenceId;
+        }
+        if (item.hasAttachment) {
+          result.hasAttachment = true;
+        }
+        if (item.tags !== undefined) {
+          result.tags = item.tags;
+        }
+        if (item.currency !== currency) {
+          result.original = { sum: item.sum, currency: item.currency };
+        }
+        return result;
+      }),
+    };
+  });
+}
+
+/**
+ * Change from one month's total to the next, in percent rounded to two
+ * decimals, or null when there is nothing to compare against.
+ * @param {Number} previous - Previous month's total (minor units).
+ * @param {Number} current - This month's total (minor units).
+ * @return {Number|null}
+ */
+function percentChange(previous, current) {
+  if (previous === 0) {
+    return null;
+  }
+  return Math.round(((current - previous) / previous) * 10000) / 100;
+}
+
+/**
+ * Total a stored report `costs` array per calendar month and category, with
+ * the month-over-month change per category. The first month has nothing to
+ * compare against, so its changes are null.
+ * @param {Array<Object>} costsArray - Output of buildReportCosts().
+ * @param {Array<{ year: Number, month: Number }>} months - Months of the period, in order.
+ * @param {function(Object): Number} convertItem - From createItemConverter().
+ * @param {String} currency - Currency of the report.
+ * @param {String} timeZone - Zone the months are computed in.
+ * @return {{ months: Array<Object>, totals: Object, total: Number }} e.g.
+ *         { months: [ { year, month, totals: { food: 120, … }, total: 120,
+ *         change: { food: 12.5, … } }, … ], totals: { food: 1440, … }, total: 1440 }
+ */
+function summarizeMonths(costsArray, months, convertItem, currency, timeZone) {
+  const categories = costsArray.map((entry) => Object.keys(entry)[0]);
+  const zeroes = () => Object.fromEntries(categories.map((cat) => [cat, 0]));
+  const toMajor = (values) =>
+    Object.fromEntries(
+      Object.entries(values).map(([cat, v]) => [cat, fromMinor(v, currency)])
+    );
+  const sumOf = (values) => Object.values(values).reduce((a, b) => a + b, 0);
+
+  const position = new Map(months.map((m, i) => [`${m.year}-${m.month}`, i]));
+  const buckets = months.map(zeroes);
+  costsArray.forEach((entry) => {
+    const [cat, items] = Object.entries(entry)[0];
+    items.forEach((item) => {
+      const { year, month } = getZonedParts(new Date(item.date), timeZone);
+      const i = position.get(`${year}-${month}`);
+      if (i !== undefined) {
+        buckets[i][cat] += convertItem(item);
+      }
+    });
+  });
+
+  const totals = zeroes();
+  const summaries = buckets.map((bucket, i) => {
+    categories.forEach((cat) => {
+      totals[cat] += bucket[cat];
+    });
+    const change = {};
+    categories.forEach((cat) => {
+      change[cat] =
+        i === 0 ? null : percentChange(buckets[i - 1][cat], bucket[cat]);
+    });
+    return {
+      year: months[i].year,
+      month: months[i].month,
+      totals: toMajor(bucket),
+      total: fromMinor(sumOf(bucket), currency),
+      change,
+    };
+  });
+
+  return {
+    months: summaries,
+    totals: toMajor(totals),
+    total: fromMinor(sumOf(totals), currency),
+  };
+}
+
+/**
+ * The calendar months from one (year, month) to another, inclusive.
+ * @param {{ year: Number, month: Number }} first
+ * @param {{ year: Number, month: Number }} last
+ * @return {Array<{ year: Number, month: Number }>}
+ */
+function monthsBetween(first, last) {
+  const months = [];
+  for (
+    let index = first.year * 12 + first.month - 1;
+    index <= last.year * 12 + last.month - 1;
+    index++
+  ) {
+    months.push({ year: Math.floor(index / 12), month: (index % 12) + 1 });
+  }
+  return months;
+}
+
+/**
+ * Rows of the CSV form of a report: one per cost, then a totals footer.
+ * @param {Array<Object>} costs - The converted report `costs` array.
+ * @param {String} currency - Currency of the report.
+ * @param {String} dayColumn - 'day' for a monthly report, 'date' when the
+ *        report spans several months.
+ * @return {Array<Array<*>>} e.g. [ [ 'category', 'day', 'description', 'sum' ],
+ *         [ 'food', 3, 'Lunch', 12.5 ], …, [ 'Total', '', '', 12.5 ] ]
+ */
+function toReportCsvRows(costs, currency, dayColumn) {
+  const rows = [["category", dayColumn, "description", "sum"]];
+  let total = 0;
+  costs.forEach((entry) => {
+    const [cat, items] = Object.entries(entry)[0];
+    items.forEach((item) => {
+      rows.push([cat, item[dayColumn], item.description, item.sum]);
+      total += toMinor(item.sum, currency);
+    });
+  });
+  rows.push(["Total", "", "", fromMinor(total, currency)]);
+  return rows;
+}
+
+/**
+ * Compare each budgeted category's spending in the report with its budget.
+ * Budgets in another currency are converted at the rate in effect on `date`.
+ * @param {Array<Object>} budgets - The user's Budget documents.
+ * @param {Array<Object>} costs - The converted report `costs` array.
+ * @param {String} currency - Currency of the report.
+ * @param {Date} date - Date to convert the budgets at.
+ * @return {Promise<Object>} e.g. { food: { budget: 1500, spent: 1620, remaining: -120 } }
+ * @throws {MissingRateError} When a needed exchange rate is missing.
+ */
+async function summarizeBudgets(budgets, costs, currency, date) {
+  const convert = await createConverter(
+    currency,
+    budgets.map((b) => b.currency)
+  );
+
+  const spentByCategory = {};
+  costs.forEach((entry) => {
+    const [cat, items] = Object.entries(entry)[0];
+    spentByCategory[cat] = items.reduce(
+      (total, item) => total + toMinor(item.sum, currency),
+      0
+    );
+  });
+
+  const summary = {};
+  budgets.forEach((b) => {
+    const budget = convert(toMinor(b.limit, b.currency), b.currency, date);
+    const spent = spentByCategory[b.category] || 0;
+    summary[b.category] = {
+      budget: fromMinor(budget, currency),
+      spent: fromMinor(spent, currency),
+      remaining: fromMinor(budget - spent, currency),
+    };
+  });
+  return summary;
+}
+
+/**
+ * Read the rows of a bulk import: a JSON array of objects, or CSV text whose
+ * header row names the columns (see IMPORT_FIELDS).
+ * @param {express.Request} req
+ * @return {Array<Object>} The rows.
+ * @throws {ValidationError} On malformed CSV or a body that is not a list.
+ */
+function readImportRows(req) {
+  let rows = req.body;
+  if (req.is("text/csv")) {
+    try {
+      rows = parseCsvRows(req.body || "");
+    } catch (error) {
+      throw new ValidationError(error.message);
+    }
+  }
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new ValidationError(
+      "Expected a non-empty JSON array or CSV file of costs."
+    );
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new ApiError(
+      413,
+      "PAYLOAD_TOO_LARGE",
+      `An import may contain at most ${MAX_IMPORT_ROWS} rows.`
+    );
+  }
+  return rows;
+}
+
+/**
+ * Validate one bulk import row the way POST /api/add validates a cost,
+ * except that past dates are allowed. A YYYY-MM-DD `date` is a day in the
+ * user's time zone; empty fields count as missing.
+ * @param {Object} row - The raw row.
+ * @param {Function} mayImportFor - Whether the signed-in account may add
+ *        costs for a userid.
+ * @param {Map<Number, Object>} users - The importing users, by id.
+ * @param {Map<String, String|null>} categoryErrors - Cache of Category.checkFor() results.
+ * @return {Promise<{ costDoc?: Cost, errors?: Array<{ field: String, message: String }> }>}
+ */
+async function validateImportRow(row, mayImportFor, users, categoryErrors) {
+  const fields = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const value =
+      row === null || typeof row !== "object" ? undefined : row[field];
+    if (value !== undefined && value !== null && value !== "") {
+      fields[field] = value;
+    }
+  });
+  const { date, ...costFields } = fields;
+
+  const costDoc = new Cost(costFields);
+  try {
+    await costDoc.validate();
+  } catch (error) {
+    if (!(error instanceof mongoose.Error.ValidationError)) throw error;
+    return {
+      errors: toApiError(error).details.map(({ field, message }) => ({
+        field,
+        message,
+      })),
+    };
+  }
+
+  const userError = (message) => ({ errors: [{ field: "userid", message }] });
+  if (!mayImportFor(costDoc.userid)) {
+    return userError(
+      `Not allowed to access the data of user ${costDoc.userid}.`
+    );
+  }
+  const userDoc = users.get(costDoc.userid);
+  if (!userDoc) {
+    return userError(`User with id ${costDoc.userid} does not exist.`);
+  }
+
+  const errors = [];
+  const categoryKey = JSON.stringify([
+    costDoc.userid,
+    costDoc.category,
+    costDoc.subcategory,
+  ]);
+  if (!categoryErrors.has(categoryKey)) {
+    categoryErrors.set(
+      categoryKey,
+      await Category.checkFor(
+        costDoc.userid,
+        costDoc.category,
+        costDoc.subcategory
+      )
+    );
+  }
+  if (categoryErrors.get(categoryKey)) {
+    errors.push({
+      field: "category",
+      message: categoryErrors.get(categoryKey),
+    });
+  }
+
+  if (date !== undefined) {
+    const day = parseDay(date);
+    const parsed = day
+      ? startOfZonedDay(day.year, day.month, day.day, getUserTimeZone(userDoc))
+      : new Date(date);
+    if (Number.isNaN(parsed.getTime())) {
+      errors.push({ field: "date", message: "Invalid date." });
+    } else {
+      costDoc.date = parsed;
+    }
+  }
+
+  return errors.length > 0 ? { errors } : { costDoc };
+}
+
+/**
+ * Drop the cached reports the imported costs fall into.
+ * @param {Array<Cost>} costDocs - The imported costs.
+ * @param {mongoose.ClientSession} session - The import's transaction.
+ * @return {Promise<void>}
+ */
+async function invalidateImportedReports(costDocs, session) {
+  const ranges = new Map();
+  costDocs.forEach((costDoc) => {
+    const range = ranges.get(costDoc.userid);
+    if (!range) {
+      ranges.set(costDoc.userid, { first: costDoc.date, last: costDoc.date });
+    } else {
+      if (costDoc.date < range.first) range.first = costDoc.date;
+      if (costDoc.date > range.last) range.last = costDoc.date;
+    }
+  });
+
+  for (const [userid, { first, last }] of ranges) {
+    await Report.invalidateBetween(userid, first, last, { session });
+  }
+}
 
 /**
  * @route   POST /api/add
  * @desc    Add a new cost item.
  * @body    {String} description - Description of the cost.
- * @body    {String} category - Category of the cost (must be one of: 'food', 'health', 'housing', 'sport', 'education').
- * @body    {Number} userid - ID of the user incurring the cost.
- * @body    {Number} sum - Amount of the cost.
- * @return  {Object} The newly created cost item in JSON format, or an error object.
+ * @body    {String} category - Category of the cost: a global category or one of the user's own (see GET /api/categories).
+ * @body    {String} [subcategory] - Subcategory of `category`.
+ * @body    {Number} userid - ID of the user incurring the cost. Must belong to an existing user; ordinary accounts may only use their own.
+ * @body    {Number} sum - Amount of the cost, rounded to the currency's minor unit.
+ * @body    {String} [currency] - ISO 4217 code of `sum` (default: the base currency).
+ * @body    {String} [date] - When the expense happened (defaults to now).
+ * @body    {Number} [year] - Alternative to `date`, together with month and day (four digits).
+ * @body    {Number} [month] - Month (1–12) of the expense.
+ * @body    {Number} [day] - Day of month of the expense, in the user's time zone.
+ * @body    {String} [groupId] - Group sharing the cost; `userid` is the member who paid.
+ * @body    {Object} [split] - How a group cost is split (default: equally
+ *          between all members): { method: 'equal', members?: [ userid, … ] },
+ *          { method: 'percentage', shares: [ { userid, percent }, … ] } or
+ *          { method: 'exact', shares: [ { userid, sum }, … ] }; percents
+ *          and sums may not be negative.
+ * @body    {Object} [receipt] - A receipt to attach: { contentType, data,
+ *          filename? } with `data` the base64-encoded file; see
+ *          POST /api/costs/:id/attachments for the accepted files.
+ * @body    {Array<String>} [tags] - Free-form labels such as 'reimbursable':
+ *          at most 20, each 1–50 letters, digits, '-' or '_'. They are
+ *          stored in lowercase, without duplicates.
+ * @header  {String} [X-Changed-By] - Admins only: who they act for, for the revision history.
+ * @header  {String} [Idempotency-Key] - Makes retries safe: repeating the
+ *          request with the same key and body returns the cost created
+ *          first (with `Idempotent-Replayed: true`) instead of adding another.
+ * @return  {Object} The newly created cost item in JSON format (group costs
+ *          with `splits: [ { userid, amount, percent? } ]` in minor units),
+ *          400 if the user does not exist, or an error object. When the cost pushes its
+ *          category over the user's monthly budget, the cost carries a
+ *          `warning` ({ message, category, year, month, budget, spent,
+ *          currency }) and a notification is recorded. 422 when the
+ *          Idempotency-Key was used for a different body, 409 while its first
+ *          request still runs, and 429 (with Retry-After) when the account
+ *          sent too many requests; see the RateLimit-* headers.
  */
-router.post("/add", async (req, res) => {
-  try {
-    const { description, category, userid, sum } = req.body;
+router.post(
+  "/add",
+  rateLimit,
+  idempotent,
+  validate({
+    body: {
+      description: { type: "string", required: true },
+      category: { type: "string", required: true },
+      subcategory: { type: "string" },
+      userid: { type: "integer", required: true },
+      sum: { type: "number", required: true },
+      currency: { type: "currency" },
+      groupId: { type: "objectId" },
+      split: { type: "object" },
+      receipt: { type: "object" },
+      tags: { type: "array", items: { type: "string" } },
+      ...COST_DATE_FIELDS,
+    },
+  }),
+  async (req, res) => {
+    const {
+      description,
+      category,
+      subcategory,
+      userid,
+      sum,
+      currency,
+      groupId,
+      split,
+      tags,
+    } = req.valid.body;
 
     // Create new Cost document
     const newCost = new Cost({
       description,
       category,
+      subcategory,
       userid,
       sum,
+      currency,
+      groupId,
+      tags: tags === undefined ? undefined : parseTags(tags),
     });
 
-    const savedCost = await newCost.save();
+    // Validate first so schema errors are reported before the user lookup
+    await newCost.validate();
+    assertUserAccess(req, newCost.userid);
+
+    const userDoc = await User.findOne({ id: newCost.userid }).lean();
+    if (!userDoc) {
+      throw new ValidationError([
+        {
+          field: "userid",
+          in: "body",
+          message: `User with id ${newCost.userid} does not exist.`,
+        },
+      ]);
+    }
+
+    const categoryError = await Category.checkFor(
+      newCost.userid,
+      newCost.category,
+      newCost.subcategory
+    );
+    if (categoryError) {
+      throw new ValidationError([
+        { field: "category", in: "body", message: categoryError },
+      ]);
+    }
+
+    if (split !== undefined && !newCost.groupId) {
+      throw new ValidationError([
+        {
+          field: "split",
+          in: "body",
+          message: "Only group costs can be split; give a groupId.",
+        },
+      ]);
+    }
+    if (newCost.groupId) {
+      await applySplit(newCost, split);
+    }
+
+    // The expense date is read in the user's time zone
+    const timeZone = getUserTimeZone(userDoc);
+    const date = parseCostDate(req.valid.body, timeZone);
+    if (date) {
+      newCost.date = date;
+    }
+
+    let savedCost;
+    if (req.valid.body.receipt !== undefined) {
+      const { buffer, attachment } = readReceipt(req.valid.body.receipt);
+      ({ costDoc: savedCost } = await attachFile(
+        req.app.locals.storage,
+        newCost,
+        buffer,
+        attachment
+      ));
+    } else {
+      savedCost = await newCost.save();
+    }
+    await Report.invalidateFor(savedCost.userid, savedCost.date);
+    await recordRevision(
+      savedCost._id,
+      "create",
+      getActor(req),
+      {},
+      snapshot(savedCost)
+    );
+
+    let warning = null;
+    try {
+      warning = await Budget.checkOverspend(savedCost, timeZone);
+    } catch (error) {
+      // Without a rate the budget cannot be checked; the cost still stands
+      if (!(error instanceof MissingRateError)) throw error;
+    }
+    if (warning) {
+      return res.status(201).json({ ...savedCost.toJSON(), warning });
+    }
     return res.status(201).json(savedCost);
-  } catch (error) {
-    return res.status(400).json({ error: error.message });
   }
-});
+);
+
+/**
+ * @route   POST /api/import
+ * @desc    Import many costs at once, e.g. a year of bank statements. Every row
+ *          is validated like POST /api/add (past dates are allowed), and the
+ *          rows are inserted all-or-nothing in one transaction; each imported
+ *          cost gets a 'create' revision. The same upload is only imported
+ *          once per account: re-sending it returns the earlier import.
+ * @body    {Array<Object>|String} Either a JSON array of { description,
+ *          category, subcategory?, userid, sum, currency?, date? } objects, or
+ *          a text/csv file with a header row naming those columns. A date of
+ *          the form YYYY-MM-DD is a day in the user's time zone. At most
+ *          10000 rows. Ordinary accounts may only import their own costs.
+ * @query   {String} [dryRun] - 'true' to validate the rows without importing them.
+ * @header  {String} [Idempotency-Key] - Identifies the upload (default: a
+ *          hash of its rows). Keys belong to the signed-in account.
+ * @header  {String} [X-Changed-By] - Admins only: who they act for, for the revision history.
+ * @return  {Object} 201 with { key, importId, imported } after an import;
+ *          { key, dryRun: true, valid, imported: 0 } for a dry run;
+ *          { key, duplicate: true, importId, imported: 0 } when the upload was
+ *          already imported; 400 with { error, code, details: [ { row, field,
+ *          message }, … ] } when rows are invalid (rows are numbered from 1,
+ *          after the CSV header), 413 for too many rows, 422 when the
+ *          Idempotency-Key was already used for different rows, or an error
+ *          object.
+ */
+router.post(
+  "/import",
+  express.text({ type: "text/csv", limit: "10mb" }),
+  validate({ query: { dryRun: { type: "boolean", default: false } } }),
+  async (req, res) => {
+    const rows = readImportRows(req);
+    const accountId = req.auth.accountId;
+    const rowsHash = crypto
+      .createHash("sha256")
+      .update(JSON.stringify(rows))
+      .digest("hex");
+    const key = req.get("Idempotency-Key") || rowsHash;
+    const previous = await CostImport.findOne({ accountId, key }).lean();
+    if (previous && previous.rowsHash !== rowsHash) {
+      throw new ApiError(
+        422,
+        "IDEMPOTENCY_KEY_MISMATCH",
+        "This Idempotency-Key was already used for a different upload."
+      );
+    }
+    if (previous) {
+      return res.json({
+        key,
+        duplicate: true,
+        importId: previous._id,
+        imported: 0,
+      });
+    }
+
+    const userids = new Set();
+    rows.forEach((row) => {
+      const userid = Number(row && row.userid);
+      if (Number.isInteger(userid)) userids.add(userid);
+    });
+    const users = new Map(
+      (await User.find({ id: { $in: [...userids] } }).lean()).map((userDoc) => [
+        userDoc.id,
+        userDoc,
+      ])
+    );
+
+    const mayImportFor = (userid) => isAdmin(req) || userid === req.auth.userid;
+    const categoryErrors = new Map();
+    const costDocs = [];
+    const details = [];
+    let failedRows = 0;
+    for (let i = 0; i < rows.length; i++) {
+      const result = await validateImportRow(
+        rows[i],
+        mayImportFor,
+        users,
+        categoryErrors
+      );
+      if (result.errors) {
+        failedRows++;
+        result.errors.forEach(({ field, message }) =>
+          details.push({ row: i + 1, field, in: "body", message })
+        );
+      } else {
+        costDocs.push(result.costDoc);
+      }
+    }
+    if (failedRows > 0) {
+      throw new ValidationError(
+        `${failedRows} of ${rows.length} rows failed validation; nothing was imported.`,
+        details
+      );
+    }
+
+    if (req.valid.query.dryRun) {
+      return res.json({
+        key,
+        dryRun: true,
+        valid: costDocs.length,
+        imported: 0,
+      });
+    }
+
+    const changedBy = getActor(req);
+    const session = await mongoose.startSession();
+    let importDoc;
+    try {
+      await session.withTransaction(async () => {
+        // The unique key makes a concurrent upload of the same file fail
+        [importDoc] = await CostImport.create(
+          [
+            {
+              accountId,
+              key,
+              rowsHash,
+              rowCount: costDocs.length,
+              costIds: costDocs.map((costDoc) => costDoc._id),
+              importedBy: changedBy,
+            },
+          ],
+          { session }
+        );
+        await Cost.insertMany(costDocs, { session });
+        await CostRevision.insertMany(
+          costDocs.map((costDoc) => ({
+            costId: costDoc._id,
+            action: "create",
+            changedBy,
+            changes: diffChanges({}, snapshot(costDoc)),
+          })),
+          { session }
+        );
+        await invalidateImportedReports(costDocs, session);
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        throw new ConflictError("This upload is already being imported.");
+      }
+      throw error;
+    } finally {
+      await session.endSession();
+    }
+
+    return res.status(201).json({
+      key,
+      importId: importDoc._id,
+      imported: costDocs.length,
+    });
+  }
+);
 
 /**
  * @route   GET /api/report
  * @desc    Get a monthly report of cost items for a given user, grouped by category.
- * @query   {Number} id - User ID to filter by.
- * @query   {Number} year - Year (e.g., 2025) to filter by.
- * @query   {Number} month - Month (1–12) to filter by.
+ *          Without `month` the report covers the whole `year`, and with
+ *          `from`/`to` an arbitrary range of days; those two give per-month,
+ *          per-category totals with month-over-month changes instead of the
+ *          monthly shape (see below).
+ *          Costs are placed by their expense `date`; soft-deleted costs are left out.
+ *          Items materialized from a recurring cost carry its `recurrenceId`.
+ *          The month boundaries and each cost's `day` are computed in one
+ *          time zone: `tz` if given, else the user's `timezone`, else UTC.
+ *          Reports of months that are already over are computed once and
+ *          then served from the Report collection. Budget figures are always
+ *          computed from the user's current budgets.
+ *          With `tag` the report only covers costs carrying that tag; such
+ *          reports are neither cached nor given budget figures, since a
+ *          budget limits a whole category.
+ * @query   {Number} id - User ID to filter by; ordinary accounts may only use their own.
+ * @query   {Number} year - Four-digit year (e.g., 2025) to filter by.
+ * @query   {Number} [month] - Month (1–12) to filter by; omit for a yearly report.
+ * @query   {String} [from] - First day of a range report, YYYY-MM-DD (with `to`, instead of year/month).
+ * @query   {String} [to] - Last day of a range report, YYYY-MM-DD, inclusive.
+ * @query   {String} [tz] - IANA time zone overriding the user's own.
+ * @query   {String} [currency] - Currency of the report (default: the base
+ *          currency). Other currencies are converted at the rate in effect on
+ *          each cost's date, and such items carry `original: { sum, currency }`.
+ * @query   {String} [tag] - Only costs with this tag (case-insensitive),
+ *          e.g. 'reimbursable'.
+ * @query   {String} [format] - 'json' or 'csv'; overrides the Accept header.
+ * @header  Accept - 'text/csv' for a CSV file with one row per cost
+ *          (category, day, description, sum) and a totals footer. Yearly and
+ *          range reports have a `date` (YYYY-MM-DD) column instead of `day`.
+ * @header  X-Cache - 'HIT' when the report was served from the Report
+ *          collection (past months only), otherwise 'MISS'.
  * @return  {Object} JSON document:
  *           {
  *             userid: <Number>,
  *             year:   <Number>,
  *             month:  <Number>,
  *             costs: [
- *               { food: [ { sum, description, day }, … ] },
+ *               { food: [ { sum, description, day, subcategory?, recurrenceId?,
+ *                           hasAttachment?, tags? }, … ] },
  *               { health: [ … ] },
  *               { housing: [ … ] },
  *               { sport: [ … ] },
- *               { education: [ … ] }
- *             ]
+ *               { education: [ … ] },
+ *               … one entry per further global or custom category
+ *             ],
+ *             currency: <String>   (only when requested),
+ *             tag:      <String>   (only when requested),
+ *             budgets: {           (only when the user has budgets, and no tag is given)
+ *               food: { budget, spent, remaining }, …
+ *             }
  *           }
- *         Or an error object.
+ *         The yearly report is { userid, year, months, totals, total,
+ *         currency?, tag? } and the range report { userid, from, to, costs,
+ *         months, totals, total, currency?, tag? }, where range items also
+ *         carry their `date` (YYYY-MM-DD) and
+ *           months: [ { year, month, totals: { food: <Number>, … }, total,
+ *                       change: { food: <Number|null>, … } }, … ]
+ *         with `change` the percentage change from the previous month (null
+ *         for the first month and after a month without costs). Items of
+ *         costs with receipts carry `hasAttachment: true`, and items of tagged
+ *         costs their `tags`. Only monthly reports are cached.
+ *         422 if an exchange rate is missing, or an error object.
  */
-router.get("/report", async (req, res) => {
-  try {
-    const id = parseInt(req.query.id, 10);
-    const year = parseInt(req.query.year, 10);
-    const month = parseInt(req.query.month, 10);
+router.get("/report", validate({ query: REPORT_QUERY }), async (req, res) => {
+  const query = req.valid.query;
+  const { id, year, month } = query;
+  const isRange = query.from !== undefined || query.to !== undefined;
+  const isYearly = !isRange && month === undefined;
 
-    if (Number.isNaN(id) || Number.isNaN(year) || Number.isNaN(month)) {
-      return res
-        .status(400)
-        .json({ error: "Invalid id, year, or month parameter." });
+  if (!isRange && year === undefined) {
+    throw new ValidationError([
+      { field: "year", in: "query", message: REPORT_QUERY.year.message },
+    ]);
+  }
+  if (isRange && (query.from === undefined || query.to === undefined)) {
+    const field = query.from === undefined ? "from" : "to";
+    throw new ValidationError([
+      { field, in: "query", message: REPORT_QUERY[field].message },
+    ]);
+  }
+  const tag = query.tag === undefined ? undefined : normalizeTag(query.tag);
+  if (tag !== undefined && !isValidTag(tag)) {
+    throw new ValidationError([
+      { field: "tag", in: "query", message: REPORT_QUERY.tag.message },
+    ]);
+  }
+  assertUserAccess(req, id);
+
+  res.vary("Accept");
+  const format = getResponseFormat(req);
+  if (!format) {
+    throw new ValidationError([
+      { field: "format", in: "query", message: "Invalid format parameter." },
+    ]);
+  }
+
+  const currency = query.currency || getBaseCurrency();
+
+  let timeZone = query.tz;
+  if (timeZone === undefined) {
+    const userDoc = await User.findOne({ id }).select("timezone").lean();
+    timeZone = getUserTimeZone(userDoc);
+  }
+
+  if (isRange || isYearly) {
+    let first;
+    let last;
+    if (isRange) {
+      first = query.from;
+      last = query.to;
+    } else {
+      first = { year, month: 1, day: 1 };
+      last = { year, month: 12, day: 31 };
     }
 
-    // Compute date range: from start of given month to start of next month
-    const startDate = new Date(year, month - 1, 1);
-    const endDate = new Date(year, month, 1);
+    const start = startOfZonedDay(first.year, first.month, first.day, timeZone);
+    const end = startOfZonedDay(last.year, last.month, last.day + 1, timeZone);
+    if (end.getTime() <= start.getTime()) {
+      throw new ValidationError([
+        { field: "from", in: "query", message: "from cannot be after to." },
+      ]);
+    }
 
-    // Find all costs matching userid and createdAt within [startDate, endDate)
-    const allCosts = await Cost.find({
-      userid: id,
-      createdAt: { $gte: startDate, $lt: endDate },
-    }).lean();
+    const costsArray = await buildReportCosts(id, start, end, timeZone, tag);
+    const convertItem = await createItemConverter(costsArray, currency);
+    const summary = summarizeMonths(
+      costsArray,
+      monthsBetween(first, last),
+      convertItem,
+      currency,
+      timeZone
+    );
 
-    // Initialize an object with empty arrays for each category
-    const categories = ["food", "health", "housing", "sport", "education"];
-    const grouped = {};
-    categories.forEach((cat) => {
-      grouped[cat] = [];
-    });
+    if (format === "csv") {
+      const rows = toReportCsvRows(
+        convertReportCosts(costsArray, convertItem, currency, timeZone),
+        currency,
+        "date"
+      );
+      const period = isRange
+        ? `${req.query.from}-${req.query.to}`
+        : String(year);
+      return sendCsv(res, `report-${id}-${period}.csv`, rows);
+    }
 
-    // Populate grouping
-    allCosts.forEach((c) => {
-      const dayOfMonth = c.createdAt.getUTCDate();
-      grouped[c.category].push({
-        sum: c.sum,
-        description: c.description,
-        day: dayOfMonth,
-      });
-    });
+    const result = isRange
+      ? {
+          userid: id,
+          from: req.query.from,
+          to: req.query.to,
+          costs: convertReportCosts(
+            costsArray,
+            convertItem,
+            currency,
+            timeZone
+          ),
+          ...summary,
+        }
+      : { userid: id, year, ...summary };
+    if (query.currency !== undefined) {
+      result.currency = currency;
+    }
+    if (tag !== undefined) {
+      result.tag = tag;
+    }
+    return res.json(result);
+  }
+
+  // Compute date range: from start of given month to start of next month
+  const { start: startDate, end: endDate } = getZonedMonthRange(
+    year,
+    month,
+    timeZone
+  );
+
+  // Months that are already over are served from the Report collection,
+  // unless the report is filtered by tag
+  const isPastMonth = endDate.getTime() <= Date.now();
+  const isCacheable = isPastMonth && tag === undefined;
+  const cacheKey = { userid: id, year, month, timezone: timeZone };
 
-    // Build the costs array in the required format
-    const costsArray = categories.map((cat) => {
-      return { [cat]: grouped[cat] };
+  let costsArray;
+  const cached = isCacheable
+    ? await Report.findOne({
+        ...cacheKey,
+        format: REPORT_CACHE_FORMAT,
+      }).lean()
+    : null;
+  if (cached) {
+    costsArray = cached.costs;
+    res.set("X-Cache", "HIT");
+  } else {
+    costsArray = await buildReportCosts(id, startDate, endDate, timeZone, tag);
+    if (isCacheable) {
+      await Report.updateOne(
+        cacheKey,
+        {
+          $set: {
+            start: startDate,
+            end: endDate,
+            costs: costsArray,
+            format: REPORT_CACHE_FORMAT,
+            computedAt: new Date(),
+          },
+        },
+        { upsert: true }
+      );
+    }
+    res.set("X-Cache", "MISS");
+  }
+
+  const convertItem = await createItemConverter(costsArray, currency);
+  const result = {
+    userid: id,
+    year: year,
+    month: month,
+    costs: convertReportCosts(costsArray, convertItem, currency),
+  };
+  if (format === "csv") {
+    return sendCsv(
+      res,
+      `report-${id}-${year}-${String(month).padStart(2, "0")}.csv`,
+      toReportCsvRows(result.costs, currency, "day")
+    );
+  }
+  if (query.currency !== undefined) {
+    result.currency = currency;
+  }
+  if (tag !== undefined) {
+    result.tag = tag;
+    return res.json(result);
+  }
+
+  const budgets = await Budget.find({ userid: id }).lean();
+  if (budgets.length > 0) {
+    // Budgets are converted at the month's last rate known so far
+    const rateDate = new Date(Math.min(endDate.getTime() - 1, Date.now()));
+    result.budgets = await summarizeBudgets(
+      budgets,
+      result.costs,
+      currency,
+      rateDate
+    );
+  }
+  return res.json(result);
+});
+
+/**
+ * @route   GET /api/costs/:id
+ * @desc    Get a single cost item. Soft-deleted costs are reported as not found.
+ * @param   {String} id - The cost's ObjectId in the URL path.
+ * @return  {Object} The cost item in JSON format, or an error object.
+ */
+router.get("/costs/:id", validate({ params: ID_PARAMS }), async (req, res) => {
+  const costDoc = await findCost(req);
+  return res.json(costDoc);
+});
+
+/**
+ * @route   GET /api/costs/:id/history
+ * @desc    Get the revision history of a cost item, oldest first. Also works
+ *          for soft- and hard-deleted costs.
+ * @param   {String} id - The cost's ObjectId in the URL path.
+ * @return  {Array<Object>} e.g. [ { action, changedBy, changes: [ { field, from, to } ], createdAt }, … ]
+ *          Or an error object.
+ */
+router.get(
+  "/costs/:id/history",
+  validate({ params: ID_PARAMS }),
+  async (req, res) => {
+    const costId = req.valid.params.id;
+    const revisions = await CostRevision.find({ costId })
+      .sort({ createdAt: 1, _id: 1 })
+      .select("-__v")
+      .lean();
+    if (revisions.length === 0) {
+      throw new NotFoundError("Cost not found.");
+    }
+
+    // A hard-deleted cost's owner is only known from its revisions
+    const costDoc = await Cost.findById(costId).select("userid").lean();
+    assertUserAccess(req, costDoc ? costDoc.userid : historyOwner(revisions));
+
+    return res.json(revisions);
+  }
+);
+
+/**
+ * @route   PATCH /api/costs/:id
+ * @desc    Update some fields of a cost item and record the change in its history.
+ * @param   {String} id - The cost's ObjectId in the URL path.
+ * @header  {String} [X-Changed-By] - Admins only: who they act for (default: the signed-in username).
+ * @body    {String} [description]
+ * @body    {String} [category] - Changing it drops the subcategory unless a new one is given.
+ * @body    {String} [subcategory]
+ * @body    {Number} [userid] - Must belong to an existing user (and to the group of a group cost).
+ * @body    {Number} [sum]
+ * @body    {String} [date] - New expense date, or year/month/day as in POST /api/add.
+ * @body    {Array<String>} [tags] - Replaces the cost's tags, as in POST /api/add; [] removes them.
+ * @body    {Object} [split] - New split of a group cost, as in POST /api/add.
+ *          Without it, a changed sum is split the way it was; exact shares
+ *          must then be given again.
+ * @return  {Object} The updated cost item in JSON format, or an error object.
+ */
+router.patch(
+  "/costs/:id",
+  validate({
+    params: ID_PARAMS,
+    body: {
+      description: { type: "string" },
+      category: { type: "string" },
+      subcategory: { type: "string", nullable: true },
+      userid: { type: "integer" },
+      sum: { type: "number" },
+      currency: { type: "currency" },
+      split: { type: "object" },
+      tags: { type: "array", items: { type: "string" } },
+      ...COST_DATE_FIELDS,
+    },
+  }),
+  async (req, res) => {
+    const costDoc = await findCost(req);
+
+    const body = req.valid.body;
+    if ((req.body || {}).groupId !== undefined) {
+      throw new ValidationError([
+        {
+          field: "groupId",
+          in: "body",
+          message: "The group of a cost cannot be changed.",
+        },
+      ]);
+    }
+    if (body.split !== undefined && !costDoc.groupId) {
+      throw new ValidationError([
+        {
+          field: "split",
+          in: "body",
+          message: "Only group costs can be split.",
+        },
+      ]);
+    }
+
+    const updates = {};
+    TRACKED_FIELDS.forEach((field) => {
+      if (field !== "date" && field !== "tags" && body[field] !== undefined) {
+        updates[field] = body[field];
+      }
     });
+    if (body.tags !== undefined) {
+      updates.tags = parseTags(body.tags);
+    }
+
+    // A new category drops the old subcategory unless a new one is given
+    if (
+      updates.category !== undefined &&
+      updates.category !== costDoc.category &&
+      updates.subcategory === undefined
+    ) {
+      updates.subcategory = undefined;
+    }
+
+    const before = snapshot(costDoc);
+    costDoc.set(updates);
+    await costDoc.validate();
+
+    // Moving a cost needs access to the new user as well
+    if (costDoc.isModified("userid")) {
+      assertUserAccess(req, costDoc.userid);
+    }
+
+    const userDoc = await User.findOne({ id: costDoc.userid }).lean();
+    if (!userDoc && costDoc.isModified("userid")) {
+      throw new ValidationError([
+        {
+          field: "userid",
+          in: "body",
+          message: `User with id ${costDoc.userid} does not exist.`,
+        },
+      ]);
+    }
+
+    if (
+      costDoc.isModified("category") ||
+      costDoc.isModified("subcategory") ||
+      costDoc.isModified("userid")
+    ) {
+      const categoryError = await Category.checkFor(
+        costDoc.userid,
+        costDoc.category,
+        costDoc.subcategory
+      );
+      if (categoryError) {
+        throw new ValidationError([
+          { field: "category", in: "body", message: categoryError },
+        ]);
+      }
+    }
 
-    return res.json({
-      userid: id,
-      year: year,
-      month: month,
-      costs: costsArray,
+    if (
+      costDoc.groupId &&
+      (body.split !== undefined ||
+        costDoc.isModified("amount") ||
+        costDoc.isModified("userid"))
+    ) {
+      await applySplit(
+        costDoc,
+        body.split === undefined ? currentSplit(costDoc) : body.split
+      );
+    }
+
+    const date = parseCostDate(body, getUserTimeZone(userDoc));
+    if (date) {
+      costDoc.date = date;
+    }
+
+    const savedCost = await costDoc.save();
+    await Report.invalidateFor(before.userid, before.date);
+    await Report.invalidateFor(savedCost.userid, savedCost.date);
+    await recordRevision(
+      savedCost._id,
+      "update",
+      getActor(req),
+      before,
+      snapshot(savedCost)
+    );
+
+    return res.json(savedCost);
+  }
+);
+
+/**
+ * @route   DELETE /api/costs/:id
+ * @desc    Delete a cost item. By default the cost is soft-deleted (kept with a
+ *          `deletedAt` timestamp and left out of reports and totals); with
+ *          `hard=true` it is removed from the database. The revision history
+ *          is kept in both cases; attached receipts are deleted in both.
+ * @param   {String} id - The cost's ObjectId in the URL path.
+ * @query   {Boolean} [hard=false] - Permanently remove the cost.
+ * @header  {String} [X-Changed-By] - Admins only: who they act for (default: the signed-in username).
+ * @return  {Object} JSON: { _id: <String>, deleted: 'soft' | 'hard' }, or an error object.
+ */
+router.delete(
+  "/costs/:id",
+  validate({
+    params: ID_PARAMS,
+    query: { hard: { type: "boolean", default: false } },
+  }),
+  async (req, res) => {
+    const costDoc = await findCost(req);
+
+    const hard = req.valid.query.hard;
+    const before = snapshot(costDoc);
+    const attachmentIds = (costDoc.attachments || []).map((a) => a._id);
+    await Report.invalidateFor(before.userid, before.date);
+
+    if (hard) {
+      await Cost.deleteOne({ _id: costDoc._id });
+      await recordRevision(costDoc._id, "delete", getActor(req), before, {});
+    } else {
+      costDoc.deletedAt = new Date();
+      costDoc.attachments = undefined;
+      const savedCost = await costDoc.save();
+      await recordRevision(
+        costDoc._id,
+        "delete",
+        getActor(req),
+        before,
+        snapshot(savedCost)
+      );
+    }
+    for (const id of attachmentIds) {
+      await req.app.locals.storage.remove(id);
+    }
+
+    return res.json({ _id: costDoc._id, deleted: hard ? "hard" : "soft" });
+  }
+);
+
+/**
+ * @route   POST /api/costs/:id/attachments
+ * @desc    Attach a receipt to a cost item. The request body is the file
+ *          itself, with its MIME type as Content-Type: a PDF, JPEG, PNG or
+ *          WebP image of at most 5 MB whose content matches the type. A cost
+ *          has at most 5 attachments.
+ * @param   {String} id - The cost's ObjectId in the URL path.
+ * @query   {String} [filename] - Name to download the file under (default:
+ *          'receipt' with the type's extension).
+ * @return  {Object} 201 with the attachment: { _id, filename, contentType,
+ *          size, createdAt }; 413 for a larger file, 415 for another type,
+ *          409 when the cost has all its attachments, or an error object.
+ */
+router.post(
+  "/costs/:id/attachments",
+  express.raw({ type: () => true, limit: MAX_ATTACHMENT_BYTES }),
+  validate({
+    params: ID_PARAMS,
+    query: { filename: { type: "string", max: 255 } },
+  }),
+  async (req, res) => {
+    const costDoc = await findCost(req);
+    if ((costDoc.attachments || []).length >= MAX_ATTACHMENTS_PER_COST) {
+      throw new ConflictError(
+        `A cost can have at most ${MAX_ATTACHMENTS_PER_COST} attachments.`
+      );
+    }
+
+    // JSON and other bodies the app parsed already are not files
+    const buffer = Buffer.isBuffer(req.body) ? req.body : Buffer.alloc(0);
+    const { attachment } = await attachFile(
+      req.app.locals.storage,
+      costDoc,
+      buffer,
+      describeAttachment(
+        buffer,
+        req.get("Content-Type"),
+        req.valid.query.filename
+      )
+    );
+    await Report.invalidateFor(costDoc.userid, costDoc.date);
+
+    return res.status(201).json(attachment);
+  }
+);
+
+/**
+ * @route   GET /api/costs/:id/attachments/:attachmentId
+ * @desc    Download an attachment of a cost item.
+ * @param   {String} id - The cost's ObjectId in the URL path.
+ * @param   {String} attachmentId - The attachment's ObjectId in the URL path.
+ * @return  The file, with its Content-Type and a Content-Disposition naming
+ *          it, or an error object.
+ */
+router.get(
+  "/costs/:id/attachments/:attachmentId",
+  validate({ params: ATTACHMENT_PARAMS }),
+  async (req, res) => {
+    const costDoc = await findCost(req);
+    const attachment = findAttachment(costDoc, req.valid.params.attachmentId);
+    const stream = await req.app.locals.storage.open(attachment._id);
+    if (!stream) {
+      throw new NotFoundError("Attachment file not found.");
+    }
+
+    res.attachment(attachment.filename);
+    res.set({
+      "Content-Type": attachment.contentType,
+      "Content-Length": String(attachment.size),
+      "X-Content-Type-Options": "nosniff",
     });
-  } catch (error) {
-    return res.status(500).json({ error: error.message });
+    await pipeline(stream, res);
   }
-});
+);
+
+/**
+ * @route   DELETE /api/costs/:id/attachments/:attachmentId
+ * @desc    Delete an attachment of a cost item, file included.
+ * @param   {String} id - The cost's ObjectId in the URL path.
+ * @param   {String} attachmentId - The attachment's ObjectId in the URL path.
+ * @return  {Object} The deleted attachment, or an error object.
+ */
+router.delete(
+  "/costs/:id/attachments/:attachmentId",
+  validate({ params: ATTACHMENT_PARAMS }),
+  async (req, res) => {
+    const costDoc = await findCost(req);
+    const attachment = findAttachment(costDoc, req.valid.params.attachmentId);
+
+    costDoc.attachments.pull(attachment._id);
+    if (costDoc.attachments.length === 0) {
+      costDoc.attachments = undefined;
+    }
+    await costDoc.save();
+    await req.app.locals.storage.remove(attachment._id);
+    await Report.invalidateFor(costDoc.userid, costDoc.date);
+
+    return res.json(attachment);
+  }
+);
 
 module.exports = router;
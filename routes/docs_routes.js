@@ -0,0 +1,15 @@
+const express = require("express");
+const router = express.Router();
+
+const openapi = require("../docs/openapi");
+
+/**
+ * @route   GET /api/openapi.json
+ * @desc    Get the OpenAPI 3 description of every endpoint and response shape. Public.
+ * @return  {Object} The OpenAPI document.
+ */
+router.get("/openapi.json", (req, res) => {
+  return res.json(openapi);
+});
+
+module.exports = router;
@@ -0,0 +1,415 @@
+const express = require("express");
+const router = express.Router();
+
+const Cost = require("../models/Cost");
+const Group = require("../models/Group");
+const User = require("../models/User");
+const { isAdmin, assertUserAccess } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { getBaseCurrency, fromMinor } = require("../utils/currency");
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const { createConverter } = require("../utils/exchange_rates");
+const { allocate, settle } = require("../utils/splits");
+
+/**
+ * Strip Mongoose internals from a group document for JSON output.
+ * @param {Object} groupDoc - A Group document or lean object.
+ * @return {Object} The public group fields.
+ */
+function toGroupJson(groupDoc) {
+  return {
+    _id: groupDoc._id,
+    name: groupDoc.name,
+    members: groupDoc.members,
+    invited: groupDoc.invited || [],
+    createdBy: groupDoc.createdBy === undefined ? null : groupDoc.createdBy,
+    currency: groupDoc.currency,
+  };
+}
+
+/**
+ * Path parameters of the /groups/:id routes.
+ */
+const ID_PARAMS = {
+  id: { type: "objectId", required: true, message: "Invalid group ID." },
+};
+
+/**
+ * Load the group of a validated `:id` path parameter. Only members and
+ * admins may access it.
+ * @param {express.Request} req
+ * @param {Object} [options]
+ * @param {Boolean} [options.invited=false] - Also let invited users in.
+ * @return {Promise<Object>} The Group document.
+ * @throws {NotFoundError|ForbiddenError}
+ */
+async function findGroup(req, { invited = false } = {}) {
+  const groupDoc = await Group.findById(req.valid.params.id);
+  if (!groupDoc) {
+    throw new NotFoundError("Group not found.");
+  }
+  const userid = req.auth.userid;
+  if (
+    !isAdmin(req) &&
+    !groupDoc.members.includes(userid) &&
+    !(invited && groupDoc.invited.includes(userid))
+  ) {
+    throw new ForbiddenError("Not a member of this group.");
+  }
+  return groupDoc;
+}
+
+/**
+ * Check that the signed-in account may change who is in a group: admins
+ * and the account that created it may.
+ * @param {express.Request} req
+ * @param {Object} groupDoc - The Group document.
+ * @throws {ForbiddenError} When it may not.
+ */
+function assertCanChangeMembers(req, groupDoc) {
+  if (!isAdmin(req) && groupDoc.createdBy !== req.auth.userid) {
+    throw new ForbiddenError(
+      "Only the group's creator or an admin can change its members."
+    );
+  }
+}
+
+/**
+ * Check that every member of a group exists.
+ * @param {Array<Number>} members - Userids.
+ * @return {Promise<void>}
+ * @throws {ValidationError} When one does not.
+ */
+async function assertMembersExist(members) {
+  const found = await User.find({ id: { $in: members } }).distinct("id");
+  const missing = members.filter((userid) => !found.includes(userid));
+  if (missing.length > 0) {
+    throw new ValidationError([
+      {
+        field: "members",
+        in: "body",
+        message: `User(s) ${missing.join(", ")} do not exist.`,
+      },
+    ]);
+  }
+}
+
+/**
+ * Body fields of a new group; the Group model checks the rest.
+ */
+const GROUP_BODY = {
+  name: { type: "string", required: true },
+  members: {
+    type: "array",
+    required: true,
+    min: 1,
+    items: { type: "integer" },
+  },
+  currency: { type: "currency" },
+};
+
+/**
+ * @route   GET /api/groups
+ * @desc    List shared-expense groups, optionally those of one member.
+ *          Ordinary accounts only see their own groups and those they are
+ *          invited to.
+ * @query   {Number} [userid] - Only groups this user is a member of.
+ * @return  {Array<Object>} e.g. [ { _id, name, members: [ 1, 2 ], invited: [ 3 ], createdBy: 1, currency }, … ],
+ *          or an error object.
+ */
+router.get(
+  "/groups",
+  validate({ query: { userid: { type: "integer" } } }),
+  async (req, res) => {
+    const filter = isAdmin(req)
+      ? {}
+      : { $or: [{ members: req.auth.userid }, { invited: req.auth.userid }] };
+    if (req.valid.query.userid !== undefined) {
+      assertUserAccess(req, req.valid.query.userid);
+      filter.members = req.valid.query.userid;
+    }
+
+    const groups = await Group.find(filter).sort({ createdAt: 1 }).lean();
+    return res.json(groups.map(toGroupJson));
+  }
+);
+
+/**
+ * @route   POST /api/groups
+ * @desc    Create a group of users who share costs, e.g. a household.
+ *          Ordinary accounts must include their own user; the other users
+ *          they list are only invited, and become members when they join.
+ * @body    {String} name - e.g. 'Home'.
+ * @body    {Array<Number>} members - Userids of existing users.
+ * @body    {String} [currency] - ISO 4217 code balances are settled in (default: the base currency).
+ * @return  {Object} The new group with status 201, or an error object.
+ */
+router.post("/groups", validate({ body: GROUP_BODY }), async (req, res) => {
+  const newGroup = new Group(req.valid.body);
+  await newGroup.validate();
+
+  const userid = req.auth.userid;
+  if (!isAdmin(req)) {
+    if (!newGroup.members.includes(userid)) {
+      throw new ForbiddenError(
+        "You can only create groups you are a member of."
+      );
+    }
+    newGroup.invited = newGroup.members.filter((member) => member !== userid);
+    newGroup.members = [userid];
+  }
+  newGroup.createdBy = typeof userid === "number" ? userid : null;
+  await assertMembersExist([...newGroup.members, ...newGroup.invited]);
+
+  const savedGroup = await newGroup.save();
+  return res.status(201).json(toGroupJson(savedGroup));
+});
+
+/**
+ * @route   GET /api/groups/:id
+ * @desc    Get one group. Members, invited users and admins only.
+ * @param   {String} id - The group's ObjectId in the URL path.
+ * @return  {Object} The group, or an error object.
+ */
+router.get("/groups/:id", validate({ params: ID_PARAMS }), async (req, res) => {
+  const groupDoc = await findGroup(req, { invited: true });
+  return res.json(toGroupJson(groupDoc));
+});
+
+/**
+ * @route   PATCH /api/groups/:id
+ * @desc    Rename a group, change its currency or its members. Only the
+ *          group's creator and admins can change the members; users the
+ *          creator adds are invited, not made members. A member who paid or
+ *          shares a group cost cannot be removed.
+ * @param   {String} id - The group's ObjectId in the URL path.
+ * @body    {String} [name]
+ * @body    {Array<Number>} [members] - The complete new member list,
+ *          invited users included.
+ * @body    {String} [currency]
+ * @return  {Object} The updated group, 403 when changing the members of
+ *          someone else's group, 409 when a removed member still has group
+ *          costs, or an error object.
+ */
+router.patch(
+  "/groups/:id",
+  validate({
+    params: ID_PARAMS,
+    body: {
+      ...GROUP_BODY,
+      name: { type: "string" },
+      members: { ...GROUP_BODY.members, required: false },
+    },
+  }),
+  async (req, res) => {
+    const groupDoc = await findGroup(req);
+
+    const body = req.valid.body;
+    const previousMembers = [...groupDoc.members];
+    ["name", "currency"].forEach((field) => {
+      if (body[field] !== undefined) {
+        groupDoc[field] = body[field];
+      }
+    });
+    if (body.members !== undefined && isAdmin(req)) {
+      groupDoc.members = body.members;
+      groupDoc.invited = groupDoc.invited.filter(
+        (userid) => !body.members.includes(userid)
+      );
+    } else if (body.members !== undefined) {
+      // Users the creator adds have to join by themselves
+      const members = body.members.filter((userid) =>
+        previousMembers.includes(userid)
+      );
+      const invited = body.members.filter(
+        (userid) => !previousMembers.includes(userid)
+      );
+      const unchanged =
+        members.length === previousMembers.length &&
+        invited.length === groupDoc.invited.length &&
+        invited.every((userid) => groupDoc.invited.includes(userid));
+      if (!unchanged) {
+        assertCanChangeMembers(req, groupDoc);
+        groupDoc.members = members;
+        groupDoc.invited = invited;
+      }
+    }
+    await groupDoc.validate();
+
+    if (groupDoc.isModified("members") || groupDoc.isModified("invited")) {
+      await assertMembersExist([...groupDoc.members, ...groupDoc.invited]);
+
+      const removed = previousMembers.filter(
+        (userid) => !groupDoc.members.includes(userid)
+      );
+      const inUse =
+        removed.length > 0 &&
+        (await Cost.exists({
+          groupId: groupDoc._id,
+          deletedAt: null,
+          $or: [
+            { userid: { $in: removed } },
+            { "splits.userid": { $in: removed } },
+          ],
+        }));
+      if (inUse) {
+        throw new ConflictError(
+          "Members who paid or share a group cost cannot be removed."
+        );
+      }
+    }
+
+    const savedGroup = await groupDoc.save();
+    return res.json(toGroupJson(savedGroup));
+  }
+);
+
+/**
+ * @route   POST /api/groups/:id/join
+ * @desc    Accept an invitation: the signed-in account's user becomes a
+ *          member of the group.
+ * @param   {String} id - The group's ObjectId in the URL path.
+ * @return  {Object} The updated group, 403 without an invitation, or an
+ *          error object.
+ */
+router.post(
+  "/groups/:id/join",
+  validate({ params: ID_PARAMS }),
+  async (req, res) => {
+    const userid = req.auth.userid;
+    if (typeof userid !== "number") {
+      throw new ForbiddenError("Only accounts of a user can join a group.");
+    }
+    const groupDoc = await Group.findOneAndUpdate(
+      { _id: req.valid.params.id, invited: userid },
+      { $pull: { invited: userid }, $addToSet: { members: userid } },
+      { new: true }
+    );
+    if (!groupDoc) {
+      if (!(await Group.exists({ _id: req.valid.params.id }))) {
+        throw new NotFoundError("Group not found.");
+      }
+      throw new ForbiddenError("You have not been invited to this group.");
+    }
+    return res.json(toGroupJson(groupDoc));
+  }
+);
+
+/**
+ * @route   DELETE /api/groups/:id
+ * @desc    Delete a group that has no live costs.
+ * @param   {String} id - The group's ObjectId in the URL path.
+ * @return  {Object} The removed group, 409 if it still has costs, or an error object.
+ */
+router.delete(
+  "/groups/:id",
+  validate({ params: ID_PARAMS }),
+  async (req, res) => {
+    const groupDoc = await findGroup(req);
+
+    const costCount = await Cost.countDocuments({
+      groupId: groupDoc._id,
+      deletedAt: null,
+    });
+    if (costCount > 0) {
+      throw new ConflictError(`Group still has ${costCount} cost(s).`);
+    }
+
+    await Group.deleteOne({ _id: groupDoc._id });
+    return res.json(toGroupJson(groupDoc));
+  }
+);
+
+/**
+ * @route   GET /api/groups/:id/balances
+ * @desc    Work out who owes whom in a group: what each member paid for
+ *          group costs, their share of them, and the fewest transfers that
+ *          settle everything (see settle() for groups of over 20).
+ *          Costs in other currencies are converted at the rate in effect on
+ *          their date, then split in the proportions of their shares.
+ * @param   {String} id - The group's ObjectId in the URL path.
+ * @query   {String} [currency] - Currency of the figures (default: the group's).
+ * @return  {Object} JSON:
+ *           {
+ *             groupId:  <String>,
+ *             currency: <String>,
+ *             balances: [ { userid, paid, share, net }, … ],  (net > 0: is owed)
+ *             settlements: [ { from, to, amount }, … ]
+ *           }
+ *         422 if an exchange rate is missing, or an error object.
+ */
+router.get(
+  "/groups/:id/balances",
+  validate({
+    params: ID_PARAMS,
+    query: {
+      currency: { type: "currency", message: "Invalid currency parameter." },
+    },
+  }),
+  async (req, res) => {
+    const groupDoc = await findGroup(req);
+    const currency =
+      req.valid.query.currency || groupDoc.currency || getBaseCurrency();
+
+    const costs = await Cost.find({ groupId: groupDoc._id, deletedAt: null })
+      .select("userid amount currency date splits")
+      .lean();
+    const convert = await createConverter(
+      currency,
+      costs.map((c) => c.currency)
+    );
+
+    const paid = new Map();
+    const share = new Map();
+    groupDoc.members.forEach((userid) => {
+      paid.set(userid, 0);
+      share.set(userid, 0);
+    });
+    const add = (map, userid, amount) =>
+      map.set(userid, (map.get(userid) || 0) + amount);
+
+    costs.forEach((cost) => {
+      const splits = cost.splits || [];
+      const total = convert(cost.amount, cost.currency, cost.date);
+      const weights = splits.map((s) => s.amount);
+      if (weights.every((w) => w === 0)) return;
+
+      // Split the converted total so the shares still add up to it exactly
+      const parts = allocate(total, weights);
+      add(paid, cost.userid, total);
+      splits.forEach((s, i) => add(share, s.userid, parts[i]));
+    });
+
+    const nets = new Map();
+    const balances = [...paid.keys()]
+      .concat([...share.keys()].filter((userid) => !paid.has(userid)))
+      .sort((a, b) => a - b)
+      .map((userid) => {
+        const net = (paid.get(userid) || 0) - (share.get(userid) || 0);
+        nets.set(userid, net);
+        return {
+          userid,
+          paid: fromMinor(paid.get(userid) || 0, currency),
+          share: fromMinor(share.get(userid) || 0, currency),
+          net: fromMinor(net, currency),
+        };
+      });
+
+    return res.json({
+      groupId: groupDoc._id,
+      currency,
+      balances,
+      settlements: settle(nets).map((t) => ({
+        ...t,
+        amount: fromMinor(t.amount, currency),
+      })),
+    });
+  }
+);
+
+module.exports = router;
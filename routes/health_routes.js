@@ -0,0 +1,51 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * Names of mongoose's connection states, by readyState.
+ */
+const DB_STATES = ["disconnected", "connected", "connecting", "disconnecting"];
+
+/**
+ * The state of the app's database connection (see createApp).
+ * @param {import("express").Request} req
+ * @return {String} e.g. 'connected'.
+ */
+function dbState(req) {
+  return DB_STATES[req.app.locals.db.readyState] || "unknown";
+}
+
+/**
+ * @route   GET /healthz
+ * @desc    Liveness probe: answers while the process runs, whatever the
+ *          state of the database. Public; not under /api and not logged.
+ * @return  {Object} JSON: { status: 'ok', db: <String>, uptime: <Number> },
+ *          with `db` the connection state and `uptime` in seconds.
+ */
+router.get("/healthz", (req, res) => {
+  return res.json({
+    status: "ok",
+    db: dbState(req),
+    uptime: Math.round(process.uptime()),
+  });
+});
+
+/**
+ * @route   GET /readyz
+ * @desc    Readiness probe: whether the app should get traffic, i.e. the
+ *          database is connected and the server is not shutting down.
+ *          Public; not under /api and not logged.
+ * @return  {Object} JSON: { status: 'ready'|'unavailable', db: <String>,
+ *          shuttingDown: <Boolean> }, with status 200 when ready and 503
+ *          otherwise.
+ */
+router.get("/readyz", (req, res) => {
+  const db = dbState(req);
+  const shuttingDown = req.app.locals.shuttingDown;
+  const ready = db === "connected" && !shuttingDown;
+  return res
+    .status(ready ? 200 : 503)
+    .json({ status: ready ? "ready" : "unavailable", db, shuttingDown });
+});
+
+module.exports = router;
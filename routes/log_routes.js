@@ -0,0 +1,107 @@
+const express = require("express");
+const router = express.Router();
+
+const Log = require("../models/Log");
+const { ValidationError } = require("../utils/errors");
+const { LEVELS } = require("../utils/logger");
+const { encodeCursor, decodeCursor, afterCursor } = require("../utils/cursor");
+const { requireAdmin } = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+
+/**
+ * Query parameters of GET /api/logs.
+ */
+const LOGS_QUERY = {
+  level: { type: "string", enum: LEVELS },
+  route: { type: "string" },
+  requestId: { type: "string" },
+  userid: { type: "integer" },
+  from: { type: "date", message: "Invalid from." },
+  to: { type: "date", message: "Invalid to." },
+  limit: { type: "integer", min: 1, max: 200, default: 50 },
+  cursor: { type: "string" },
+};
+
+/**
+ * @route   GET /api/logs
+ * @desc    Admins only: list log entries, newest first, a page at a time.
+ *          Request bodies appear only on failed requests, and only redacted.
+ * @query   {String} [level] - Minimum level: 'debug', 'info', 'warn' or 'error'.
+ * @query   {String} [route] - Only entries of this route, e.g. '/api/users/:id'.
+ * @query   {String} [requestId] - Only entries of this request.
+ * @query   {Number} [userid] - Only requests of accounts that log in as this user.
+ * @query   {String} [from] - Only entries logged at or after this instant.
+ * @query   {String} [to] - Only entries logged before this instant.
+ * @query   {Number} [limit=50] - Page size (max 200).
+ * @query   {String} [cursor] - `nextCursor` of the previous page.
+ * @return  {Object} JSON:
+ *           {
+ *             logs:       [ { _id, level, message, requestId, method, route, path,
+ *                             status, durationMs, userid, username, error, body,
+ *                             context, createdAt }, … ],
+ *             nextCursor: <String|null>   (null on the last page)
+ *           }
+ *         Or an error object.
+ */
+router.get(
+  "/logs",
+  requireAdmin,
+  validate({ query: LOGS_QUERY }),
+  async (req, res) => {
+    const query = req.valid.query;
+    if (query.from && query.to && query.to < query.from) {
+      throw new ValidationError([
+        { field: "from", in: "query", message: "from cannot be after to." },
+      ]);
+    }
+
+    const conditions = [];
+    if (query.level !== undefined) {
+      conditions.push({
+        level: { $in: LEVELS.slice(LEVELS.indexOf(query.level)) },
+      });
+    }
+    ["route", "requestId", "userid"].forEach((field) => {
+      if (query[field] !== undefined) {
+        conditions.push({ [field]: query[field] });
+      }
+    });
+    if (query.from !== undefined) {
+      conditions.push({ createdAt: { $gte: query.from } });
+    }
+    if (query.to !== undefined) {
+      conditions.push({ createdAt: { $lt: query.to } });
+    }
+    if (query.cursor !== undefined) {
+      const position = decodeCursor(query.cursor, "createdAt", "date");
+      if (!position) {
+        throw new ValidationError([
+          {
+            field: "cursor",
+            in: "query",
+            message: "Invalid cursor parameter.",
+          },
+        ]);
+      }
+      conditions.push(afterCursor("createdAt", -1, position));
+    }
+
+    // One extra entry tells whether there is a next page
+    const logs = await Log.find(conditions.length ? { $and: conditions } : {})
+      .sort({ createdAt: -1, _id: -1 })
+      .limit(query.limit + 1)
+      .select("-__v")
+      .lean();
+    const hasMore = logs.length > query.limit;
+    const page = logs.slice(0, query.limit);
+
+    return res.json({
+      logs: page,
+      nextCursor: hasMore
+        ? encodeCursor(page[page.length - 1], "createdAt")
+        : null,
+    });
+  }
+);
+
+module.exports = router;
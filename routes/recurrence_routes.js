@@ -0,0 +1,334 @@
+const express = require("express");
+const router = express.Router();
+
+const Category = require("../models/Category");
+const Recurrence = require("../models/Recurrence");
+const User = require("../models/User");
+const {
+  isAdmin,
+  requireAdmin,
+  assertUserAccess,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+const { NotFoundError, ValidationError } = require("../utils/errors");
+const { isAllowedCostDate, startOfZonedDay } = require("../utils/timezone");
+
+/**
+ * Most occurrences POST /api/recurrences materializes before responding;
+ * the scheduler creates the rest.
+ */
+const MAX_INLINE_OCCURRENCES = 100;
+
+/**
+ * Fields of a template that may change after creation. Changes apply to
+ * occurrences materialized afterwards; existing costs are left alone.
+ */
+const UPDATABLE_FIELDS = [
+  "description",
+  "category",
+  "subcategory",
+  "sum",
+  "currency",
+  "endDate",
+];
+
+/**
+ * Strip Mongoose internals from a recurrence document for JSON output.
+ * @param {Object} recurrenceDoc - A Recurrence document or lean object.
+ * @return {Object} The public recurrence fields.
+ */
+function toRecurrenceJson(recurrenceDoc) {
+  return {
+    _id: recurrenceDoc._id,
+    userid: recurrenceDoc.userid,
+    description: recurrenceDoc.description,
+    category: recurrenceDoc.category,
+    subcategory: recurrenceDoc.subcategory,
+    sum: recurrenceDoc.sum,
+    currency: recurrenceDoc.currency,
+    frequency: recurrenceDoc.frequency,
+    startDate: recurrenceDoc.startDate,
+    endDate: recurrenceDoc.endDate,
+    materializedThrough: recurrenceDoc.materializedThrough,
+  };
+}
+
+/**
+ * Path parameters of the /recurrences/:id routes.
+ */
+const ID_PARAMS = {
+  id: { type: "objectId", required: true, message: "Invalid recurrence ID." },
+};
+
+/**
+ * Load the recurrence of a validated `:id` path parameter that the signed-in
+ * account may access.
+ * @param {express.Request} req
+ * @return {Promise<Object>} The Recurrence document.
+ * @throws {NotFoundError|ForbiddenError}
+ */
+async function findRecurrence(req) {
+  const recurrenceDoc = await Recurrence.findById(req.valid.params.id);
+  if (!recurrenceDoc) {
+    throw new NotFoundError("Recurrence not found.");
+  }
+  assertUserAccess(req, recurrenceDoc.userid);
+  return recurrenceDoc;
+}
+
+/**
+ * @route   GET /api/recurrences
+ * @desc    List recurring cost templates, optionally of one user. Ordinary
+ *          accounts only see their own.
+ * @query   {Number} [userid] - Only this user's templates.
+ * @return  {Array<Object>} e.g. [ { _id, userid, description, category, sum,
+ *          currency, frequency, startDate, endDate, materializedThrough }, … ],
+ *          or an error object.
+ */
+router.get(
+  "/recurrences",
+  validate({ query: { userid: { type: "integer" } } }),
+  async (req, res) => {
+    const filter = isAdmin(req) ? {} : { userid: req.auth.userid };
+    if (req.valid.query.userid !== undefined) {
+      filter.userid = req.valid.query.userid;
+      assertUserAccess(req, filter.userid);
+    }
+
+    const recurrences = await Recurrence.find(filter)
+      .sort({ userid: 1, startDate: 1 })
+      .lean();
+    return res.json(recurrences.map(toRecurrenceJson));
+  }
+);
+
+/**
+ * @route   POST /api/recurrences
+ * @desc    Create a recurring cost template. Occurrences up to now are
+ *          materialized right away, at most MAX_INLINE_OCCURRENCES of them;
+ *          the rest and later ones by the scheduler. Like costs, the start
+ *          date cannot be in the past unless ALLOW_PAST_COST_DATES is "true".
+ * @body    {Number} userid - ID of an existing user.
+ * @body    {String} description - Description of each cost.
+ * @body    {String} category - A top-level category visible to the user.
+ * @body    {String} [subcategory] - Subcategory of `category`.
+ * @body    {Number} sum - Amount of each cost.
+ * @body    {String} [currency] - ISO 4217 code of `sum` (default: the base currency).
+ * @body    {String} frequency - One of: 'weekly', 'monthly', 'yearly'.
+ * @body    {String} startDate - Day of the first occurrence, e.g. '2025-01-01'; today or later.
+ * @body    {String} [endDate] - Last day an occurrence may fall on.
+ * @return  {Object} The new template with status 201 and the number of costs
+ *          materialized so far as `materialized`, or an error object.
+ */
+router.post(
+  "/recurrences",
+  validate({
+    body: {
+      userid: { type: "integer", required: true },
+      description: { type: "string", required: true },
+      category: { type: "string", required: true },
+      subcategory: { type: "string" },
+      sum: { type: "number", required: true },
+      currency: { type: "currency" },
+      frequency: {
+        type: "string",
+        required: true,
+        enum: ["weekly", "monthly", "yearly"],
+      },
+      startDate: { type: "date", required: true },
+      endDate: { type: "date", nullable: true },
+    },
+  }),
+  async (req, res) => {
+    const body = req.valid.body;
+    const newRecurrence = new Recurrence({
+      userid: body.userid,
+      description: body.description,
+      category: body.category,
+      subcategory: body.subcategory,
+      sum: body.sum,
+      currency: body.currency,
+      frequency: body.frequency,
+      startDate: body.startDate,
+      endDate: body.endDate,
+    });
+
+    await newRecurrence.validate();
+    assertUserAccess(req, newRecurrence.userid);
+
+    const userDoc = await User.findOne({ id: newRecurrence.userid })
+      .select("timezone")
+      .lean();
+    if (!userDoc) {
+      throw new ValidationError(
+        `User with id ${newRecurrence.userid} does not exist.`
+      );
+    }
+
+    const timeZone = userDoc.timezone || "UTC";
+    const start = newRecurrence.startDate;
+    const firstOccurrence = startOfZonedDay(
+      start.getUTCFullYear(),
+      start.getUTCMonth() + 1,
+      start.getUTCDate(),
+      timeZone
+    );
+    if (!isAllowedCostDate(firstOccurrence, timeZone)) {
+      throw new ValidationError([
+        {
+          field: "startDate",
+          in: "body",
+          message: "Start date cannot be in the past.",
+        },
+      ]);
+    }
+
+    const categoryError = await Category.checkFor(
+      newRecurrence.userid,
+      newRecurrence.category,
+      newRecurrence.subcategory
+    );
+    if (categoryError) {
+      throw new ValidationError(categoryError);
+    }
+
+    const savedRecurrence = await newRecurrence.save();
+    const materialized = await Recurrence.materialize(
+      savedRecurrence,
+      new Date(),
+      { limit: MAX_INLINE_OCCURRENCES }
+    );
+
+    const recurrenceDoc = await Recurrence.findById(savedRecurrence._id).lean();
+    return res
+      .status(201)
+      .json({ ...toRecurrenceJson(recurrenceDoc), materialized });
+  }
+);
+
+/**
+ * @route   POST /api/recurrences/run
+ * @desc    Catch-up run: materialize every template's occurrences that are due
+ *          but missing, e.g. after downtime. The scheduler does the same
+ *          periodically. Admins only.
+ * @body    {String} [until] - Materialize occurrences up to this instant (default now).
+ * @return  {Object} JSON: { created: <Number> }, or an error object.
+ */
+router.post(
+  "/recurrences/run",
+  requireAdmin,
+  validate({ body: { until: { type: "date", message: "Invalid until." } } }),
+  async (req, res) => {
+    const until = req.valid.body.until || new Date();
+    const created = await Recurrence.materializeDue(until);
+    return res.json({ created });
+  }
+);
+
+/**
+ * @route   GET /api/recurrences/:id
+ * @desc    Get one recurring cost template.
+ * @param   {String} id - The template's ObjectId in the URL path.
+ * @return  {Object} The template, or an error object.
+ */
+router.get(
+  "/recurrences/:id",
+  validate({ params: ID_PARAMS }),
+  async (req, res) => {
+    const recurrenceDoc = await findRecurrence(req);
+    return res.json(toRecurrenceJson(recurrenceDoc));
+  }
+);
+
+/**
+ * @route   PATCH /api/recurrences/:id
+ * @desc    Change a template. Costs already materialized keep their values;
+ *          the frequency and start date cannot be changed.
+ * @param   {String} id - The template's ObjectId in the URL path.
+ * @body    {String} [description]
+ * @body    {String} [category]
+ * @body    {String} [subcategory]
+ * @body    {Number} [sum]
+ * @body    {String} [currency]
+ * @body    {String|null} [endDate] - null removes the end date.
+ * @return  {Object} The updated template, or an error object.
+ */
+router.patch(
+  "/recurrences/:id",
+  validate({
+    params: ID_PARAMS,
+    body: {
+      description: { type: "string" },
+      category: { type: "string" },
+      subcategory: { type: "string" },
+      sum: { type: "number" },
+      currency: { type: "currency" },
+      endDate: { type: "date", nullable: true },
+    },
+  }),
+  async (req, res) => {
+    const recurrenceDoc = await findRecurrence(req);
+
+    const body = req.body || {};
+    const fixed = ["userid", "frequency", "startDate"].find(
+      (field) => body[field] !== undefined
+    );
+    if (fixed) {
+      throw new ValidationError([
+        {
+          field: fixed,
+          in: "body",
+          message:
+            "userid, frequency and startDate cannot be changed. Create a new recurrence instead.",
+        },
+      ]);
+    }
+
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (field in req.valid.body) {
+        recurrenceDoc[field] = req.valid.body[field];
+      }
+    });
+    // A new category drops the old subcategory unless a new one is given
+    if (body.category !== undefined && body.subcategory === undefined) {
+      recurrenceDoc.subcategory = undefined;
+    }
+
+    await recurrenceDoc.validate();
+
+    if (
+      recurrenceDoc.isModified("category") ||
+      recurrenceDoc.isModified("subcategory")
+    ) {
+      const categoryError = await Category.checkFor(
+        recurrenceDoc.userid,
+        recurrenceDoc.category,
+        recurrenceDoc.subcategory
+      );
+      if (categoryError) {
+        throw new ValidationError(categoryError);
+      }
+    }
+
+    const savedRecurrence = await recurrenceDoc.save();
+    return res.json(toRecurrenceJson(savedRecurrence));
+  }
+);
+
+/**
+ * @route   DELETE /api/recurrences/:id
+ * @desc    Stop a recurrence. Costs already materialized from it are kept.
+ * @param   {String} id - The template's ObjectId in the URL path.
+ * @return  {Object} The removed template, or an error object.
+ */
+router.delete(
+  "/recurrences/:id",
+  validate({ params: ID_PARAMS }),
+  async (req, res) => {
+    const recurrenceDoc = await findRecurrence(req);
+    await Recurrence.deleteOne({ _id: recurrenceDoc._id });
+    return res.json(toRecurrenceJson(recurrenceDoc));
+  }
+);
+
+module.exports = router;
@@ -2,47 +2,909 @@ const express = require("express");
 const router = express.Router();
 
 const User = require("../models/User");
+const Account = require("../models/Account");
+const Budget = require("../models/Budget");
+const Category = require("../models/Category");
 const Cost = require("../models/Cost");
+const Group = require("../models/Group");
+const Notification = require("../models/Notification");
+const Recurrence = require("../models/Recurrence");
+const Report = require("../models/Report");
+const Session = require("../models/Session");
+const { removeAttachments } = require("../utils/attachments");
+const { getBaseCurrency, toMinor, fromMinor } = require("../utils/currency");
+const { getResponseFormat, sendCsv } = require("../utils/csv");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+const { createConverter } = require("../utils/exchange_rates");
+const {
+  formatDay,
+  formatZonedDate,
+  getZonedMonthRange,
+  getZonedParts,
+  startOfZonedDay,
+} = require("../utils/timezone");
+const { encodeCursor, decodeCursor, afterCursor } = require("../utils/cursor");
+const {
+  isAdmin,
+  requireAdmin,
+  assertUserAccess,
+} = require("../middleware/auth");
+const { validate } = require("../middleware/validate");
+
+/**
+ * Fields a client may set on a user after creation. The numeric `id` is
+ * excluded because costs reference it.
+ */
+const UPDATABLE_FIELDS = [
+  "first_name",
+  "last_name",
+  "birthday",
+  "marital_status",
+  "timezone",
+];
+
+/**
+ * Values of the `groupShares` parameter of GET /api/users/:id.
+ */
+const GROUP_SHARES = ["include", "exclude"];
+
+/**
+ * Path parameters of the /users/:id routes.
+ */
+const ID_PARAMS = {
+  id: { type: "integer", required: true, message: "Invalid user ID." },
+};
+
+/**
+ * Body fields of a new user; the User model checks their values.
+ */
+const USER_BODY = {
+  id: { type: "integer", required: true },
+  first_name: { type: "string", required: true },
+  last_name: { type: "string", required: true },
+  birthday: { type: "any", required: true },
+  marital_status: { type: "string", required: true },
+  timezone: { type: "timezone" },
+};
+
+/**
+ * Query parameters of GET /api/users; any bad value is reported with the
+ * same message.
+ */
+const LIST_QUERY = {
+  page: {
+    type: "integer",
+    min: 1,
+    default: 1,
+    message: "Invalid page or limit parameter.",
+  },
+  limit: {
+    type: "integer",
+    min: 1,
+    max: 100,
+    default: 20,
+    message: "Invalid page or limit parameter.",
+  },
+  marital_status: { type: "string" },
+  name: { type: "string" },
+};
+
+/**
+ * Orders of GET /api/users/:id/costs; a leading '-' sorts descending.
+ */
+const COST_SORTS = ["-date", "date", "-sum", "sum"];
+
+/**
+ * Query parameters of GET /api/users/:id/costs.
+ */
+const COSTS_QUERY = {
+  limit: { type: "integer", min: 1, max: 100, default: 20 },
+  cursor: { type: "string" },
+  sort: { type: "string", enum: COST_SORTS, default: "-date" },
+  category: { type: "string" },
+  minSum: { type: "number" },
+  maxSum: { type: "number" },
+  from: { type: "day" },
+  to: { type: "day" },
+  q: { type: "string" },
+};
+
+/**
+ * Earlier costs in the same category needed before a cost can be flagged as
+ * an anomaly by GET /api/users/:id/insights.
+ */
+const ANOMALY_MIN_SAMPLES = 3;
+
+/**
+ * Query parameters of GET /api/users/:id/insights.
+ */
+const INSIGHTS_QUERY = {
+  from: { type: "day" },
+  to: { type: "day" },
+  currency: { type: "currency", message: "Invalid currency parameter." },
+  top: { type: "integer", min: 1, max: 50, default: 5 },
+  threshold: { type: "number", min: 0, default: 2 },
+  window: { type: "integer", min: ANOMALY_MIN_SAMPLES, max: 100, default: 10 },
+};
+
+/**
+ * Round a number to two decimals.
+ * @param {Number} value
+ * @return {Number}
+ */
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Merge the per-day groups of Cost.spendingBreakdown() or
+ * Cost.tagBreakdown() by a key, converting each day's amount into `currency`.
+ * @param {Array<Object>} groups - Groups with { currency, day, amount, count }.
+ * @param {function(Object): String} keyOf - Key of a group.
+ * @param {function(Number, String, Date): Number} convert - From createConverter().
+ * @return {Map<String, { amount: Number, count: Number, first: Object }>}
+ *         Totals in minor units, with the key's earliest group as `first`.
+ */
+function mergeGroups(groups, keyOf, convert) {
+  const merged = new Map();
+  groups.forEach((g) => {
+    const key = keyOf(g);
+    const amount = convert(g.amount, g.currency, g.day);
+    const entry = merged.get(key);
+    if (!entry) {
+      merged.set(key, { amount, count: g.count, first: g });
+      return;
+    }
+    entry.amount += amount;
+    entry.count += g.count;
+    if (g.day < entry.first.day) {
+      entry.first = g;
+    }
+  });
+  return merged;
+}
+
+/**
+ * Load the user of a validated `:id` path parameter that the signed-in
+ * account may access.
+ * @param {express.Request} req
+ * @param {Object} [options] - { lean } to get a plain object.
+ * @return {Promise<Object>} The User document.
+ * @throws {ForbiddenError|NotFoundError}
+ */
+async function findUser(req, { lean = true } = {}) {
+  const id = req.valid.params.id;
+  assertUserAccess(req, id);
+
+  const query = User.findOne({ id });
+  const userDoc = lean ? await query.lean() : await query;
+  if (!userDoc) {
+    throw new NotFoundError("User not found.");
+  }
+  return userDoc;
+}
+
+/**
+ * Escape a string for literal use inside a regular expression.
+ * @param {String} value - Raw user input.
+ * @return {String} The escaped string.
+ */
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Strip Mongoose internals from a user document for JSON output.
+ * @param {Object} userDoc - A lean User document.
+ * @return {Object} The public user fields.
+ */
+function toUserJson(userDoc) {
+  return {
+    id: userDoc.id,
+    first_name: userDoc.first_name,
+    last_name: userDoc.last_name,
+    birthday: userDoc.birthday,
+    marital_status: userDoc.marital_status,
+    timezone: userDoc.timezone,
+  };
+}
+
+/**
+ * Load a user's live costs in date order, reading costs saved before
+ * `currency` and `amount` existed as base-currency amounts.
+ * @param {Object} filter - Cost filter, including the userid.
+ * @return {Promise<Array<Object>>} Lean costs.
+ */
+async function findUserCosts(filter) {
+  const base = getBaseCurrency();
+  const costs = await Cost.find({ ...filter, deletedAt: null })
+    .sort({ date: 1, _id: 1 })
+    .lean();
+  return costs.map((cost) => {
+    const currency = cost.currency || base;
+    const amount =
+      cost.amount === undefined ? toMinor(cost.sum, currency) : cost.amount;
+    return { ...cost, currency, amount };
+  });
+}
+
+/**
+ * @route   POST /api/users
+ * @desc    Create a new user. Admins only; others sign up through
+ *          POST /api/auth/register.
+ * @body    {Number} id - Unique numeric ID of the user.
+ * @body    {String} first_name - First name of the user.
+ * @body    {String} last_name - Last name of the user.
+ * @body    {Date} birthday - Birth date of the user.
+ * @body    {String} marital_status - One of: 'single', 'married', 'divorced', 'widowed'.
+ * @body    {String} [timezone] - IANA time zone for the user's reports (default 'UTC').
+ * @return  {Object} The newly created user with status 201, 409 if the id is
+ *          already taken, or an error object.
+ */
+router.post(
+  "/users",
+  requireAdmin,
+  validate({ body: USER_BODY }),
+  async (req, res) => {
+    const newUser = new User(req.valid.body);
+
+    // Validate before the uniqueness check so bad input is reported as 400
+    await newUser.validate();
+
+    const existing = await User.exists({ id: newUser.id });
+    if (existing) {
+      throw new ConflictError(`User with id ${newUser.id} already exists.`);
+    }
+
+    const savedUser = await newUser.save();
+    return res.status(201).json(toUserJson(savedUser));
+  }
+);
+
+/**
+ * @route   GET /api/users
+ * @desc    List users, paginated and optionally filtered. Ordinary accounts
+ *          only see their own user.
+ * @query   {Number} [page=1] - 1-based page number.
+ * @query   {Number} [limit=20] - Page size (max 100).
+ * @query   {String} [marital_status] - Only users with this marital status.
+ * @query   {String} [name] - Case-insensitive substring of first or last name.
+ * @return  {Object} JSON:
+ *           {
+ *             page:  <Number>,
+ *             limit: <Number>,
+ *             total: <Number>,
+ *             users: [ { id, first_name, last_name, birthday, marital_status, timezone }, … ]
+ *           }
+ *         Or an error object.
+ */
+router.get("/users", validate({ query: LIST_QUERY }), async (req, res) => {
+  const { page, limit, marital_status, name } = req.valid.query;
+
+  const filter = isAdmin(req) ? {} : { id: req.auth.userid };
+  if (marital_status !== undefined) {
+    filter.marital_status = marital_status;
+  }
+  if (name) {
+    const pattern = new RegExp(escapeRegex(name), "i");
+    filter.$or = [{ first_name: pattern }, { last_name: pattern }];
+  }
+
+  const [users, total] = await Promise.all([
+    User.find(filter)
+      .sort({ id: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .lean(),
+    User.countDocuments(filter),
+  ]);
+
+  return res.json({
+    page,
+    limit,
+    total,
+    users: users.map(toUserJson),
+  });
+});
 
 /**
  * @route   GET /api/users/:id
  * @desc    Get details of a specific user (first_name, last_name, id, total cost sum).
+ *          Soft-deleted costs do not count towards the total. Costs in other
+ *          currencies are converted at the rate in effect on their date.
  * @param   {Number} id - The user ID in the URL path.
+ * @query   {String} [currency] - Currency of the total (default: the base currency).
+ * @query   {String} [groupShares] - How group costs count towards the JSON
+ *          total: 'include' counts the user's share of every group cost
+ *          (whoever paid it) instead of what they paid, 'exclude' leaves
+ *          group costs out. By default every cost the user paid counts in full.
+ * @query   {String} [format] - 'json' or 'csv'; overrides the Accept header.
+ * @header  Accept - 'text/csv' for a CSV file with one row per cost (category,
+ *          date, description, sum in `currency`) and a totals footer.
  * @return  {Object} JSON:
  *           {
- *             id:         <Number>,
- *             first_name: <String>,
- *             last_name:  <String>,
- *             total:      <Number>
+ *             id:          <Number>,
+ *             first_name:  <String>,
+ *             last_name:   <String>,
+ *             total:       <Number>,
+ *             currency:    <String>   (only when requested),
+ *             groupShares: <String>   (only when requested)
  *           }
- *         Or an error object.
+ *         422 if an exchange rate is missing, or an error object.
  */
-router.get("/users/:id", async (req, res) => {
-  try {
-    const id = parseInt(req.params.id, 10);
-    if (Number.isNaN(id)) {
-      return res.status(400).json({ error: "Invalid user ID." });
+router.get(
+  "/users/:id",
+  validate({
+    params: ID_PARAMS,
+    query: {
+      currency: { type: "currency", message: "Invalid currency parameter." },
+      groupShares: {
+        type: "string",
+        enum: GROUP_SHARES,
+        message: `Invalid groupShares parameter. Use ${GROUP_SHARES.join(" or ")}.`,
+      },
+    },
+  }),
+  async (req, res) => {
+    const id = req.valid.params.id;
+    const currency = req.valid.query.currency || getBaseCurrency();
+    const { groupShares } = req.valid.query;
+
+    res.vary("Accept");
+    const format = getResponseFormat(req);
+    if (!format) {
+      throw new ValidationError([
+        { field: "format", in: "query", message: "Invalid format parameter." },
+      ]);
     }
 
-    // Find the user document
-    const userDoc = await User.findOne({ id }).lean();
-    if (!userDoc) {
-      return res.status(404).json({ error: "User not found." });
+    const userDoc = await findUser(req);
+
+    if (format === "csv") {
+      const costs = await findUserCosts({ userid: id });
+      const convert = await createConverter(
+        currency,
+        costs.map((c) => c.currency)
+      );
+      const timeZone = userDoc.timezone || "UTC";
+      const rows = [["category", "date", "description", "sum"]];
+      let total = 0;
+      costs.forEach((cost) => {
+        const amount = convert(cost.amount, cost.currency, cost.date);
+        rows.push([
+          cost.category,
+          formatZonedDate(cost.date, timeZone),
+          cost.description,
+          fromMinor(amount, currency),
+        ]);
+        total += amount;
+      });
+      rows.push(["Total", "", "", fromMinor(total, currency)]);
+      return sendCsv(res, `user-${id}.csv`, rows);
     }
 
-    // Sum up all costs for this user
-    const userCosts = await Cost.find({ userid: id }).lean();
-    const totalSum = userCosts.reduce((sum, cost) => sum + cost.sum, 0);
+    // Sum up all live (not soft-deleted) costs for this user
+    let totalMinor;
+    if (groupShares === undefined) {
+      totalMinor = await Cost.totalForUser(id, currency);
+    } else {
+      totalMinor = await Cost.totalMatching(
+        { userid: id, groupId: null },
+        currency
+      );
+      if (groupShares === "include") {
+        totalMinor += await Cost.totalSharesForUser(id, currency);
+      }
+    }
+    const totalSum = fromMinor(totalMinor, currency);
 
-    return res.json({
+    const result = {
       id: userDoc.id,
       first_name: userDoc.first_name,
       last_name: userDoc.last_name,
       total: totalSum,
+    };
+    if (req.valid.query.currency !== undefined) {
+      result.currency = currency;
+    }
+    if (groupShares !== undefined) {
+      result.groupShares = groupShares;
+    }
+    return res.json(result);
+  }
+);
+
+/**
+ * @route   GET /api/users/:id/export
+ * @desc    Download every live cost of a user in one year as CSV, in the
+ *          costs' own currencies. The year is taken in the user's time zone.
+ * @param   {Number} id - The user ID in the URL path.
+ * @query   {Number} year - Four-digit year to export, e.g. 2025.
+ * @return  {String} text/csv attachment with the columns date, category,
+ *          subcategory, description, sum, currency, or an error object.
+ */
+router.get(
+  "/users/:id/export",
+  validate({
+    params: ID_PARAMS,
+    query: { year: { type: "integer", required: true, min: 1000, max: 9999 } },
+  }),
+  async (req, res) => {
+    const id = req.valid.params.id;
+    const year = req.valid.query.year;
+    const userDoc = await findUser(req);
+
+    const timeZone = userDoc.timezone || "UTC";
+    const { start } = getZonedMonthRange(year, 1, timeZone);
+    const { end } = getZonedMonthRange(year, 12, timeZone);
+    const costs = await findUserCosts({
+      userid: id,
+      date: { $gte: start, $lt: end },
     });
-  } catch (error) {
-    return res.status(500).json({ error: error.message });
+
+    const rows = [
+      ["date", "category", "subcategory", "description", "sum", "currency"],
+    ];
+    costs.forEach((cost) => {
+      rows.push([
+        formatZonedDate(cost.date, timeZone),
+        cost.category,
+        cost.subcategory,
+        cost.description,
+        cost.sum,
+        cost.currency,
+      ]);
+    });
+    return sendCsv(res, `costs-${id}-${year}.csv`, rows);
   }
-});
+);
+
+/**
+ * @route   GET /api/users/:id/costs
+ * @desc    List a user's live costs, a page at a time. Pages are fetched with
+ *          the `nextCursor` of the previous page, so costs added meanwhile do
+ *          not shift them. Sums are filtered and sorted in each cost's own
+ *          currency.
+ * @param   {Number} id - The user ID in the URL path.
+ * @query   {Number} [limit=20] - Page size (max 100).
+ * @query   {String} [cursor] - `nextCursor` of the previous page.
+ * @query   {String} [sort='-date'] - 'date', 'sum', or either with a leading
+ *          '-' for descending order. Pass the same sort with every cursor.
+ * @query   {String} [category] - Only costs in this category.
+ * @query   {Number} [minSum] - Only costs of at least this sum.
+ * @query   {Number} [maxSum] - Only costs of at most this sum.
+ * @query   {String} [from] - First day (YYYY-MM-DD), in the user's time zone.
+ * @query   {String} [to] - Last day (YYYY-MM-DD), inclusive.
+ * @query   {String} [q] - Words to search for in the description.
+ * @return  {Object} JSON:
+ *           {
+ *             costs:      [ { _id, description, category, userid, sum, currency, date, … }, … ],
+ *             nextCursor: <String|null>   (null on the last page)
+ *           }
+ *         Or an error object.
+ */
+router.get(
+  "/users/:id/costs",
+  validate({ params: ID_PARAMS, query: COSTS_QUERY }),
+  async (req, res) => {
+    const id = req.valid.params.id;
+    const query = req.valid.query;
+    const userDoc = await findUser(req);
+
+    const direction = query.sort.startsWith("-") ? -1 : 1;
+    const field = query.sort.replace(/^-/, "");
+
+    const conditions = [{ userid: id, deletedAt: null }];
+    if (query.category !== undefined) {
+      conditions.push({ category: query.category });
+    }
+    if (query.minSum !== undefined) {
+      conditions.push({ sum: { $gte: query.minSum } });
+    }
+    if (query.maxSum !== undefined) {
+      conditions.push({ sum: { $lte: query.maxSum } });
+    }
+    const timeZone = userDoc.timezone || "UTC";
+    if (query.from !== undefined) {
+      const { year, month, day } = query.from;
+      conditions.push({
+        date: { $gte: startOfZonedDay(year, month, day, timeZone) },
+      });
+    }
+    if (query.to !== undefined) {
+      const { year, month, day } = query.to;
+      conditions.push({
+        date: { $lt: startOfZonedDay(year, month, day + 1, timeZone) },
+      });
+    }
+    if (query.cursor !== undefined) {
+      const position = decodeCursor(
+        query.cursor,
+        field,
+        field === "date" ? "date" : "number"
+      );
+      if (!position) {
+        throw new ValidationError([
+          {
+            field: "cursor",
+            in: "query",
+            message: "Invalid cursor parameter.",
+          },
+        ]);
+      }
+      conditions.push(afterCursor(field, direction, position));
+    }
+
+    const filter = { $and: conditions };
+    // $text may only appear at the top level of a query
+    if (query.q) {
+      filter.$text = { $search: query.q };
+    }
+
+    // One extra cost tells whether there is a next page
+    const costs = await Cost.find(filter)
+      .sort({ [field]: direction, _id: direction })
+      .limit(query.limit + 1)
+      .select("-__v")
+      .lean();
+    const hasMore = costs.length > query.limit;
+    const page = costs.slice(0, query.limit);
+
+    return res.json({
+      costs: page,
+      nextCursor: hasMore ? encodeCursor(page[page.length - 1], field) : null,
+    });
+  }
+);
+
+/**
+ * @route   GET /api/users/:id/insights
+ * @desc    Spending insights for a user: per category the total, the average
+ *          per calendar month and the share of all spending; the descriptions
+ *          the most was spent on; and anomalous costs. Costs in other
+ *          currencies are converted at the rate in effect on their date.
+ *          A cost is anomalous when it is more than `threshold` standard
+ *          deviations above the mean of the previous `window` costs in its
+ *          category and currency; at least 3 earlier costs are needed.
+ * @param   {Number} id - The user ID in the URL path.
+ * @query   {String} [from] - First day (YYYY-MM-DD) in the user's time zone
+ *          (default: the day of the earliest cost).
+ * @query   {String} [to] - Last day (YYYY-MM-DD), inclusive (default: the
+ *          day of the latest cost).
+ * @query   {String} [currency] - Currency of the totals (default: the base currency).
+ * @query   {Number} [top=5] - How many descriptions to list (max 50).
+ * @query   {Number} [threshold=2] - Standard deviations above the mean.
+ * @query   {Number} [window=10] - Earlier costs the rolling mean covers (3 to 100).
+ * @return  {Object} JSON:
+ *           {
+ *             userid:   <Number>,
+ *             currency: <String>,
+ *             from:     <String|null>,
+ *             to:       <String|null>,
+ *             months:   <Number>,
+ *             total:    <Number>,
+ *             categories:      [ { category, total, count, monthlyAverage, share }, … ],
+ *             topDescriptions: [ { description, total, count }, … ],
+ *             anomalies:       [ { _id, description, category, date, sum,
+ *                                  currency, mean, stdDev, deviations }, … ]
+ *           }
+ *         Categories are ordered by total and `share` is a percentage. The
+ *         anomalies' sum, mean and stdDev are in the cost's own currency.
+ *         422 if an exchange rate is missing, or an error object.
+ */
+router.get(
+  "/users/:id/insights",
+  validate({ params: ID_PARAMS, query: INSIGHTS_QUERY }),
+  async (req, res) => {
+    const id = req.valid.params.id;
+    const query = req.valid.query;
+    const currency = query.currency || getBaseCurrency();
+    const userDoc = await findUser(req);
+    const timeZone = userDoc.timezone || "UTC";
+
+    const period = {};
+    if (query.from !== undefined) {
+      const { year, month, day } = query.from;
+      period.start = startOfZonedDay(year, month, day, timeZone);
+    }
+    if (query.to !== undefined) {
+      const { year, month, day } = query.to;
+      period.end = startOfZonedDay(year, month, day + 1, timeZone);
+    }
+    if (period.start && period.end && period.end <= period.start) {
+      throw new ValidationError([
+        { field: "from", in: "query", message: "from cannot be after to." },
+      ]);
+    }
+
+    const match = { userid: id };
+    if (period.start || period.end) {
+      match.date = {};
+      if (period.start) {
+        match.date.$gte = period.start;
+      }
+      if (period.end) {
+        match.date.$lt = period.end;
+      }
+    }
+    const [breakdown, anomalies] = await Promise.all([
+      Cost.spendingBreakdown(match),
+      Cost.findAnomalies(id, {
+        window: query.window,
+        threshold: query.threshold,
+        minSamples: ANOMALY_MIN_SAMPLES,
+        ...period,
+      }),
+    ]);
+
+    const convert = await createConverter(
+      currency,
+      breakdown.categories.map((g) => g.currency)
+    );
+    const categories = mergeGroups(
+      breakdown.categories,
+      (g) => g.category,
+      convert
+    );
+    const descriptions = mergeGroups(
+      breakdown.descriptions,
+      (g) => g.key,
+      convert
+    );
+    const total = [...categories.values()].reduce((t, c) => t + c.amount, 0);
+
+    // Unless given, the period runs from the earliest to the latest cost;
+    // its calendar months are counted in the user's time zone
+    const first =
+      query.from ||
+      (breakdown.first && getZonedParts(breakdown.first, timeZone));
+    const last =
+      query.to || (breakdown.last && getZonedParts(breakdown.last, timeZone));
+    const months =
+      first && last
+        ? last.year * 12 + last.month - (first.year * 12 + first.month) + 1
+        : 0;
+
+    return res.json({
+      userid: id,
+      currency,
+      from: first ? formatDay(first) : null,
+      to: last ? formatDay(last) : null,
+      months,
+      total: fromMinor(total, currency),
+      categories: [...categories.entries()]
+        .sort((a, b) => b[1].amount - a[1].amount || a[0].localeCompare(b[0]))
+        .map(([category, c]) => ({
+          category,
+          total: fromMinor(c.amount, currency),
+          count: c.count,
+          monthlyAverage: fromMinor(Math.round(c.amount / months), currency),
+          share: total === 0 ? 0 : round2((c.amount / total) * 100),
+        })),
+      topDescriptions: [...descriptions.values()]
+        .sort(
+          (a, b) =>
+            b.amount - a.amount ||
+            b.count - a.count ||
+            a.first.description.localeCompare(b.first.description)
+        )
+        .slice(0, query.top)
+        .map((d) => ({
+          description: d.first.description,
+          total: fromMinor(d.amount, currency),
+          count: d.count,
+        })),
+      anomalies: anomalies.map((a) => ({
+        _id: a._id,
+        description: a.description,
+        category: a.category,
+        date: a.date,
+        sum: a.sum,
+        currency: a.currency,
+        mean: fromMinor(Math.round(a.mean), a.currency),
+        stdDev: fromMinor(Math.round(a.stdDev), a.currency),
+        deviations: round2(a.deviations),
+      })),
+    });
+  }
+);
+
+/**
+ * @route   GET /api/users/:id/tags
+ * @desc    List the tags a user's live costs carry, with how many costs carry
+ *          each and their total. A cost with several tags counts towards
+ *          each of them. Costs in other currencies are converted at the rate
+ *          in effect on their date.
+ * @param   {Number} id - The user ID in the URL path.
+ * @query   {String} [currency] - Currency of the totals (default: the base currency).
+ * @return  {Object} JSON:
+ *           {
+ *             userid:   <Number>,
+ *             currency: <String>,
+ *             tags:     [ { tag, count, total }, … ]
+ *           }
+ *         Tags are in alphabetical order.
+ *         422 if an exchange rate is missing, or an error object.
+ */
+router.get(
+  "/users/:id/tags",
+  validate({
+    params: ID_PARAMS,
+    query: {
+      currency: { type: "currency", message: "Invalid currency parameter." },
+    },
+  }),
+  async (req, res) => {
+    const currency = req.valid.query.currency || getBaseCurrency();
+    const userDoc = await findUser(req);
+
+    const groups = await Cost.tagBreakdown(userDoc.id);
+    const convert = await createConverter(
+      currency,
+      groups.map((g) => g.currency)
+    );
+    const tags = mergeGroups(groups, (g) => g.tag, convert);
+
+    return res.json({
+      userid: userDoc.id,
+      currency,
+      tags: [...tags.entries()]
+        .sort((a, b) => a[0].localeCompare(b[0]))
+        .map(([tag, t]) => ({
+          tag,
+          count: t.count,
+          total: fromMinor(t.amount, currency),
+        })),
+    });
+  }
+);
+
+/**
+ * @route   GET /api/users/:id/notifications
+ * @desc    List a user's notifications, newest first.
+ * @param   {Number} id - The user ID in the URL path.
+ * @query   {String} [type] - Only notifications of this type, e.g. 'budget_exceeded'.
+ * @return  {Array<Object>} e.g. [ { _id, type, message, category, year, month,
+ *          budget, spent, currency, costId, createdAt }, … ], or an error object.
+ */
+router.get(
+  "/users/:id/notifications",
+  validate({ params: ID_PARAMS, query: { type: { type: "string" } } }),
+  async (req, res) => {
+    const userDoc = await findUser(req);
+
+    const filter = { userid: userDoc.id };
+    if (req.valid.query.type !== undefined) {
+      filter.type = req.valid.query.type;
+    }
+
+    const notifications = await Notification.find(filter)
+      .sort({ createdAt: -1, _id: -1 })
+      .select("-__v -userid")
+      .lean();
+    return res.json(notifications);
+  }
+);
+
+/**
+ * @route   PATCH /api/users/:id
+ * @desc    Update some fields of an existing user. The `id` itself cannot be changed.
+ * @param   {Number} id - The user ID in the URL path.
+ * @body    {String} [first_name]
+ * @body    {String} [last_name]
+ * @body    {Date} [birthday]
+ * @body    {String} [marital_status]
+ * @body    {String} [timezone]
+ * @return  {Object} The updated user, or an error object.
+ */
+router.patch(
+  "/users/:id",
+  validate({
+    params: ID_PARAMS,
+    body: {
+      first_name: { type: "string" },
+      last_name: { type: "string" },
+      birthday: { type: "any" },
+      marital_status: { type: "string" },
+      timezone: { type: "timezone" },
+    },
+  }),
+  async (req, res) => {
+    const body = req.body || {};
+    if (body.id !== undefined && Number(body.id) !== req.valid.params.id) {
+      throw new ValidationError([
+        { field: "id", in: "body", message: "User id cannot be changed." },
+      ]);
+    }
+
+    const updates = {};
+    UPDATABLE_FIELDS.forEach((field) => {
+      if (req.valid.body[field] !== undefined) {
+        updates[field] = req.valid.body[field];
+      }
+    });
+
+    const userDoc = await findUser(req, { lean: false });
+    userDoc.set(updates);
+    const savedUser = await userDoc.save();
+    return res.json(toUserJson(savedUser));
+  }
+);
+
+/**
+ * @route   DELETE /api/users/:id
+ * @desc    Delete a user. If the user still has live costs the request is
+ *          refused with 409, unless `cascade=true` is given, in which case the
+ *          costs and their receipts are deleted together with the user.
+ *          Soft-deleted costs do not block the deletion and are always
+ *          removed with the user. The user's custom categories, budgets,
+ *          notifications, recurring cost templates and accounts are always
+ *          deleted, and the user leaves their groups; groups left without
+ *          members are deleted. A user who paid or shares a live group cost
+ *          is refused with 409 even with `cascade=true`, as the other
+ *          members' balances depend on it, just like PATCH /api/groups/:id
+ *          refuses to remove them.
+ * @param   {Number} id - The user ID in the URL path.
+ * @query   {Boolean} [cascade=false] - Also delete the user's costs.
+ * @return  {Object} JSON: { id: <Number>, deletedCosts: <Number> }, where
+ *          deletedCosts includes soft-deleted costs, or an error object.
+ */
+router.delete(
+  "/users/:id",
+  validate({
+    params: ID_PARAMS,
+    query: { cascade: { type: "boolean", default: false } },
+  }),
+  async (req, res) => {
+    const id = req.valid.params.id;
+    await findUser(req);
+
+    const groupCostCount = await Cost.countDocuments({
+      groupId: { $ne: null },
+      deletedAt: null,
+      $or: [{ userid: id }, { "splits.userid": id }],
+    });
+    if (groupCostCount > 0) {
+      throw new ConflictError(
+        `User paid or shares ${groupCostCount} group cost(s). Delete or re-split them first.`
+      );
+    }
+
+    const costCount = await Cost.countDocuments({
+      userid: id,
+      deletedAt: null,
+    });
+    if (costCount > 0 && !req.valid.query.cascade) {
+      throw new ConflictError(
+        `User has ${costCount} cost(s). Use cascade=true to delete them as well.`
+      );
+    }
+
+    await removeAttachments(req.app.locals.storage, { userid: id });
+    const { deletedCount: deletedCosts } = await Cost.deleteMany({
+      userid: id,
+    });
+    await Report.deleteMany({ userid: id });
+    await Category.deleteMany({ userid: id });
+    await Budget.deleteMany({ userid: id });
+    await Notification.deleteMany({ userid: id });
+    await Recurrence.deleteMany({ userid: id });
+    await Group.updateMany(
+      { $or: [{ members: id }, { invited: id }] },
+      { $pull: { members: id, invited: id } }
+    );
+    await Group.deleteMany({ members: { $size: 0 } });
+    const accountIds = await Account.find({ userid: id }).distinct("_id");
+    await Session.deleteMany({ accountId: { $in: accountIds } });
+    await Account.deleteMany({ userid: id });
+    await User.deleteOne({ id });
+
+    return res.json({ id, deletedCosts });
+  }
+);
 
 module.exports = router;
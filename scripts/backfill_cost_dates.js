@@ -0,0 +1,33 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+
+const Cost = require("../models/Cost");
+
+/**
+ * @fileoverview One-off migration: costs saved before the expense `date`
+ * field existed get `date` set to their `createdAt`, so that reports, which
+ * now filter on `date`, keep showing them.
+ *
+ * Usage: MONGO_URI=... node scripts/backfill_cost_dates.js
+ */
+
+const MONGO_URI = process.env.MONGO_URI;
+if (!MONGO_URI) {
+  console.error("[Backfill] MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+mongoose
+  .connect(MONGO_URI)
+  .then(async () => {
+    const result = await Cost.updateMany({ date: { $exists: false } }, [
+      { $set: { date: "$createdAt" } },
+    ]);
+    console.log(`[Backfill] Set date on ${result.modifiedCount} cost(s)`);
+    await mongoose.disconnect();
+  })
+  .catch((err) => {
+    console.error("[Backfill] Failed:", err.message);
+    process.exit(1);
+  });
@@ -0,0 +1,148 @@
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const Cost = require("../models/Cost");
+const { fromMinor, getBaseCurrency, toMinor } = require("../utils/currency");
+
+/**
+ * @fileoverview Benchmark of the user total and monthly report: the original
+ * load-everything-and-reduce-in-JS path against the aggregation pipelines in
+ * models/Cost.js. Seeds 100k costs for one user into mongodb-memory-server.
+ *
+ * Usage: npm run benchmark
+ */
+
+const TOTAL_COSTS = 100000;
+const BATCH_SIZE = 5000;
+const RUNS = 5;
+const USER_ID = 1;
+const CATEGORIES = ["food", "health", "housing", "sport", "education"];
+const CURRENCY = getBaseCurrency();
+
+/**
+ * Insert TOTAL_COSTS costs for USER_ID, spread over the years 2020–2024.
+ */
+async function seed() {
+  const start = Date.UTC(2020, 0, 1);
+  const span = Date.UTC(2025, 0, 1) - start;
+
+  for (let offset = 0; offset < TOTAL_COSTS; offset += BATCH_SIZE) {
+    const batch = [];
+    for (let i = offset; i < offset + BATCH_SIZE; i++) {
+      const date = new Date(start + Math.floor((i / TOTAL_COSTS) * span));
+      const sum = (i % 200) + 1;
+      batch.push({
+        description: `Cost #${i}`,
+        category: CATEGORIES[i % CATEGORIES.length],
+        userid: USER_ID,
+        sum,
+        currency: CURRENCY,
+        amount: toMinor(sum, CURRENCY),
+        createdAt: date,
+        date,
+      });
+    }
+    await Cost.insertMany(batch, { lean: true });
+  }
+}
+
+/**
+ * The original GET /api/users/:id total: load every cost and reduce in JS.
+ */
+async function oldTotal() {
+  const userCosts = await Cost.find({
+    userid: USER_ID,
+    deletedAt: null,
+  }).lean();
+  return userCosts.reduce((sum, cost) => sum + cost.sum, 0);
+}
+
+/**
+ * The original GET /api/report grouping: load the month and group in JS.
+ */
+async function oldReport(start, end) {
+  const allCosts = await Cost.find({
+    userid: USER_ID,
+    date: { $gte: start, $lt: end },
+    deletedAt: null,
+  }).lean();
+
+  const grouped = {};
+  CATEGORIES.forEach((cat) => {
+    grouped[cat] = [];
+  });
+  allCosts.forEach((c) => {
+    grouped[c.category].push({
+      sum: c.sum,
+      description: c.description,
+      day: c.date.getUTCDate(),
+    });
+  });
+  return grouped;
+}
+
+/**
+ * Run a function RUNS times and return its median duration in milliseconds.
+ * @param {Function} fn - Async function to time.
+ * @return {Promise<Number>}
+ */
+async function median(fn) {
+  const times = [];
+  for (let i = 0; i < RUNS; i++) {
+    const t0 = process.hrtime.bigint();
+    await fn();
+    times.push(Number(process.hrtime.bigint() - t0) / 1e6);
+  }
+  times.sort((a, b) => a - b);
+  return times[Math.floor(RUNS / 2)];
+}
+
+async function main() {
+  const mongoServer = await MongoMemoryServer.create();
+  await mongoose.connect(mongoServer.getUri());
+
+  try {
+    await Cost.init();
+    console.log(`[Benchmark] Seeding ${TOTAL_COSTS} costs...`);
+    await seed();
+
+    const start = new Date(Date.UTC(2023, 5, 1));
+    const end = new Date(Date.UTC(2023, 6, 1));
+
+    // Both paths must agree before timing them
+    const expectedTotal = await oldTotal();
+    const actualTotal = fromMinor(
+      await Cost.totalForUser(USER_ID, CURRENCY),
+      CURRENCY
+    );
+    if (expectedTotal !== actualTotal) {
+      throw new Error(`Totals differ: ${expectedTotal} vs ${actualTotal}`);
+    }
+
+    const results = [
+      {
+        case: "user total",
+        "old (ms)": await median(oldTotal),
+        "aggregation (ms)": await median(() =>
+          Cost.totalForUser(USER_ID, CURRENCY)
+        ),
+      },
+      {
+        case: "monthly report",
+        "old (ms)": await median(() => oldReport(start, end)),
+        "aggregation (ms)": await median(() =>
+          Cost.groupByCategory(USER_ID, start, end, "UTC")
+        ),
+      },
+    ];
+    console.table(results);
+  } finally {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  }
+}
+
+main().catch((err) => {
+  console.error("[Benchmark] Failed:", err.message);
+  process.exit(1);
+});
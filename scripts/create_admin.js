@@ -0,0 +1,45 @@
+require("dotenv").config();
+
+const mongoose = require("mongoose");
+
+const Account = require("../models/Account");
+
+/**
+ * @fileoverview Create the first admin account, which can then create
+ * further accounts through POST /api/auth/accounts. The password is read
+ * from ADMIN_PASSWORD so it does not end up in the shell history.
+ *
+ * Usage: MONGO_URI=... ADMIN_PASSWORD=... node scripts/create_admin.js <username>
+ */
+
+const MONGO_URI = process.env.MONGO_URI;
+if (!MONGO_URI) {
+  console.error("[Admin] MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+const username = process.argv[2];
+const password = process.env.ADMIN_PASSWORD;
+if (!username || !password) {
+  console.error(
+    "[Admin] Usage: ADMIN_PASSWORD=... node scripts/create_admin.js <username>"
+  );
+  process.exit(1);
+}
+
+mongoose
+  .connect(MONGO_URI)
+  .then(async () => {
+    const accountDoc = await Account.build({
+      username,
+      password,
+      role: "admin",
+    });
+    await accountDoc.save();
+    console.log(`[Admin] Created admin account '${accountDoc.username}'`);
+    await mongoose.disconnect();
+  })
+  .catch((err) => {
+    console.error("[Admin] Failed:", err.message);
+    process.exit(1);
+  });
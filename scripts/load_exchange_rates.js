@@ -0,0 +1,62 @@
+require("dotenv").config();
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+const {
+  normalizeRates,
+  parseRatesCsv,
+  saveRates,
+} = require("../utils/exchange_rates");
+
+/**
+ * @fileoverview Load the locally maintained exchange-rate table from a JSON
+ * file (array of { currency, date, rate }) or a CSV file with a
+ * currency,date,rate header. Rates are the value of one unit of the currency
+ * in the base currency (BASE_CURRENCY, default ILS).
+ *
+ * Usage: MONGO_URI=... node scripts/load_exchange_rates.js rates.csv
+ */
+
+const MONGO_URI = process.env.MONGO_URI;
+if (!MONGO_URI) {
+  console.error("[Rates] MONGO_URI not found in .env");
+  process.exit(1);
+}
+
+const file = process.argv[2];
+if (!file) {
+  console.error("[Rates] Usage: node scripts/load_exchange_rates.js <file>");
+  process.exit(1);
+}
+
+const text = fs.readFileSync(file, "utf8");
+let rows;
+try {
+  rows =
+    path.extname(file).toLowerCase() === ".csv"
+      ? parseRatesCsv(text)
+      : JSON.parse(text);
+} catch (error) {
+  console.error(`[Rates] Could not read ${file}: ${error.message}`);
+  process.exit(1);
+}
+
+const { rates, errors } = normalizeRates(rows);
+if (errors) {
+  errors.forEach((e) => console.error(`[Rates] ${e.message}`));
+  process.exit(1);
+}
+
+mongoose
+  .connect(MONGO_URI)
+  .then(async () => {
+    const loaded = await saveRates(rates);
+    console.log(`[Rates] Loaded ${loaded} rate(s) from ${file}`);
+    await mongoose.disconnect();
+  })
+  .catch((err) => {
+    console.error("[Rates] Failed:", err.message);
+    process.exit(1);
+  });
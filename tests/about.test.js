@@ -7,24 +7,20 @@ const request = require("supertest");
 const mongoose = require("mongoose");
 const { MongoMemoryServer } = require("mongodb-memory-server");
 
+const { createApp } = require("../app");
+
 let mongoServer;
 let app;
 
 describe("GET /api/about", () => {
   /**
-   * Before all tests: spin up in-memory Mongo (required because index.js tries to connect)
-   * and set MONGO_URI, then require the app.
+   * Before all tests: spin up in-memory Mongo, connect Mongoose to it and
+   * create the app.
    */
   beforeAll(async () => {
     mongoServer = await MongoMemoryServer.create();
-    const uri = mongoServer.getUri();
-    process.env.MONGO_URI = uri;
-
-    // Require after env is set
-    app = require("../index");
-
-    // Wait for connection to be established
-    await mongoose.connection.once("open", () => {});
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
   });
 
   /**
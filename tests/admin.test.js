@@ -0,0 +1,171 @@
+/**
+ * @file admin.test.js
+ * @desc Tests for the /api/admin/orphan-costs endpoints, which find, reassign
+ * and purge costs whose userid has no matching user.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let User;
+let Cost;
+
+describe("Admin orphan-cost endpoints", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    User = require("../models/User");
+    Cost = require("../models/Cost");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: one real user (id 1) with a cost, plus orphan costs
+   * for the missing users 50 and 60.
+   */
+  beforeEach(async () => {
+    await User.deleteMany({});
+    await Cost.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+
+    // Insert directly, bypassing the POST /api/add user check
+    await Cost.create([
+      { description: "Owned", category: "food", userid: 1, sum: 5 },
+      { description: "Orphan A", category: "food", userid: 50, sum: 10 },
+      { description: "Orphan B", category: "sport", userid: 50, sum: 20 },
+      { description: "Orphan C", category: "health", userid: 60, sum: 7 },
+    ]);
+  });
+
+  /**
+   * Test suite for GET /api/admin/orphan-costs
+   */
+  describe("GET /api/admin/orphan-costs", () => {
+    /**
+     * Test case: costs of missing users are listed per userid with count and total.
+     */
+    it("should list orphan costs grouped by userid", async () => {
+      const res = await api.get("/api/admin/orphan-costs");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        count: 3,
+        orphans: [
+          { userid: 50, count: 2, total: 30 },
+          { userid: 60, count: 1, total: 7 },
+        ],
+      });
+    });
+  });
+
+  /**
+   * Test suite for POST /api/admin/orphan-costs/reassign
+   */
+  describe("POST /api/admin/orphan-costs/reassign", () => {
+    /**
+     * Test case: orphans of a single userid are moved to an existing user.
+     */
+    it("should move orphan costs of one userid to an existing user", async () => {
+      const res = await api
+        .post("/api/admin/orphan-costs/reassign")
+        .send({ userid: 50, to: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ to: 1, reassigned: 2 });
+      expect(await Cost.countDocuments({ userid: 1 })).toBe(3);
+      expect(await Cost.countDocuments({ userid: 60 })).toBe(1);
+    });
+
+    /**
+     * Test case: without a userid every orphan is reassigned.
+     */
+    it("should reassign every orphan when no userid is given", async () => {
+      const res = await api
+        .post("/api/admin/orphan-costs/reassign")
+        .send({ to: 1 });
+
+      expect(res.status).toBe(200);
+      expect(res.body.reassigned).toBe(3);
+      expect(await Cost.countDocuments({ userid: 1 })).toBe(4);
+    });
+
+    /**
+     * Test case: the target of a reassign must be an existing user.
+     */
+    it("should return 400 when the target user does not exist", async () => {
+      const res = await api
+        .post("/api/admin/orphan-costs/reassign")
+        .send({ userid: 50, to: 999 });
+
+      expect(res.status).toBe(400);
+      expect(await Cost.countDocuments({ userid: 50 })).toBe(2);
+    });
+
+    /**
+     * Test case: selecting a userid that has no orphans should return 404.
+     */
+    it("should return 404 when the userid has no orphan costs", async () => {
+      const res = await api
+        .post("/api/admin/orphan-costs/reassign")
+        .send({ userid: 1, to: 1 });
+
+      expect(res.status).toBe(404);
+    });
+  });
+
+  /**
+   * Test suite for DELETE /api/admin/orphan-costs
+   */
+  describe("DELETE /api/admin/orphan-costs", () => {
+    /**
+     * Test case: orphans of a single userid are deleted.
+     */
+    it("should purge orphan costs of one userid", async () => {
+      const res = await api.delete("/api/admin/orphan-costs?userid=60");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ deleted: 1 });
+      expect(await Cost.countDocuments({ userid: 50 })).toBe(2);
+    });
+
+    /**
+     * Test case: purging everything leaves costs of existing users untouched.
+     */
+    it("should purge every orphan cost but keep owned costs", async () => {
+      const res = await api.delete("/api/admin/orphan-costs");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ deleted: 3 });
+      expect(await Cost.countDocuments({})).toBe(1);
+    });
+  });
+});
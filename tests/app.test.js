@@ -0,0 +1,211 @@
+/**
+ * @file app.test.js
+ * @desc Tests for the app factory (app.js), the health probes, the
+ * configuration and the server bootstrap (index.js): isolated app instances,
+ * /healthz and /readyz following the MongoDB connection, and a graceful stop
+ * that lets in-flight requests finish.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { start } = require("../index");
+const { loadConfig } = require("../utils/config");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+
+describe("App factory and server", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo; each suite connects itself.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+  });
+
+  /**
+   * After all tests: stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.disconnect();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Test suite for createApp() and the health probes.
+   */
+  describe("createApp", () => {
+    beforeAll(async () => {
+      await mongoose.connect(mongoServer.getUri());
+    });
+
+    afterAll(async () => {
+      await mongoose.connection.dropDatabase();
+      await mongoose.disconnect();
+    });
+
+    /**
+     * Test case: both probes pass while the database is connected.
+     */
+    it("should report healthy and ready when connected", async () => {
+      const app = createApp();
+
+      const health = await request(app).get("/healthz");
+      expect(health.status).toBe(200);
+      expect(health.body).toEqual({
+        status: "ok",
+        db: "connected",
+        uptime: expect.any(Number),
+      });
+
+      const ready = await request(app).get("/readyz");
+      expect(ready.status).toBe(200);
+      expect(ready.body).toEqual({
+        status: "ready",
+        db: "connected",
+        shuttingDown: false,
+      });
+    });
+
+    /**
+     * Test case: without a connection the app lives but is not ready.
+     */
+    it("should not be ready without a database connection", async () => {
+      const app = createApp({ db: { readyState: 0 } });
+
+      const health = await request(app).get("/healthz");
+      expect(health.status).toBe(200);
+      expect(health.body.db).toBe("disconnected");
+
+      const ready = await request(app).get("/readyz");
+      expect(ready.status).toBe(503);
+      expect(ready.body).toEqual({
+        status: "unavailable",
+        db: "disconnected",
+        shuttingDown: false,
+      });
+    });
+
+    /**
+     * Test case: instances do not share state.
+     */
+    it("should create isolated instances", async () => {
+      const first = createApp();
+      const second = createApp({
+        config: { ...loadConfig({}), jsonLimit: "1kb" },
+      });
+      first.locals.shuttingDown = true;
+
+      expect((await request(first).get("/readyz")).status).toBe(503);
+      expect((await request(second).get("/readyz")).status).toBe(200);
+
+      // Only the second instance has the small body limit
+      const big = await request(second)
+        .post("/api/add")
+        .send({ description: "x".repeat(2000) });
+      expect(big.status).toBe(413);
+      const normal = await request(first)
+        .post("/api/add")
+        .send({ description: "x".repeat(2000) });
+      expect(normal.status).toBe(401);
+    });
+  });
+
+  /**
+   * Test suite for loadConfig().
+   */
+  describe("loadConfig", () => {
+    /**
+     * Test case: settings come from the environment, with defaults.
+     */
+    it("should read the environment with defaults", () => {
+      expect(loadConfig({})).toEqual({
+        mongoUri: undefined,
+        port: 3000,
+        recurrenceIntervalMs: undefined,
+        shutdownTimeoutMs: 10000,
+        jsonLimit: "10mb",
+        attachmentDir: undefined,
+        rateLimit: { max: 60, windowMs: 60000 },
+      });
+      expect(
+        loadConfig({
+          MONGO_URI: "mongodb://db/costs",
+          PORT: "8080",
+          RECURRENCE_INTERVAL_MS: "60000",
+          SHUTDOWN_TIMEOUT_MS: "500",
+        })
+      ).toMatchObject({
+        mongoUri: "mongodb://db/costs",
+        port: 8080,
+        recurrenceIntervalMs: 60000,
+        shutdownTimeoutMs: 500,
+      });
+    });
+
+    /**
+     * Test case: malformed numbers are refused.
+     */
+    it("should reject malformed numbers", () => {
+      expect(() => loadConfig({ PORT: "http" })).toThrow(
+        "PORT must be an integer from 0 to 65535."
+      );
+      expect(() => loadConfig({ PORT: "70000" })).toThrow();
+      expect(() => loadConfig({ SHUTDOWN_TIMEOUT_MS: "-1" })).toThrow();
+    });
+  });
+
+  /**
+   * Test suite for start() and its graceful stop.
+   */
+  describe("start", () => {
+    /**
+     * Test case: no MONGO_URI, no server.
+     */
+    it("should refuse to start without MONGO_URI", async () => {
+      await expect(start(loadConfig({ PORT: "0" }))).rejects.toThrow(
+        "MONGO_URI not found"
+      );
+    });
+
+    /**
+     * Test case: stop() waits for in-flight requests, then disconnects.
+     */
+    it("should drain in-flight requests on stop", async () => {
+      const { app, server, stop } = await start(
+        loadConfig({ MONGO_URI: mongoServer.getUri(), PORT: "0" })
+      );
+      expect(server.listening).toBe(true);
+      expect((await request(server).get("/readyz")).status).toBe(200);
+
+      // Hold the next request up in authentication
+      const Session = require("../models/Session");
+      const findByToken = Session.findByToken;
+      jest
+        .spyOn(Session, "findByToken")
+        .mockImplementationOnce(async (token) => {
+          await new Promise((resolve) => setTimeout(resolve, 300));
+          return findByToken.call(Session, token);
+        });
+      const api = await signIn(server, { username: "drain" });
+      const inFlight = api.get("/api/auth/me").then((res) => res);
+      await new Promise((resolve) => setTimeout(resolve, 100));
+
+      const stopped = stop();
+      expect(app.locals.shuttingDown).toBe(true);
+      expect(stop()).toBe(stopped);
+
+      const res = await inFlight;
+      expect(res.status).toBe(200);
+      expect(res.body.username).toBe("drain");
+
+      await stopped;
+      expect(server.listening).toBe(false);
+      expect(mongoose.connection.readyState).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,435 @@
+/**
+ * @file attachments.test.js
+ * @desc Tests for receipt attachments: uploading through POST /api/add and
+ * POST /api/costs/:id/attachments, type and size limits, download and
+ * delete, the `hasAttachment` flag of GET /api/report, removal together with
+ * the cost, and the disk storage.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { loadConfig } = require("../utils/config");
+const { DiskStorage } = require("../utils/storage");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Cost;
+let User;
+
+/** The smallest files the type checks accept. */
+const PNG = Buffer.concat([
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+  Buffer.from("not really an image"),
+]);
+const PDF = Buffer.from("%PDF-1.4\n% receipt\n%%EOF\n");
+
+/**
+ * Superagent parser keeping any response body as a Buffer.
+ * @param {import("http").IncomingMessage} res
+ * @param {Function} callback
+ */
+function binary(res, callback) {
+  const chunks = [];
+  res.on("data", (chunk) => chunks.push(chunk));
+  res.on("end", () => callback(null, Buffer.concat(chunks)));
+}
+
+/**
+ * Number of files in the GridFS bucket of the attachments.
+ * @return {Promise<Number>}
+ */
+function storedFiles() {
+  return mongoose.connection.db
+    .collection("attachments.files")
+    .countDocuments();
+}
+
+describe("Receipt attachments", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset the costs, users and files and create user 1.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+    await mongoose.connection.db.collection("attachments.files").deleteMany({});
+    await mongoose.connection.db
+      .collection("attachments.chunks")
+      .deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+  });
+
+  /**
+   * Add a cost for user 1 today.
+   * @param {Object} [fields] - Extra body fields.
+   * @return {Promise<Object>} The created cost.
+   */
+  async function addCost(fields = {}) {
+    const res = await api.post("/api/add").send({
+      description: "Taxi",
+      category: "housing",
+      userid: 1,
+      sum: 30,
+      ...fields,
+    });
+    expect(res.status).toBe(201);
+    return res.body;
+  }
+
+  /**
+   * Upload a file to a cost.
+   * @param {String} costId
+   * @param {Buffer} file
+   * @param {String} contentType
+   * @param {String} [query] - e.g. '?filename=a.png'.
+   * @return {Promise<import("supertest").Response>}
+   */
+  function upload(costId, file, contentType, query = "") {
+    return api
+      .post(`/api/costs/${costId}/attachments${query}`)
+      .set("Content-Type", contentType)
+      .send(file);
+  }
+
+  /**
+   * Test suite for uploading and downloading
+   */
+  describe("upload and download", () => {
+    /**
+     * Test case: a file is attached to an existing cost and downloaded back.
+     */
+    it("should attach a file to a cost and serve it back", async () => {
+      const cost = await addCost();
+
+      const res = await upload(
+        cost._id,
+        PNG,
+        "image/png",
+        "?filename=taxi.png"
+      );
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        filename: "taxi.png",
+        contentType: "image/png",
+        size: PNG.length,
+      });
+
+      const costRes = await api.get(`/api/costs/${cost._id}`);
+      expect(costRes.body.attachments).toEqual([res.body]);
+
+      const download = await api
+        .get(`/api/costs/${cost._id}/attachments/${res.body._id}`)
+        .buffer(true)
+        .parse(binary);
+      expect(download.status).toBe(200);
+      expect(download.headers["content-type"]).toBe("image/png");
+      expect(download.headers["content-disposition"]).toBe(
+        'attachment; filename="taxi.png"'
+      );
+      expect(download.body.equals(PNG)).toBe(true);
+    });
+
+    /**
+     * Test case: POST /api/add takes a receipt with the cost.
+     */
+    it("should accept a base64 receipt on POST /api/add", async () => {
+      const cost = await addCost({
+        receipt: {
+          contentType: "application/pdf",
+          data: PDF.toString("base64"),
+        },
+      });
+      expect(cost.attachments).toHaveLength(1);
+      expect(cost.attachments[0]).toMatchObject({
+        filename: "receipt.pdf",
+        contentType: "application/pdf",
+        size: PDF.length,
+      });
+
+      const download = await api
+        .get(`/api/costs/${cost._id}/attachments/${cost.attachments[0]._id}`)
+        .buffer(true)
+        .parse(binary);
+      expect(download.status).toBe(200);
+      expect(download.body.equals(PDF)).toBe(true);
+    });
+
+    /**
+     * Test case: a bad receipt adds neither the cost nor a file.
+     */
+    it("should add nothing when the receipt is rejected", async () => {
+      const res = await api.post("/api/add").send({
+        description: "Taxi",
+        category: "housing",
+        userid: 1,
+        sum: 30,
+        receipt: { contentType: "text/plain", data: "aGVsbG8=" },
+      });
+      expect(res.status).toBe(415);
+      expect(await Cost.countDocuments({})).toBe(0);
+      expect(await storedFiles()).toBe(0);
+    });
+
+    /**
+     * Test case: only accepted types whose content matches are stored.
+     */
+    it("should reject other types, mismatched content and empty files", async () => {
+      const cost = await addCost();
+
+      const text = await upload(cost._id, Buffer.from("hello"), "text/plain");
+      expect(text.status).toBe(415);
+      expect(text.body.code).toBe("UNSUPPORTED_MEDIA_TYPE");
+
+      const fake = await upload(cost._id, PNG, "application/pdf");
+      expect(fake.status).toBe(415);
+
+      const empty = await api
+        .post(`/api/costs/${cost._id}/attachments`)
+        .set("Content-Type", "image/png");
+      expect(empty.status).toBe(400);
+
+      expect(await storedFiles()).toBe(0);
+    });
+
+    /**
+     * Test case: files over 5 MB are refused.
+     */
+    it("should return 413 for a file over the size limit", async () => {
+      const cost = await addCost();
+      const big = Buffer.concat([PDF, Buffer.alloc(5 * 1024 * 1024)]);
+
+      const res = await upload(cost._id, big, "application/pdf");
+      expect(res.status).toBe(413);
+      expect(await storedFiles()).toBe(0);
+    });
+
+    /**
+     * Test case: a cost has at most 5 attachments.
+     */
+    it("should return 409 beyond 5 attachments per cost", async () => {
+      const cost = await addCost();
+      for (let i = 0; i < 5; i++) {
+        expect((await upload(cost._id, PDF, "application/pdf")).status).toBe(
+          201
+        );
+      }
+      const res = await upload(cost._id, PDF, "application/pdf");
+      expect(res.status).toBe(409);
+      expect(await storedFiles()).toBe(5);
+    });
+
+    /**
+     * Test case: ordinary accounts only reach the receipts of their own user.
+     */
+    it("should not serve another user's attachments", async () => {
+      const cost = await addCost({
+        receipt: { contentType: "image/png", data: PNG.toString("base64") },
+      });
+      const other = await signIn(app, {
+        username: "bob",
+        role: "user",
+        userid: 2,
+      });
+
+      const res = await other.get(
+        `/api/costs/${cost._id}/attachments/${cost.attachments[0]._id}`
+      );
+      expect(res.status).toBe(403);
+    });
+  });
+
+  /**
+   * Test suite for deleting attachments and costs
+   */
+  describe("deletion", () => {
+    /**
+     * Test case: deleting an attachment removes its file.
+     */
+    it("should delete an attachment and its file", async () => {
+      const cost = await addCost({
+        receipt: { contentType: "image/png", data: PNG.toString("base64") },
+      });
+      const url = `/api/costs/${cost._id}/attachments/${cost.attachments[0]._id}`;
+
+      const res = await api.delete(url);
+      expect(res.status).toBe(200);
+      expect(res.body._id).toBe(cost.attachments[0]._id);
+      expect(await storedFiles()).toBe(0);
+
+      expect((await api.get(url)).status).toBe(404);
+      const costRes = await api.get(`/api/costs/${cost._id}`);
+      expect(costRes.body.attachments).toBeUndefined();
+    });
+
+    /**
+     * Test case: deleting a cost, soft or hard, deletes its receipts.
+     */
+    it("should delete the attachments with the cost", async () => {
+      const receipt = {
+        contentType: "application/pdf",
+        data: PDF.toString("base64"),
+      };
+      const soft = await addCost({ receipt });
+      const hard = await addCost({ receipt });
+      expect(await storedFiles()).toBe(2);
+
+      await api.delete(`/api/costs/${soft._id}`);
+      expect(await storedFiles()).toBe(1);
+      const softDoc = await Cost.findById(soft._id).lean();
+      expect(softDoc.attachments).toBeUndefined();
+
+      await api.delete(`/api/costs/${hard._id}?hard=true`);
+      expect(await storedFiles()).toBe(0);
+    });
+
+    /**
+     * Test case: deleting a user with cascade=true deletes their receipts.
+     */
+    it("should delete the attachments when the user is deleted", async () => {
+      await addCost({
+        receipt: { contentType: "image/png", data: PNG.toString("base64") },
+      });
+
+      const res = await api.delete("/api/users/1?cascade=true");
+      expect(res.status).toBe(200);
+      expect(await storedFiles()).toBe(0);
+    });
+  });
+
+  /**
+   * Test suite for the hasAttachment flag of GET /api/report
+   */
+  describe("GET /api/report", () => {
+    /**
+     * Test case: report items tell which costs have a receipt.
+     */
+    it("should flag the costs that have attachments", async () => {
+      const withReceipt = await addCost({
+        description: "With receipt",
+        receipt: { contentType: "image/png", data: PNG.toString("base64") },
+      });
+      await addCost({ description: "Without receipt" });
+
+      const now = new Date();
+      const reportUrl = `/api/report?id=1&year=${now.getUTCFullYear()}&month=${
+        now.getUTCMonth() + 1
+      }&tz=UTC`;
+      const report = await api.get(reportUrl);
+      expect(report.status).toBe(200);
+      const items = report.body.costs.find((e) => e.housing).housing;
+      expect(items.find((i) => i.description === "With receipt")).toMatchObject(
+        { hasAttachment: true }
+      );
+      expect(
+        items.find((i) => i.description === "Without receipt")
+      ).not.toHaveProperty("hasAttachment");
+
+      await api.delete(
+        `/api/costs/${withReceipt._id}/attachments/${withReceipt.attachments[0]._id}`
+      );
+      const after = await api.get(reportUrl);
+      const housing = after.body.costs.find((e) => e.housing).housing;
+      expect(housing.some((i) => i.hasAttachment)).toBe(false);
+    });
+  });
+
+  /**
+   * Test suite for the disk storage
+   */
+  describe("disk storage", () => {
+    let dir;
+
+    beforeAll(async () => {
+      dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), "receipts-"));
+    });
+
+    afterAll(async () => {
+      await fs.promises.rm(dir, { recursive: true, force: true });
+    });
+
+    /**
+     * Test case: the interface works the same on disk.
+     */
+    it("should save, open and remove files", async () => {
+      const storage = new DiskStorage(dir);
+      const id = new mongoose.Types.ObjectId();
+
+      await storage.save(id, PDF, {
+        filename: "a.pdf",
+        contentType: "application/pdf",
+      });
+      const chunks = [];
+      for await (const chunk of await storage.open(id)) {
+        chunks.push(chunk);
+      }
+      expect(Buffer.concat(chunks).equals(PDF)).toBe(true);
+
+      await storage.remove(id);
+      expect(await storage.open(id)).toBeNull();
+      await expect(storage.remove(id)).resolves.toBeUndefined();
+    });
+
+    /**
+     * Test case: ATTACHMENT_DIR moves the receipts of an app to the disk.
+     */
+    it("should store the files of an app with ATTACHMENT_DIR on disk", async () => {
+      const diskApp = createApp({
+        config: loadConfig({ ATTACHMENT_DIR: dir }),
+      });
+      const admin = await signIn(diskApp, { username: "disk-admin" });
+
+      const res = await admin.post("/api/add").send({
+        description: "Taxi",
+        category: "housing",
+        userid: 1,
+        sum: 30,
+        receipt: { contentType: "image/png", data: PNG.toString("base64") },
+      });
+      expect(res.status).toBe(201);
+      expect(await storedFiles()).toBe(0);
+      expect(await fs.promises.readdir(dir)).toEqual([
+        res.body.attachments[0]._id,
+      ]);
+    });
+  });
+});
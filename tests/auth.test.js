@@ -0,0 +1,277 @@
+/**
+ * @file auth.test.js
+ * @desc Tests for signing up, logging in and out through /api/auth, and for
+ * the per-user authorization: ordinary accounts only reach their own user's
+ * data, admins everyone's, and /api/about stays public.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let Account;
+let Cost;
+let Session;
+let User;
+
+describe("Authentication and authorization", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Account = require("../models/Account");
+    Cost = require("../models/Cost");
+    Session = require("../models/Session");
+    User = require("../models/User");
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset the collections and create users 1 and 2.
+   */
+  beforeEach(async () => {
+    await Account.deleteMany({});
+    await Cost.deleteMany({});
+    await Session.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create([
+      {
+        id: 1,
+        first_name: "Alice",
+        last_name: "Anderson",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      },
+      {
+        id: 2,
+        first_name: "Bob",
+        last_name: "Brown",
+        birthday: "02/02/1990",
+        marital_status: "married",
+      },
+    ]);
+  });
+
+  /**
+   * Test suite for /api/auth
+   */
+  describe("/api/auth", () => {
+    const signup = {
+      username: "carol",
+      password: "correct horse",
+      id: 3,
+      first_name: "Carol",
+      last_name: "Cohen",
+      birthday: "1995-05-05",
+      marital_status: "single",
+    };
+
+    /**
+     * Test case: sign up, log in, use the token, log out.
+     */
+    it("should register, log in and log out", async () => {
+      const registered = await request(app)
+        .post("/api/auth/register")
+        .send(signup);
+      expect(registered.status).toBe(201);
+      expect(registered.body).toEqual({
+        username: "carol",
+        role: "user",
+        userid: 3,
+      });
+
+      const accountDoc = await Account.findOne({ username: "carol" }).lean();
+      expect(accountDoc.passwordHash).not.toContain("correct horse");
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ username: "Carol", password: "correct horse" });
+      expect(login.status).toBe(200);
+      const auth = `Bearer ${login.body.token}`;
+
+      const me = await request(app)
+        .get("/api/users/3")
+        .set("Authorization", auth);
+      expect(me.status).toBe(200);
+      expect(me.body.first_name).toBe("Carol");
+
+      const logout = await request(app)
+        .post("/api/auth/logout")
+        .set("Authorization", auth);
+      expect(logout.status).toBe(200);
+
+      const after = await request(app)
+        .get("/api/users/3")
+        .set("Authorization", auth);
+      expect(after.status).toBe(401);
+    });
+
+    /**
+     * Test case: wrong credentials and taken usernames are rejected.
+     */
+    it("should reject a wrong password, a short password and a taken username", async () => {
+      await request(app).post("/api/auth/register").send(signup);
+
+      const wrong = await request(app)
+        .post("/api/auth/login")
+        .send({ username: "carol", password: "wrong password" });
+      expect(wrong.status).toBe(401);
+
+      const short = await request(app)
+        .post("/api/auth/register")
+        .send({ ...signup, username: "dave", id: 4, password: "short" });
+      expect(short.status).toBe(400);
+
+      const taken = await request(app)
+        .post("/api/auth/register")
+        .send({ ...signup, id: 4 });
+      expect(taken.status).toBe(409);
+      expect(await User.exists({ id: 4 })).toBeNull();
+    });
+
+    /**
+     * Test case: only admins create accounts for existing users.
+     */
+    it("should let admins create accounts for existing users", async () => {
+      const admin = await signIn(app);
+      const alice = await signIn(app, {
+        username: "alice",
+        role: "user",
+        userid: 1,
+      });
+
+      const denied = await alice
+        .post("/api/auth/accounts")
+        .send({ username: "bob", password: "password123", userid: 2 });
+      expect(denied.status).toBe(403);
+
+      const created = await admin
+        .post("/api/auth/accounts")
+        .send({ username: "bob", password: "password123", userid: 2 });
+      expect(created.status).toBe(201);
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ username: "bob", password: "password123" });
+      expect(login.body).toMatchObject({ role: "user", userid: 2 });
+    });
+  });
+
+  /**
+   * Test suite for the authentication middleware
+   */
+  describe("authentication", () => {
+    /**
+     * Test case: requests without a valid token are refused, /api/about is not.
+     */
+    it("should return 401 without a valid token except for /api/about", async () => {
+      const none = await request(app).get("/api/users/1");
+      expect(none.status).toBe(401);
+
+      const bogus = await request(app)
+        .post("/api/add")
+        .set("Authorization", "Bearer not-a-token")
+        .send({ description: "x", category: "food", userid: 1, sum: 1 });
+      expect(bogus.status).toBe(401);
+      expect(await Cost.countDocuments()).toBe(0);
+
+      const about = await request(app).get("/api/about");
+      expect(about.status).toBe(200);
+    });
+  });
+
+  /**
+   * Test suite for per-user authorization
+   */
+  describe("authorization", () => {
+    /**
+     * Test case: an ordinary account only reads and writes its own user.
+     */
+    it("should confine an ordinary account to its own userid", async () => {
+      const alice = await signIn(app, {
+        username: "alice",
+        role: "user",
+        userid: 1,
+      });
+      const bobCost = await Cost.create({
+        description: "Bob's lunch",
+        category: "food",
+        userid: 2,
+        sum: 10,
+      });
+
+      expect((await alice.get("/api/users/1")).status).toBe(200);
+      expect((await alice.get("/api/users/2")).status).toBe(403);
+      expect((await alice.get(`/api/costs/${bobCost._id}`)).status).toBe(403);
+      expect(
+        (await alice.get("/api/report?id=2&year=2025&month=1")).status
+      ).toBe(403);
+
+      const forBob = await alice
+        .post("/api/add")
+        .send({ description: "x", category: "food", userid: 2, sum: 1 });
+      expect(forBob.status).toBe(403);
+
+      const own = await alice
+        .post("/api/add")
+        .send({ description: "x", category: "food", userid: 1, sum: 1 });
+      expect(own.status).toBe(201);
+
+      const users = await alice.get("/api/users");
+      expect(users.body.users.map((u) => u.id)).toEqual([1]);
+
+      expect((await alice.get("/api/admin/orphan-costs")).status).toBe(403);
+    });
+
+    /**
+     * Test case: the revision history names the signed-in account.
+     */
+    it("should record the signed-in username as the actor", async () => {
+      const alice = await signIn(app, {
+        username: "alice",
+        role: "user",
+        userid: 1,
+      });
+
+      const res = await alice
+        .post("/api/add")
+        .set("X-Changed-By", "someone-else")
+        .send({ description: "x", category: "food", userid: 1, sum: 1 });
+      const history = await alice.get(`/api/costs/${res.body._id}/history`);
+      expect(history.body[0].changedBy).toBe("alice");
+    });
+
+    /**
+     * Test case: an admin sees every user's data.
+     */
+    it("should let an admin access every user", async () => {
+      const admin = await signIn(app);
+
+      expect((await admin.get("/api/users/1")).status).toBe(200);
+      expect((await admin.get("/api/users/2")).status).toBe(200);
+      const users = await admin.get("/api/users");
+      expect(users.body.total).toBe(2);
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * @file budgets.test.js
+ * @desc Tests for the /api/budgets endpoints, the budget figures of
+ * GET /api/report and the overspend warnings and notifications raised by
+ * POST /api/add.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Budget;
+let Cost;
+let ExchangeRate;
+let Notification;
+let Report;
+let User;
+
+describe("Budgets API endpoints", () => {
+  const now = new Date();
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth() + 1;
+
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Budget = require("../models/Budget");
+    Cost = require("../models/Cost");
+    ExchangeRate = require("../models/ExchangeRate");
+    Notification = require("../models/Notification");
+    Report = require("../models/Report");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset the collections and create user 1.
+   */
+  beforeEach(async () => {
+    await Budget.deleteMany({});
+    await Cost.deleteMany({});
+    await ExchangeRate.deleteMany({});
+    await Notification.deleteMany({});
+    await Report.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+  });
+
+  /**
+   * Add a food cost for user 1 through the API and return the response.
+   * @param {Number} sum - Amount of the cost.
+   * @return {Promise<Object>}
+   */
+  async function addFood(sum) {
+    const res = await api
+      .post("/api/add")
+      .send({ description: "Food", category: "food", userid: 1, sum });
+    expect(res.status).toBe(201);
+    return res;
+  }
+
+  /**
+   * Test suite for /api/budgets
+   */
+  describe("/api/budgets", () => {
+    /**
+     * Test case: budgets can be created, listed, changed and removed.
+     */
+    it("should create, list, update and delete a budget", async () => {
+      const created = await api
+        .post("/api/budgets")
+        .send({ userid: 1, category: "food", limit: 1500 });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({
+        userid: 1,
+        category: "food",
+        limit: 1500,
+        currency: "ILS",
+      });
+
+      const list = await api.get("/api/budgets?userid=1");
+      expect(list.body).toHaveLength(1);
+
+      const updated = await api
+        .patch(`/api/budgets/${created.body._id}`)
+        .send({ limit: 1800 });
+      expect(updated.status).toBe(200);
+      expect(updated.body.limit).toBe(1800);
+
+      const removed = await api.delete(`/api/budgets/${created.body._id}`);
+      expect(removed.status).toBe(200);
+      expect(await Budget.countDocuments()).toBe(0);
+    });
+
+    /**
+     * Test case: invalid budgets are rejected.
+     */
+    it("should return 400 for an unknown user, unknown category, bad limit or currency", async () => {
+      const noUser = await api
+        .post("/api/budgets")
+        .send({ userid: 99, category: "food", limit: 10 });
+      expect(noUser.status).toBe(400);
+
+      const noCategory = await api
+        .post("/api/budgets")
+        .send({ userid: 1, category: "travel", limit: 10 });
+      expect(noCategory.status).toBe(400);
+
+      const badLimit = await api
+        .post("/api/budgets")
+        .send({ userid: 1, category: "food", limit: -5 });
+      expect(badLimit.status).toBe(400);
+
+      const badCurrency = await api
+        .post("/api/budgets")
+        .send({ userid: 1, category: "food", limit: 10, currency: "XYZ" });
+      expect(badCurrency.status).toBe(400);
+      expect(badCurrency.body.details[0]).toMatchObject({
+        field: "currency",
+        in: "body",
+      });
+    });
+
+    /**
+     * Test case: a second budget for the same category returns 409.
+     */
+    it("should return 409 for a duplicate budget", async () => {
+      await api
+        .post("/api/budgets")
+        .send({ userid: 1, category: "food", limit: 100 });
+      const res = await api
+        .post("/api/budgets")
+        .send({ userid: 1, category: "food", limit: 200 });
+      expect(res.status).toBe(409);
+    });
+  });
+
+  /**
+   * Test suite for overspend warnings on POST /api/add
+   */
+  describe("POST /api/add overspend warning", () => {
+    /**
+     * Test case: only the cost that crosses the budget raises a warning.
+     */
+    it("should warn and notify once when a cost pushes the category over budget", async () => {
+      await Budget.create({ userid: 1, category: "food", limit: 100 });
+
+      const under = await addFood(60);
+      expect(under.body).not.toHaveProperty("warning");
+
+      const over = await addFood(50);
+      expect(over.body.warning).toMatchObject({
+        category: "food",
+        year,
+        month,
+        budget: 100,
+        spent: 110,
+        currency: "ILS",
+      });
+
+      const stillOver = await addFood(10);
+      expect(stillOver.body).not.toHaveProperty("warning");
+
+      const res = await api.get("/api/users/1/notifications");
+      expect(res.status).toBe(200);
+      expect(res.body).toHaveLength(1);
+      expect(res.body[0]).toMatchObject({
+        type: "budget_exceeded",
+        category: "food",
+        spent: 110,
+      });
+      expect(res.body[0].costId).toBe(over.body._id);
+    });
+
+    /**
+     * Test case: categories without a budget never warn.
+     */
+    it("should not warn for a category without a budget", async () => {
+      await Budget.create({ userid: 1, category: "sport", limit: 1 });
+
+      const res = await addFood(500);
+      expect(res.body).not.toHaveProperty("warning");
+      expect(await Notification.countDocuments()).toBe(0);
+    });
+
+    /**
+     * Test case: notifications of an unknown user return 404.
+     */
+    it("should return 404 for the notifications of an unknown user", async () => {
+      const res = await api.get("/api/users/99/notifications");
+      expect(res.status).toBe(404);
+    });
+  });
+
+  /**
+   * Test suite for the budget figures of GET /api/report
+   */
+  describe("GET /api/report budgets", () => {
+    /**
+     * Test case: budgeted categories get budget, spent and remaining.
+     */
+    it("should report budget, spent and remaining per budgeted category", async () => {
+      await Budget.create([
+        { userid: 1, category: "food", limit: 100 },
+        { userid: 1, category: "sport", limit: 50 },
+      ]);
+      await addFood(60);
+      await addFood(60);
+
+      const res = await api.get(`/api/report?id=1&year=${year}&month=${month}`);
+      expect(res.status).toBe(200);
+      expect(res.body.budgets).toEqual({
+        food: { budget: 100, spent: 120, remaining: -20 },
+        sport: { budget: 50, spent: 0, remaining: 50 },
+      });
+    });
+
+    /**
+     * Test case: budgets are converted into the report's currency.
+     */
+    it("should convert budgets into the requested currency", async () => {
+      await ExchangeRate.create({
+        currency: "USD",
+        date: new Date("2000-01-01"),
+        rate: 4,
+      });
+      await Budget.create({
+        userid: 1,
+        category: "food",
+        limit: 100,
+        currency: "USD",
+      });
+      await addFood(200);
+
+      const res = await api.get(
+        `/api/report?id=1&year=${year}&month=${month}&currency=USD`
+      );
+      expect(res.body.budgets).toEqual({
+        food: { budget: 100, spent: 50, remaining: 50 },
+      });
+    });
+
+    /**
+     * Test case: users without budgets keep the plain report shape.
+     */
+    it("should leave budgets out when the user has none", async () => {
+      const res = await api.get(`/api/report?id=1&year=${year}&month=${month}`);
+      expect(res.body).not.toHaveProperty("budgets");
+    });
+  });
+});
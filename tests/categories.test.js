@@ -0,0 +1,468 @@
+/**
+ * @file categories.test.js
+ * @desc Tests for the /api/categories endpoints: listing, creating global,
+ * custom and subcategories, renaming and merging (with cost migration) and
+ * deleting categories.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Category;
+let Cost;
+let CostRevision;
+let Report;
+let User;
+
+describe("Categories API endpoints", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Category = require("../models/Category");
+    Cost = require("../models/Cost");
+    CostRevision = require("../models/CostRevision");
+    Report = require("../models/Report");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset every collection and create users 1 and 2.
+   */
+  beforeEach(async () => {
+    await Category.deleteMany({});
+    await Cost.deleteMany({});
+    await CostRevision.deleteMany({});
+    await Report.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create([
+      {
+        id: 1,
+        first_name: "Alice",
+        last_name: "Anderson",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      },
+      {
+        id: 2,
+        first_name: "Bob",
+        last_name: "Brown",
+        birthday: "02/02/1990",
+        marital_status: "married",
+      },
+    ]);
+  });
+
+  /**
+   * Create a category through the API and return the response body.
+   * @param {Object} body - POST /api/categories body.
+   * @return {Promise<Object>}
+   */
+  async function createCategory(body) {
+    const res = await api.post("/api/categories").send(body);
+    expect(res.status).toBe(201);
+    return res.body;
+  }
+
+  /**
+   * Test suite for GET /api/categories
+   */
+  describe("GET /api/categories", () => {
+    /**
+     * Test case: the five default categories exist out of the box.
+     */
+    it("should list the default global categories", async () => {
+      const res = await api.get("/api/categories");
+      expect(res.status).toBe(200);
+      expect(res.body.map((c) => c.name)).toEqual([
+        "food",
+        "health",
+        "housing",
+        "sport",
+        "education",
+      ]);
+      res.body.forEach((c) => {
+        expect(c.userid).toBeNull();
+        expect(c.parent).toBeNull();
+      });
+    });
+
+    /**
+     * Test case: custom categories are only listed for their owner.
+     */
+    it("should include a user's custom categories only for that user", async () => {
+      await createCategory({ name: "Pets", userid: 1 });
+
+      const own = await api.get("/api/categories?userid=1");
+      expect(own.body.map((c) => c.name)).toContain("pets");
+
+      const other = await api.get("/api/categories?userid=2");
+      expect(other.body.map((c) => c.name)).not.toContain("pets");
+
+      const global = await api.get("/api/categories");
+      expect(global.body.map((c) => c.name)).not.toContain("pets");
+    });
+  });
+
+  /**
+   * Test suite for POST /api/categories
+   */
+  describe("POST /api/categories", () => {
+    /**
+     * Test case: a new global category becomes usable on costs and in reports.
+     */
+    it("should add a global category usable by POST /api/add and the report", async () => {
+      const created = await createCategory({ name: "transport" });
+      expect(created).toMatchObject({
+        name: "transport",
+        userid: null,
+        parent: null,
+      });
+
+      const add = await api.post("/api/add").send({
+        description: "Bus",
+        category: "transport",
+        userid: 1,
+        sum: 6,
+      });
+      expect(add.status).toBe(201);
+
+      const now = new Date();
+      const report = await api.get(
+        `/api/report?id=1&year=${now.getUTCFullYear()}&month=${now.getUTCMonth() + 1}`
+      );
+      expect(report.body.costs.map((e) => Object.keys(e)[0])).toEqual([
+        "food",
+        "health",
+        "housing",
+        "sport",
+        "education",
+        "transport",
+      ]);
+      expect(report.body.costs[5].transport).toHaveLength(1);
+    });
+
+    /**
+     * Test case: subcategories must hang off an existing top-level category.
+     */
+    it("should create subcategories and validate them on costs", async () => {
+      await createCategory({ name: "groceries", parent: "food" });
+
+      const bad = await api
+        .post("/api/categories")
+        .send({ name: "x", parent: "nope" });
+      expect(bad.status).toBe(400);
+
+      const add = await api.post("/api/add").send({
+        description: "Milk",
+        category: "food",
+        subcategory: "groceries",
+        userid: 1,
+        sum: 6,
+      });
+      expect(add.status).toBe(201);
+      expect(add.body.subcategory).toBe("groceries");
+
+      const wrongParent = await api.post("/api/add").send({
+        description: "Milk",
+        category: "health",
+        subcategory: "groceries",
+        userid: 1,
+        sum: 6,
+      });
+      expect(wrongParent.status).toBe(400);
+      expect(wrongParent.body).toHaveProperty(
+        "error",
+        "Unknown subcategory 'groceries' of 'health'."
+      );
+    });
+
+    /**
+     * Test case: a custom category can only be used by its owner.
+     */
+    it("should only accept a custom category on its owner's costs", async () => {
+      await createCategory({ name: "pets", userid: 1 });
+
+      const own = await api
+        .post("/api/add")
+        .send({ description: "Food", category: "pets", userid: 1, sum: 3 });
+      expect(own.status).toBe(201);
+
+      const other = await api
+        .post("/api/add")
+        .send({ description: "Food", category: "pets", userid: 2, sum: 3 });
+      expect(other.status).toBe(400);
+      expect(other.body).toHaveProperty("error", "Unknown category 'pets'.");
+    });
+
+    /**
+     * Test case: names clashing in the same scope are rejected with 409.
+     */
+    it("should return 409 for a duplicate name", async () => {
+      const globalClash = await api
+        .post("/api/categories")
+        .send({ name: "Food" });
+      expect(globalClash.status).toBe(409);
+
+      const customClash = await api
+        .post("/api/categories")
+        .send({ name: "food", userid: 1 });
+      expect(customClash.status).toBe(409);
+
+      await createCategory({ name: "pets", userid: 1 });
+      // Another user may have a custom category of the same name
+      await createCategory({ name: "pets", userid: 2 });
+    });
+
+    /**
+     * Test case: subcategory names only clash under the same parent.
+     */
+    it("should allow the same subcategory name under different parents", async () => {
+      await createCategory({ name: "other", parent: "food" });
+      await createCategory({ name: "other", parent: "health" });
+
+      const clash = await api
+        .post("/api/categories")
+        .send({ name: "other", parent: "food", userid: 1 });
+      expect(clash.status).toBe(409);
+
+      const add = await api.post("/api/add").send({
+        description: "Vitamins",
+        category: "health",
+        subcategory: "other",
+        userid: 1,
+        sum: 12,
+      });
+      expect(add.status).toBe(201);
+    });
+
+    /**
+     * Test case: invalid names and unknown users are rejected with 400.
+     */
+    it("should return 400 for an invalid name or unknown user", async () => {
+      const badName = await api.post("/api/categories").send({ name: "!!!" });
+      expect(badName.status).toBe(400);
+
+      const noUser = await api
+        .post("/api/categories")
+        .send({ name: "pets", userid: 99 });
+      expect(noUser.status).toBe(400);
+    });
+  });
+
+  /**
+   * Test suite for PATCH /api/categories/:id (rename migration)
+   */
+  describe("PATCH /api/categories/:id", () => {
+    /**
+     * Test case: renaming migrates costs and subcategories, with revisions.
+     */
+    it("should rename a category and migrate its costs and subcategories", async () => {
+      const sport = (await api.get("/api/categories")).body.find(
+        (c) => c.name === "sport"
+      );
+      await createCategory({ name: "gym", parent: "sport" });
+      await Cost.create([
+        { description: "Run", category: "sport", userid: 1, sum: 5 },
+        {
+          description: "Gym",
+          category: "sport",
+          subcategory: "gym",
+          userid: 2,
+          sum: 50,
+        },
+        { description: "Lunch", category: "food", userid: 1, sum: 9 },
+      ]);
+
+      const res = await api
+        .patch(`/api/categories/${sport._id}`)
+        .set("X-Changed-By", "admin")
+        .send({ name: "fitness" });
+
+      expect(res.status).toBe(200);
+      expect(res.body.category.name).toBe("fitness");
+      expect(res.body.migratedCosts).toBe(2);
+
+      expect(await Cost.countDocuments({ category: "sport" })).toBe(0);
+      expect(await Cost.countDocuments({ category: "fitness" })).toBe(2);
+      const gym = await Category.findOne({ name: "gym" }).lean();
+      expect(gym.parent).toBe("fitness");
+
+      const revisions = await CostRevision.find({ changedBy: "admin" }).lean();
+      expect(revisions).toHaveLength(2);
+      expect(revisions[0].changes).toEqual([
+        { field: "category", from: "sport", to: "fitness" },
+      ]);
+    });
+
+    /**
+     * Test case: renaming to a taken name returns 409.
+     */
+    it("should return 409 when the new name is taken", async () => {
+      const sport = (await api.get("/api/categories")).body.find(
+        (c) => c.name === "sport"
+      );
+      const res = await api
+        .patch(`/api/categories/${sport._id}`)
+        .send({ name: "food" });
+      expect(res.status).toBe(409);
+    });
+  });
+
+  /**
+   * Test suite for POST /api/categories/:id/merge
+   */
+  describe("POST /api/categories/:id/merge", () => {
+    /**
+     * Test case: merging moves the costs and removes the source category.
+     */
+    it("should merge a custom category into a global one", async () => {
+      const pets = await createCategory({ name: "pets", userid: 1 });
+      const food = (await api.get("/api/categories")).body.find(
+        (c) => c.name === "food"
+      );
+      await Cost.create([
+        { description: "Kibble", category: "pets", userid: 1, sum: 30 },
+        { description: "Treats", category: "pets", userid: 1, sum: 5 },
+      ]);
+
+      const res = await api
+        .post(`/api/categories/${pets._id}/merge`)
+        .send({ into: food._id });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        merged: "pets",
+        into: "food",
+        migratedCosts: 2,
+      });
+      expect(await Category.exists({ _id: pets._id })).toBeNull();
+      expect(await Cost.countDocuments({ category: "food", userid: 1 })).toBe(
+        2
+      );
+    });
+
+    /**
+     * Test case: subcategories the target already has are merged into its own.
+     */
+    it("should merge subcategories into the target's of the same name", async () => {
+      await createCategory({ name: "other", parent: "food" });
+      await createCategory({ name: "other", parent: "health" });
+      await createCategory({ name: "pharmacy", parent: "health" });
+      const health = (await api.get("/api/categories")).body.find(
+        (c) => c.name === "health"
+      );
+      const food = (await api.get("/api/categories")).body.find(
+        (c) => c.name === "food"
+      );
+      await Cost.create({
+        description: "Vitamins",
+        category: "health",
+        subcategory: "other",
+        userid: 1,
+        sum: 12,
+      });
+
+      const res = await api
+        .post(`/api/categories/${health._id}/merge`)
+        .send({ into: food._id });
+      expect(res.status).toBe(200);
+
+      const subcategories = await Category.find({ parent: { $ne: null } })
+        .sort({ name: 1 })
+        .lean();
+      expect(subcategories.map((c) => [c.name, c.parent])).toEqual([
+        ["other", "food"],
+        ["pharmacy", "food"],
+      ]);
+      expect(
+        await Cost.countDocuments({ category: "food", subcategory: "other" })
+      ).toBe(1);
+    });
+
+    /**
+     * Test case: a global category cannot be merged into a custom one.
+     */
+    it("should refuse to merge a global category into a custom one", async () => {
+      const pets = await createCategory({ name: "pets", userid: 1 });
+      const food = (await api.get("/api/categories")).body.find(
+        (c) => c.name === "food"
+      );
+
+      const res = await api
+        .post(`/api/categories/${food._id}/merge`)
+        .send({ into: pets._id });
+      expect(res.status).toBe(400);
+    });
+  });
+
+  /**
+   * Test suite for DELETE /api/categories/:id
+   */
+  describe("DELETE /api/categories/:id", () => {
+    /**
+     * Test case: an unused category is deleted.
+     */
+    it("should delete an unused category", async () => {
+      const pets = await createCategory({ name: "pets", userid: 1 });
+      const res = await api.delete(`/api/categories/${pets._id}`);
+      expect(res.status).toBe(200);
+      expect(await Category.exists({ _id: pets._id })).toBeNull();
+    });
+
+    /**
+     * Test case: a category still used by costs cannot be deleted.
+     */
+    it("should return 409 when costs still use the category", async () => {
+      const pets = await createCategory({ name: "pets", userid: 1 });
+      await Cost.create({
+        description: "Kibble",
+        category: "pets",
+        userid: 1,
+        sum: 30,
+      });
+
+      const res = await api.delete(`/api/categories/${pets._id}`);
+      expect(res.status).toBe(409);
+    });
+
+    /**
+     * Test case: malformed and unknown ids.
+     */
+    it("should return 400 for a malformed id and 404 for an unknown id", async () => {
+      const bad = await api.delete("/api/categories/nope");
+      expect(bad.status).toBe(400);
+
+      const missing = await api.delete(
+        `/api/categories/${new mongoose.Types.ObjectId()}`
+      );
+      expect(missing.status).toBe(404);
+    });
+  });
+});
@@ -5,35 +5,41 @@
  * Uses in-memory MongoDB to avoid touching a real database.
  */
 
-const request = require("supertest");
 const mongoose = require("mongoose");
 const { MongoMemoryServer } = require("mongodb-memory-server");
 
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
 let mongoServer;
 let app;
+let api;
 let Cost;
+let User;
+let CostRevision;
+let Report;
 
 describe("Costs API endpoints", () => {
   /**
    * Before all tests:
    * - Spin up an in-memory MongoDB instance
-   * - Set process.env.MONGO_URI to the in-memory URI
-   * - Require the Express app (index.js)
-   * - Grab the Cost model
+   * - Connect Mongoose to it
+   * - Create the Express app (app.js)
+   * - Grab the Cost, CostRevision, Report and User models
    */
   beforeAll(async () => {
     mongoServer = await MongoMemoryServer.create();
-    const uri = mongoServer.getUri();
-    process.env.MONGO_URI = uri;
-
-    // Require after setting the env
-    app = require("../index");
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
 
-    // Grab the Cost model
+    // Grab the models
     Cost = require("../models/Cost");
+    User = require("../models/User");
+    CostRevision = require("../models/CostRevision");
+    Report = require("../models/Report");
 
-    // Wait until Mongoose is connected
-    await mongoose.connection.once("open", () => {});
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
   });
 
   /**
@@ -49,10 +55,13 @@ describe("Costs API endpoints", () => {
   });
 
   /**
-   * Before each test: clear all Cost documents.
+   * Before each test: clear all Cost, CostRevision, Report and User documents.
    */
   beforeEach(async () => {
     await Cost.deleteMany({});
+    await CostRevision.deleteMany({});
+    await Report.deleteMany({});
+    await User.deleteMany({});
   });
 
   /**
@@ -63,6 +72,14 @@ describe("Costs API endpoints", () => {
      * Test case: successfully add a new cost item.
      */
     it("should create a new cost and return it with status 201", async () => {
+      await User.create({
+        id: 42,
+        first_name: "Test",
+        last_name: "User",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      });
+
       const newCost = {
         description: "Test cost item",
         category: "food",
@@ -70,7 +87,7 @@ describe("Costs API endpoints", () => {
         sum: 15,
       };
 
-      const res = await request(app)
+      const res = await api
         .post("/api/add")
         .send(newCost)
         .set("Accept", "application/json");
@@ -104,7 +121,7 @@ describe("Costs API endpoints", () => {
         sum: 5,
       };
 
-      const res = await request(app)
+      const res = await api
         .post("/api/add")
         .send(invalidCost)
         .set("Accept", "application/json");
@@ -112,6 +129,179 @@ describe("Costs API endpoints", () => {
       expect(res.status).toBe(400);
       expect(res.body).toHaveProperty("error");
     });
+
+    /**
+     * Test case: a cost for a userid with no matching User should be rejected.
+     */
+    it("should return 400 and not save the cost when the user does not exist", async () => {
+      const res = await api.post("/api/add").send({
+        description: "Orphan cost",
+        category: "food",
+        userid: 404,
+        sum: 8,
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty(
+        "error",
+        "User with id 404 does not exist."
+      );
+      expect(await Cost.countDocuments({ userid: 404 })).toBe(0);
+    });
+  });
+
+  /**
+   * Test suite for the expense date accepted by POST /api/add
+   */
+  describe("POST /api/add expense date", () => {
+    const nextYear = new Date().getUTCFullYear() + 1;
+
+    beforeEach(async () => {
+      await User.create({
+        id: 42,
+        first_name: "Test",
+        last_name: "User",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.ALLOW_PAST_COST_DATES;
+    });
+
+    /**
+     * Test case: without a date the expense date equals the insertion time.
+     */
+    it("should default the expense date to the creation time", async () => {
+      const res = await api
+        .post("/api/add")
+        .send({ description: "Now", category: "food", userid: 42, sum: 3 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.date).toBe(res.body.createdAt);
+    });
+
+    /**
+     * Test case: an explicit date is stored apart from createdAt.
+     */
+    it("should store an explicit date separately from createdAt", async () => {
+      const res = await api.post("/api/add").send({
+        description: "Planned",
+        category: "education",
+        userid: 42,
+        sum: 300,
+        date: `${nextYear}-03-15T10:00:00.000Z`,
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.date).toBe(`${nextYear}-03-15T10:00:00.000Z`);
+      expect(res.body.createdAt).not.toBe(res.body.date);
+    });
+
+    /**
+     * Test case: year/month/day fields are accepted as a calendar day.
+     */
+    it("should accept separate year, month and day fields", async () => {
+      const res = await api.post("/api/add").send({
+        description: "Planned",
+        category: "sport",
+        userid: 42,
+        sum: 20,
+        year: nextYear,
+        month: 2,
+        day: 28,
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.date).toBe(`${nextYear}-02-28T00:00:00.000Z`);
+    });
+
+    /**
+     * Test case: malformed dates are rejected with 400.
+     */
+    it("should return 400 for an invalid date", async () => {
+      const base = { description: "Bad", category: "food", userid: 42, sum: 1 };
+
+      const badString = await api
+        .post("/api/add")
+        .send({ ...base, date: "not a date" });
+      expect(badString.status).toBe(400);
+      expect(badString.body).toHaveProperty("error", "Invalid date.");
+
+      const badDay = await api
+        .post("/api/add")
+        .send({ ...base, year: nextYear, month: 2, day: 30 });
+      expect(badDay.status).toBe(400);
+      expect(badDay.body).toHaveProperty(
+        "error",
+        "Invalid year, month, or day."
+      );
+
+      const both = await api
+        .post("/api/add")
+        .send({ ...base, date: `${nextYear}-01-01`, year: nextYear });
+      expect(both.status).toBe(400);
+
+      // Two-digit years would otherwise be read as 19xx
+      process.env.ALLOW_PAST_COST_DATES = "true";
+      const shortYear = await api
+        .post("/api/add")
+        .send({ ...base, year: 50, month: 6, day: 1 });
+      delete process.env.ALLOW_PAST_COST_DATES;
+      expect(shortYear.status).toBe(400);
+      expect(shortYear.body).toHaveProperty(
+        "error",
+        "Invalid year, month, or day."
+      );
+
+      expect(await Cost.countDocuments({})).toBe(0);
+    });
+
+    /**
+     * Test case: dates in the past are rejected by default (course rule).
+     */
+    it("should return 400 for a date in the past by default", async () => {
+      const res = await api.post("/api/add").send({
+        description: "Last year",
+        category: "food",
+        userid: 42,
+        sum: 12,
+        date: "2020-01-10",
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty(
+        "error",
+        "Cost date cannot be in the past."
+      );
+    });
+
+    /**
+     * Test case: with ALLOW_PAST_COST_DATES=true a past cost is accepted and
+     * the report files it under the month of its expense date.
+     */
+    it("should accept past dates when configured and report them by expense date", async () => {
+      process.env.ALLOW_PAST_COST_DATES = "true";
+
+      const res = await api.post("/api/add").send({
+        description: "Old receipt",
+        category: "food",
+        userid: 42,
+        sum: 12,
+        year: 2020,
+        month: 1,
+        day: 10,
+      });
+      expect(res.status).toBe(201);
+
+      const report = await api.get("/api/report?id=42&year=2020&month=1");
+      expect(report.status).toBe(200);
+      const foodEntry = report.body.costs.find((e) => e.food !== undefined);
+      expect(foodEntry.food).toEqual([
+        { sum: 12, description: "Old receipt", day: 10 },
+      ]);
+    });
   });
 
   /**
@@ -122,9 +312,7 @@ describe("Costs API endpoints", () => {
      * Test case: invalid query parameters should return 400.
      */
     it("should return 400 if id, year, or month are not valid numbers", async () => {
-      const res = await request(app).get(
-        "/api/report?id=foo&year=2025&month=5"
-      );
+      const res = await api.get("/api/report?id=foo&year=2025&month=5");
       expect(res.status).toBe(400);
       expect(res.body).toHaveProperty(
         "error",
@@ -138,9 +326,7 @@ describe("Costs API endpoints", () => {
     it("should return empty arrays for all categories if no costs exist in the specified month", async () => {
       // No costs inserted
 
-      const res = await request(app).get(
-        "/api/report?id=123&year=2025&month=6"
-      );
+      const res = await api.get("/api/report?id=123&year=2025&month=6");
       expect(res.status).toBe(200);
 
       // Expect structure: { userid: 123, year: 2025, month: 6, costs: [ {food:[]}, {health:[]}, … ] }
@@ -195,7 +381,7 @@ describe("Costs API endpoints", () => {
         },
       ]);
 
-      const res = await request(app).get("/api/report?id=7&year=2025&month=6");
+      const res = await api.get("/api/report?id=7&year=2025&month=6");
       expect(res.status).toBe(200);
 
       // Expect only the two June costs to appear, grouped correctly
@@ -234,5 +420,489 @@ describe("Costs API endpoints", () => {
       expect(sportEntry.sport).toHaveLength(0);
       expect(educationEntry.education).toHaveLength(0);
     });
+
+    /**
+     * Test case: soft-deleted costs should not appear in the report.
+     */
+    it("should leave soft-deleted costs out of the report", async () => {
+      const june10 = new Date(Date.UTC(2025, 5, 10, 12, 0, 0));
+      await Cost.create([
+        {
+          description: "Kept",
+          category: "food",
+          userid: 7,
+          sum: 12,
+          createdAt: june10,
+        },
+        {
+          description: "Removed",
+          category: "food",
+          userid: 7,
+          sum: 30,
+          createdAt: june10,
+          deletedAt: new Date(),
+        },
+      ]);
+
+      const res = await api.get("/api/report?id=7&year=2025&month=6");
+      expect(res.status).toBe(200);
+
+      const foodEntry = res.body.costs.find((e) => e.food !== undefined);
+      expect(foodEntry.food).toHaveLength(1);
+      expect(foodEntry.food[0].description).toBe("Kept");
+    });
+  });
+
+  /**
+   * Test suite for the Report cache behind GET /api/report (Computed pattern)
+   */
+  describe("GET /api/report caching", () => {
+    const june10 = new Date(Date.UTC(2025, 5, 10, 12, 0, 0));
+
+    beforeEach(async () => {
+      process.env.ALLOW_PAST_COST_DATES = "true";
+      await User.create({
+        id: 7,
+        first_name: "Test",
+        last_name: "User",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      });
+      await Cost.create({
+        description: "June lunch",
+        category: "food",
+        userid: 7,
+        sum: 12,
+        date: june10,
+      });
+    });
+
+    afterEach(() => {
+      delete process.env.ALLOW_PAST_COST_DATES;
+      jest.restoreAllMocks();
+    });
+
+    /**
+     * Test case: the second request for a past month is served from the
+     * Report collection without querying Cost (neither find nor aggregate).
+     */
+    it("should serve a past month from the Report collection on the second request", async () => {
+      const first = await api.get("/api/report?id=7&year=2025&month=6");
+      expect(first.status).toBe(200);
+      expect(first.headers["x-cache"]).toBe("MISS");
+      expect(
+        await Report.countDocuments({ userid: 7, year: 2025, month: 6 })
+      ).toBe(1);
+
+      const findSpy = jest.spyOn(Cost, "find");
+      const aggregateSpy = jest.spyOn(Cost, "aggregate");
+      const second = await api.get("/api/report?id=7&year=2025&month=6");
+      expect(second.status).toBe(200);
+      expect(second.headers["x-cache"]).toBe("HIT");
+      expect(findSpy).not.toHaveBeenCalled();
+      expect(aggregateSpy).not.toHaveBeenCalled();
+      expect(second.body).toEqual(first.body);
+    });
+
+    /**
+     * Test case: the current month is never cached.
+     */
+    it("should not cache the current month", async () => {
+      const now = new Date();
+      const url = `/api/report?id=7&year=${now.getUTCFullYear()}&month=${now.getUTCMonth() + 1}`;
+
+      await api.get(url);
+      const second = await api.get(url);
+      expect(second.headers["x-cache"]).toBe("MISS");
+      expect(await Report.countDocuments({})).toBe(0);
+    });
+
+    /**
+     * Test case: adding a cost to a cached month invalidates it.
+     */
+    it("should invalidate the cached month when a cost is added to it", async () => {
+      await api.get("/api/report?id=7&year=2025&month=6");
+
+      const add = await api.post("/api/add").send({
+        description: "June dinner",
+        category: "food",
+        userid: 7,
+        sum: 30,
+        date: "2025-06-20T18:00:00.000Z",
+      });
+      expect(add.status).toBe(201);
+      expect(await Report.countDocuments({})).toBe(0);
+
+      const res = await api.get("/api/report?id=7&year=2025&month=6");
+      expect(res.headers["x-cache"]).toBe("MISS");
+      const foodEntry = res.body.costs.find((e) => e.food !== undefined);
+      expect(foodEntry.food).toHaveLength(2);
+    });
+
+    /**
+     * Test case: a cost added to another month leaves the cache alone.
+     */
+    it("should keep the cached month when a cost lands in another month", async () => {
+      await api.get("/api/report?id=7&year=2025&month=6");
+
+      await api.post("/api/add").send({
+        description: "May dinner",
+        category: "food",
+        userid: 7,
+        sum: 30,
+        date: "2025-05-20T18:00:00.000Z",
+      });
+
+      const res = await api.get("/api/report?id=7&year=2025&month=6");
+      expect(res.headers["x-cache"]).toBe("HIT");
+    });
+
+    /**
+     * Test case: editing a cost invalidates both its old and its new month.
+     */
+    it("should invalidate the old and new month when a cost is moved", async () => {
+      const cost = await Cost.findOne({ userid: 7 }).lean();
+      await api.get("/api/report?id=7&year=2025&month=6");
+      await api.get("/api/report?id=7&year=2025&month=5");
+      expect(await Report.countDocuments({})).toBe(2);
+
+      const res = await api
+        .patch(`/api/costs/${cost._id}`)
+        .send({ date: "2025-05-05T12:00:00.000Z" });
+      expect(res.status).toBe(200);
+      expect(await Report.countDocuments({})).toBe(0);
+
+      const may = await api.get("/api/report?id=7&year=2025&month=5");
+      const foodEntry = may.body.costs.find((e) => e.food !== undefined);
+      expect(foodEntry.food).toEqual([
+        { sum: 12, description: "June lunch", day: 5 },
+      ]);
+    });
+
+    /**
+     * Test case: deleting a cost invalidates its month.
+     */
+    it("should invalidate the cached month when a cost is deleted", async () => {
+      const cost = await Cost.findOne({ userid: 7 }).lean();
+      await api.get("/api/report?id=7&year=2025&month=6");
+
+      await api.delete(`/api/costs/${cost._id}`);
+      expect(await Report.countDocuments({})).toBe(0);
+
+      const res = await api.get("/api/report?id=7&year=2025&month=6");
+      const foodEntry = res.body.costs.find((e) => e.food !== undefined);
+      expect(foodEntry.food).toHaveLength(0);
+    });
+  });
+
+  /**
+   * Test suite for the yearly and range variants of GET /api/report
+   */
+  describe("GET /api/report yearly and range", () => {
+    beforeEach(async () => {
+      await User.create({
+        id: 7,
+        first_name: "Test",
+        last_name: "User",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      });
+      await Cost.create([
+        {
+          description: "Jan lunch",
+          category: "food",
+          userid: 7,
+          sum: 100,
+          date: new Date(Date.UTC(2025, 0, 10)),
+        },
+        {
+          description: "Feb lunch",
+          category: "food",
+          userid: 7,
+          sum: 150,
+          date: new Date(Date.UTC(2025, 1, 10)),
+        },
+        {
+          description: "Feb gym",
+          category: "sport",
+          userid: 7,
+          sum: 40,
+          date: new Date(Date.UTC(2025, 1, 20)),
+        },
+        {
+          description: "Last year",
+          category: "food",
+          userid: 7,
+          sum: 999,
+          date: new Date(Date.UTC(2024, 11, 31)),
+        },
+      ]);
+    });
+
+    /**
+     * Test case: without a month the report has 12 monthly summaries.
+     */
+    it("should return per-month, per-category totals for a year", async () => {
+      const res = await api.get("/api/report?id=7&year=2025");
+
+      expect(res.status).toBe(200);
+      expect(res.body.userid).toBe(7);
+      expect(res.body.year).toBe(2025);
+      expect(res.body).not.toHaveProperty("costs");
+      expect(res.body.months).toHaveLength(12);
+      expect(res.body.months[0]).toEqual({
+        year: 2025,
+        month: 1,
+        totals: { food: 100, health: 0, housing: 0, sport: 0, education: 0 },
+        total: 100,
+        change: {
+          food: null,
+          health: null,
+          housing: null,
+          sport: null,
+          education: null,
+        },
+      });
+      expect(res.body.months[1].totals).toMatchObject({ food: 150, sport: 40 });
+      expect(res.body.totals).toMatchObject({ food: 250, sport: 40 });
+      expect(res.body.total).toBe(290);
+    });
+
+    /**
+     * Test case: month-over-month changes are percentages per category.
+     */
+    it("should report month-over-month change per category", async () => {
+      const res = await api.get("/api/report?id=7&year=2025");
+
+      expect(res.body.months[1].change).toMatchObject({
+        food: 50,
+        sport: null,
+      });
+      expect(res.body.months[2].change).toMatchObject({
+        food: -100,
+        sport: -100,
+      });
+    });
+
+    /**
+     * Test case: a from/to range lists its items with dates and summaries.
+     */
+    it("should report an arbitrary range of days", async () => {
+      const res = await api.get(
+        "/api/report?id=7&from=2024-12-31&to=2025-02-10"
+      );
+
+      expect(res.status).toBe(200);
+      expect(res.body.from).toBe("2024-12-31");
+      expect(res.body.to).toBe("2025-02-10");
+      expect(res.body.costs[0].food.map((c) => c.date)).toEqual([
+        "2024-12-31",
+        "2025-01-10",
+        "2025-02-10",
+      ]);
+      expect(res.body.costs[3].sport).toEqual([]);
+      expect(res.body.months.map((m) => [m.year, m.month, m.total])).toEqual([
+        [2024, 12, 999],
+        [2025, 1, 100],
+        [2025, 2, 150],
+      ]);
+      expect(res.body.total).toBe(1249);
+    });
+
+    /**
+     * Test case: malformed or reversed ranges are rejected with 400.
+     */
+    it("should return 400 for an invalid range", async () => {
+      const malformed = await api.get(
+        "/api/report?id=7&from=2025-02-30&to=2025-03-01"
+      );
+      expect(malformed.status).toBe(400);
+
+      const missing = await api.get("/api/report?id=7&from=2025-01-01");
+      expect(missing.status).toBe(400);
+
+      const reversed = await api.get(
+        "/api/report?id=7&from=2025-03-01&to=2025-01-01"
+      );
+      expect(reversed.status).toBe(400);
+    });
+  });
+
+  /**
+   * Test suite for GET/PATCH/DELETE /api/costs/:id and GET /api/costs/:id/history
+   */
+  describe("Single cost endpoints", () => {
+    let costId;
+
+    /**
+     * Before each test: create a user and add one cost through the API so
+     * that its "create" revision is recorded.
+     */
+    beforeEach(async () => {
+      await User.create([
+        {
+          id: 7,
+          first_name: "Test",
+          last_name: "User",
+          birthday: "01/01/2000",
+          marital_status: "single",
+        },
+        {
+          id: 8,
+          first_name: "Other",
+          last_name: "User",
+          birthday: "01/01/2000",
+          marital_status: "married",
+        },
+      ]);
+
+      const res = await api.post("/api/add").set("X-Changed-By", "alice").send({
+        description: "Groceries",
+        category: "food",
+        userid: 7,
+        sum: 40,
+      });
+      costId = res.body._id;
+    });
+
+    /**
+     * Test case: an existing cost is returned by id.
+     */
+    it("should return a cost by id", async () => {
+      const res = await api.get(`/api/costs/${costId}`);
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        _id: costId,
+        description: "Groceries",
+        category: "food",
+        userid: 7,
+        sum: 40,
+        deletedAt: null,
+      });
+    });
+
+    /**
+     * Test case: malformed and unknown ids.
+     */
+    it("should return 400 for a malformed id and 404 for an unknown id", async () => {
+      const bad = await api.get("/api/costs/not-an-id");
+      expect(bad.status).toBe(400);
+      expect(bad.body).toHaveProperty("error", "Invalid cost ID.");
+
+      const missing = await api.get(
+        `/api/costs/${new mongoose.Types.ObjectId()}`
+      );
+      expect(missing.status).toBe(404);
+      expect(missing.body).toHaveProperty("error", "Cost not found.");
+    });
+
+    /**
+     * Test case: PATCH updates the cost and records old/new values.
+     */
+    it("should update a cost and record the change in its history", async () => {
+      const res = await api
+        .patch(`/api/costs/${costId}`)
+        .set("X-Changed-By", "bob")
+        .send({ sum: 45, description: "Groceries and bread" });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        sum: 45,
+        description: "Groceries and bread",
+      });
+
+      const history = await api.get(`/api/costs/${costId}/history`);
+      expect(history.status).toBe(200);
+      expect(history.body).toHaveLength(2);
+      expect(history.body[0]).toMatchObject({
+        action: "create",
+        changedBy: "alice",
+      });
+      expect(history.body[1]).toMatchObject({
+        action: "update",
+        changedBy: "bob",
+      });
+      expect(history.body[1]).toHaveProperty("createdAt");
+      expect(history.body[1].changes).toEqual(
+        expect.arrayContaining([
+          { field: "sum", from: 40, to: 45 },
+          {
+            field: "description",
+            from: "Groceries",
+            to: "Groceries and bread",
+          },
+        ])
+      );
+      expect(history.body[1].changes).toHaveLength(2);
+    });
+
+    /**
+     * Test case: PATCH with values that violate the schema returns 400 and
+     * leaves the cost and its history unchanged.
+     */
+    it("should return 400 for an invalid update", async () => {
+      const res = await api
+        .patch(`/api/costs/${costId}`)
+        .send({ category: "gadgets" });
+      expect(res.status).toBe(400);
+
+      const costInDb = await Cost.findById(costId).lean();
+      expect(costInDb.category).toBe("food");
+      expect(await CostRevision.countDocuments({ costId })).toBe(1);
+    });
+
+    /**
+     * Test case: moving a cost to a user that does not exist returns 400.
+     */
+    it("should return 400 when reassigning to an unknown user", async () => {
+      const res = await api.patch(`/api/costs/${costId}`).send({ userid: 999 });
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty(
+        "error",
+        "User with id 999 does not exist."
+      );
+    });
+
+    /**
+     * Test case: DELETE is soft by default; the cost disappears from the API
+     * and totals but stays in the database.
+     */
+    it("should soft-delete a cost by default", async () => {
+      const res = await api
+        .delete(`/api/costs/${costId}`)
+        .set("X-Changed-By", "carol");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ _id: costId, deleted: "soft" });
+
+      const costInDb = await Cost.findById(costId).lean();
+      expect(costInDb).not.toBeNull();
+      expect(costInDb.deletedAt).toBeInstanceOf(Date);
+
+      const get = await api.get(`/api/costs/${costId}`);
+      expect(get.status).toBe(404);
+
+      const user = await api.get("/api/users/7");
+      expect(user.body.total).toBe(0);
+
+      const history = await api.get(`/api/costs/${costId}/history`);
+      expect(history.body[1]).toMatchObject({
+        action: "delete",
+        changedBy: "carol",
+      });
+    });
+
+    /**
+     * Test case: hard=true removes the document but keeps its history.
+     */
+    it("should hard-delete a cost when hard=true", async () => {
+      const res = await api.delete(`/api/costs/${costId}?hard=true`);
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ _id: costId, deleted: "hard" });
+      expect(await Cost.findById(costId).lean()).toBeNull();
+
+      const history = await api.get(`/api/costs/${costId}/history`);
+      expect(history.status).toBe(200);
+      expect(history.body.map((r) => r.action)).toEqual(["create", "delete"]);
+    });
   });
 });
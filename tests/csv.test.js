@@ -0,0 +1,231 @@
+/**
+ * @file csv.test.js
+ * @desc Tests for the CSV forms of GET /api/report and GET /api/users/:id
+ * (content negotiation, RFC 4180 escaping, totals footer) and for the yearly
+ * export at GET /api/users/:id/export.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Cost;
+let Report;
+let User;
+
+describe("CSV export", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+    Report = require("../models/Report");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: user 1 with two June 2025 costs, one of them with a
+   * description that needs quoting, and one cost in 2024.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await Report.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+    await Cost.create([
+      {
+        description: 'Lunch, with "Bob"\nand Carol',
+        category: "food",
+        userid: 1,
+        sum: 12.5,
+        date: new Date("2025-06-03T12:00:00Z"),
+      },
+      {
+        description: "Yoga",
+        category: "sport",
+        userid: 1,
+        sum: 30,
+        date: new Date("2025-06-20T12:00:00Z"),
+      },
+      {
+        description: "Old",
+        category: "health",
+        userid: 1,
+        sum: 5,
+        date: new Date("2024-12-31T12:00:00Z"),
+      },
+    ]);
+  });
+
+  const expectedReport =
+    "category,day,description,sum\r\n" +
+    'food,3,"Lunch, with ""Bob""\nand Carol",12.5\r\n' +
+    "sport,20,Yoga,30\r\n" +
+    "Total,,,42.5\r\n";
+
+  /**
+   * Test suite for the CSV form of GET /api/report
+   */
+  describe("GET /api/report as CSV", () => {
+    /**
+     * Test case: Accept: text/csv returns one escaped row per cost and a total.
+     */
+    it("should return RFC 4180 CSV for Accept: text/csv", async () => {
+      const res = await api
+        .get("/api/report?id=1&year=2025&month=6")
+        .set("Accept", "text/csv");
+
+      expect(res.status).toBe(200);
+      expect(res.headers["content-type"]).toMatch(/^text\/csv/);
+      expect(res.headers["content-disposition"]).toContain(
+        "report-1-2025-06.csv"
+      );
+      expect(res.text).toBe(expectedReport);
+    });
+
+    /**
+     * Test case: ?format=csv works without an Accept header, and the default
+     * stays JSON.
+     */
+    it("should honour ?format=csv and default to JSON", async () => {
+      const csv = await api.get(
+        "/api/report?id=1&year=2025&month=6&format=csv"
+      );
+      expect(csv.text).toBe(expectedReport);
+
+      const json = await api.get("/api/report?id=1&year=2025&month=6");
+      expect(json.headers["content-type"]).toMatch(/json/);
+      expect(json.body.costs[0].food).toHaveLength(1);
+
+      const bad = await api.get(
+        "/api/report?id=1&year=2025&month=6&format=xml"
+      );
+      expect(bad.status).toBe(400);
+    });
+
+    /**
+     * Test case: yearly reports list dates instead of days.
+     */
+    it("should use a date column for a yearly report", async () => {
+      const res = await api.get("/api/report?id=1&year=2025&format=csv");
+      expect(res.text.split("\r\n").slice(0, 2)).toEqual([
+        "category,date,description,sum",
+        'food,2025-06-03,"Lunch, with ""Bob""\nand Carol",12.5',
+      ]);
+    });
+  });
+
+  /**
+   * Test suite for the CSV form of GET /api/users/:id
+   */
+  describe("GET /api/users/:id as CSV", () => {
+    /**
+     * Test case: every live cost is listed with a totals footer.
+     */
+    it("should list all of the user's costs with a total", async () => {
+      const res = await api.get("/api/users/1").set("Accept", "text/csv");
+
+      expect(res.status).toBe(200);
+      expect(res.text).toBe(
+        "category,date,description,sum\r\n" +
+          "health,2024-12-31,Old,5\r\n" +
+          'food,2025-06-03,"Lunch, with ""Bob""\nand Carol",12.5\r\n' +
+          "sport,2025-06-20,Yoga,30\r\n" +
+          "Total,,,47.5\r\n"
+      );
+    });
+  });
+
+  /**
+   * Test suite for GET /api/users/:id/export
+   */
+  describe("GET /api/users/:id/export", () => {
+    /**
+     * Test case: only the requested year is exported, as an attachment.
+     */
+    it("should download one year of costs", async () => {
+      const res = await api.get("/api/users/1/export?year=2025");
+
+      expect(res.status).toBe(200);
+      expect(res.headers["content-disposition"]).toBe(
+        'attachment; filename="costs-1-2025.csv"'
+      );
+      expect(res.text).toBe(
+        "date,category,subcategory,description,sum,currency\r\n" +
+          '2025-06-03,food,,"Lunch, with ""Bob""\nand Carol",12.5,ILS\r\n' +
+          "2025-06-20,sport,,Yoga,30,ILS\r\n"
+      );
+    });
+
+    /**
+     * Test case: text that a spreadsheet would run as a formula is prefixed
+     * with a quote; negative sums stay numbers.
+     */
+    it("should defuse formulas in text fields", async () => {
+      await Cost.create([
+        {
+          description: '=HYPERLINK("http://evil.example","Click")',
+          category: "food",
+          userid: 1,
+          sum: -4,
+          date: new Date("2025-07-01T12:00:00Z"),
+        },
+        {
+          description: "@SUM(A1:A9)",
+          category: "food",
+          userid: 1,
+          sum: 1,
+          date: new Date("2025-07-02T12:00:00Z"),
+        },
+      ]);
+
+      const res = await api.get("/api/users/1/export?year=2025");
+      expect(res.text.split("\r\n").slice(3, 5)).toEqual([
+        '2025-07-01,food,,"\'=HYPERLINK(""http://evil.example"",""Click"")",-4,ILS',
+        "2025-07-02,food,,'@SUM(A1:A9),1,ILS",
+      ]);
+    });
+
+    /**
+     * Test case: a missing year or unknown user is rejected.
+     */
+    it("should return 400 without a year and 404 for an unknown user", async () => {
+      const noYear = await api.get("/api/users/1/export");
+      expect(noYear.status).toBe(400);
+
+      const noUser = await api.get("/api/users/99/export?year=2025");
+      expect(noUser.status).toBe(404);
+    });
+  });
+});
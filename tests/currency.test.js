@@ -0,0 +1,398 @@
+/**
+ * @file currency.test.js
+ * @desc Tests for multi-currency costs: minor-unit storage, conversion of the
+ * user total and the monthly report at the rate in effect on each cost's
+ * date, and the /api/admin/exchange-rates endpoints.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Cost;
+let ExchangeRate;
+let Report;
+let User;
+
+describe("Multi-currency costs", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+    ExchangeRate = require("../models/ExchangeRate");
+    Report = require("../models/Report");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset the collections, create user 1 and load USD
+   * (3.5 from January, 3.7 from June 2025) and EUR (4.0) rates.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await ExchangeRate.deleteMany({});
+    await Report.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+
+    await ExchangeRate.create([
+      { currency: "USD", date: new Date("2025-01-01"), rate: 3.5 },
+      { currency: "USD", date: new Date("2025-06-01"), rate: 3.7 },
+      { currency: "EUR", date: new Date("2025-01-01"), rate: 4 },
+    ]);
+  });
+
+  /**
+   * Insert the costs used by the conversion tests: 100 ILS, 10 USD and
+   * 5.5 EUR on 10 June 2025 and 10 USD on 20 May 2025.
+   */
+  async function seedCosts() {
+    await Cost.create([
+      {
+        description: "Groceries",
+        category: "food",
+        userid: 1,
+        sum: 100,
+        date: new Date("2025-06-10T10:00:00Z"),
+      },
+      {
+        description: "Ebook",
+        category: "education",
+        userid: 1,
+        sum: 10,
+        currency: "USD",
+        date: new Date("2025-05-20T12:00:00Z"),
+      },
+      {
+        description: "Burger",
+        category: "food",
+        userid: 1,
+        sum: 10,
+        currency: "USD",
+        date: new Date("2025-06-10T11:00:00Z"),
+      },
+      {
+        description: "Croissant",
+        category: "food",
+        userid: 1,
+        sum: 5.5,
+        currency: "EUR",
+        date: new Date("2025-06-10T12:00:00Z"),
+      },
+    ]);
+  }
+
+  /**
+   * Test suite for the currency of POST /api/add
+   */
+  describe("POST /api/add currency", () => {
+    /**
+     * Test case: costs default to the base currency and store minor units.
+     */
+    it("should default to the base currency and store the sum in minor units", async () => {
+      const res = await api
+        .post("/api/add")
+        .send({ description: "Tea", category: "food", userid: 1, sum: 12.5 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.currency).toBe("ILS");
+      expect(res.body.amount).toBe(1250);
+    });
+
+    /**
+     * Test case: sums are rounded to the currency's minor unit.
+     */
+    it("should round the sum to the currency's minor unit", async () => {
+      const res = await api.post("/api/add").send({
+        description: "Ramen",
+        category: "food",
+        userid: 1,
+        sum: 1234.6,
+        currency: "jpy",
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body.currency).toBe("JPY");
+      expect(res.body.sum).toBe(1235);
+      expect(res.body.amount).toBe(1235);
+    });
+
+    /**
+     * Test case: unknown currency codes are rejected with 400.
+     */
+    it("should return 400 for an invalid currency", async () => {
+      const res = await api.post("/api/add").send({
+        description: "Tea",
+        category: "food",
+        userid: 1,
+        sum: 1,
+        currency: "XYZW",
+      });
+      expect(res.status).toBe(400);
+      expect(await Cost.countDocuments()).toBe(0);
+    });
+  });
+
+  /**
+   * Test suite for the currency parameter of GET /api/users/:id
+   */
+  describe("GET /api/users/:id currency", () => {
+    /**
+     * Test case: totals are summed in minor units without floating-point drift.
+     */
+    it("should total decimal sums without floating-point drift", async () => {
+      await Cost.create([
+        { description: "A", category: "food", userid: 1, sum: 0.1 },
+        { description: "B", category: "food", userid: 1, sum: 0.2 },
+      ]);
+
+      const res = await api.get("/api/users/1");
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(0.3);
+      expect(res.body).not.toHaveProperty("currency");
+    });
+
+    /**
+     * Test case: the default total converts other currencies into the base
+     * currency at each cost's rate.
+     */
+    it("should convert every cost into the base currency at its date's rate", async () => {
+      await seedCosts();
+
+      const res = await api.get("/api/users/1");
+      expect(res.status).toBe(200);
+      // 100 + 10 × 3.5 + 10 × 3.7 + 5.5 × 4
+      expect(res.body.total).toBe(194);
+    });
+
+    /**
+     * Test case: the total can be requested in another currency.
+     */
+    it("should return the total in the requested currency", async () => {
+      await seedCosts();
+
+      const res = await api.get("/api/users/1?currency=usd");
+      expect(res.status).toBe(200);
+      expect(res.body.currency).toBe("USD");
+      // 100 / 3.7 → 27.03, 10 + 10, 5.5 × 4 / 3.7 → 5.95
+      expect(res.body.total).toBe(52.98);
+    });
+
+    /**
+     * Test case: a missing rate yields 422 and an invalid currency 400.
+     */
+    it("should return 422 when a rate is missing and 400 for an invalid currency", async () => {
+      await Cost.create({
+        description: "Tea",
+        category: "food",
+        userid: 1,
+        sum: 3,
+        currency: "GBP",
+      });
+
+      const missing = await api.get("/api/users/1");
+      expect(missing.status).toBe(422);
+      expect(missing.body.error).toMatch(/GBP/);
+
+      const invalid = await api.get("/api/users/1?currency=nope");
+      expect(invalid.status).toBe(400);
+    });
+  });
+
+  /**
+   * Test suite for the currency parameter of GET /api/report
+   */
+  describe("GET /api/report currency", () => {
+    /**
+     * Test case: items are converted and keep their original sum and currency.
+     */
+    it("should convert report items and keep the original amount", async () => {
+      await seedCosts();
+
+      const res = await api.get(
+        "/api/report?id=1&year=2025&month=6&currency=USD"
+      );
+      expect(res.status).toBe(200);
+      expect(res.body.currency).toBe("USD");
+      expect(res.body.costs[0].food).toEqual([
+        {
+          sum: 27.03,
+          description: "Groceries",
+          day: 10,
+          original: { sum: 100, currency: "ILS" },
+        },
+        { sum: 10, description: "Burger", day: 10 },
+        {
+          sum: 5.95,
+          description: "Croissant",
+          day: 10,
+          original: { sum: 5.5, currency: "EUR" },
+        },
+      ]);
+    });
+
+    /**
+     * Test case: the default report is in the base currency.
+     */
+    it("should report in the base currency by default", async () => {
+      await seedCosts();
+
+      const res = await api.get("/api/report?id=1&year=2025&month=5");
+      expect(res.status).toBe(200);
+      expect(res.body).not.toHaveProperty("currency");
+      expect(res.body.costs[4].education).toEqual([
+        {
+          sum: 35,
+          description: "Ebook",
+          day: 20,
+          original: { sum: 10, currency: "USD" },
+        },
+      ]);
+    });
+
+    /**
+     * Test case: a cached month is converted on every request.
+     */
+    it("should convert a cached month into the requested currency", async () => {
+      await seedCosts();
+      await api.get("/api/report?id=1&year=2025&month=6");
+
+      const res = await api.get(
+        "/api/report?id=1&year=2025&month=6&currency=EUR"
+      );
+      expect(res.headers["x-cache"]).toBe("HIT");
+      expect(res.body.costs[0].food[2]).toEqual({
+        sum: 5.5,
+        description: "Croissant",
+        day: 10,
+      });
+    });
+
+    /**
+     * Test case: a cost dated before the first rate yields 422.
+     */
+    it("should return 422 when no rate applies on a cost's date", async () => {
+      await Cost.create({
+        description: "Old",
+        category: "food",
+        userid: 1,
+        sum: 5,
+        currency: "USD",
+        date: new Date("2024-12-15T12:00:00Z"),
+      });
+
+      const res = await api.get("/api/report?id=1&year=2024&month=12");
+      expect(res.status).toBe(422);
+    });
+  });
+
+  /**
+   * Test suite for /api/admin/exchange-rates
+   */
+  describe("/api/admin/exchange-rates", () => {
+    /**
+     * Test case: rates can be loaded from CSV and replace same-day rates.
+     */
+    it("should load rates from CSV", async () => {
+      const res = await api
+        .post("/api/admin/exchange-rates")
+        .set("Content-Type", "text/csv")
+        .send("currency,date,rate\nusd,2025-06-01,3.65\nGBP,2025-06-01,4.6\n");
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ loaded: 2 });
+
+      const list = await api.get("/api/admin/exchange-rates?currency=usd");
+      expect(list.body.map((r) => r.rate)).toEqual([3.5, 3.65]);
+    });
+
+    /**
+     * Test case: CSV with quoted fields and CRLF line endings is read like
+     * any other CSV.
+     */
+    it("should load rates from quoted CSV with CRLF line endings", async () => {
+      const res = await api
+        .post("/api/admin/exchange-rates")
+        .set("Content-Type", "text/csv")
+        .send(
+          '"currency","date","rate"\r\n"JPY","2025-06-01"," 0.025"\r\nSEK,2025-06-01,0.35\r\n'
+        );
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ loaded: 2 });
+      const jpy = await ExchangeRate.findOne({ currency: "JPY" }).lean();
+      expect(jpy.rate).toBe(0.025);
+    });
+
+    /**
+     * Test case: malformed CSV is rejected.
+     */
+    it("should return 400 for malformed CSV", async () => {
+      const res = await api
+        .post("/api/admin/exchange-rates")
+        .set("Content-Type", "text/csv")
+        .send('currency,date,rate\n"USD,2025-06-01,3.6\n');
+
+      expect(res.status).toBe(400);
+    });
+
+    /**
+     * Test case: rates can be loaded from a JSON array.
+     */
+    it("should load rates from JSON", async () => {
+      const res = await api
+        .post("/api/admin/exchange-rates")
+        .send([{ currency: "CHF", date: "2025-03-01", rate: 4.1 }]);
+
+      expect(res.status).toBe(200);
+      expect(await ExchangeRate.countDocuments({ currency: "CHF" })).toBe(1);
+    });
+
+    /**
+     * Test case: invalid rows are reported and nothing is saved.
+     */
+    it("should return 400 with details for invalid rows", async () => {
+      const res = await api.post("/api/admin/exchange-rates").send([
+        { currency: "CHF", date: "2025-03-01", rate: 4.1 },
+        { currency: "ILS", date: "2025-03-01", rate: 1 },
+        { currency: "CHF", date: "2025-04-01", rate: -2 },
+      ]);
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toHaveLength(2);
+      expect(await ExchangeRate.countDocuments({ currency: "CHF" })).toBe(0);
+    });
+  });
+});
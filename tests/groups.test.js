@@ -0,0 +1,434 @@
+/**
+ * @file groups.test.js
+ * @desc Tests for shared-expense groups: the /api/groups endpoints, group
+ * costs split equally, by percentage or by exact amounts through
+ * POST /api/add, the balances and settlement transfers, and the
+ * groupShares option of GET /api/users/:id.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+const { settle } = require("../utils/splits");
+
+let mongoServer;
+let app;
+let api;
+let Cost;
+let Group;
+let User;
+
+describe("Groups API endpoints", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+    Group = require("../models/Group");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset the collections and create users 1, 2 and 3.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await Group.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create(
+      [
+        ["Alice", "married"],
+        ["Bob", "married"],
+        ["Carol", "single"],
+      ].map(([first_name, marital_status], i) => ({
+        id: i + 1,
+        first_name,
+        last_name: "Levi",
+        birthday: "01/01/1990",
+        marital_status,
+      }))
+    );
+  });
+
+  /**
+   * Create a group of users 1, 2 and 3 through the API.
+   * @return {Promise<Object>} The new group.
+   */
+  async function createHousehold() {
+    const res = await api
+      .post("/api/groups")
+      .send({ name: "Home", members: [1, 2, 3] });
+    expect(res.status).toBe(201);
+    return res.body;
+  }
+
+  /**
+   * Add a group cost through the API.
+   * @param {Object} fields - Overrides of a 300 ILS housing cost paid by user 1.
+   * @return {Promise<Object>} The response.
+   */
+  function addGroupCost(fields) {
+    return api.post("/api/add").send({
+      description: "Rent",
+      category: "housing",
+      userid: 1,
+      sum: 300,
+      ...fields,
+    });
+  }
+
+  /**
+   * Test suite for /api/groups
+   */
+  describe("/api/groups", () => {
+    /**
+     * Test case: groups are created with existing members only.
+     */
+    it("should create a group and reject unknown members", async () => {
+      const group = await createHousehold();
+      expect(group).toMatchObject({ name: "Home", currency: "ILS" });
+
+      const bad = await api
+        .post("/api/groups")
+        .send({ name: "Trip", members: [1, 99] });
+      expect(bad.status).toBe(400);
+    });
+
+    /**
+     * Test case: ordinary accounts only see and create their own groups.
+     */
+    it("should keep groups private to their members", async () => {
+      const group = await createHousehold();
+      const other = await api
+        .post("/api/groups")
+        .send({ name: "Bob and Carol", members: [2, 3] });
+
+      const alice = await signIn(app, {
+        username: "alice",
+        role: "user",
+        userid: 1,
+      });
+      const list = await alice.get("/api/groups");
+      expect(list.body.map((g) => g._id)).toEqual([group._id]);
+      expect((await alice.get(`/api/groups/${other.body._id}`)).status).toBe(
+        403
+      );
+
+      const notMember = await alice
+        .post("/api/groups")
+        .send({ name: "Not mine", members: [2, 3] });
+      expect(notMember.status).toBe(403);
+    });
+
+    /**
+     * Test case: only the creator and admins change the members, and users
+     * become members only by joining.
+     */
+    it("should only add users who accept an invitation", async () => {
+      const [ann, ben, cat] = await Promise.all(
+        [1, 2, 3].map((userid) =>
+          signIn(app, { username: `invite-${userid}`, role: "user", userid })
+        )
+      );
+
+      const created = await ann
+        .post("/api/groups")
+        .send({ name: "Flat", members: [1, 2] });
+      expect(created.status).toBe(201);
+      expect(created.body).toMatchObject({
+        members: [1],
+        invited: [2],
+        createdBy: 1,
+      });
+      const url = `/api/groups/${created.body._id}`;
+
+      // Invited users are not members yet: no shares can be put on them
+      const split = await ann.post("/api/add").send({
+        description: "Rent",
+        category: "housing",
+        userid: 1,
+        sum: 300,
+        groupId: created.body._id,
+        split: { method: "equal", members: [1, 2] },
+      });
+      expect(split.status).toBe(400);
+
+      expect((await ben.patch(url).send({ members: [1, 2, 3] })).status).toBe(
+        403
+      );
+      expect((await cat.post(`${url}/join`)).status).toBe(403);
+      expect((await ben.get(url)).status).toBe(200);
+      expect((await ben.get(`${url}/balances`)).status).toBe(403);
+
+      const joined = await ben.post(`${url}/join`);
+      expect(joined.status).toBe(200);
+      expect(joined.body).toMatchObject({ members: [1, 2], invited: [] });
+
+      // Renaming with the same members is not a member change
+      const renamed = await ben
+        .patch(url)
+        .send({ name: "Our flat", members: [2, 1] });
+      expect(renamed.status).toBe(200);
+
+      const invited = await ann.patch(url).send({ members: [1, 2, 3] });
+      expect(invited.status).toBe(200);
+      expect(invited.body).toMatchObject({ members: [1, 2], invited: [3] });
+
+      const byAdmin = await api.patch(url).send({ members: [1, 2, 3] });
+      expect(byAdmin.body).toMatchObject({ members: [1, 2, 3], invited: [] });
+    });
+
+    /**
+     * Test case: members with group costs stay, groups with costs stay.
+     */
+    it("should refuse to remove members or groups that still have costs", async () => {
+      const group = await createHousehold();
+      await addGroupCost({ groupId: group._id });
+
+      const removeMember = await api
+        .patch(`/api/groups/${group._id}`)
+        .send({ members: [1, 2] });
+      expect(removeMember.status).toBe(409);
+
+      const remove = await api.delete(`/api/groups/${group._id}`);
+      expect(remove.status).toBe(409);
+    });
+  });
+
+  /**
+   * Test suite for group costs on POST /api/add and PATCH /api/costs/:id
+   */
+  describe("split group costs", () => {
+    /**
+     * Test case: the default split is equal, with the odd unit to the first member.
+     */
+    it("should split equally between all members by default", async () => {
+      const group = await createHousehold();
+
+      const res = await addGroupCost({ groupId: group._id, sum: 100 });
+      expect(res.status).toBe(201);
+      expect(res.body.splitMethod).toBe("equal");
+      expect(res.body.splits).toEqual([
+        { userid: 1, amount: 3334 },
+        { userid: 2, amount: 3333 },
+        { userid: 3, amount: 3333 },
+      ]);
+    });
+
+    /**
+     * Test case: percentage and exact splits.
+     */
+    it("should split by percentage or exact amounts", async () => {
+      const group = await createHousehold();
+
+      const byPercent = await addGroupCost({
+        groupId: group._id,
+        split: {
+          method: "percentage",
+          shares: [
+            { userid: 1, percent: 60 },
+            { userid: 2, percent: 40 },
+          ],
+        },
+      });
+      expect(byPercent.body.splits).toEqual([
+        { userid: 1, amount: 18000, percent: 60 },
+        { userid: 2, amount: 12000, percent: 40 },
+      ]);
+
+      const exact = await addGroupCost({
+        groupId: group._id,
+        split: {
+          method: "exact",
+          shares: [
+            { userid: 2, sum: 100 },
+            { userid: 3, sum: 200 },
+          ],
+        },
+      });
+      expect(exact.status).toBe(201);
+    });
+
+    /**
+     * Test case: invalid splits are rejected and nothing is saved.
+     */
+    it("should return 400 for an invalid split", async () => {
+      const group = await createHousehold();
+      const cases = [
+        {
+          groupId: group._id,
+          split: { method: "exact", shares: [{ userid: 1, sum: 10 }] },
+        },
+        {
+          // Adds up to the 300, but with a negative share
+          groupId: group._id,
+          split: {
+            method: "exact",
+            shares: [
+              { userid: 1, sum: 400 },
+              { userid: 2, sum: -100 },
+            ],
+          },
+        },
+        {
+          groupId: group._id,
+          split: {
+            method: "percentage",
+            shares: [{ userid: 1, percent: 50 }],
+          },
+        },
+        {
+          groupId: group._id,
+          split: { method: "equal", members: [1, 4] },
+        },
+        { split: { method: "equal" } },
+      ];
+
+      for (const fields of cases) {
+        const res = await addGroupCost(fields);
+        expect(res.status).toBe(400);
+      }
+
+      const lonely = await api
+        .post("/api/groups")
+        .send({ name: "Bob and Carol", members: [2, 3] });
+      const payerOutside = await addGroupCost({ groupId: lonely.body._id });
+      expect(payerOutside.status).toBe(400);
+      expect(await Cost.countDocuments()).toBe(0);
+    });
+
+    /**
+     * Test case: a changed sum is split again the same way.
+     */
+    it("should re-split a group cost when its sum changes", async () => {
+      const group = await createHousehold();
+      const created = await addGroupCost({ groupId: group._id });
+
+      const res = await api
+        .patch(`/api/costs/${created.body._id}`)
+        .send({ sum: 600 });
+      expect(res.status).toBe(200);
+      expect(res.body.splits.map((s) => s.amount)).toEqual([
+        20000, 20000, 20000,
+      ]);
+    });
+  });
+
+  /**
+   * Test suite for GET /api/groups/:id/balances
+   */
+  describe("GET /api/groups/:id/balances", () => {
+    /**
+     * Test case: balances net out and are settled with few transfers.
+     */
+    it("should work out who owes whom", async () => {
+      const group = await createHousehold();
+      await addGroupCost({ groupId: group._id });
+      await addGroupCost({
+        groupId: group._id,
+        description: "Groceries",
+        category: "food",
+        userid: 2,
+        sum: 90,
+        split: {
+          method: "exact",
+          shares: [
+            { userid: 2, sum: 30 },
+            { userid: 3, sum: 60 },
+          ],
+        },
+      });
+
+      const res = await api.get(`/api/groups/${group._id}/balances`);
+      expect(res.status).toBe(200);
+      expect(res.body.balances).toEqual([
+        { userid: 1, paid: 300, share: 100, net: 200 },
+        { userid: 2, paid: 90, share: 130, net: -40 },
+        { userid: 3, paid: 0, share: 160, net: -160 },
+      ]);
+      expect(res.body.settlements).toEqual([
+        { from: 3, to: 1, amount: 160 },
+        { from: 2, to: 1, amount: 40 },
+      ]);
+    });
+
+    /**
+     * Test case: balances that pair off are settled apart. Largest debtor
+     * to largest creditor would take four transfers here.
+     */
+    it("should settle with the fewest transfers", () => {
+      const nets = new Map([
+        [1, 600],
+        [2, 500],
+        [3, 200],
+        [4, -700],
+        [5, -600],
+      ]);
+      expect(settle(nets)).toEqual([
+        { from: 4, to: 2, amount: 500 },
+        { from: 4, to: 3, amount: 200 },
+        { from: 5, to: 1, amount: 600 },
+      ]);
+      expect(settle(new Map([[1, 0]]))).toEqual([]);
+    });
+  });
+
+  /**
+   * Test suite for the groupShares option of GET /api/users/:id
+   */
+  describe("GET /api/users/:id groupShares", () => {
+    /**
+     * Test case: group costs count in full, as a share, or not at all.
+     */
+    it("should include or exclude the user's share of group costs", async () => {
+      const group = await createHousehold();
+      await addGroupCost({ groupId: group._id });
+      await api.post("/api/add").send({
+        description: "Book",
+        category: "education",
+        userid: 1,
+        sum: 50,
+      });
+
+      const paid = await api.get("/api/users/1");
+      expect(paid.body.total).toBe(350);
+
+      const include = await api.get("/api/users/1?groupShares=include");
+      expect(include.body).toMatchObject({
+        total: 150,
+        groupShares: "include",
+      });
+
+      const exclude = await api.get("/api/users/1?groupShares=exclude");
+      expect(exclude.body.total).toBe(50);
+
+      const carol = await api.get("/api/users/3?groupShares=include");
+      expect(carol.body.total).toBe(100);
+
+      const bad = await api.get("/api/users/1?groupShares=some");
+      expect(bad.status).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,37 @@
+/**
+ * @file helpers/auth.js
+ * @desc Test helper: creates an account, opens a session for it and returns a
+ * supertest agent that sends its bearer token with every request.
+ */
+
+const request = require("supertest");
+
+const Account = require("../../models/Account");
+const Session = require("../../models/Session");
+
+/**
+ * Sign in as a new account.
+ * @param {import("express").Express} app - The app under test.
+ * @param {Object} [options]
+ * @param {String} [options.username='admin']
+ * @param {String} [options.role='admin'] - 'admin' or 'user'.
+ * @param {Number} [options.userid] - The user an ordinary account logs in as.
+ * @return {Promise<import("supertest").Agent>} An authenticated agent.
+ */
+async function signIn(
+  app,
+  { username = "admin", role = "admin", userid } = {}
+) {
+  const accountDoc = await Account.build({
+    username,
+    password: "password123",
+    role,
+    userid,
+  });
+  await accountDoc.save();
+
+  const { token } = await Session.issue(accountDoc);
+  return request.agent(app).set("Authorization", `Bearer ${token}`);
+}
+
+module.exports = { signIn };
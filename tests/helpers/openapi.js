@@ -0,0 +1,186 @@
+/**
+ * @file helpers/openapi.js
+ * @desc Test helper: checks JSON values against the schemas of the OpenAPI
+ * document. Supports the subset of OpenAPI 3.0 the document uses. Objects
+ * with declared properties are strict: any other property is an error unless
+ * the schema allows additionalProperties, so new response fields must be
+ * documented.
+ */
+
+const spec = require("../../docs/openapi");
+
+/**
+ * Resolve a local $ref such as '#/components/schemas/Cost'.
+ * @param {Object} node - A schema or response, possibly a $ref.
+ * @return {Object} The referenced node, or `node` itself.
+ */
+function resolve(node) {
+  if (!node || !node.$ref) {
+    return node;
+  }
+  return resolve(
+    node.$ref
+      .slice(2)
+      .split("/")
+      .reduce((target, key) => target && target[key], spec)
+  );
+}
+
+/**
+ * Whether a value has an OpenAPI type.
+ * @param {*} value
+ * @param {String} type
+ * @return {Boolean}
+ */
+function hasType(value, type) {
+  switch (type) {
+    case "integer":
+      return Number.isInteger(value);
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return (
+        value !== null && typeof value === "object" && !Array.isArray(value)
+      );
+    default:
+      return typeof value === type;
+  }
+}
+
+/**
+ * The properties an allOf declares between its parts, so that strict object
+ * checks of each part accept the others' properties.
+ * @param {Object} schema - A resolved schema.
+ * @return {Object} Property schemas by name.
+ */
+function declaredProperties(schema) {
+  const own = { ...(schema.properties || {}) };
+  (schema.allOf || []).forEach((part) =>
+    Object.assign(own, declaredProperties(resolve(part)))
+  );
+  return own;
+}
+
+/**
+ * Check a value against a schema.
+ * @param {*} value - The value to check.
+ * @param {Object} schema - An OpenAPI schema, possibly a $ref.
+ * @param {String} [at='$'] - Where the value is, for the messages.
+ * @param {Object} [siblings] - Properties declared next to this schema by an
+ *        enclosing allOf.
+ * @return {Array<String>} One message per violation; empty when it matches.
+ */
+function check(value, schema, at = "$", siblings = {}) {
+  schema = resolve(schema);
+  if (value === null) {
+    return schema.nullable || !schema.type ? [] : [`${at} must not be null`];
+  }
+
+  if (schema.allOf) {
+    const all = { ...siblings, ...declaredProperties(schema) };
+    return schema.allOf.flatMap((part) => check(value, part, at, all));
+  }
+  if (schema.oneOf || schema.anyOf) {
+    const options = schema.oneOf || schema.anyOf;
+    const matches = options.filter(
+      (option) => check(value, option, at, siblings).length === 0
+    ).length;
+    if (schema.oneOf && matches !== 1) {
+      return [
+        `${at} must match exactly one schema of oneOf (${matches} match)`,
+      ];
+    }
+    return matches ? [] : [`${at} must match a schema of anyOf`];
+  }
+
+  if (schema.type && !hasType(value, schema.type)) {
+    return [`${at} must be of type ${schema.type}`];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${at} must be one of ${schema.enum.join(", ")}`);
+  }
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${at} must match ${schema.pattern}`);
+  }
+  if (
+    schema.format === "date-time" &&
+    (typeof value !== "string" || Number.isNaN(Date.parse(value)))
+  ) {
+    errors.push(`${at} must be a date-time`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${at} must be >= ${schema.minimum}`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${at} must be <= ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) =>
+      errors.push(...check(item, schema.items, `${at}[${i}]`))
+    );
+  }
+
+  if (
+    hasType(value, "object") &&
+    (schema.type === "object" || schema.properties)
+  ) {
+    const properties = schema.properties || {};
+    (schema.required || []).forEach((name) => {
+      if (value[name] === undefined) {
+        errors.push(`${at}.${name} is required`);
+      }
+    });
+    Object.entries(value).forEach(([name, item]) => {
+      if (properties[name]) {
+        errors.push(...check(item, properties[name], `${at}.${name}`));
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(
+          ...check(item, schema.additionalProperties, `${at}.${name}`)
+        );
+      } else if (
+        schema.properties &&
+        !siblings[name] &&
+        schema.additionalProperties !== true
+      ) {
+        errors.push(`${at}.${name} is not documented`);
+      }
+    });
+  }
+  return errors;
+}
+
+/**
+ * The documented JSON schema of a response.
+ * @param {String} method - e.g. 'get'.
+ * @param {String} path - A path of the document, e.g. '/users/{id}'.
+ * @param {Number} status - The HTTP status.
+ * @return {Object|undefined} The schema, or undefined when the status is not
+ *         documented for the operation.
+ */
+function responseSchema(method, path, status) {
+  const operation = (spec.paths[path] || {})[method.toLowerCase()];
+  const response = operation && resolve(operation.responses[status]);
+  const json = response && response.content["application/json"];
+  return json && json.schema;
+}
+
+/**
+ * Check a supertest response against the document.
+ * @param {import("supertest").Response} res - The response.
+ * @param {String} method - e.g. 'get'.
+ * @param {String} path - A path of the document, e.g. '/users/{id}'.
+ * @return {Array<String>} One message per violation; empty when it matches.
+ */
+function checkResponse(res, method, path) {
+  const schema = responseSchema(method, path, res.status);
+  if (!schema) {
+    return [`${method.toUpperCase()} ${path} does not document ${res.status}`];
+  }
+  return check(res.body, schema);
+}
+
+module.exports = { spec, resolve, check, responseSchema, checkResponse };
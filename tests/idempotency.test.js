@@ -0,0 +1,310 @@
+/**
+ * @file idempotency.test.js
+ * @desc Tests for the protection of POST /api/add against retries and
+ * floods: Idempotency-Key replays, key reuse and release, and the per-client
+ * rate limit with its RateLimit-* and Retry-After headers.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { loadConfig } = require("../utils/config");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Account;
+let Cost;
+let IdempotencyKey;
+let User;
+
+/** A valid cost for user 1. */
+const lunch = {
+  description: "Lunch",
+  category: "food",
+  userid: 1,
+  sum: 42,
+};
+
+describe("Rate limiting and idempotency keys", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Account = require("../models/Account");
+    Cost = require("../models/Cost");
+    IdempotencyKey = require("../models/IdempotencyKey");
+    User = require("../models/User");
+    await IdempotencyKey.init();
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset the costs and keys and create user 1.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await IdempotencyKey.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+  });
+
+  /**
+   * Test suite for the Idempotency-Key header of POST /api/add
+   */
+  describe("Idempotency-Key", () => {
+    /**
+     * Test case: a retry returns the first cost instead of adding another.
+     */
+    it("should return the originally created cost on a retry", async () => {
+      const first = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "retry-1")
+        .send(lunch);
+      expect(first.status).toBe(201);
+      expect(first.headers["idempotent-replayed"]).toBeUndefined();
+
+      // The same body with its fields in another order is the same request
+      const retry = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "retry-1")
+        .send({ sum: 42, userid: 1, category: "food", description: "Lunch" });
+      expect(retry.status).toBe(201);
+      expect(retry.headers["idempotent-replayed"]).toBe("true");
+      expect(retry.body).toEqual(first.body);
+      expect(await Cost.countDocuments({})).toBe(1);
+    });
+
+    /**
+     * Test case: requests without a key, or with different keys, are distinct.
+     */
+    it("should add a cost for every request without a key", async () => {
+      await api.post("/api/add").send(lunch);
+      await api.post("/api/add").send(lunch);
+      await api.post("/api/add").set("Idempotency-Key", "a").send(lunch);
+      await api.post("/api/add").set("Idempotency-Key", "b").send(lunch);
+      expect(await Cost.countDocuments({})).toBe(4);
+    });
+
+    /**
+     * Test case: reusing a key for another body is refused.
+     */
+    it("should return 422 when the key is reused with a different body", async () => {
+      await api.post("/api/add").set("Idempotency-Key", "reused").send(lunch);
+
+      const res = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "reused")
+        .send({ ...lunch, sum: 43 });
+      expect(res.status).toBe(422);
+      expect(res.body.code).toBe("IDEMPOTENCY_KEY_MISMATCH");
+      expect(await Cost.countDocuments({})).toBe(1);
+    });
+
+    /**
+     * Test case: keys belong to the account that sent them.
+     */
+    it("should keep the keys of different accounts apart", async () => {
+      const other = await signIn(app, { username: "other-admin" });
+      await api.post("/api/add").set("Idempotency-Key", "shared").send(lunch);
+      const res = await other
+        .post("/api/add")
+        .set("Idempotency-Key", "shared")
+        .send({ ...lunch, sum: 7 });
+      expect(res.status).toBe(201);
+      expect(await Cost.countDocuments({})).toBe(2);
+
+      await Account.deleteOne({ username: "other-admin" });
+    });
+
+    /**
+     * Test case: a failed request releases its key.
+     */
+    it("should let a failed request be retried with the same key", async () => {
+      const failed = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "fix-and-retry")
+        .send({ ...lunch, userid: 99 });
+      expect(failed.status).toBe(400);
+      expect(await IdempotencyKey.countDocuments({})).toBe(0);
+
+      const fixed = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "fix-and-retry")
+        .send(lunch);
+      expect(fixed.status).toBe(201);
+    });
+
+    /**
+     * Test case: a repeat while the first request still runs gets a 409.
+     */
+    it("should return 409 while the first request is in progress", async () => {
+      const res = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "slow")
+        .send(lunch);
+      await IdempotencyKey.updateOne(
+        { key: "slow" },
+        { $unset: { status: 1, body: 1 } }
+      );
+
+      const repeat = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "slow")
+        .send(lunch);
+      expect(res.status).toBe(201);
+      expect(repeat.status).toBe(409);
+      expect(await Cost.countDocuments({})).toBe(1);
+    });
+
+    /**
+     * Test case: a request that never answered (e.g. the process crashed)
+     * only holds its key for a short lease; then a retry runs again.
+     */
+    it("should let a retry run once the first request's lease expired", async () => {
+      await api.post("/api/add").set("Idempotency-Key", "crashed").send(lunch);
+      // As if the process died before the response was stored
+      await Cost.deleteMany({});
+      await IdempotencyKey.updateOne(
+        { key: "crashed" },
+        {
+          $unset: { status: 1, body: 1 },
+          $set: { lockedAt: new Date(Date.now() - 2 * 60 * 1000) },
+        }
+      );
+
+      const retry = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "crashed")
+        .send(lunch);
+      expect(retry.status).toBe(201);
+      expect(retry.headers["idempotent-replayed"]).toBeUndefined();
+      expect(await Cost.countDocuments({})).toBe(1);
+
+      const replay = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "crashed")
+        .send(lunch);
+      expect(replay.headers["idempotent-replayed"]).toBe("true");
+      expect(replay.body._id).toBe(retry.body._id);
+    });
+
+    /**
+     * Test case: malformed keys are rejected.
+     */
+    it("should return 400 for a malformed key", async () => {
+      const res = await api
+        .post("/api/add")
+        .set("Idempotency-Key", "x".repeat(256))
+        .send(lunch);
+      expect(res.status).toBe(400);
+      expect(res.body.details[0]).toMatchObject({
+        field: "Idempotency-Key",
+        in: "header",
+      });
+    });
+  });
+
+  /**
+   * Test suite for the rate limit of POST /api/add
+   */
+  describe("Rate limiting", () => {
+    /**
+     * Test case: the limit applies per account and answers 429 once reached.
+     */
+    it("should limit each account and send the standard headers", async () => {
+      const limited = createApp({
+        config: {
+          ...loadConfig({}),
+          rateLimit: { max: 2, windowMs: 60 * 1000 },
+        },
+      });
+      const admin = await signIn(limited, { username: "limited-admin" });
+
+      const first = await admin.post("/api/add").send(lunch);
+      expect(first.status).toBe(201);
+      expect(first.headers["ratelimit-limit"]).toBe("2");
+      expect(first.headers["ratelimit-remaining"]).toBe("1");
+      expect(first.headers["ratelimit-policy"]).toBe("2;w=60");
+      expect(Number(first.headers["ratelimit-reset"])).toBeGreaterThan(0);
+
+      expect((await admin.post("/api/add").send(lunch)).status).toBe(201);
+
+      const third = await admin.post("/api/add").send(lunch);
+      expect(third.status).toBe(429);
+      expect(third.body.code).toBe("RATE_LIMITED");
+      expect(third.headers["ratelimit-remaining"]).toBe("0");
+      expect(Number(third.headers["retry-after"])).toBeGreaterThan(0);
+      expect(Number(third.headers["retry-after"])).toBeLessThanOrEqual(60);
+      expect(await Cost.countDocuments({})).toBe(2);
+
+      // Another account has its own allowance, and other apps their own store
+      const other = await signIn(limited, { username: "limited-other" });
+      expect((await other.post("/api/add").send(lunch)).status).toBe(201);
+      expect((await api.post("/api/add").send(lunch)).status).toBe(201);
+
+      await Account.deleteMany({
+        username: { $in: ["limited-admin", "limited-other"] },
+      });
+    });
+
+    /**
+     * Test case: a new window starts once the old one ends.
+     */
+    it("should accept requests again in the next window", async () => {
+      const limited = createApp({
+        config: { ...loadConfig({}), rateLimit: { max: 1, windowMs: 200 } },
+      });
+      const admin = await signIn(limited, { username: "window-admin" });
+
+      expect((await admin.post("/api/add").send(lunch)).status).toBe(201);
+      expect((await admin.post("/api/add").send(lunch)).status).toBe(429);
+      await new Promise((resolve) => setTimeout(resolve, 250));
+      expect((await admin.post("/api/add").send(lunch)).status).toBe(201);
+
+      await Account.deleteOne({ username: "window-admin" });
+    });
+
+    /**
+     * Test case: RATE_LIMIT_MAX=0 turns limiting off.
+     */
+    it("should not limit when the limit is 0", async () => {
+      const unlimited = createApp({
+        config: loadConfig({ RATE_LIMIT_MAX: "0" }),
+      });
+      const admin = await signIn(unlimited, { username: "unlimited-admin" });
+      const added = await admin.post("/api/add").send(lunch);
+      expect(added.status).toBe(201);
+      expect(added.headers["ratelimit-limit"]).toBeUndefined();
+
+      await Account.deleteOne({ username: "unlimited-admin" });
+    });
+  });
+});
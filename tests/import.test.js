@@ -0,0 +1,317 @@
+/**
+ * @file import.test.js
+ * @desc Tests for POST /api/import: bulk imports from JSON and CSV, per-row
+ * validation errors, dry runs, the all-or-nothing transaction and the
+ * idempotency key that deduplicates re-uploads.
+ *
+ * Uses an in-memory MongoDB replica set, since imports run in a transaction.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryReplSet } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let replSet;
+let app;
+let api;
+let Cost;
+let CostImport;
+let CostRevision;
+let Report;
+let User;
+
+describe("POST /api/import", () => {
+  /**
+   * Before all tests: spin up an in-memory replica set, connect Mongoose,
+   * create the app, grab the models and build their indexes.
+   */
+  beforeAll(async () => {
+    replSet = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+    await mongoose.connect(replSet.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+    CostImport = require("../models/CostImport");
+    CostRevision = require("../models/CostRevision");
+    Report = require("../models/Report");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+    await Cost.init();
+    await CostImport.init();
+    await CostRevision.init();
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop the replica set.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await replSet.stop();
+  });
+
+  /**
+   * Before each test: reset the collections and create user 1.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await CostImport.deleteMany({});
+    await CostRevision.deleteMany({});
+    await Report.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+  });
+
+  /**
+   * Two valid rows for user 1, both in the past.
+   */
+  const rows = [
+    {
+      description: "Groceries",
+      category: "food",
+      userid: 1,
+      sum: 120.5,
+      date: "2024-03-02",
+    },
+    {
+      description: "Gym",
+      category: "sport",
+      userid: 1,
+      sum: 50,
+      currency: "ILS",
+      date: "2024-03-05",
+    },
+  ];
+
+  /**
+   * Test case: a JSON array is imported with a revision per cost.
+   */
+  it("should import a JSON array of costs", async () => {
+    const res = await api
+      .post("/api/import")
+      .set("X-Changed-By", "alice")
+      .send(rows);
+
+    expect(res.status).toBe(201);
+    expect(res.body.imported).toBe(2);
+    expect(res.body.key).toEqual(expect.any(String));
+
+    const costs = await Cost.find().sort({ date: 1 }).lean();
+    expect(costs.map((c) => c.date.toISOString())).toEqual([
+      "2024-03-02T00:00:00.000Z",
+      "2024-03-05T00:00:00.000Z",
+    ]);
+    expect(costs[0]).toMatchObject({ sum: 120.5, currency: "ILS" });
+
+    const revisions = await CostRevision.find().lean();
+    expect(revisions).toHaveLength(2);
+    expect(revisions[0]).toMatchObject({
+      action: "create",
+      changedBy: "alice",
+    });
+  });
+
+  /**
+   * Test case: a CSV file with a header row is imported, quoting included.
+   */
+  it("should import a CSV file", async () => {
+    const csv =
+      "date,category,description,sum,userid\r\n" +
+      '2024-03-02,food,"Bread, milk",12.5,1\r\n' +
+      "2024-03-03,health,Pharmacy,40,1\r\n";
+
+    const res = await api
+      .post("/api/import")
+      .set("Content-Type", "text/csv")
+      .send(csv);
+
+    expect(res.status).toBe(201);
+    expect(res.body.imported).toBe(2);
+    const bread = await Cost.findOne({ category: "food" }).lean();
+    expect(bread).toMatchObject({ description: "Bread, milk", sum: 12.5 });
+  });
+
+  /**
+   * Test case: invalid rows are reported one by one and nothing is imported.
+   */
+  it("should report per-row errors and import nothing", async () => {
+    const res = await api
+      .post("/api/import")
+      .send([
+        rows[0],
+        { ...rows[1], category: "travel" },
+        { ...rows[1], userid: 99 },
+        { ...rows[1], sum: "lots", date: "yesterday" },
+        { ...rows[1], date: "2024-02-30T99:00" },
+      ]);
+
+    expect(res.status).toBe(400);
+    expect(res.body.code).toBe("VALIDATION_ERROR");
+    expect(res.body.error).toBe(
+      "4 of 5 rows failed validation; nothing was imported."
+    );
+    expect(res.body.details.map((e) => e.row)).toEqual([2, 3, 4, 5]);
+    expect(res.body.details[1]).toMatchObject({
+      field: "userid",
+      message: "User with id 99 does not exist.",
+    });
+    expect(res.body.details[2]).toMatchObject({
+      field: "sum",
+      message: "sum must be a valid number.",
+    });
+    expect(res.body.details[3]).toMatchObject({
+      field: "date",
+      message: "Invalid date.",
+    });
+    expect(await Cost.countDocuments()).toBe(0);
+    expect(await CostImport.countDocuments()).toBe(0);
+  });
+
+  /**
+   * Test case: a dry run validates without importing.
+   */
+  it("should validate without importing on a dry run", async () => {
+    const res = await api.post("/api/import?dryRun=true").send(rows);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ dryRun: true, valid: 2, imported: 0 });
+    expect(await Cost.countDocuments()).toBe(0);
+
+    // A dry run does not use up the key
+    const real = await api.post("/api/import").send(rows);
+    expect(real.status).toBe(201);
+  });
+
+  /**
+   * Test case: re-uploading the same rows, with or without the same
+   * Idempotency-Key, imports nothing new.
+   */
+  it("should deduplicate re-uploads", async () => {
+    const first = await api.post("/api/import").send(rows);
+    const again = await api.post("/api/import").send(rows);
+
+    expect(again.status).toBe(200);
+    expect(again.body).toMatchObject({
+      duplicate: true,
+      importId: first.body.importId,
+      imported: 0,
+    });
+    expect(await Cost.countDocuments()).toBe(2);
+
+    const keyed = await api
+      .post("/api/import")
+      .set("Idempotency-Key", "march-statement")
+      .send([rows[0]]);
+    expect(keyed.status).toBe(201);
+    const keyedAgain = await api
+      .post("/api/import")
+      .set("Idempotency-Key", "march-statement")
+      .send([rows[0]]);
+    expect(keyedAgain.body).toMatchObject({
+      duplicate: true,
+      importId: keyed.body.importId,
+    });
+    expect(await Cost.countDocuments()).toBe(3);
+  });
+
+  /**
+   * Test case: reusing an Idempotency-Key for different rows is refused.
+   */
+  it("should return 422 when the key is reused for other rows", async () => {
+    const first = await api
+      .post("/api/import")
+      .set("Idempotency-Key", "march-statement")
+      .send([rows[0]]);
+    expect(first.status).toBe(201);
+
+    const reused = await api
+      .post("/api/import")
+      .set("Idempotency-Key", "march-statement")
+      .send([rows[1]]);
+    expect(reused.status).toBe(422);
+    expect(reused.body.code).toBe("IDEMPOTENCY_KEY_MISMATCH");
+    expect(await Cost.countDocuments()).toBe(1);
+  });
+
+  /**
+   * Test case: keys and row hashes of one account do not affect another.
+   */
+  it("should keep the imports of different accounts apart", async () => {
+    await User.create({
+      id: 2,
+      first_name: "Bob",
+      last_name: "Brown",
+      birthday: "02/02/1990",
+      marital_status: "single",
+    });
+    const bob = await signIn(app, { username: "bob", role: "user", userid: 2 });
+    const bobRows = rows.map((row) => ({ ...row, userid: 2 }));
+
+    const first = await api
+      .post("/api/import")
+      .set("Idempotency-Key", "statement")
+      .send(bobRows);
+    expect(first.status).toBe(201);
+
+    // The same key and the same rows from another account are a new import
+    const keyed = await bob
+      .post("/api/import")
+      .set("Idempotency-Key", "statement")
+      .send(bobRows);
+    expect(keyed.status).toBe(201);
+    expect(keyed.body.duplicate).toBeUndefined();
+    expect(keyed.body.importId).not.toBe(first.body.importId);
+
+    await api.post("/api/import").send(bobRows);
+    const unkeyed = await bob.post("/api/import").send(bobRows);
+    expect(unkeyed.status).toBe(201);
+    expect(await Cost.countDocuments({ userid: 2 })).toBe(8);
+
+    const Account = require("../models/Account");
+    await Account.deleteOne({ username: "bob" });
+  });
+
+  /**
+   * Test case: a failure inside the transaction leaves no costs behind.
+   */
+  it("should roll back every row when the import fails", async () => {
+    const spy = jest
+      .spyOn(CostRevision, "insertMany")
+      .mockRejectedValueOnce(new Error("disk full"));
+
+    const res = await api.post("/api/import").send(rows);
+    spy.mockRestore();
+
+    expect(res.status).toBe(500);
+    expect(await Cost.countDocuments()).toBe(0);
+    expect(await CostImport.countDocuments()).toBe(0);
+  });
+
+  /**
+   * Test case: an empty or non-array body is rejected.
+   */
+  it("should return 400 for an empty or malformed upload", async () => {
+    const empty = await api.post("/api/import").send([]);
+    expect(empty.status).toBe(400);
+
+    const object = await api.post("/api/import").send(rows[0]);
+    expect(object.status).toBe(400);
+
+    const badCsv = await api
+      .post("/api/import")
+      .set("Content-Type", "text/csv")
+      .send('description,sum\n"unterminated,1\n');
+    expect(badCsv.status).toBe(400);
+  });
+});
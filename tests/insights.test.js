@@ -0,0 +1,198 @@
+/**
+ * @file insights.test.js
+ * @desc Tests for GET /api/users/:id/insights: per-category totals, monthly
+ * averages and shares, the top descriptions and the anomaly detection, on a
+ * fixed set of seeded costs.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Cost;
+let User;
+
+describe("GET /api/users/:id/insights", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: user 1 with three months of costs. Food hovers around
+   * 100 except for one 400 on February 25th; the gym is always 200.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+    const cost = (date, category, description, sum) => ({
+      description,
+      category,
+      userid: 1,
+      sum,
+      date: new Date(`${date}T12:00:00Z`),
+    });
+    await Cost.create([
+      cost("2025-01-01", "sport", "Gym", 200),
+      cost("2025-01-05", "food", "Groceries", 100),
+      cost("2025-01-12", "food", "Groceries", 110),
+      cost("2025-01-20", "food", "Pizza", 90),
+      cost("2025-02-01", "sport", "Gym", 200),
+      cost("2025-02-02", "food", "groceries", 100),
+      cost("2025-02-10", "food", "Groceries", 95),
+      cost("2025-02-25", "food", "Groceries", 400),
+      cost("2025-03-01", "sport", "Gym", 200),
+      cost("2025-03-03", "food", "Pizza", 105),
+      cost("2025-03-15", "health", "Pharmacy", 50),
+      { ...cost("2025-03-20", "food", "Caviar", 5000), deletedAt: new Date() },
+    ]);
+  });
+
+  /**
+   * Test case: categories, monthly averages, shares and top descriptions.
+   */
+  it("should summarize spending per category and description", async () => {
+    const res = await api.get("/api/users/1/insights?top=2");
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({
+      userid: 1,
+      currency: "ILS",
+      from: "2025-01-01",
+      to: "2025-03-15",
+      months: 3,
+      total: 1650,
+    });
+    expect(res.body.categories).toEqual([
+      {
+        category: "food",
+        total: 1000,
+        count: 7,
+        monthlyAverage: 333.33,
+        share: 60.61,
+      },
+      {
+        category: "sport",
+        total: 600,
+        count: 3,
+        monthlyAverage: 200,
+        share: 36.36,
+      },
+      {
+        category: "health",
+        total: 50,
+        count: 1,
+        monthlyAverage: 16.67,
+        share: 3.03,
+      },
+    ]);
+    // Descriptions are grouped case-insensitively
+    expect(res.body.topDescriptions).toEqual([
+      { description: "Groceries", total: 805, count: 5 },
+      { description: "Gym", total: 600, count: 3 },
+    ]);
+  });
+
+  /**
+   * Test case: only the cost far above its category's rolling mean is flagged.
+   */
+  it("should flag costs far above the rolling category mean", async () => {
+    const res = await api.get("/api/users/1/insights");
+
+    // The gym never varies, so it has no spread to judge against
+    expect(res.body.anomalies).toEqual([
+      {
+        _id: expect.any(String),
+        description: "Groceries",
+        category: "food",
+        date: "2025-02-25T12:00:00.000Z",
+        sum: 400,
+        currency: "ILS",
+        mean: 99,
+        stdDev: 6.63,
+        deviations: 45.38,
+      },
+    ]);
+
+    const lenient = await api.get("/api/users/1/insights?threshold=50");
+    expect(lenient.body.anomalies).toEqual([]);
+  });
+
+  /**
+   * Test case: a date range limits the totals, not the anomalies' history.
+   */
+  it("should limit the insights to a date range", async () => {
+    const march = await api.get(
+      "/api/users/1/insights?from=2025-03-01&to=2025-03-31"
+    );
+    expect(march.body).toMatchObject({
+      from: "2025-03-01",
+      to: "2025-03-31",
+      months: 1,
+      total: 355,
+      anomalies: [],
+    });
+
+    // Costs before `from` still make up the mean
+    const lateFebruary = await api.get(
+      "/api/users/1/insights?from=2025-02-20&to=2025-02-28"
+    );
+    expect(lateFebruary.body.total).toBe(400);
+    expect(lateFebruary.body.anomalies).toHaveLength(1);
+  });
+
+  /**
+   * Test case: bad parameters and unknown users are rejected.
+   */
+  it("should return 400 for bad parameters and 404 for an unknown user", async () => {
+    const cases = [
+      "/api/users/1/insights?threshold=-1",
+      "/api/users/1/insights?window=2",
+      "/api/users/1/insights?top=0",
+      "/api/users/1/insights?from=2025-03-01&to=2025-02-01",
+      "/api/users/1/insights?currency=nope",
+    ];
+    for (const url of cases) {
+      const res = await api.get(url);
+      expect(res.status).toBe(400);
+    }
+
+    const unknown = await api.get("/api/users/99/insights");
+    expect(unknown.status).toBe(404);
+  });
+});
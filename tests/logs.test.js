@@ -0,0 +1,314 @@
+/**
+ * @file logs.test.js
+ * @desc Tests for the request logging middleware and GET /api/logs: request
+ * IDs, the entry of each request, redaction of failed requests' bodies, and
+ * filtering and paging the stored entries.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+const { flushLogs } = require("../utils/logger");
+
+let mongoServer;
+let app;
+let api;
+let Log;
+let User;
+
+describe("Request logging", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Log = require("../models/Log");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await flushLogs();
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: user 1 and no log entries.
+   */
+  beforeEach(async () => {
+    await flushLogs();
+    await Log.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+  });
+
+  /**
+   * Test suite for the request log.
+   */
+  describe("middleware", () => {
+    /**
+     * Test case: a well-formed X-Request-Id is kept, anything else replaced.
+     */
+    it("should echo or generate a request ID", async () => {
+      const given = await request(app)
+        .get("/api/about")
+        .set("X-Request-Id", "trace-42");
+      expect(given.headers["x-request-id"]).toBe("trace-42");
+
+      const generated = await request(app)
+        .get("/api/about")
+        .set("X-Request-Id", "not a valid id!");
+      expect(generated.headers["x-request-id"]).toMatch(/^[0-9a-f-]{36}$/);
+    });
+
+    /**
+     * Test case: a successful request is logged with its route, status,
+     * latency and user.
+     */
+    it("should log each request with route, status, latency and user", async () => {
+      const alice = await signIn(app, {
+        username: "alice",
+        role: "user",
+        userid: 1,
+      });
+      const res = await alice.get("/api/users/1");
+      expect(res.status).toBe(200);
+      await flushLogs();
+
+      const entry = await Log.findOne({
+        requestId: res.headers["x-request-id"],
+      }).lean();
+      expect(entry).toMatchObject({
+        level: "info",
+        message: "GET /api/users/:id 200",
+        method: "GET",
+        route: "/api/users/:id",
+        path: "/api/users/1",
+        status: 200,
+        userid: 1,
+        username: "alice",
+      });
+      expect(entry.durationMs).toBeGreaterThanOrEqual(0);
+      // Bodies are only kept for failed requests
+      expect(entry.body).toBeUndefined();
+    });
+
+    /**
+     * Test case: a failed request logs its error and its redacted body.
+     */
+    it("should log why a request failed, with the body redacted", async () => {
+      const added = await api
+        .post("/api/add")
+        .send({ description: "Lunch", category: "nope", userid: 1, sum: 12 });
+      expect(added.status).toBe(400);
+
+      const registered = await request(app).post("/api/auth/register").send({
+        username: "x",
+        password: "hunter22",
+        id: 2,
+        first_name: "Bob",
+        last_name: "Brown",
+        birthday: "1990-01-01",
+        marital_status: "single",
+      });
+      expect(registered.status).toBe(400);
+      await flushLogs();
+
+      const addEntry = await Log.findOne({ route: "/api/add" }).lean();
+      expect(addEntry).toMatchObject({
+        level: "warn",
+        status: 400,
+        error: { code: "VALIDATION_ERROR" },
+        body: { description: "Lunch", category: "nope", userid: 1, sum: 12 },
+      });
+
+      const registerEntry = await Log.findOne({
+        route: "/api/auth/register",
+      }).lean();
+      expect(registerEntry.body.password).toBe("[REDACTED]");
+      expect(JSON.stringify(registerEntry)).not.toContain("hunter22");
+    });
+
+    /**
+     * Test case: a rejected upload is logged with its size, not its bytes.
+     */
+    it("should log only the size of a rejected upload", async () => {
+      const Cost = require("../models/Cost");
+      const cost = await Cost.create({
+        description: "Lunch",
+        category: "food",
+        userid: 1,
+        sum: 12,
+      });
+      const upload = Buffer.alloc(64 * 1024, "a");
+
+      const res = await api
+        .post(`/api/costs/${cost._id}/attachments`)
+        .set("Content-Type", "text/plain")
+        .send(upload);
+      expect(res.status).toBe(415);
+      await flushLogs();
+
+      const entry = await Log.findOne({
+        route: "/api/costs/:id/attachments",
+      }).lean();
+      expect(entry).toMatchObject({
+        status: 415,
+        body: { size: upload.length },
+      });
+      expect(JSON.stringify(entry).length).toBeLessThan(2000);
+
+      await Cost.deleteMany({});
+    });
+
+    /**
+     * Test case: unexpected errors are logged with their real message, which
+     * the client does not see.
+     */
+    it("should log the real error of a 500", async () => {
+      const spy = jest.spyOn(User, "findOne").mockImplementationOnce(() => {
+        throw new Error("connection reset by peer");
+      });
+      const res = await api.get("/api/users/1");
+      spy.mockRestore();
+      expect(res.status).toBe(500);
+      expect(JSON.stringify(res.body)).not.toContain("connection reset");
+      await flushLogs();
+
+      const entry = await Log.findOne({
+        requestId: res.headers["x-request-id"],
+      }).lean();
+      expect(entry).toMatchObject({
+        level: "error",
+        status: 500,
+        error: {
+          code: "INTERNAL_ERROR",
+          message: "connection reset by peer",
+        },
+      });
+      expect(entry.error.stack).toContain("connection reset by peer");
+    });
+  });
+
+  /**
+   * Test suite for GET /api/logs.
+   */
+  describe("GET /api/logs", () => {
+    /**
+     * Log a few requests: two successes, a 404 and a 400.
+     */
+    async function makeRequests() {
+      await api.get("/api/users/1");
+      await api.get("/api/users");
+      await api.get("/api/users/99");
+      await api.get("/api/users/1/costs?limit=0");
+      await flushLogs();
+    }
+
+    /**
+     * Test case: filter by minimum level and by route.
+     */
+    it("should filter by level and route", async () => {
+      await makeRequests();
+
+      const warnings = await api.get("/api/logs?level=warn");
+      expect(warnings.status).toBe(200);
+      expect(warnings.body.logs.map((l) => l.message)).toEqual([
+        "GET /api/users/:id/costs 400",
+        "GET /api/users/:id 404",
+      ]);
+
+      const user = await api.get(
+        `/api/logs?route=${encodeURIComponent("/api/users/:id")}`
+      );
+      expect(user.body.logs.map((l) => l.status)).toEqual([404, 200]);
+    });
+
+    /**
+     * Test case: filter by time range and request ID.
+     */
+    it("should filter by time range and request ID", async () => {
+      await makeRequests();
+      const later = new Date(Date.now() + 60 * 1000).toISOString();
+
+      const none = await api.get(`/api/logs?from=${later}`);
+      expect(none.body.logs).toEqual([]);
+      const all = await api.get(`/api/logs?to=${later}`);
+      expect(all.body.logs.length).toBeGreaterThanOrEqual(4);
+
+      const res = await api.get("/api/about");
+      await flushLogs();
+      const one = await api.get(
+        `/api/logs?requestId=${res.headers["x-request-id"]}`
+      );
+      expect(one.body.logs).toHaveLength(1);
+      expect(one.body.logs[0].route).toBe("/api/about");
+    });
+
+    /**
+     * Test case: pages follow each other through nextCursor, newest first.
+     */
+    it("should page through the entries newest first", async () => {
+      await makeRequests();
+
+      const first = await api.get("/api/logs?limit=3");
+      expect(first.body.logs).toHaveLength(3);
+      expect(first.body.nextCursor).toEqual(expect.any(String));
+
+      const second = await api.get(
+        `/api/logs?limit=3&cursor=${first.body.nextCursor}`
+      );
+      expect(second.body.logs).toHaveLength(1);
+      expect(second.body.nextCursor).toBeNull();
+      expect(second.body.logs[0].message).toBe("GET /api/users/:id 200");
+    });
+
+    /**
+     * Test case: only admins may read the logs, with valid parameters.
+     */
+    it("should return 403 for ordinary accounts and 400 for bad parameters", async () => {
+      const alice = await signIn(app, {
+        username: "alice-logs",
+        role: "user",
+        userid: 1,
+      });
+      const forbidden = await alice.get("/api/logs");
+      expect(forbidden.status).toBe(403);
+
+      const cases = [
+        "/api/logs?level=verbose",
+        "/api/logs?limit=0",
+        "/api/logs?from=yesterday",
+        "/api/logs?from=2025-02-01&to=2025-01-01",
+        "/api/logs?cursor=not-a-cursor",
+      ];
+      for (const url of cases) {
+        const res = await api.get(url);
+        expect(res.status).toBe(400);
+      }
+    });
+  });
+});
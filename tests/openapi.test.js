@@ -0,0 +1,602 @@
+/**
+ * @file openapi.test.js
+ * @desc Contract tests for the OpenAPI document: it is served at
+ * /api/openapi.json, documents exactly the routes the app has, and the real
+ * responses of every endpoint, errors included, match the documented schemas.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+const { spec, resolve, checkResponse } = require("./helpers/openapi");
+const { flushLogs } = require("../utils/logger");
+
+let mongoServer;
+let app;
+let api;
+let Cost;
+
+/**
+ * Expect a response to match what the document says of the operation.
+ * @param {import("supertest").Response} res - The response.
+ * @param {String} method - e.g. 'get'.
+ * @param {String} path - A path of the document, e.g. '/users/{id}'.
+ */
+function expectDocumented(res, method, path) {
+  expect(checkResponse(res, method, path)).toEqual([]);
+}
+
+describe("OpenAPI document", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and sign in as an admin.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+
+    // Every route but /api/about and the document needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await flushLogs();
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Test suite for the document itself.
+   */
+  describe("GET /api/openapi.json", () => {
+    /**
+     * Test case: the document is public.
+     */
+    it("should serve the document without a token", async () => {
+      const res = await request(app).get("/api/openapi.json");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual(JSON.parse(JSON.stringify(spec)));
+      expect(res.body.openapi).toBe("3.0.3");
+    });
+
+    /**
+     * Test case: every route is documented and every documented route exists.
+     */
+    it("should document exactly the routes of the app", () => {
+      // Routers are mounted at /api, the document's server URL, except the
+      // health probes, whose paths name their own server
+      const routes = app.router.stack
+        .filter((layer) => layer.handle && layer.handle.stack)
+        .flatMap((layer) => layer.handle.stack)
+        .filter((layer) => layer.route)
+        .flatMap((layer) =>
+          Object.keys(layer.route.methods).map(
+            (method) =>
+              `${method} ${layer.route.path.replace(/:(\w+)/g, "{$1}")}`
+          )
+        );
+      const documented = Object.entries(spec.paths).flatMap(([path, item]) =>
+        Object.keys(item)
+          .filter((key) => key !== "parameters" && key !== "servers")
+          .map((method) => `${method} ${path}`)
+      );
+
+      expect([...new Set(routes)].sort()).toEqual(documented.sort());
+    });
+
+    /**
+     * Test case: no $ref points at a missing schema or response.
+     */
+    it("should only reference defined components", () => {
+      const refs = [];
+      const collect = (node) => {
+        if (node && typeof node === "object") {
+          if (node.$ref) {
+            refs.push(node.$ref);
+          }
+          Object.values(node).forEach(collect);
+        }
+      };
+      collect(spec);
+
+      expect(refs.length).toBeGreaterThan(0);
+      expect(refs.filter((ref) => !resolve({ $ref: ref }))).toEqual([]);
+    });
+  });
+
+  /**
+   * Test suite: responses of every endpoint against the document. The tests
+   * build on each other's data, in order.
+   */
+  describe("responses", () => {
+    const now = new Date();
+    const year = now.getUTCFullYear();
+    const month = now.getUTCMonth() + 1;
+    const today = now.toISOString().slice(0, 10);
+
+    let costId;
+    let groupId;
+
+    /**
+     * Test case: public endpoints and authentication errors.
+     */
+    it("should document the public and auth endpoints", async () => {
+      expectDocumented(await request(app).get("/api/about"), "get", "/about");
+      expectDocumented(await request(app).get("/healthz"), "get", "/healthz");
+      expectDocumented(await request(app).get("/readyz"), "get", "/readyz");
+
+      const register = await request(app).post("/api/auth/register").send({
+        username: "alice",
+        password: "password123",
+        id: 1,
+        first_name: "Alice",
+        last_name: "Anderson",
+        birthday: "1990-01-15",
+        marital_status: "single",
+      });
+      expect(register.status).toBe(201);
+      expectDocumented(register, "post", "/auth/register");
+
+      const clash = await request(app).post("/api/auth/register").send({
+        username: "alice",
+        password: "password123",
+        id: 9,
+        first_name: "Other",
+        last_name: "Alice",
+        birthday: "1990-01-15",
+        marital_status: "single",
+      });
+      expect(clash.status).toBe(409);
+      expectDocumented(clash, "post", "/auth/register");
+
+      const badLogin = await request(app)
+        .post("/api/auth/login")
+        .send({ username: "alice", password: "wrong-password" });
+      expect(badLogin.status).toBe(401);
+      expectDocumented(badLogin, "post", "/auth/login");
+
+      const login = await request(app)
+        .post("/api/auth/login")
+        .send({ username: "alice", password: "password123" });
+      expect(login.status).toBe(200);
+      expectDocumented(login, "post", "/auth/login");
+
+      const alice = request
+        .agent(app)
+        .set("Authorization", `Bearer ${login.body.token}`);
+      expectDocumented(await alice.get("/api/auth/me"), "get", "/auth/me");
+
+      const forbidden = await alice.get("/api/admin/orphan-costs");
+      expect(forbidden.status).toBe(403);
+      expectDocumented(forbidden, "get", "/admin/orphan-costs");
+
+      const logout = await alice.post("/api/auth/logout");
+      expectDocumented(logout, "post", "/auth/logout");
+
+      const anonymous = await request(app).get("/api/users/1");
+      expect(anonymous.status).toBe(401);
+      expectDocumented(anonymous, "get", "/users/{id}");
+
+      const account = await api
+        .post("/api/auth/accounts")
+        .send({ username: "alice2", password: "password123", userid: 1 });
+      expect(account.status).toBe(201);
+      expectDocumented(account, "post", "/auth/accounts");
+    });
+
+    /**
+     * Test case: users.
+     */
+    it("should document the user endpoints", async () => {
+      const created = await api.post("/api/users").send({
+        id: 2,
+        first_name: "Bob",
+        last_name: "Brown",
+        birthday: "1985-05-05",
+        marital_status: "married",
+      });
+      expect(created.status).toBe(201);
+      expectDocumented(created, "post", "/users");
+
+      const invalid = await api
+        .post("/api/users")
+        .send({ id: "x", first_name: "No" });
+      expect(invalid.status).toBe(400);
+      expectDocumented(invalid, "post", "/users");
+
+      expectDocumented(await api.get("/api/users?limit=1"), "get", "/users");
+      expectDocumented(await api.get("/api/users/1"), "get", "/users/{id}");
+      expectDocumented(
+        await api.get("/api/users/1?currency=ILS&groupShares=include"),
+        "get",
+        "/users/{id}"
+      );
+
+      const missing = await api.get("/api/users/99");
+      expect(missing.status).toBe(404);
+      expectDocumented(missing, "get", "/users/{id}");
+
+      const patched = await api
+        .patch("/api/users/1")
+        .send({ first_name: "Alicia" });
+      expect(patched.status).toBe(200);
+      expectDocumented(patched, "patch", "/users/{id}");
+    });
+
+    /**
+     * Test case: costs, reports, insights, tags and notifications.
+     */
+    it("should document the cost endpoints", async () => {
+      const budget = await api
+        .post("/api/budgets")
+        .send({ userid: 1, category: "food", limit: 10 });
+      expect(budget.status).toBe(201);
+      expectDocumented(budget, "post", "/budgets");
+
+      // Goes over the budget, so the cost carries a warning
+      const added = await api.post("/api/add").send({
+        description: "Groceries",
+        category: "food",
+        userid: 1,
+        sum: 50,
+      });
+      expect(added.status).toBe(201);
+      expect(added.body.warning).toBeDefined();
+      expectDocumented(added, "post", "/add");
+      costId = added.body._id;
+
+      const rejected = await api.post("/api/add").send({
+        description: "Groceries",
+        category: "nope",
+        userid: 1,
+        sum: 5,
+      });
+      expect(rejected.status).toBe(400);
+      expectDocumented(rejected, "post", "/add");
+
+      expectDocumented(
+        await api.get(`/api/costs/${costId}`),
+        "get",
+        "/costs/{id}"
+      );
+      const patched = await api
+        .patch(`/api/costs/${costId}`)
+        .send({ sum: 20, tags: ["Reimbursable"] });
+      expect(patched.status).toBe(200);
+      expectDocumented(patched, "patch", "/costs/{id}");
+      expectDocumented(
+        await api.get(`/api/costs/${costId}/history`),
+        "get",
+        "/costs/{id}/history"
+      );
+
+      // Two receipts: one is kept for the reports below
+      const pdf = Buffer.from("%PDF-1.4\n%%EOF\n");
+      const attachments = [];
+      for (let i = 0; i < 2; i++) {
+        const uploaded = await api
+          .post(`/api/costs/${costId}/attachments?filename=receipt.pdf`)
+          .set("Content-Type", "application/pdf")
+          .send(pdf);
+        expect(uploaded.status).toBe(201);
+        expectDocumented(uploaded, "post", "/costs/{id}/attachments");
+        attachments.push(uploaded.body._id);
+      }
+      const unsupported = await api
+        .post(`/api/costs/${costId}/attachments`)
+        .set("Content-Type", "text/plain")
+        .send("receipt");
+      expect(unsupported.status).toBe(415);
+      expectDocumented(unsupported, "post", "/costs/{id}/attachments");
+      expectDocumented(
+        await api.delete(`/api/costs/${costId}/attachments/${attachments[1]}`),
+        "delete",
+        "/costs/{id}/attachments/{attachmentId}"
+      );
+      expectDocumented(
+        await api.get(`/api/costs/${costId}`),
+        "get",
+        "/costs/{id}"
+      );
+
+      const page = await api.get("/api/users/1/costs?limit=1");
+      expect(page.body.costs).toHaveLength(1);
+      expectDocumented(page, "get", "/users/{id}/costs");
+      expectDocumented(
+        await api.get("/api/users/1/insights"),
+        "get",
+        "/users/{id}/insights"
+      );
+      const tags = await api.get("/api/users/1/tags");
+      expect(tags.body.tags).toHaveLength(1);
+      expectDocumented(tags, "get", "/users/{id}/tags");
+      const notifications = await api.get("/api/users/1/notifications");
+      expect(notifications.body.length).toBeGreaterThan(0);
+      expectDocumented(notifications, "get", "/users/{id}/notifications");
+
+      const reports = [
+        `/api/report?id=1&year=${year}&month=${month}`,
+        `/api/report?id=1&year=${year}&month=${month}&currency=ILS`,
+        `/api/report?id=1&year=${year}&month=${month}&tag=reimbursable`,
+        `/api/report?id=1&year=${year}`,
+        `/api/report?id=1&from=${year}-01-01&to=${today}`,
+      ];
+      for (const url of reports) {
+        const res = await api.get(url);
+        expect(res.status).toBe(200);
+        expectDocumented(res, "get", "/report");
+      }
+
+      const dryRun = await api
+        .post("/api/import?dryRun=true")
+        .send([
+          { description: "Old rent", category: "housing", userid: 1, sum: 900 },
+        ]);
+      expect(dryRun.status).toBe(200);
+      expectDocumented(dryRun, "post", "/import");
+
+      const badRows = await api
+        .post("/api/import")
+        .send([{ description: "No sum", category: "housing", userid: 1 }]);
+      expect(badRows.status).toBe(400);
+      expectDocumented(badRows, "post", "/import");
+    });
+
+    /**
+     * Test case: categories and budgets.
+     */
+    it("should document the category and budget endpoints", async () => {
+      const games = await api
+        .post("/api/categories")
+        .send({ name: "games", userid: 1 });
+      expect(games.status).toBe(201);
+      expectDocumented(games, "post", "/categories");
+      const hobbies = await api
+        .post("/api/categories")
+        .send({ name: "hobbies", userid: 1 });
+
+      expectDocumented(
+        await api.get("/api/categories?userid=1"),
+        "get",
+        "/categories"
+      );
+      expectDocumented(
+        await api
+          .patch(`/api/categories/${games.body._id}`)
+          .send({ name: "boardgames" }),
+        "patch",
+        "/categories/{id}"
+      );
+      expectDocumented(
+        await api
+          .post(`/api/categories/${games.body._id}/merge`)
+          .send({ into: hobbies.body._id }),
+        "post",
+        "/categories/{id}/merge"
+      );
+      expectDocumented(
+        await api.delete(`/api/categories/${hobbies.body._id}`),
+        "delete",
+        "/categories/{id}"
+      );
+
+      const budgets = await api.get("/api/budgets?userid=1");
+      expectDocumented(budgets, "get", "/budgets");
+      const budgetId = budgets.body[0]._id;
+      expectDocumented(
+        await api.patch(`/api/budgets/${budgetId}`).send({ limit: 500 }),
+        "patch",
+        "/budgets/{id}"
+      );
+      expectDocumented(
+        await api.delete(`/api/budgets/${budgetId}`),
+        "delete",
+        "/budgets/{id}"
+      );
+
+      const badId = await api.delete("/api/budgets/not-an-id");
+      expect(badId.status).toBe(400);
+      expectDocumented(badId, "delete", "/budgets/{id}");
+    });
+
+    /**
+     * Test case: recurring costs.
+     */
+    it("should document the recurrence endpoints", async () => {
+      const created = await api.post("/api/recurrences").send({
+        userid: 1,
+        description: "Rent",
+        category: "housing",
+        sum: 1000,
+        frequency: "monthly",
+        startDate: today,
+      });
+      expect(created.status).toBe(201);
+      expectDocumented(created, "post", "/recurrences");
+      const id = created.body._id;
+
+      expectDocumented(
+        await api.get("/api/recurrences?userid=1"),
+        "get",
+        "/recurrences"
+      );
+      expectDocumented(
+        await api.get(`/api/recurrences/${id}`),
+        "get",
+        "/recurrences/{id}"
+      );
+      expectDocumented(
+        await api.patch(`/api/recurrences/${id}`).send({ sum: 1100 }),
+        "patch",
+        "/recurrences/{id}"
+      );
+      expectDocumented(
+        await api.post("/api/recurrences/run").send({}),
+        "post",
+        "/recurrences/run"
+      );
+      expectDocumented(
+        await api.delete(`/api/recurrences/${id}`),
+        "delete",
+        "/recurrences/{id}"
+      );
+    });
+
+    /**
+     * Test case: shared-expense groups.
+     */
+    it("should document the group endpoints", async () => {
+      const created = await api
+        .post("/api/groups")
+        .send({ name: "Flat", members: [1, 2] });
+      expect(created.status).toBe(201);
+      expectDocumented(created, "post", "/groups");
+      groupId = created.body._id;
+
+      const shared = await api.post("/api/add").send({
+        description: "Electricity",
+        category: "housing",
+        userid: 1,
+        sum: 90,
+        groupId,
+        split: {
+          method: "percentage",
+          shares: [
+            { userid: 1, percent: 50 },
+            { userid: 2, percent: 50 },
+          ],
+        },
+      });
+      expect(shared.status).toBe(201);
+      expectDocumented(shared, "post", "/add");
+
+      expectDocumented(await api.get("/api/groups?userid=2"), "get", "/groups");
+      expectDocumented(
+        await api.get(`/api/groups/${groupId}`),
+        "get",
+        "/groups/{id}"
+      );
+      expectDocumented(
+        await api.patch(`/api/groups/${groupId}`).send({ name: "Home" }),
+        "patch",
+        "/groups/{id}"
+      );
+      expectDocumented(
+        await api.get(`/api/groups/${groupId}/balances`),
+        "get",
+        "/groups/{id}/balances"
+      );
+
+      const owner = await signIn(app, {
+        username: "flat-owner",
+        role: "user",
+        userid: 1,
+      });
+      const invites = await owner
+        .post("/api/groups")
+        .send({ name: "Invites", members: [1, 2] });
+      expectDocumented(invites, "post", "/groups");
+      const guest = await signIn(app, {
+        username: "flat-guest",
+        role: "user",
+        userid: 2,
+      });
+      expectDocumented(
+        await guest.post(`/api/groups/${invites.body._id}/join`),
+        "post",
+        "/groups/{id}/join"
+      );
+      expectDocumented(
+        await owner.post(`/api/groups/${invites.body._id}/join`),
+        "post",
+        "/groups/{id}/join"
+      );
+
+      // The group still has a live cost
+      const busy = await api.delete(`/api/groups/${groupId}`);
+      expect(busy.status).toBe(409);
+      expectDocumented(busy, "delete", "/groups/{id}");
+    });
+
+    /**
+     * Test case: admin tools and deleting.
+     */
+    it("should document the admin and delete endpoints", async () => {
+      const rates = await api
+        .post("/api/admin/exchange-rates")
+        .send([{ currency: "USD", date: "2020-01-01", rate: 3.7 }]);
+      expect(rates.status).toBe(200);
+      expectDocumented(rates, "post", "/admin/exchange-rates");
+      expectDocumented(
+        await api.get("/api/admin/exchange-rates?currency=USD"),
+        "get",
+        "/admin/exchange-rates"
+      );
+      const converted = await api.get(
+        `/api/report?id=1&year=${year}&month=${month}&currency=USD`
+      );
+      expect(converted.status).toBe(200);
+      expectDocumented(converted, "get", "/report");
+
+      const missingRate = await api.get("/api/users/1?currency=EUR");
+      expect(missingRate.status).toBe(422);
+      expectDocumented(missingRate, "get", "/users/{id}");
+
+      await Cost.create({
+        description: "Ghost",
+        category: "food",
+        userid: 77,
+        sum: 5,
+      });
+      expectDocumented(
+        await api.get("/api/admin/orphan-costs"),
+        "get",
+        "/admin/orphan-costs"
+      );
+      expectDocumented(
+        await api.post("/api/admin/orphan-costs/reassign").send({ to: 2 }),
+        "post",
+        "/admin/orphan-costs/reassign"
+      );
+      expectDocumented(
+        await api.delete("/api/admin/orphan-costs"),
+        "delete",
+        "/admin/orphan-costs"
+      );
+
+      await flushLogs();
+      const logs = await api.get("/api/logs?limit=5&level=warn");
+      expect(logs.body.logs.length).toBeGreaterThan(0);
+      expectDocumented(logs, "get", "/logs");
+
+      const deletedCost = await api.delete(`/api/costs/${costId}`);
+      expect(deletedCost.status).toBe(200);
+      expectDocumented(deletedCost, "delete", "/costs/{id}");
+      const gone = await api.get(`/api/costs/${costId}`);
+      expect(gone.status).toBe(404);
+      expectDocumented(gone, "get", "/costs/{id}");
+
+      // User 2 shares the group cost, which blocks the deletion until it goes
+      const sharing = await api.delete("/api/users/2?cascade=true");
+      expect(sharing.status).toBe(409);
+      expectDocumented(sharing, "delete", "/users/{id}");
+      await Cost.updateMany({ groupId }, { deletedAt: new Date() });
+
+      const deletedUser = await api.delete("/api/users/2?cascade=true");
+      expect(deletedUser.status).toBe(200);
+      expectDocumented(deletedUser, "delete", "/users/{id}");
+    });
+  });
+});
@@ -0,0 +1,207 @@
+/**
+ * @file pagination.test.js
+ * @desc Tests for GET /api/users/:id/costs: cursor pagination, the category,
+ * sum and date filters, full-text search on the description and sorting.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Cost;
+let User;
+
+describe("GET /api/users/:id/costs", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app,
+   * grab the models and build the Cost indexes, the text index included.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+    await Cost.init();
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: user 1 with five live costs and a soft-deleted one in
+   * March 2025, and one cost of user 2.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create([
+      {
+        id: 1,
+        first_name: "Alice",
+        last_name: "Anderson",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      },
+      {
+        id: 2,
+        first_name: "Bob",
+        last_name: "Brown",
+        birthday: "02/02/1990",
+        marital_status: "married",
+      },
+    ]);
+    const cost = (description, category, sum, day) => ({
+      description,
+      category,
+      userid: 1,
+      sum,
+      date: new Date(`2025-03-${day}T12:00:00Z`),
+    });
+    await Cost.create([
+      cost("Weekly groceries", "food", 120, "02"),
+      cost("Pizza night", "food", 60, "05"),
+      cost("Gym membership", "sport", 200, "10"),
+      cost("Groceries for the party", "food", 300, "15"),
+      cost("Pharmacy", "health", 45, "20"),
+      { ...cost("Old groceries", "food", 10, "21"), deletedAt: new Date() },
+      { ...cost("Bob's groceries", "food", 99, "22"), userid: 2 },
+    ]);
+  });
+
+  /**
+   * Descriptions of a page's costs.
+   * @param {Object} res - A response of the listing.
+   * @return {Array<String>}
+   */
+  const descriptions = (res) => res.body.costs.map((c) => c.description);
+
+  /**
+   * Test case: pages follow each other through nextCursor, newest first.
+   */
+  it("should page through the live costs newest first", async () => {
+    const first = await api.get("/api/users/1/costs?limit=2");
+    expect(first.status).toBe(200);
+    expect(descriptions(first)).toEqual([
+      "Pharmacy",
+      "Groceries for the party",
+    ]);
+    expect(first.body.nextCursor).toEqual(expect.any(String));
+
+    // A cost added to the first page meanwhile does not shift the next one
+    await Cost.create({
+      description: "Late entry",
+      category: "food",
+      userid: 1,
+      sum: 5,
+      date: new Date("2025-03-25T12:00:00Z"),
+    });
+
+    const second = await api.get(
+      `/api/users/1/costs?limit=2&cursor=${first.body.nextCursor}`
+    );
+    expect(descriptions(second)).toEqual(["Gym membership", "Pizza night"]);
+
+    const third = await api.get(
+      `/api/users/1/costs?limit=2&cursor=${second.body.nextCursor}`
+    );
+    expect(descriptions(third)).toEqual(["Weekly groceries"]);
+    expect(third.body.nextCursor).toBeNull();
+  });
+
+  /**
+   * Test case: category, sum and date filters combine.
+   */
+  it("should filter by category, sum and date range", async () => {
+    const food = await api.get("/api/users/1/costs?category=food&sort=date");
+    expect(descriptions(food)).toEqual([
+      "Weekly groceries",
+      "Pizza night",
+      "Groceries for the party",
+    ]);
+
+    const sums = await api.get("/api/users/1/costs?minSum=60&maxSum=200");
+    expect(descriptions(sums)).toEqual([
+      "Gym membership",
+      "Pizza night",
+      "Weekly groceries",
+    ]);
+
+    const range = await api.get(
+      "/api/users/1/costs?from=2025-03-05&to=2025-03-15&sort=date"
+    );
+    expect(descriptions(range)).toEqual([
+      "Pizza night",
+      "Gym membership",
+      "Groceries for the party",
+    ]);
+  });
+
+  /**
+   * Test case: the description is searched by word.
+   */
+  it("should search the description", async () => {
+    const res = await api.get("/api/users/1/costs?q=groceries&sort=date");
+    expect(descriptions(res)).toEqual([
+      "Weekly groceries",
+      "Groceries for the party",
+    ]);
+  });
+
+  /**
+   * Test case: costs sort by sum and page through the same order.
+   */
+  it("should sort by sum in either direction", async () => {
+    const asc = await api.get("/api/users/1/costs?sort=sum&limit=3");
+    expect(asc.body.costs.map((c) => c.sum)).toEqual([45, 60, 120]);
+
+    const next = await api.get(
+      `/api/users/1/costs?sort=sum&limit=3&cursor=${asc.body.nextCursor}`
+    );
+    expect(next.body.costs.map((c) => c.sum)).toEqual([200, 300]);
+
+    const desc = await api.get("/api/users/1/costs?sort=-sum&limit=2");
+    expect(desc.body.costs.map((c) => c.sum)).toEqual([300, 200]);
+  });
+
+  /**
+   * Test case: bad parameters, foreign cursors and unknown users are rejected.
+   */
+  it("should return 400 for bad parameters and 404 for an unknown user", async () => {
+    const first = await api.get("/api/users/1/costs?limit=2");
+    const cases = [
+      "/api/users/1/costs?limit=0",
+      "/api/users/1/costs?sort=category",
+      "/api/users/1/costs?minSum=lots",
+      "/api/users/1/costs?from=2025-13-01",
+      "/api/users/1/costs?cursor=not-a-cursor",
+      // A date cursor does not fit a listing sorted by sum
+      `/api/users/1/costs?sort=sum&cursor=${first.body.nextCursor}`,
+    ];
+    for (const url of cases) {
+      const res = await api.get(url);
+      expect(res.status).toBe(400);
+    }
+
+    const unknown = await api.get("/api/users/99/costs");
+    expect(unknown.status).toBe(404);
+  });
+});
@@ -0,0 +1,405 @@
+/**
+ * @file recurrences.test.js
+ * @desc Tests for the /api/recurrences endpoints: creating recurring cost
+ * templates, materializing their occurrences without duplicates, the
+ * catch-up run and the recurrenceId shown in GET /api/report.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Cost;
+let CostRevision;
+let Recurrence;
+let Report;
+let User;
+
+describe("Recurrences API endpoints", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app,
+   * grab the models and build the Cost indexes the deduplication relies on.
+   * The templates start in the past, so past cost dates are allowed.
+   */
+  beforeAll(async () => {
+    process.env.ALLOW_PAST_COST_DATES = "true";
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+    CostRevision = require("../models/CostRevision");
+    Recurrence = require("../models/Recurrence");
+    Report = require("../models/Report");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+    await Cost.init();
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    delete process.env.ALLOW_PAST_COST_DATES;
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset the collections and create user 1.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await CostRevision.deleteMany({});
+    await Recurrence.deleteMany({});
+    await Report.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+  });
+
+  /**
+   * A rent template for user 1, without the fields a test varies.
+   */
+  const rent = {
+    userid: 1,
+    description: "Rent",
+    category: "housing",
+    sum: 4000,
+  };
+
+  /**
+   * Test suite for POST /api/recurrences
+   */
+  describe("POST /api/recurrences", () => {
+    /**
+     * Test case: past occurrences are materialized on creation.
+     */
+    it("should create a template and materialize its occurrences so far", async () => {
+      const res = await api.post("/api/recurrences").send({
+        ...rent,
+        frequency: "monthly",
+        startDate: "2025-01-15",
+        endDate: "2025-04-30",
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        frequency: "monthly",
+        startDate: "2025-01-15T00:00:00.000Z",
+        endDate: "2025-04-30T00:00:00.000Z",
+        materialized: 4,
+      });
+
+      const costs = await Cost.find({ recurrenceId: res.body._id })
+        .sort({ date: 1 })
+        .lean();
+      expect(costs.map((c) => c.date.toISOString())).toEqual([
+        "2025-01-15T00:00:00.000Z",
+        "2025-02-15T00:00:00.000Z",
+        "2025-03-15T00:00:00.000Z",
+        "2025-04-15T00:00:00.000Z",
+      ]);
+      expect(costs[0]).toMatchObject({ sum: 4000, category: "housing" });
+
+      const revision = await CostRevision.findOne({
+        costId: costs[0]._id,
+      }).lean();
+      expect(revision).toMatchObject({
+        action: "create",
+        changedBy: "recurrence",
+      });
+    });
+
+    /**
+     * Test case: monthly occurrences on the 31st fall on shorter months' last day.
+     */
+    it("should clamp monthly occurrences to the end of shorter months", async () => {
+      const res = await api.post("/api/recurrences").send({
+        ...rent,
+        frequency: "monthly",
+        startDate: "2025-01-31",
+        endDate: "2025-03-31",
+      });
+
+      const costs = await Cost.find({ recurrenceId: res.body._id })
+        .sort({ date: 1 })
+        .lean();
+      expect(costs.map((c) => c.date.toISOString().slice(0, 10))).toEqual([
+        "2025-01-31",
+        "2025-02-28",
+        "2025-03-31",
+      ]);
+    });
+
+    /**
+     * Test case: invalid templates are rejected with 400.
+     */
+    it("should return 400 for an invalid frequency, dates, user or category", async () => {
+      const cases = [
+        { ...rent, frequency: "daily", startDate: "2025-01-01" },
+        {
+          ...rent,
+          frequency: "weekly",
+          startDate: "2025-02-01",
+          endDate: "2025-01-01",
+        },
+        { ...rent, frequency: "weekly", startDate: "not a date" },
+        { ...rent, userid: 99, frequency: "weekly", startDate: "2025-01-01" },
+        {
+          ...rent,
+          category: "travel",
+          frequency: "weekly",
+          startDate: "2025-01-01",
+        },
+      ];
+
+      for (const body of cases) {
+        const res = await api.post("/api/recurrences").send(body);
+        expect(res.status).toBe(400);
+      }
+      expect(await Recurrence.countDocuments()).toBe(0);
+    });
+
+    /**
+     * Test case: like costs, templates cannot start in the past.
+     */
+    it("should return 400 for a start date in the past", async () => {
+      delete process.env.ALLOW_PAST_COST_DATES;
+      try {
+        const res = await api.post("/api/recurrences").send({
+          ...rent,
+          frequency: "monthly",
+          startDate: "2020-01-01",
+        });
+        expect(res.status).toBe(400);
+        expect(res.body.details[0]).toMatchObject({ field: "startDate" });
+
+        const today = new Date().toISOString().slice(0, 10);
+        const fromToday = await api
+          .post("/api/recurrences")
+          .send({ ...rent, frequency: "monthly", startDate: today });
+        expect(fromToday.status).toBe(201);
+      } finally {
+        process.env.ALLOW_PAST_COST_DATES = "true";
+      }
+    });
+
+    /**
+     * Test case: a template starting long ago only materializes a bounded
+     * number of occurrences inline; the catch-up run creates the rest.
+     */
+    it("should cap the occurrences materialized on creation", async () => {
+      const res = await api.post("/api/recurrences").send({
+        ...rent,
+        frequency: "weekly",
+        startDate: "2020-01-06",
+        endDate: "2022-12-31",
+      });
+      expect(res.status).toBe(201);
+      expect(res.body.materialized).toBe(100);
+      // The 100th Monday from 6 January 2020
+      expect(res.body.materializedThrough).toBe("2021-11-29T00:00:00.000Z");
+
+      const run = await api.post("/api/recurrences/run").send({});
+      expect(run.body).toEqual({ created: 56 });
+      expect(await Cost.countDocuments({ recurrenceId: res.body._id })).toBe(
+        156
+      );
+    });
+  });
+
+  /**
+   * Test suite for POST /api/recurrences/run
+   */
+  describe("POST /api/recurrences/run", () => {
+    /**
+     * Test case: the catch-up run fills in periods missed during downtime.
+     */
+    it("should fill in missed weekly occurrences", async () => {
+      // Inserted directly, as if the app had been down since it was created
+      await Recurrence.create({
+        ...rent,
+        description: "Gym",
+        category: "sport",
+        sum: 50,
+        frequency: "weekly",
+        startDate: new Date("2025-03-03"),
+      });
+
+      const res = await api
+        .post("/api/recurrences/run")
+        .send({ until: "2025-03-31T12:00:00.000Z" });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ created: 5 });
+      expect(await Cost.countDocuments({ category: "sport" })).toBe(5);
+    });
+
+    /**
+     * Test case: repeated and overlapping runs never duplicate an occurrence.
+     */
+    it("should not create duplicates", async () => {
+      const recurrence = await Recurrence.create({
+        ...rent,
+        frequency: "monthly",
+        startDate: new Date("2025-01-01"),
+      });
+      const until = "2025-06-15T00:00:00.000Z";
+
+      const first = await api.post("/api/recurrences/run").send({ until });
+      expect(first.body).toEqual({ created: 6 });
+
+      const again = await api.post("/api/recurrences/run").send({ until });
+      expect(again.body).toEqual({ created: 0 });
+
+      // Even when the progress marker is lost, the unique index holds
+      await Recurrence.updateOne(
+        { _id: recurrence._id },
+        { $set: { materializedThrough: null } }
+      );
+      const replay = await api.post("/api/recurrences/run").send({ until });
+      expect(replay.body).toEqual({ created: 0 });
+      expect(await Cost.countDocuments()).toBe(6);
+    });
+
+    /**
+     * Test case: an old recurrence only gets the occurrences after its
+     * progress marker.
+     */
+    it("should continue an old recurrence from its progress marker", async () => {
+      await Recurrence.create({
+        ...rent,
+        frequency: "monthly",
+        startDate: new Date("1990-01-31"),
+        materializedThrough: new Date("2025-03-15T00:00:00.000Z"),
+      });
+
+      const res = await api
+        .post("/api/recurrences/run")
+        .send({ until: "2025-06-15T00:00:00.000Z" });
+
+      expect(res.body).toEqual({ created: 3 });
+      const dates = (await Cost.find().sort({ date: 1 }).lean()).map((cost) =>
+        cost.date.toISOString().slice(0, 10)
+      );
+      expect(dates).toEqual(["2025-03-31", "2025-04-30", "2025-05-31"]);
+    });
+  });
+
+  /**
+   * Test suite for PATCH and DELETE /api/recurrences/:id
+   */
+  describe("PATCH and DELETE /api/recurrences/:id", () => {
+    /**
+     * Test case: changes only apply to occurrences materialized afterwards.
+     */
+    it("should apply a changed sum to later occurrences only", async () => {
+      const recurrence = await Recurrence.create({
+        ...rent,
+        frequency: "monthly",
+        startDate: new Date("2025-01-01"),
+      });
+      await Recurrence.materializeDue(new Date("2025-02-15"));
+
+      const res = await api
+        .patch(`/api/recurrences/${recurrence._id}`)
+        .send({ sum: 4200 });
+      expect(res.status).toBe(200);
+      expect(res.body.sum).toBe(4200);
+
+      await Recurrence.materializeDue(new Date("2025-03-15"));
+      const sums = (await Cost.find().sort({ date: 1 }).lean()).map(
+        (c) => c.sum
+      );
+      expect(sums).toEqual([4000, 4000, 4200]);
+    });
+
+    /**
+     * Test case: the frequency cannot be changed.
+     */
+    it("should return 400 when changing the frequency", async () => {
+      const recurrence = await Recurrence.create({
+        ...rent,
+        frequency: "monthly",
+        startDate: new Date("2025-01-01"),
+      });
+
+      const res = await api
+        .patch(`/api/recurrences/${recurrence._id}`)
+        .send({ frequency: "weekly" });
+      expect(res.status).toBe(400);
+    });
+
+    /**
+     * Test case: deleting a template keeps its costs.
+     */
+    it("should stop the recurrence and keep its costs", async () => {
+      const recurrence = await Recurrence.create({
+        ...rent,
+        frequency: "monthly",
+        startDate: new Date("2025-01-01"),
+      });
+      await Recurrence.materializeDue(new Date("2025-02-15"));
+
+      const res = await api.delete(`/api/recurrences/${recurrence._id}`);
+      expect(res.status).toBe(200);
+
+      const run = await api.post("/api/recurrences/run").send({});
+      expect(run.body).toEqual({ created: 0 });
+      expect(await Cost.countDocuments()).toBe(2);
+    });
+  });
+
+  /**
+   * Test suite for recurring items in GET /api/report
+   */
+  describe("GET /api/report recurring items", () => {
+    /**
+     * Test case: only materialized items carry a recurrenceId.
+     */
+    it("should mark the items that came from a recurrence", async () => {
+      const recurrence = await Recurrence.create({
+        ...rent,
+        frequency: "monthly",
+        startDate: new Date("2025-02-01"),
+      });
+      await Recurrence.materializeDue(new Date("2025-02-15"));
+      await Cost.create({
+        description: "Plumber",
+        category: "housing",
+        userid: 1,
+        sum: 300,
+        date: new Date("2025-02-10T12:00:00Z"),
+      });
+
+      const res = await api.get("/api/report?id=1&year=2025&month=2");
+      expect(res.status).toBe(200);
+      expect(res.body.costs[2].housing).toEqual([
+        {
+          sum: 4000,
+          description: "Rent",
+          day: 1,
+          recurrenceId: recurrence._id.toString(),
+        },
+        { sum: 300, description: "Plumber", day: 10 },
+      ]);
+    });
+  });
+});
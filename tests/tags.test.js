@@ -0,0 +1,302 @@
+/**
+ * @file tags.test.js
+ * @desc Tests for cost tags: setting them through POST /api/add and
+ * PATCH /api/costs/:id, the per-user tag totals of GET /api/users/:id/tags,
+ * and the `tag` filter of GET /api/report.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Budget;
+let Cost;
+let CostRevision;
+let Report;
+let User;
+
+/** A valid cost for user 1. */
+const lunch = {
+  description: "Lunch",
+  category: "food",
+  userid: 1,
+  sum: 42,
+};
+
+describe("Cost tags", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Budget = require("../models/Budget");
+    Cost = require("../models/Cost");
+    CostRevision = require("../models/CostRevision");
+    Report = require("../models/Report");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset the costs, budgets and reports and create users 1 and 2.
+   */
+  beforeEach(async () => {
+    await Budget.deleteMany({});
+    await Cost.deleteMany({});
+    await CostRevision.deleteMany({});
+    await Report.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create([
+      {
+        id: 1,
+        first_name: "Alice",
+        last_name: "Anderson",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      },
+      {
+        id: 2,
+        first_name: "Bob",
+        last_name: "Brown",
+        birthday: "02/02/1990",
+        marital_status: "married",
+      },
+    ]);
+  });
+
+  /**
+   * Test suite for tags on POST /api/add and PATCH /api/costs/:id
+   */
+  describe("Setting tags", () => {
+    /**
+     * Test case: tags are stored trimmed, in lowercase and without duplicates.
+     */
+    it("should normalize the tags of a new cost", async () => {
+      const res = await api.post("/api/add").send({
+        ...lunch,
+        tags: [" Reimbursable", "vacation-2026", "REIMBURSABLE"],
+      });
+      expect(res.status).toBe(201);
+      expect(res.body.tags).toEqual(["reimbursable", "vacation-2026"]);
+
+      const saved = await Cost.findById(res.body._id).lean();
+      expect(saved.tags).toEqual(["reimbursable", "vacation-2026"]);
+    });
+
+    /**
+     * Test case: costs without tags have no tags field.
+     */
+    it("should not store an empty tag list", async () => {
+      const res = await api.post("/api/add").send({ ...lunch, tags: [] });
+      expect(res.status).toBe(201);
+      expect(res.body.tags).toBeUndefined();
+    });
+
+    /**
+     * Test case: malformed tags and too many tags are rejected.
+     */
+    it("should return 400 for invalid tags", async () => {
+      const invalid = await api
+        .post("/api/add")
+        .send({ ...lunch, tags: ["not a tag"] });
+      expect(invalid.status).toBe(400);
+      expect(invalid.body.details[0]).toMatchObject({
+        field: "tags",
+        in: "body",
+      });
+
+      const notStrings = await api
+        .post("/api/add")
+        .send({ ...lunch, tags: [1] });
+      expect(notStrings.status).toBe(400);
+
+      const tooMany = await api.post("/api/add").send({
+        ...lunch,
+        tags: Array.from({ length: 21 }, (_, i) => `tag-${i}`),
+      });
+      expect(tooMany.status).toBe(400);
+      expect(await Cost.countDocuments({})).toBe(0);
+    });
+
+    /**
+     * Test case: PATCH replaces the tags, [] removes them, and both changes
+     * are in the history.
+     */
+    it("should replace and remove tags and record the changes", async () => {
+      const added = await api
+        .post("/api/add")
+        .send({ ...lunch, tags: ["work"] });
+      const id = added.body._id;
+
+      const replaced = await api
+        .patch(`/api/costs/${id}`)
+        .send({ tags: ["Reimbursable", "work"] });
+      expect(replaced.status).toBe(200);
+      expect(replaced.body.tags).toEqual(["reimbursable", "work"]);
+
+      // The same tags again are no change
+      await api
+        .patch(`/api/costs/${id}`)
+        .send({ tags: ["reimbursable", "work"] });
+
+      const removed = await api.patch(`/api/costs/${id}`).send({ tags: [] });
+      expect(removed.status).toBe(200);
+      expect(removed.body.tags).toBeUndefined();
+
+      const history = await api.get(`/api/costs/${id}/history`);
+      const tagChanges = history.body
+        .flatMap((revision) => revision.changes)
+        .filter((change) => change.field === "tags");
+      expect(tagChanges).toEqual([
+        { field: "tags", from: null, to: ["work"] },
+        { field: "tags", from: ["work"], to: ["reimbursable", "work"] },
+        { field: "tags", from: ["reimbursable", "work"], to: null },
+      ]);
+    });
+  });
+
+  /**
+   * Test suite for GET /api/users/:id/tags
+   */
+  describe("GET /api/users/:id/tags", () => {
+    /**
+     * Test case: every tag is listed with the count and total of its costs.
+     */
+    it("should total the live costs of each tag", async () => {
+      await Cost.create([
+        { ...lunch, sum: 10, tags: ["reimbursable", "work"] },
+        { ...lunch, sum: 15.5, tags: ["work"] },
+        { ...lunch, sum: 4 },
+        { ...lunch, sum: 100, tags: ["work"], deletedAt: new Date() },
+        { ...lunch, userid: 2, sum: 7, tags: ["reimbursable"] },
+      ]);
+
+      const res = await api.get("/api/users/1/tags");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        userid: 1,
+        currency: "ILS",
+        tags: [
+          { tag: "reimbursable", count: 1, total: 10 },
+          { tag: "work", count: 2, total: 25.5 },
+        ],
+      });
+    });
+
+    /**
+     * Test case: a user without tagged costs has no tags.
+     */
+    it("should return an empty list without tagged costs", async () => {
+      await Cost.create(lunch);
+      const res = await api.get("/api/users/2/tags");
+      expect(res.status).toBe(200);
+      expect(res.body.tags).toEqual([]);
+    });
+
+    /**
+     * Test case: unknown users are not found.
+     */
+    it("should return 404 for an unknown user", async () => {
+      const res = await api.get("/api/users/99/tags");
+      expect(res.status).toBe(404);
+    });
+  });
+
+  /**
+   * Test suite for the tag filter of GET /api/report
+   */
+  describe("GET /api/report?tag=", () => {
+    /**
+     * Test case: only costs with the tag are reported, and without budgets.
+     */
+    it("should only report costs with the tag", async () => {
+      const now = new Date();
+      const year = now.getUTCFullYear();
+      const month = now.getUTCMonth() + 1;
+      await Budget.create({ userid: 1, category: "food", limit: 100 });
+      await api.post("/api/add").send({
+        ...lunch,
+        description: "Client lunch",
+        tags: ["reimbursable"],
+      });
+      await api.post("/api/add").send({ ...lunch, description: "Own lunch" });
+
+      const res = await api.get(
+        `/api/report?id=1&year=${year}&month=${month}&tag=Reimbursable`
+      );
+      expect(res.status).toBe(200);
+      expect(res.body.tag).toBe("reimbursable");
+      expect(res.body.budgets).toBeUndefined();
+      const food = res.body.costs.find((entry) => entry.food).food;
+      expect(food).toHaveLength(1);
+      expect(food[0]).toMatchObject({
+        description: "Client lunch",
+        tags: ["reimbursable"],
+      });
+
+      const yearly = await api.get(
+        `/api/report?id=1&year=${year}&tag=reimbursable`
+      );
+      expect(yearly.status).toBe(200);
+      expect(yearly.body.tag).toBe("reimbursable");
+      expect(yearly.body.total).toBe(42);
+    });
+
+    /**
+     * Test case: tagged reports of past months are neither cached nor read
+     * from the cache.
+     */
+    it("should bypass the report cache", async () => {
+      await Cost.create([
+        { ...lunch, date: new Date("2020-05-10T12:00:00Z"), tags: ["trip"] },
+        { ...lunch, date: new Date("2020-05-11T12:00:00Z") },
+      ]);
+
+      const all = await api.get("/api/report?id=1&year=2020&month=5");
+      expect(all.headers["x-cache"]).toBe("MISS");
+      expect(await Report.countDocuments({})).toBe(1);
+
+      const tagged = await api.get(
+        "/api/report?id=1&year=2020&month=5&tag=trip"
+      );
+      expect(tagged.status).toBe(200);
+      expect(tagged.headers["x-cache"]).toBe("MISS");
+      expect(tagged.body.costs.find((entry) => entry.food).food).toHaveLength(
+        1
+      );
+      expect(await Report.countDocuments({})).toBe(1);
+    });
+
+    /**
+     * Test case: malformed tags are rejected.
+     */
+    it("should return 400 for an invalid tag", async () => {
+      const res = await api.get("/api/report?id=1&year=2020&month=5&tag=a%20b");
+      expect(res.status).toBe(400);
+      expect(res.body.details[0]).toMatchObject({ field: "tag", in: "query" });
+    });
+  });
+});
@@ -0,0 +1,338 @@
+/**
+ * @file timezone.test.js
+ * @desc Tests for time-zone handling: the utils/timezone helpers and the month
+ * window and day bucketing of GET /api/report, checked against grouping the
+ * costs in JS. Every case runs under several server TZ values to prove the results do not depend on the host's zone.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+const {
+  isValidTimeZone,
+  getZonedParts,
+  getZonedMonthRange,
+} = require("../utils/timezone");
+
+const SERVER_TIME_ZONES = [
+  "UTC",
+  "America/New_York",
+  "Asia/Jerusalem",
+  "Pacific/Kiritimati",
+];
+
+let mongoServer;
+let app;
+let api;
+let User;
+let Cost;
+let Report;
+
+describe("Time zones", () => {
+  const originalTz = process.env.TZ;
+
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    User = require("../models/User");
+    Cost = require("../models/Cost");
+    Report = require("../models/Report");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: restore TZ, drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    if (originalTz === undefined) {
+      delete process.env.TZ;
+    } else {
+      process.env.TZ = originalTz;
+    }
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  describe.each(SERVER_TIME_ZONES)("with server TZ=%s", (serverTz) => {
+    /**
+     * Node re-reads TZ whenever process.env.TZ is assigned.
+     */
+    beforeAll(() => {
+      process.env.TZ = serverTz;
+    });
+
+    /**
+     * Test suite for utils/timezone
+     */
+    describe("utils/timezone", () => {
+      /**
+       * Test case: time zone names are validated through Intl.
+       */
+      it("should recognise valid and invalid IANA names", () => {
+        expect(isValidTimeZone("Asia/Jerusalem")).toBe(true);
+        expect(isValidTimeZone("UTC")).toBe(true);
+        expect(isValidTimeZone("Mars/Olympus_Mons")).toBe(false);
+        expect(isValidTimeZone("")).toBe(false);
+      });
+
+      /**
+       * Test case: month ranges start at local midnight, including across DST.
+       */
+      it("should compute month ranges at local midnight", () => {
+        expect(getZonedMonthRange(2025, 6, "Asia/Jerusalem")).toEqual({
+          start: new Date("2025-05-31T21:00:00.000Z"),
+          end: new Date("2025-06-30T21:00:00.000Z"),
+        });
+        expect(getZonedMonthRange(2025, 12, "America/New_York")).toEqual({
+          start: new Date("2025-12-01T05:00:00.000Z"),
+          end: new Date("2026-01-01T05:00:00.000Z"),
+        });
+        // March 2025: EST at the start, EDT at the end
+        expect(getZonedMonthRange(2025, 3, "America/New_York")).toEqual({
+          start: new Date("2025-03-01T05:00:00.000Z"),
+          end: new Date("2025-04-01T04:00:00.000Z"),
+        });
+      });
+
+      /**
+       * Test case: an instant is split into the wall-clock day of the zone.
+       */
+      it("should split instants into zoned calendar parts", () => {
+        const instant = new Date("2025-06-30T22:30:00.000Z");
+        expect(getZonedParts(instant, "Asia/Jerusalem")).toMatchObject({
+          year: 2025,
+          month: 7,
+          day: 1,
+        });
+        expect(getZonedParts(instant, "UTC")).toMatchObject({
+          year: 2025,
+          month: 6,
+          day: 30,
+        });
+      });
+    });
+
+    /**
+     * Test suite for the time-zone handling of GET /api/report
+     */
+    describe("GET /api/report", () => {
+      /**
+       * Before each test: two users in different zones, each with a cost
+       * close to the June/July boundary.
+       */
+      beforeEach(async () => {
+        await User.deleteMany({});
+        await Cost.deleteMany({});
+        await Report.deleteMany({});
+
+        await User.create([
+          {
+            id: 1,
+            first_name: "Noa",
+            last_name: "Levi",
+            birthday: "01/01/1990",
+            marital_status: "single",
+            timezone: "Asia/Jerusalem",
+          },
+          {
+            id: 2,
+            first_name: "Sam",
+            last_name: "Smith",
+            birthday: "01/01/1990",
+            marital_status: "married",
+            timezone: "America/New_York",
+          },
+        ]);
+
+        await Cost.create([
+          {
+            // 01:30 on July 1 in Jerusalem, 22:30 on June 30 in UTC
+            description: "Late dinner",
+            category: "food",
+            userid: 1,
+            sum: 80,
+            date: new Date("2025-06-30T22:30:00.000Z"),
+          },
+          {
+            // 22:00 on June 30 in New York, 02:00 on July 1 in UTC
+            description: "Pharmacy",
+            category: "health",
+            userid: 2,
+            sum: 25,
+            date: new Date("2025-07-01T02:00:00.000Z"),
+          },
+        ]);
+      });
+
+      /**
+       * Test case: the user's own time zone decides month and day.
+       */
+      it("should use the user's timezone for the month window and day", async () => {
+        const june = await api.get("/api/report?id=1&year=2025&month=6");
+        expect(june.status).toBe(200);
+        expect(june.body.costs.find((e) => e.food).food).toHaveLength(0);
+
+        const july = await api.get("/api/report?id=1&year=2025&month=7");
+        expect(july.body.costs.find((e) => e.food).food).toEqual([
+          { sum: 80, description: "Late dinner", day: 1 },
+        ]);
+
+        const nyJune = await api.get("/api/report?id=2&year=2025&month=6");
+        expect(nyJune.body.costs.find((e) => e.health).health).toEqual([
+          { sum: 25, description: "Pharmacy", day: 30 },
+        ]);
+      });
+
+      /**
+       * Test case: the database aggregation groups, buckets and totals costs
+       * around month and year boundaries like doing it in JS with the
+       * utils/timezone helpers.
+       */
+      it("should match grouping the costs in JS around month boundaries", async () => {
+        const timeZone = "Asia/Jerusalem";
+        await Cost.create([
+          {
+            // 23:59:59 on June 30 in Jerusalem
+            description: "Groceries",
+            category: "food",
+            userid: 1,
+            sum: 120,
+            date: new Date("2025-06-30T20:59:59.000Z"),
+          },
+          {
+            description: "Books",
+            category: "education",
+            userid: 1,
+            sum: 60,
+            date: new Date("2025-07-15T09:00:00.000Z"),
+          },
+          {
+            // Midnight on August 1 in Jerusalem
+            description: "Doctor",
+            category: "health",
+            userid: 1,
+            sum: 45,
+            date: new Date("2025-07-31T21:00:00.000Z"),
+          },
+          {
+            description: "Refunded",
+            category: "food",
+            userid: 1,
+            sum: 500,
+            date: new Date("2025-07-10T10:00:00.000Z"),
+            deletedAt: new Date(),
+          },
+          {
+            // 00:30 on January 1, 2025 in Jerusalem
+            description: "New year",
+            category: "food",
+            userid: 1,
+            sum: 30,
+            date: new Date("2024-12-31T22:30:00.000Z"),
+          },
+          {
+            // 23:30 on December 31, 2024 in Jerusalem
+            description: "Old year",
+            category: "health",
+            userid: 1,
+            sum: 10,
+            date: new Date("2024-12-31T21:30:00.000Z"),
+          },
+        ]);
+        const costs = await Cost.find({ userid: 1, deletedAt: null })
+          .sort({ date: 1 })
+          .lean();
+
+        /**
+         * The costs of one zoned month, grouped by category in date order.
+         * @param {Number} month - 1–12, in 2025.
+         * @return {Object} e.g. { food: [ { sum, description, day } ] }
+         */
+        function groupInJs(month) {
+          const { start, end } = getZonedMonthRange(2025, month, timeZone);
+          const grouped = {};
+          costs
+            .filter((c) => c.date >= start && c.date < end)
+            .forEach((c) => {
+              grouped[c.category] = (grouped[c.category] || []).concat({
+                sum: c.sum,
+                description: c.description,
+                day: getZonedParts(c.date, timeZone).day,
+              });
+            });
+          return grouped;
+        }
+
+        for (const month of [1, 6, 7, 8]) {
+          const res = await api.get(
+            `/api/report?id=1&year=2025&month=${month}`
+          );
+          expect(res.status).toBe(200);
+          const used = res.body.costs
+            .map((entry) => Object.entries(entry)[0])
+            .filter(([, items]) => items.length > 0);
+          expect(Object.fromEntries(used)).toEqual(groupInJs(month));
+        }
+
+        const yearly = await api.get("/api/report?id=1&year=2025");
+        expect(yearly.status).toBe(200);
+        const monthTotals = yearly.body.months.map((m) => m.total);
+        expect(monthTotals).toEqual(
+          yearly.body.months.map((m) =>
+            Object.values(groupInJs(m.month))
+              .flat()
+              .reduce((total, item) => total + item.sum, 0)
+          )
+        );
+        expect(monthTotals).toEqual([30, 0, 0, 0, 0, 120, 140, 45, 0, 0, 0, 0]);
+        expect(yearly.body.totals).toMatchObject({
+          food: 230,
+          education: 60,
+          health: 45,
+        });
+
+        const user = await api.get("/api/users/1");
+        expect(user.body.total).toBe(
+          costs.reduce((total, c) => total + c.sum, 0)
+        );
+        expect(user.body.total).toBe(345);
+      });
+
+      /**
+       * Test case: the tz query parameter overrides the user's timezone.
+       */
+      it("should let the tz parameter override the user's timezone", async () => {
+        const res = await api.get("/api/report?id=1&year=2025&month=6&tz=UTC");
+        expect(res.status).toBe(200);
+        expect(res.body.costs.find((e) => e.food).food).toEqual([
+          { sum: 80, description: "Late dinner", day: 30 },
+        ]);
+      });
+
+      /**
+       * Test case: unknown zone names are rejected.
+       */
+      it("should return 400 for an invalid tz parameter", async () => {
+        const res = await api.get(
+          "/api/report?id=1&year=2025&month=6&tz=Not/AZone"
+        );
+        expect(res.status).toBe(400);
+        expect(res.body).toHaveProperty("error", "Invalid tz parameter.");
+      });
+    });
+  });
+});
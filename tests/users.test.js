@@ -1,38 +1,38 @@
 /**
  * @file users.test.js
- * @desc Tests for the GET /api/users/:id endpoint.
+ * @desc Tests for the /api/users endpoints (create, list, get, update, delete).
  *
  * Uses an in-memory MongoDB to avoid touching a real database.
  */
 
-const request = require("supertest");
 const mongoose = require("mongoose");
 const { MongoMemoryServer } = require("mongodb-memory-server");
 
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
 let mongoServer;
 let app;
+let api;
 let User;
 let Cost;
 
-describe("GET /api/users/:id", () => {
+describe("Users API endpoints", () => {
   /**
-   * Before all tests, spin up an in-memory MongoDB instance,
-   * set process.env.MONGO_URI accordingly, require the app, and grab models.
+   * Before all tests, spin up an in-memory MongoDB instance, connect
+   * Mongoose to it, create the app, and grab models.
    */
   beforeAll(async () => {
     mongoServer = await MongoMemoryServer.create();
-    const uri = mongoServer.getUri();
-    process.env.MONGO_URI = uri;
-
-    // Require after setting MONGO_URI so that index.js connects to the in-memory server.
-    app = require("../index");
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
 
     // Grab the models
     User = require("../models/User");
     Cost = require("../models/Cost");
 
-    // Wait for mongoose to connect
-    await mongoose.connection.once("open", () => {});
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
   });
 
   /**
@@ -53,88 +53,475 @@ describe("GET /api/users/:id", () => {
   });
 
   /**
-   * Test case: retrieving a user that does not exist should return 404.
+   * Test suite for GET /api/users/:id
    */
-  it("should return 404 if user is not found", async () => {
-    const res = await request(app).get("/api/users/12345");
-    expect(res.status).toBe(404);
-    expect(res.body).toHaveProperty("error", "User not found.");
+  describe("GET /api/users/:id", () => {
+    /**
+     * Test case: retrieving a user that does not exist should return 404.
+     */
+    it("should return 404 if user is not found", async () => {
+      const res = await api.get("/api/users/12345");
+      expect(res.status).toBe(404);
+      expect(res.body).toHaveProperty("error", "User not found.");
+    });
+
+    /**
+     * Test case: invalid (non-numeric) ID should return 400.
+     */
+    it("should return 400 when ID is not a number", async () => {
+      const res = await api.get("/api/users/notANumber");
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty("error", "Invalid user ID.");
+    });
+
+    /**
+     * Test case: existing user with no costs should return total: 0.
+     */
+    it("should return user details with total = 0 when user exists but has no costs", async () => {
+      // Insert a test user *including* required fields
+      await User.create({
+        id: 1,
+        first_name: "Alice",
+        last_name: "Anderson",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      });
+
+      const res = await api.get("/api/users/1");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        id: 1,
+        first_name: "Alice",
+        last_name: "Anderson",
+        total: 0,
+      });
+    });
+
+    /**
+     * Test case: existing user with multiple cost documents should return correct total sum.
+     */
+    it("should return user details with correct total sum of costs", async () => {
+      // Insert a test user *including* required fields
+      await User.create({
+        id: 2,
+        first_name: "Bob",
+        last_name: "Brown",
+        birthday: "02/02/1990",
+        marital_status: "married",
+      });
+
+      // Insert multiple costs for user id=2
+      await Cost.create([
+        {
+          description: "Lunch",
+          category: "food",
+          userid: 2,
+          sum: 10,
+        },
+        {
+          description: "Bus Ticket",
+          category: "education",
+          userid: 2,
+          sum: 5,
+        },
+        {
+          description: "Gym Membership",
+          category: "sport",
+          userid: 2,
+          sum: 20,
+        },
+      ]);
+
+      const res = await api.get("/api/users/2");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({
+        id: 2,
+        first_name: "Bob",
+        last_name: "Brown",
+        total: 35,
+      });
+    });
+
+    /**
+     * Test case: soft-deleted costs should not count towards the total.
+     */
+    it("should leave soft-deleted costs out of the total", async () => {
+      await User.create({
+        id: 3,
+        first_name: "Dana",
+        last_name: "Doe",
+        birthday: "03/03/1993",
+        marital_status: "single",
+      });
+
+      await Cost.create([
+        { description: "Kept", category: "food", userid: 3, sum: 10 },
+        {
+          description: "Removed",
+          category: "food",
+          userid: 3,
+          sum: 99,
+          deletedAt: new Date(),
+        },
+      ]);
+
+      const res = await api.get("/api/users/3");
+      expect(res.status).toBe(200);
+      expect(res.body.total).toBe(10);
+    });
   });
 
   /**
-   * Test case: invalid (non-numeric) ID should return 400.
+   * Test suite for POST /api/users
    */
-  it("should return 400 when ID is not a number", async () => {
-    const res = await request(app).get("/api/users/notANumber");
-    expect(res.status).toBe(400);
-    expect(res.body).toHaveProperty("error", "Invalid user ID.");
+  describe("POST /api/users", () => {
+    /**
+     * Test case: a valid user is created and returned with status 201.
+     */
+    it("should create a new user and return it with status 201", async () => {
+      const res = await api.post("/api/users").send({
+        id: 10,
+        first_name: "Carol",
+        last_name: "Cohen",
+        birthday: "1995-03-04",
+        marital_status: "divorced",
+      });
+
+      expect(res.status).toBe(201);
+      expect(res.body).toMatchObject({
+        id: 10,
+        first_name: "Carol",
+        last_name: "Cohen",
+        marital_status: "divorced",
+      });
+
+      const userInDb = await User.findOne({ id: 10 }).lean();
+      expect(userInDb).not.toBeNull();
+      expect(userInDb.first_name).toBe("Carol");
+    });
+
+    /**
+     * Test case: invalid data should be rejected by the User schema with 400.
+     */
+    it("should return 400 when the body does not match the User schema", async () => {
+      const res = await api.post("/api/users").send({
+        id: 11,
+        first_name: "Dan",
+        last_name: "Dayan",
+        birthday: "1990-01-01",
+        marital_status: "complicated",
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty("error");
+      expect(await User.countDocuments({ id: 11 })).toBe(0);
+    });
+
+    /**
+     * Test case: timezone defaults to UTC and must be a valid IANA name.
+     */
+    it("should default timezone to UTC and reject unknown time zones", async () => {
+      const base = {
+        first_name: "Tal",
+        last_name: "Tamir",
+        birthday: "1992-02-02",
+        marital_status: "single",
+      };
+
+      const created = await api.post("/api/users").send({ ...base, id: 13 });
+      expect(created.status).toBe(201);
+      expect(created.body.timezone).toBe("UTC");
+
+      const zoned = await api
+        .post("/api/users")
+        .send({ ...base, id: 14, timezone: "Asia/Jerusalem" });
+      expect(zoned.status).toBe(201);
+      expect(zoned.body.timezone).toBe("Asia/Jerusalem");
+
+      const invalid = await api
+        .post("/api/users")
+        .send({ ...base, id: 15, timezone: "Nowhere/Land" });
+      expect(invalid.status).toBe(400);
+    });
+
+    /**
+     * Test case: a duplicate id should return 409.
+     */
+    it("should return 409 when a user with the same id exists", async () => {
+      await User.create({
+        id: 12,
+        first_name: "Eve",
+        last_name: "Evans",
+        birthday: "01/01/2000",
+        marital_status: "single",
+      });
+
+      const res = await api.post("/api/users").send({
+        id: 12,
+        first_name: "Other",
+        last_name: "Person",
+        birthday: "1999-09-09",
+        marital_status: "single",
+      });
+
+      expect(res.status).toBe(409);
+      expect(res.body).toHaveProperty("error");
+    });
   });
 
   /**
-   * Test case: existing user with no costs should return total: 0.
+   * Test suite for GET /api/users
    */
-  it("should return user details with total = 0 when user exists but has no costs", async () => {
-    // Insert a test user *including* required fields
-    await User.create({
-      id: 1,
-      first_name: "Alice",
-      last_name: "Anderson",
-      birthday: "01/01/2000",
-      marital_status: "single",
-    });
-
-    const res = await request(app).get("/api/users/1");
-    expect(res.status).toBe(200);
-    expect(res.body).toEqual({
-      id: 1,
-      first_name: "Alice",
-      last_name: "Anderson",
-      total: 0,
+  describe("GET /api/users", () => {
+    beforeEach(async () => {
+      await User.create([
+        {
+          id: 1,
+          first_name: "Alice",
+          last_name: "Anderson",
+          birthday: "01/01/2000",
+          marital_status: "single",
+        },
+        {
+          id: 2,
+          first_name: "Bob",
+          last_name: "Brown",
+          birthday: "02/02/1990",
+          marital_status: "married",
+        },
+        {
+          id: 3,
+          first_name: "Carol",
+          last_name: "Alison",
+          birthday: "03/03/1985",
+          marital_status: "married",
+        },
+      ]);
+    });
+
+    /**
+     * Test case: pagination returns the requested page and the overall total.
+     */
+    it("should paginate users ordered by id", async () => {
+      const res = await api.get("/api/users?page=2&limit=2");
+      expect(res.status).toBe(200);
+      expect(res.body.page).toBe(2);
+      expect(res.body.limit).toBe(2);
+      expect(res.body.total).toBe(3);
+      expect(res.body.users.map((u) => u.id)).toEqual([3]);
+    });
+
+    /**
+     * Test case: filtering by marital_status and by name.
+     */
+    it("should filter by marital_status and by name", async () => {
+      const married = await api.get("/api/users?marital_status=married");
+      expect(married.status).toBe(200);
+      expect(married.body.users.map((u) => u.id)).toEqual([2, 3]);
+
+      const byName = await api.get("/api/users?name=ali");
+      expect(byName.status).toBe(200);
+      expect(byName.body.users.map((u) => u.id)).toEqual([1, 3]);
+    });
+
+    /**
+     * Test case: invalid pagination parameters should return 400.
+     */
+    it("should return 400 for an invalid limit", async () => {
+      const res = await api.get("/api/users?limit=0");
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty(
+        "error",
+        "Invalid page or limit parameter."
+      );
+    });
+  });
+
+  /**
+   * Test suite for PATCH /api/users/:id
+   */
+  describe("PATCH /api/users/:id", () => {
+    beforeEach(async () => {
+      await User.create({
+        id: 5,
+        first_name: "Frank",
+        last_name: "Fisher",
+        birthday: "05/05/1980",
+        marital_status: "single",
+      });
+    });
+
+    /**
+     * Test case: updating allowed fields persists them.
+     */
+    it("should update the given fields", async () => {
+      const res = await api
+        .patch("/api/users/5")
+        .send({ marital_status: "married", last_name: "Fischer" });
+
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({
+        id: 5,
+        first_name: "Frank",
+        last_name: "Fischer",
+        marital_status: "married",
+      });
+    });
+
+    /**
+     * Test case: values that violate the schema should return 400.
+     */
+    it("should return 400 for an invalid marital_status", async () => {
+      const res = await api
+        .patch("/api/users/5")
+        .send({ marital_status: "unknown" });
+      expect(res.status).toBe(400);
+
+      const userInDb = await User.findOne({ id: 5 }).lean();
+      expect(userInDb.marital_status).toBe("single");
+    });
+
+    /**
+     * Test case: the id cannot be changed.
+     */
+    it("should return 400 when trying to change the id", async () => {
+      const res = await api.patch("/api/users/5").send({ id: 6 });
+      expect(res.status).toBe(400);
+      expect(res.body).toHaveProperty("error", "User id cannot be changed.");
+    });
+
+    /**
+     * Test case: updating a missing user should return 404.
+     */
+    it("should return 404 if user is not found", async () => {
+      const res = await api
+        .patch("/api/users/999")
+        .send({ first_name: "Nobody" });
+      expect(res.status).toBe(404);
     });
   });
 
   /**
-   * Test case: existing user with multiple cost documents should return correct total sum.
+   * Test suite for DELETE /api/users/:id
    */
-  it("should return user details with correct total sum of costs", async () => {
-    // Insert a test user *including* required fields
-    await User.create({
-      id: 2,
-      first_name: "Bob",
-      last_name: "Brown",
-      birthday: "02/02/1990",
-      marital_status: "married",
-    });
-
-    // Insert multiple costs for user id=2
-    await Cost.create([
-      {
+  describe("DELETE /api/users/:id", () => {
+    beforeEach(async () => {
+      await User.create({
+        id: 8,
+        first_name: "Gil",
+        last_name: "Green",
+        birthday: "08/08/1988",
+        marital_status: "widowed",
+      });
+    });
+
+    /**
+     * Test case: a user without costs is deleted.
+     */
+    it("should delete a user that has no costs", async () => {
+      const res = await api.delete("/api/users/8");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ id: 8, deletedCosts: 0 });
+      expect(await User.countDocuments({ id: 8 })).toBe(0);
+    });
+
+    /**
+     * Test case: a user with costs is kept unless cascade=true.
+     */
+    it("should refuse with 409 when the user has costs and cascade is not set", async () => {
+      await Cost.create({
         description: "Lunch",
         category: "food",
-        userid: 2,
+        userid: 8,
         sum: 10,
-      },
-      {
-        description: "Bus Ticket",
-        category: "education",
-        userid: 2,
-        sum: 5,
-      },
-      {
-        description: "Gym Membership",
-        category: "sport",
-        userid: 2,
-        sum: 20,
-      },
-    ]);
-
-    const res = await request(app).get("/api/users/2");
-    expect(res.status).toBe(200);
-    expect(res.body).toEqual({
-      id: 2,
-      first_name: "Bob",
-      last_name: "Brown",
-      total: 35,
+      });
+
+      const res = await api.delete("/api/users/8");
+      expect(res.status).toBe(409);
+      expect(await User.countDocuments({ id: 8 })).toBe(1);
+      expect(await Cost.countDocuments({ userid: 8 })).toBe(1);
+    });
+
+    /**
+     * Test case: soft-deleted costs do not block the deletion and go with the user.
+     */
+    it("should delete a user whose costs are all soft-deleted", async () => {
+      await Cost.create({
+        description: "Lunch",
+        category: "food",
+        userid: 8,
+        sum: 10,
+        deletedAt: new Date(),
+      });
+
+      const res = await api.delete("/api/users/8");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ id: 8, deletedCosts: 1 });
+      expect(await User.countDocuments({ id: 8 })).toBe(0);
+      expect(await Cost.countDocuments({ userid: 8 })).toBe(0);
+    });
+
+    /**
+     * Test case: cascade=true deletes the user's costs as well.
+     */
+    it("should delete the user and their costs when cascade=true", async () => {
+      await Cost.create([
+        { description: "Lunch", category: "food", userid: 8, sum: 10 },
+        { description: "Gym", category: "sport", userid: 8, sum: 30 },
+      ]);
+
+      const res = await api.delete("/api/users/8?cascade=true");
+      expect(res.status).toBe(200);
+      expect(res.body).toEqual({ id: 8, deletedCosts: 2 });
+      expect(await User.countDocuments({ id: 8 })).toBe(0);
+      expect(await Cost.countDocuments({ userid: 8 })).toBe(0);
+    });
+
+    /**
+     * Test case: a user with a share of another member's group cost is kept,
+     * even with cascade=true, and stays in the group.
+     */
+    it("should refuse with 409 while the user shares a group cost", async () => {
+      const Group = require("../models/Group");
+      await User.create({
+        id: 9,
+        first_name: "Hila",
+        last_name: "Green",
+        birthday: "09/09/1989",
+        marital_status: "married",
+      });
+      const group = await Group.create({ name: "Home", members: [8, 9] });
+      const cost = await Cost.create({
+        description: "Rent",
+        category: "housing",
+        userid: 9,
+        sum: 100,
+        groupId: group._id,
+        splitMethod: "equal",
+        splits: [
+          { userid: 8, amount: 5000 },
+          { userid: 9, amount: 5000 },
+        ],
+      });
+
+      const res = await api.delete("/api/users/8?cascade=true");
+      expect(res.status).toBe(409);
+      expect(await User.countDocuments({ id: 8 })).toBe(1);
+      expect((await Group.findById(group._id).lean()).members).toEqual([8, 9]);
+
+      // Once the cost is gone, the user leaves the group
+      await Cost.updateOne({ _id: cost._id }, { deletedAt: new Date() });
+      expect((await api.delete("/api/users/8")).status).toBe(200);
+      expect((await Group.findById(group._id).lean()).members).toEqual([9]);
+      await Group.deleteMany({});
+    });
+
+    /**
+     * Test case: deleting a missing user should return 404.
+     */
+    it("should return 404 if user is not found", async () => {
+      const res = await api.delete("/api/users/999");
+      expect(res.status).toBe(404);
     });
   });
 });
@@ -0,0 +1,302 @@
+/**
+ * @file validation.test.js
+ * @desc Tests for the request validation and the shared error middleware:
+ * every invalid-input path answers 400 with { error, code, details }, unknown
+ * routes and records 404, and unexpected failures a generic 500.
+ *
+ * Uses in-memory MongoDB to avoid touching a real database.
+ */
+
+const request = require("supertest");
+const mongoose = require("mongoose");
+const { MongoMemoryServer } = require("mongodb-memory-server");
+
+const { createApp } = require("../app");
+const { signIn } = require("./helpers/auth");
+
+let mongoServer;
+let app;
+let api;
+let Cost;
+let User;
+
+describe("Validation and error responses", () => {
+  /**
+   * Before all tests: spin up in-memory Mongo, connect Mongoose, create the app
+   * and grab the models.
+   */
+  beforeAll(async () => {
+    mongoServer = await MongoMemoryServer.create();
+    await mongoose.connect(mongoServer.getUri());
+    app = createApp();
+
+    Cost = require("../models/Cost");
+    User = require("../models/User");
+
+    // Every route but /api/about needs a signed-in account
+    api = await signIn(app);
+  });
+
+  /**
+   * After all tests: drop DB, close connection, and stop memory server.
+   */
+  afterAll(async () => {
+    await mongoose.connection.dropDatabase();
+    await mongoose.connection.close();
+    await mongoServer.stop();
+  });
+
+  /**
+   * Before each test: reset the collections and create user 1.
+   */
+  beforeEach(async () => {
+    await Cost.deleteMany({});
+    await User.deleteMany({});
+
+    await User.create({
+      id: 1,
+      first_name: "Alice",
+      last_name: "Anderson",
+      birthday: "01/01/2000",
+      marital_status: "single",
+    });
+  });
+
+  const objectId = "0123456789abcdef01234567";
+  const cost = { description: "x", category: "food", userid: 1, sum: 1 };
+
+  /**
+   * Invalid requests, with the field the first detail must name.
+   */
+  const invalidRequests = [
+    ["get", "/api/report?id=1&year=2025&month=13", null, "month"],
+    ["get", "/api/report?id=1&year=2025&month=0", null, "month"],
+    ["get", "/api/report?id=x&year=2025&month=1", null, "id"],
+    ["get", "/api/report?id=1", null, "year"],
+    ["get", "/api/report?id=1&year=50&month=1", null, "year"],
+    ["get", "/api/report?id=1&from=2025-01-01", null, "to"],
+    ["get", "/api/report?id=1&from=2025-02-30&to=2025-03-01", null, "from"],
+    ["get", "/api/report?id=1&from=2025-03-01&to=2025-02-01", null, "from"],
+    ["get", "/api/report?id=1&year=2025&tz=Mars/Base", null, "tz"],
+    ["get", "/api/report?id=1&year=2025&currency=nope", null, "currency"],
+    ["get", "/api/report?id=1&year=2025&format=xml", null, "format"],
+    ["post", "/api/add", { ...cost, sum: "lots" }, "sum"],
+    ["post", "/api/add", { ...cost, userid: "one" }, "userid"],
+    ["post", "/api/add", { ...cost, description: undefined }, "description"],
+    ["post", "/api/add", { ...cost, currency: "XYZ" }, "currency"],
+    ["post", "/api/add", { ...cost, groupId: "nope" }, "groupId"],
+    ["post", "/api/add", { ...cost, split: { method: "equal" } }, "split"],
+    ["post", "/api/add", { ...cost, date: "not a date" }, "date"],
+    ["post", "/api/add", { ...cost, year: 2030, month: 13, day: 1 }, "month"],
+    ["post", "/api/add", { ...cost, userid: 404 }, "userid"],
+    ["post", "/api/add", { ...cost, category: "pets" }, "category"],
+    ["get", "/api/costs/123", null, "id"],
+    ["get", "/api/costs/123/history", null, "id"],
+    ["patch", `/api/costs/${objectId}`, { sum: "lots" }, "sum"],
+    ["delete", `/api/costs/${objectId}?hard=maybe`, null, "hard"],
+    ["post", "/api/import?dryRun=perhaps", [cost], "dryRun"],
+    ["get", "/api/users?page=0", null, "page"],
+    ["get", "/api/users?limit=101", null, "limit"],
+    ["get", "/api/users/abc", null, "id"],
+    ["get", "/api/users/1?currency=nope", null, "currency"],
+    ["get", "/api/users/1?groupShares=some", null, "groupShares"],
+    ["get", "/api/users/1/export", null, "year"],
+    ["get", "/api/users/1/export?year=50", null, "year"],
+    ["patch", "/api/users/1", { id: 2 }, "id"],
+    ["patch", "/api/users/1", { timezone: "Mars/Base" }, "timezone"],
+    ["delete", "/api/users/1?cascade=yes", null, "cascade"],
+    ["post", "/api/users", { id: "x", first_name: "A" }, "id"],
+    ["get", "/api/budgets?userid=x", null, "userid"],
+    ["post", "/api/budgets", { userid: 1, category: "food" }, "limit"],
+    ["patch", "/api/budgets/123", { limit: 5 }, "id"],
+    ["patch", `/api/budgets/${objectId}`, { limit: "lots" }, "limit"],
+    ["get", "/api/categories?userid=x", null, "userid"],
+    ["post", "/api/categories", { userid: 1 }, "name"],
+    ["post", `/api/categories/${objectId}/merge`, { into: "x" }, "into"],
+    ["get", "/api/recurrences?userid=x", null, "userid"],
+    [
+      "post",
+      "/api/recurrences",
+      { ...cost, frequency: "daily", startDate: "2025-01-01" },
+      "frequency",
+    ],
+    ["post", "/api/recurrences/run", { until: "soon" }, "until"],
+    ["get", "/api/groups?userid=x", null, "userid"],
+    ["post", "/api/groups", { name: "Home", members: [] }, "members"],
+    ["post", "/api/groups", { name: "Home", members: [1, 99] }, "members"],
+    ["get", `/api/groups/${objectId}/balances?currency=x`, null, "currency"],
+    ["post", "/api/admin/orphan-costs/reassign", { to: "x" }, "to"],
+    ["delete", "/api/admin/orphan-costs?userid=x", null, "userid"],
+    ["post", "/api/auth/login", { username: "admin" }, "password"],
+  ];
+
+  /**
+   * Test suite for invalid input
+   */
+  describe("invalid input", () => {
+    /**
+     * Test case: each invalid request gets a 400 naming the bad field.
+     */
+    it.each(invalidRequests)(
+      "should return 400 for %s %s",
+      async (method, url, body, field) => {
+        let req = url.startsWith("/api/auth")
+          ? request(app)[method](url)
+          : api[method](url);
+        if (body !== null) req = req.send(body);
+        const res = await req;
+
+        expect(res.status).toBe(400);
+        expect(res.body).toMatchObject({
+          error: expect.any(String),
+          code: "VALIDATION_ERROR",
+        });
+        expect(res.body.details[0]).toMatchObject({
+          field,
+          message: res.body.error,
+        });
+      }
+    );
+
+    /**
+     * Test case: every bad field is reported, not only the first.
+     */
+    it("should list every invalid field", async () => {
+      const res = await api
+        .post("/api/add")
+        .send({ description: 7, category: "food", sum: "lots" });
+
+      expect(res.status).toBe(400);
+      expect(res.body.details).toEqual([
+        {
+          field: "description",
+          in: "body",
+          message: "description must be a string.",
+        },
+        { field: "userid", in: "body", message: "userid is required." },
+        { field: "sum", in: "body", message: "sum must be a number." },
+      ]);
+      expect(await Cost.countDocuments()).toBe(0);
+    });
+
+    /**
+     * Test case: schema errors are reported per field instead of as raw
+     * Mongoose text.
+     */
+    it("should turn Mongoose validation errors into field details", async () => {
+      const res = await api.post("/api/users").send({
+        id: 5,
+        first_name: "Eve",
+        last_name: "Evans",
+        birthday: "someday",
+        marital_status: "complicated",
+      });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).not.toMatch(/validation failed|Cast to/i);
+      expect(res.body.details).toEqual([
+        {
+          field: "birthday",
+          in: "body",
+          message: "birthday must be a valid date.",
+        },
+        {
+          field: "marital_status",
+          in: "body",
+          message:
+            "marital_status must be one of: single, married, divorced, widowed.",
+        },
+      ]);
+    });
+
+    /**
+     * Test case: a body that is not valid JSON is rejected.
+     */
+    it("should return 400 for a malformed JSON body", async () => {
+      const res = await api
+        .post("/api/add")
+        .set("Content-Type", "application/json")
+        .send('{"description": ');
+
+      expect(res.status).toBe(400);
+      expect(res.body.code).toBe("INVALID_BODY");
+    });
+  });
+
+  /**
+   * Test suite for the other error responses
+   */
+  describe("error responses", () => {
+    /**
+     * Test case: unknown routes and records are 404 NOT_FOUND.
+     */
+    it("should return 404 for unknown routes and records", async () => {
+      const route = await api.get("/api/no-such-route");
+      expect(route.status).toBe(404);
+      expect(route.body).toEqual({
+        error: "No route for GET /api/no-such-route.",
+        code: "NOT_FOUND",
+      });
+
+      const costRes = await api.get(`/api/costs/${objectId}`);
+      expect(costRes.status).toBe(404);
+      expect(costRes.body).toEqual({
+        error: "Cost not found.",
+        code: "NOT_FOUND",
+      });
+
+      const user = await api.get("/api/users/99");
+      expect(user.body.code).toBe("NOT_FOUND");
+    });
+
+    /**
+     * Test case: 401, 403 and 409 carry their own codes.
+     */
+    it("should use the UNAUTHORIZED, FORBIDDEN and CONFLICT codes", async () => {
+      const anonymous = await request(app).get("/api/users/1");
+      expect(anonymous.body).toEqual({
+        error: "Authentication required.",
+        code: "UNAUTHORIZED",
+      });
+
+      const alice = await signIn(app, {
+        username: "alice",
+        role: "user",
+        userid: 1,
+      });
+      const forbidden = await alice.get("/api/users/2");
+      expect(forbidden.status).toBe(403);
+      expect(forbidden.body.code).toBe("FORBIDDEN");
+
+      const conflict = await api.post("/api/users").send({
+        id: 1,
+        first_name: "Alice",
+        last_name: "Again",
+        birthday: "2000-01-01",
+        marital_status: "single",
+      });
+      expect(conflict.status).toBe(409);
+      expect(conflict.body.code).toBe("CONFLICT");
+    });
+
+    /**
+     * Test case: unexpected failures do not leak their message.
+     */
+    it("should return a generic 500 for unexpected errors", async () => {
+      const spy = jest.spyOn(User, "findOne").mockImplementationOnce(() => {
+        throw new Error("connection reset by peer");
+      });
+      const log = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      const res = await api.get("/api/users/1");
+      spy.mockRestore();
+      log.mockRestore();
+
+      expect(res.status).toBe(500);
+      expect(res.body).toEqual({
+        error: "Internal server error.",
+        code: "INTERNAL_ERROR",
+      });
+    });
+  });
+});
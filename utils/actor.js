@@ -0,0 +1,22 @@
+/**
+ * @fileoverview Identifies who is making a change, for audit records.
+ */
+
+/**
+ * Identify who is making a change: the signed-in account's username. Admins
+ * may name someone they act for in the `X-Changed-By` request header (e.g.
+ * an import job); other accounts cannot.
+ * @param {import("express").Request} req
+ * @return {String} The actor name, or 'anonymous' without a signed-in account.
+ */
+function getActor(req) {
+  if (!req.auth) {
+    return req.get("X-Changed-By") || "anonymous";
+  }
+  if (req.auth.role === "admin") {
+    return req.get("X-Changed-By") || req.auth.username;
+  }
+  return req.auth.username;
+}
+
+module.exports = { getActor };
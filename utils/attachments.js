@@ -0,0 +1,147 @@
+/**
+ * @fileoverview Receipt attachments of costs: which files are accepted and
+ * how they are checked, named and removed. The files themselves live in the
+ * app's storage (see utils/storage); their metadata in Cost.attachments.
+ */
+
+const path = require("path");
+
+const Cost = require("../models/Cost");
+const { ApiError, ValidationError } = require("./errors");
+
+/** Largest attachment accepted, in bytes. */
+const MAX_ATTACHMENT_BYTES = 5 * 1024 * 1024;
+
+/** Most attachments a single cost may have. */
+const MAX_ATTACHMENTS_PER_COST = 5;
+
+/**
+ * The accepted MIME types, with the file extension used for default names
+ * and a check of the file's leading bytes, so a file cannot pass for a type
+ * it is not.
+ */
+const ATTACHMENT_TYPES = {
+  "application/pdf": {
+    extension: "pdf",
+    matches: (buffer) => buffer.subarray(0, 5).toString("latin1") === "%PDF-",
+  },
+  "image/jpeg": {
+    extension: "jpg",
+    matches: (buffer) =>
+      buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff,
+  },
+  "image/png": {
+    extension: "png",
+    matches: (buffer) =>
+      buffer
+        .subarray(0, 8)
+        .equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+  },
+  "image/webp": {
+    extension: "webp",
+    matches: (buffer) =>
+      buffer.subarray(0, 4).toString("latin1") === "RIFF" &&
+      buffer.subarray(8, 12).toString("latin1") === "WEBP",
+  },
+};
+
+/**
+ * Check an uploaded file and describe it for Cost.attachments.
+ * @param {Buffer} buffer - The file.
+ * @param {String} contentType - Its declared MIME type; parameters such as
+ *        '; charset=…' are ignored.
+ * @param {String} [filename] - Name given by the client.
+ * @param {String} [field] - Body field the file came in, for error details.
+ * @return {{ filename: String, contentType: String, size: Number }}
+ * @throws {ApiError} 415 for a type that is not accepted or does not match
+ *         the content, 413 for a file over MAX_ATTACHMENT_BYTES, and a
+ *         ValidationError for an empty file.
+ */
+function describeAttachment(buffer, contentType, filename, field) {
+  const type = String(contentType || "")
+    .split(";")[0]
+    .trim()
+    .toLowerCase();
+  const spec = ATTACHMENT_TYPES[type];
+  if (!spec) {
+    throw new ApiError(
+      415,
+      "UNSUPPORTED_MEDIA_TYPE",
+      `Attachments must be one of: ${Object.keys(ATTACHMENT_TYPES).join(", ")}.`
+    );
+  }
+  if (buffer.length === 0) {
+    const message = "The attachment is empty.";
+    throw new ValidationError(
+      field ? [{ field, in: "body", message }] : message
+    );
+  }
+  if (buffer.length > MAX_ATTACHMENT_BYTES) {
+    throw new ApiError(
+      413,
+      "PAYLOAD_TOO_LARGE",
+      `Attachments may be at most ${MAX_ATTACHMENT_BYTES} bytes.`
+    );
+  }
+  if (!spec.matches(buffer)) {
+    throw new ApiError(
+      415,
+      "UNSUPPORTED_MEDIA_TYPE",
+      `The attachment is not a valid ${type} file.`
+    );
+  }
+  return {
+    filename: cleanFilename(filename) || `receipt.${spec.extension}`,
+    contentType: type,
+    size: buffer.length,
+  };
+}
+
+/**
+ * Reduce a client's file name to a plain name: no directories, control
+ * characters or quotes, at most 255 characters.
+ * @param {*} filename
+ * @return {String} The name, or '' when nothing usable is left.
+ */
+function cleanFilename(filename) {
+  if (typeof filename !== "string") {
+    return "";
+  }
+  return path
+    .basename(filename.replace(/\\/g, "/"))
+    .replace(/[\u0000-\u001f\u007f"]/g, "")
+    .trim()
+    .slice(0, 255);
+}
+
+/**
+ * Remove the stored files of every cost matching a filter, before the costs
+ * themselves are deleted.
+ * @param {Object} storage - The app's storage (see utils/storage).
+ * @param {Object} filter - Cost filter, e.g. { userid: 1 }.
+ * @return {Promise<Number>} How many files were removed.
+ */
+async function removeAttachments(storage, filter) {
+  const costDocs = await Cost.find({
+    ...filter,
+    "attachments.0": { $exists: true },
+  })
+    .select("attachments._id")
+    .lean();
+  const ids = costDocs.flatMap((costDoc) =>
+    costDoc.attachments.map((attachment) => attachment._id)
+  );
+  for (const id of ids) {
+    await storage.remove(id);
+  }
+  return ids.length;
+}
+
+module.exports = {
+  MAX_ATTACHMENT_BYTES,
+  MAX_ATTACHMENTS_PER_COST,
+  ATTACHMENT_TYPES,
+  describeAttachment,
+  cleanFilename,
+  removeAttachments,
+};
@@ -0,0 +1,87 @@
+/**
+ * @fileoverview Settings of the server, read from the environment (index.js
+ * loads .env into it first). createApp() and start() take the resulting
+ * object, so tests can pass their own settings instead.
+ */
+
+/** Port the server listens on unless PORT says otherwise. */
+const DEFAULT_PORT = 3000;
+
+/** Time in-flight requests get to finish on shutdown, in milliseconds. */
+const DEFAULT_SHUTDOWN_TIMEOUT_MS = 10 * 1000;
+
+/** Requests a client may make to a rate-limited route per window. */
+const DEFAULT_RATE_LIMIT_MAX = 60;
+
+/** Length of a rate limiting window, in milliseconds. */
+const DEFAULT_RATE_LIMIT_WINDOW_MS = 60 * 1000;
+
+/**
+ * @typedef {Object} Config
+ * @property {String} [mongoUri] - MongoDB connection string (MONGO_URI).
+ * @property {Number} port - Port to listen on (PORT); 0 picks a free one.
+ * @property {Number} [recurrenceIntervalMs] - Time between recurring cost
+ *           runs (RECURRENCE_INTERVAL_MS; default: see utils/scheduler).
+ * @property {Number} shutdownTimeoutMs - Time in-flight requests get to
+ *           finish on shutdown before their connections are cut
+ *           (SHUTDOWN_TIMEOUT_MS).
+ * @property {String} jsonLimit - Largest JSON body accepted.
+ * @property {String} [attachmentDir] - Directory receipts are stored in
+ *           (ATTACHMENT_DIR; default: GridFS, see utils/storage).
+ * @property {{ max: Number, windowMs: Number }} rateLimit - Requests a
+ *           client may make to a rate-limited route per window
+ *           (RATE_LIMIT_MAX; 0 turns limiting off) and the window length
+ *           (RATE_LIMIT_WINDOW_MS); see middleware/rate_limit.
+ */
+
+/**
+ * Read a non-negative integer setting.
+ * @param {Object} env - The environment.
+ * @param {String} name - Variable name, e.g. 'PORT'.
+ * @param {Number} [fallback] - Value when the variable is unset or empty.
+ * @param {Number} [max] - Largest allowed value.
+ * @return {Number|undefined}
+ * @throws {Error} When the variable is set to anything else.
+ */
+function readInteger(env, name, fallback, max = Number.MAX_SAFE_INTEGER) {
+  const raw = env[name];
+  if (raw === undefined || raw === "") {
+    return fallback;
+  }
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 0 || value > max) {
+    throw new Error(`${name} must be an integer from 0 to ${max}.`);
+  }
+  return value;
+}
+
+/**
+ * Build the configuration from environment variables.
+ * @param {Object} [env=process.env]
+ * @return {Config}
+ * @throws {Error} When a numeric variable is malformed.
+ */
+function loadConfig(env = process.env) {
+  return {
+    mongoUri: env.MONGO_URI,
+    port: readInteger(env, "PORT", DEFAULT_PORT, 65535),
+    recurrenceIntervalMs:
+      readInteger(env, "RECURRENCE_INTERVAL_MS") || undefined,
+    shutdownTimeoutMs: readInteger(
+      env,
+      "SHUTDOWN_TIMEOUT_MS",
+      DEFAULT_SHUTDOWN_TIMEOUT_MS
+    ),
+    // Bulk imports (POST /api/import) can be large
+    jsonLimit: "10mb",
+    attachmentDir: env.ATTACHMENT_DIR || undefined,
+    rateLimit: {
+      max: readInteger(env, "RATE_LIMIT_MAX", DEFAULT_RATE_LIMIT_MAX),
+      windowMs:
+        readInteger(env, "RATE_LIMIT_WINDOW_MS") ||
+        DEFAULT_RATE_LIMIT_WINDOW_MS,
+    },
+  };
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,177 @@
+/**
+ * @fileoverview CSV output and parsing (RFC 4180) and the content negotiation
+ * between JSON and CSV responses.
+ */
+
+/**
+ * Quote a field when it contains a comma, a double quote or a line break,
+ * doubling any quotes inside it. null and undefined become empty fields.
+ * @param {*} value - Field value.
+ * @return {String}
+ */
+function escapeCsvField(value) {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  const text = value instanceof Date ? value.toISOString() : String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/** Leading characters that make a spreadsheet read a cell as a formula. */
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Keep a text field from running as a formula when the CSV is opened in a
+ * spreadsheet, by prefixing it with a single quote. Numbers and dates are
+ * left alone, so negative sums stay numbers.
+ * @param {*} value - Field value.
+ * @return {*}
+ */
+function defuseFormula(value) {
+  return typeof value === "string" && FORMULA_START.test(value)
+    ? `'${value}`
+    : value;
+}
+
+/**
+ * Serialize rows into CSV text: fields separated by commas and every record,
+ * including the last, terminated by CRLF. Text that would start a formula
+ * is defused (see defuseFormula()).
+ * @param {Array<Array<*>>} rows - Header row first, then one row per record.
+ * @return {String}
+ */
+function toCsv(rows) {
+  return rows
+    .map(
+      (row) =>
+        row.map((value) => escapeCsvField(defuseFormula(value))).join(",") +
+        "\r\n"
+    )
+    .join("");
+}
+
+/**
+ * Parse CSV text (RFC 4180): quoted fields may contain commas, doubled
+ * quotes and line breaks; records end with CRLF or LF. Blank lines are
+ * skipped.
+ * @param {String} text - CSV content.
+ * @return {Array<Array<String>>} One array of fields per record.
+ * @throws {Error} On an unterminated quoted field.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+  const input = String(text);
+
+  const endRecord = () => {
+    record.push(field);
+    if (record.length > 1 || record[0] !== "") {
+      records.push(record);
+    }
+    record = [];
+    field = "";
+  };
+
+  while (i < input.length) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 2;
+        continue;
+      }
+      if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+      i++;
+      continue;
+    }
+
+    if (ch === '"' && field === "") {
+      quoted = true;
+    } else if (ch === ",") {
+      record.push(field);
+      field = "";
+    } else if (ch === "\r" && input[i + 1] === "\n") {
+      endRecord();
+      i++;
+    } else if (ch === "\n") {
+      endRecord();
+    } else {
+      field += ch;
+    }
+    i++;
+  }
+
+  if (quoted) {
+    throw new Error("Unterminated quoted field in CSV.");
+  }
+  if (field !== "" || record.length > 0) {
+    endRecord();
+  }
+  return records;
+}
+
+/**
+ * Turn CSV text with a header row into row objects keyed by lowercase column.
+ * @param {String} text - CSV content.
+ * @return {Array<Object>}
+ * @throws {Error} On malformed CSV.
+ */
+function parseCsvRows(text) {
+  const [header = [], ...records] = parseCsv(text);
+  const columns = header.map((name) => name.trim().toLowerCase());
+  return records.map((values) => {
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column] = values[i];
+    });
+    return row;
+  });
+}
+
+/**
+ * Pick the response format of a request: `?format=csv|json` wins, otherwise
+ * the Accept header decides, with JSON as the default.
+ * @param {import("express").Request} req
+ * @return {String|null} 'csv', 'json', or null for an unknown `format`.
+ */
+function getResponseFormat(req) {
+  if (req.query.format !== undefined) {
+    const format = String(req.query.format).toLowerCase();
+    return format === "csv" || format === "json" ? format : null;
+  }
+  return req.accepts(["application/json", "text/csv"]) === "text/csv"
+    ? "csv"
+    : "json";
+}
+
+/**
+ * Send rows as a downloadable CSV file.
+ * @param {import("express").Response} res
+ * @param {String} filename - Suggested file name, e.g. 'report-1-2025-06.csv'.
+ * @param {Array<Array<*>>} rows - Header row first.
+ * @return {import("express").Response}
+ */
+function sendCsv(res, filename, rows) {
+  res.attachment(filename);
+  res.set("Content-Type", "text/csv; charset=utf-8");
+  return res.send(toCsv(rows));
+}
+
+module.exports = {
+  escapeCsvField,
+  toCsv,
+  parseCsv,
+  parseCsvRows,
+  getResponseFormat,
+  sendCsv,
+};
@@ -0,0 +1,77 @@
+/**
+ * @fileoverview Currency codes and minor-unit arithmetic. Amounts are kept as
+ * integers in the currency's minor unit (e.g. agorot, cents) so that totals
+ * do not accumulate floating-point error.
+ */
+
+/** Cache of minor-unit exponents, one per currency. */
+const exponents = new Map();
+
+/**
+ * The currency costs are recorded in when none is given, and the one exchange
+ * rates are expressed in. Read from BASE_CURRENCY, default 'ILS'.
+ * @return {String} ISO 4217 code.
+ */
+function getBaseCurrency() {
+  return (process.env.BASE_CURRENCY || "ILS").toUpperCase();
+}
+
+/**
+ * Check whether a string is an ISO 4217 currency code Intl understands.
+ * @param {String} code - Candidate code, e.g. 'USD'.
+ * @return {Boolean}
+ */
+function isValidCurrency(code) {
+  if (typeof code !== "string" || !/^[A-Z]{3}$/.test(code)) {
+    return false;
+  }
+  if (typeof Intl.supportedValuesOf === "function") {
+    return Intl.supportedValuesOf("currency").includes(code);
+  }
+  return true;
+}
+
+/**
+ * Number of decimal places of a currency's minor unit (2 for ILS, 0 for JPY).
+ * @param {String} currency - ISO 4217 code.
+ * @return {Number}
+ */
+function minorUnitExponent(currency) {
+  let exponent = exponents.get(currency);
+  if (exponent === undefined) {
+    exponent = new Intl.NumberFormat("en", {
+      style: "currency",
+      currency,
+    }).resolvedOptions().maximumFractionDigits;
+    exponents.set(currency, exponent);
+  }
+  return exponent;
+}
+
+/**
+ * Convert a decimal amount to integer minor units, rounding to the nearest unit.
+ * @param {Number} sum - Amount in major units, e.g. 12.5.
+ * @param {String} currency - ISO 4217 code.
+ * @return {Number} e.g. 1250.
+ */
+function toMinor(sum, currency) {
+  return Math.round(sum * 10 ** minorUnitExponent(currency));
+}
+
+/**
+ * Convert integer minor units back to a decimal amount.
+ * @param {Number} amount - Amount in minor units, e.g. 1250.
+ * @param {String} currency - ISO 4217 code.
+ * @return {Number} e.g. 12.5.
+ */
+function fromMinor(amount, currency) {
+  return amount / 10 ** minorUnitExponent(currency);
+}
+
+module.exports = {
+  getBaseCurrency,
+  isValidCurrency,
+  minorUnitExponent,
+  toMinor,
+  fromMinor,
+};
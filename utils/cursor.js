@@ -0,0 +1,75 @@
+/**
+ * @fileoverview Opaque cursors for keyset pagination. A cursor records the
+ * sort value and _id of the last item of a page; the next page starts after
+ * it, so items inserted or deleted meanwhile do not shift the pages.
+ */
+
+const mongoose = require("mongoose");
+
+/**
+ * Encode the position of an item in a listing sorted by `field`.
+ * @param {Object} doc - The last item of a page.
+ * @param {String} field - The sort field, e.g. 'date'.
+ * @return {String} A base64url cursor.
+ */
+function encodeCursor(doc, field) {
+  const value =
+    doc[field] instanceof Date ? doc[field].toISOString() : doc[field];
+  const json = JSON.stringify({ f: field, v: value, id: String(doc._id) });
+  return Buffer.from(json).toString("base64url");
+}
+
+/**
+ * Decode a cursor made by encodeCursor() for a listing sorted by `field`.
+ * @param {String} cursor - The cursor from a previous page.
+ * @param {String} field - The sort field.
+ * @param {String} type - 'date' or 'number', the type of the sort field.
+ * @return {{ value: Date|Number, id: mongoose.Types.ObjectId }|null} null
+ *         when the cursor is malformed or belongs to another sort field.
+ */
+function decodeCursor(cursor, field, type) {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    return null;
+  }
+  if (!parsed || parsed.f !== field || !/^[0-9a-f]{24}$/i.test(parsed.id)) {
+    return null;
+  }
+
+  let value = parsed.v;
+  if (type === "date") {
+    value = typeof value === "string" ? new Date(value) : null;
+    if (!value || Number.isNaN(value.getTime())) {
+      return null;
+    }
+  } else if (typeof value !== "number" || !Number.isFinite(value)) {
+    return null;
+  }
+  return { value, id: new mongoose.Types.ObjectId(parsed.id) };
+}
+
+/**
+ * Filter for the items after a cursor position, ties broken by _id in the
+ * same direction as the sort.
+ * @param {String} field - The sort field.
+ * @param {Number} direction - 1 for ascending, -1 for descending.
+ * @param {{ value: *, id: mongoose.Types.ObjectId }} position - A decoded cursor.
+ * @return {Object} A query condition for $and.
+ */
+function afterCursor(field, direction, position) {
+  const op = direction === 1 ? "$gt" : "$lt";
+  return {
+    $or: [
+      { [field]: { [op]: position.value } },
+      { [field]: position.value, _id: { [op]: position.id } },
+    ],
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  afterCursor,
+};
@@ -0,0 +1,99 @@
+/**
+ * @fileoverview Error classes the routes throw. The error middleware
+ * (middleware/errors.js) turns them into responses of the form
+ * { error: <message>, code: <CODE>, details?: [ { field, in, message }, … ] }.
+ */
+
+/**
+ * An error with an HTTP status, a machine-readable code and optional
+ * field-level details.
+ */
+class ApiError extends Error {
+  /**
+   * @param {Number} status - HTTP status code.
+   * @param {String} code - e.g. 'VALIDATION_ERROR'.
+   * @param {String} message - Human-readable message.
+   * @param {Array<{ field: String, in?: String, message: String }>} [details]
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * 400: the request is malformed. Given only details, the message is that of
+ * the first failing field.
+ */
+class ValidationError extends ApiError {
+  /**
+   * @param {String|Array<{ field: String, in?: String, message: String }>} messageOrDetails
+   * @param {Array<{ field: String, in?: String, message: String }>} [details]
+   */
+  constructor(messageOrDetails, details) {
+    if (Array.isArray(messageOrDetails)) {
+      details = messageOrDetails;
+      messageOrDetails = details[0].message;
+    }
+    super(400, "VALIDATION_ERROR", messageOrDetails, details);
+    this.name = "ValidationError";
+  }
+}
+
+/** 401: no valid credentials. */
+class UnauthorizedError extends ApiError {
+  /** @param {String} message */
+  constructor(message) {
+    super(401, "UNAUTHORIZED", message);
+    this.name = "UnauthorizedError";
+  }
+}
+
+/** 403: the signed-in account may not do this. */
+class ForbiddenError extends ApiError {
+  /** @param {String} message */
+  constructor(message) {
+    super(403, "FORBIDDEN", message);
+    this.name = "ForbiddenError";
+  }
+}
+
+/** 404: the resource does not exist. */
+class NotFoundError extends ApiError {
+  /** @param {String} message */
+  constructor(message) {
+    super(404, "NOT_FOUND", message);
+    this.name = "NotFoundError";
+  }
+}
+
+/** 409: the request clashes with the current state. */
+class ConflictError extends ApiError {
+  /** @param {String} message */
+  constructor(message) {
+    super(409, "CONFLICT", message);
+    this.name = "ConflictError";
+  }
+}
+
+/** 429: the client sent too many requests; see the Retry-After header. */
+class RateLimitError extends ApiError {
+  /** @param {String} message */
+  constructor(message) {
+    super(429, "RATE_LIMITED", message);
+    this.name = "RateLimitError";
+  }
+}
+
+module.exports = {
+  ApiError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+};
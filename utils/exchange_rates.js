@@ -0,0 +1,167 @@
+/**
+ * @fileoverview Loading the exchange-rate table from JSON or CSV and
+ * converting minor-unit amounts between currencies at the rate in effect on a
+ * given date.
+ */
+
+const ExchangeRate = require("../models/ExchangeRate");
+const { parseCsvRows } = require("./csv");
+const {
+  getBaseCurrency,
+  isValidCurrency,
+  minorUnitExponent,
+} = require("./currency");
+
+/**
+ * Thrown when an amount cannot be converted because the table has no rate
+ * for its currency on or before its date.
+ */
+class MissingRateError extends Error {
+  /**
+   * @param {String} currency - Currency without a rate.
+   * @param {Date} date - Date the rate was needed for.
+   */
+  constructor(currency, date) {
+    super(
+      `No exchange rate for ${currency} on ${date.toISOString().slice(0, 10)}.`
+    );
+    this.name = "MissingRateError";
+  }
+}
+
+/**
+ * Validate and normalize raw rate rows.
+ * @param {Array<Object>} rows - e.g. [ { currency: 'USD', date: '2025-01-01', rate: 3.6 } ]
+ * @return {{ rates?: Array<{ currency: String, date: Date, rate: Number }>, errors?: Array<{ row?: Number, field?: String, message: String }> }}
+ *         Errors name the 1-based row and the field at fault.
+ */
+function normalizeRates(rows) {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    return { errors: [{ message: "Expected a non-empty list of rates." }] };
+  }
+
+  const base = getBaseCurrency();
+  const errors = [];
+  const rates = [];
+  rows.forEach((row, i) => {
+    const currency = String((row && row.currency) || "")
+      .trim()
+      .toUpperCase();
+    const date = new Date(row && row.date);
+    const rate = Number(row && row.rate);
+    const fail = (field, message) =>
+      errors.push({ row: i + 1, field, message: `Row ${i + 1}: ${message}` });
+
+    if (!isValidCurrency(currency)) {
+      fail("currency", `invalid currency '${currency}'.`);
+    } else if (currency === base) {
+      fail("currency", `${base} is the base currency.`);
+    } else if (Number.isNaN(date.getTime())) {
+      fail("date", "invalid date.");
+    } else if (!(rate > 0)) {
+      fail("rate", "rate must be a positive number.");
+    } else {
+      // Rates apply from the start of their UTC day
+      date.setUTCHours(0, 0, 0, 0);
+      rates.push({ currency, date, rate });
+    }
+  });
+
+  return errors.length > 0 ? { errors } : { rates };
+}
+
+/**
+ * Parse rate rows from CSV text with a `currency,date,rate` header row.
+ * Fields are trimmed; normalizeRates() checks them.
+ * @param {String} text - CSV content.
+ * @return {Array<Object>} Raw rows for normalizeRates().
+ * @throws {Error} On malformed CSV.
+ */
+function parseRatesCsv(text) {
+  return parseCsvRows(String(text || "")).map((row) =>
+    Object.fromEntries(
+      Object.entries(row).map(([column, value]) => [
+        column,
+        typeof value === "string" ? value.trim() : value,
+      ])
+    )
+  );
+}
+
+/**
+ * Insert or replace rates in the ExchangeRate collection.
+ * @param {Array<{ currency: String, date: Date, rate: Number }>} rates - Output of normalizeRates().
+ * @return {Promise<Number>} Number of rates written.
+ */
+async function saveRates(rates) {
+  await ExchangeRate.bulkWrite(
+    rates.map(({ currency, date, rate }) => ({
+      updateOne: {
+        filter: { currency, date },
+        update: { $set: { rate } },
+        upsert: true,
+      },
+    }))
+  );
+  return rates.length;
+}
+
+/**
+ * Build a converter into `target` for amounts in the given currencies,
+ * loading the needed rates once.
+ * @param {String} target - Currency to convert into.
+ * @param {Array<String>} currencies - Currencies that will be converted.
+ * @return {Promise<function(Number, String, Date): Number>} convert(amount,
+ *         currency, date) taking and returning minor units; throws
+ *         MissingRateError when a rate is missing.
+ */
+async function createConverter(target, currencies) {
+  const base = getBaseCurrency();
+  const needed = [...new Set([...currencies, target])].filter(
+    (c) => c !== base
+  );
+
+  const table = new Map(needed.map((c) => [c, []]));
+  if (needed.length > 0) {
+    const rows = await ExchangeRate.find({ currency: { $in: needed } })
+      .sort({ date: 1 })
+      .lean();
+    rows.forEach((r) => table.get(r.currency).push(r));
+  }
+
+  /**
+   * Rate of one unit of `currency` in the base currency on `date`.
+   */
+  function rateOn(currency, date) {
+    if (currency === base) {
+      return 1;
+    }
+    const rates = table.get(currency) || [];
+    let found = null;
+    for (const r of rates) {
+      if (r.date.getTime() > date.getTime()) break;
+      found = r;
+    }
+    if (!found) {
+      throw new MissingRateError(currency, date);
+    }
+    return found.rate;
+  }
+
+  return function convert(amount, currency, date) {
+    if (currency === target) {
+      return amount;
+    }
+    const major = amount / 10 ** minorUnitExponent(currency);
+    const converted = (major * rateOn(currency, date)) / rateOn(target, date);
+    return Math.round(converted * 10 ** minorUnitExponent(target));
+  };
+}
+
+module.exports = {
+  MissingRateError,
+  normalizeRates,
+  parseRatesCsv,
+  saveRates,
+  createConverter,
+};
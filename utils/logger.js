@@ -0,0 +1,180 @@
+/**
+ * @fileoverview Structured logging. Every entry is written as one JSON line
+ * to the console and stored in the Log collection, where GET /api/logs
+ * finds it. Entries below LOG_LEVEL (default 'info') are dropped. Console
+ * output is off while tests run (NODE_ENV=test) unless LOG_CONSOLE=true.
+ */
+
+const mongoose = require("mongoose");
+
+const Log = require("../models/Log");
+
+/** Severity levels, least severe first. */
+const LEVELS = Log.schema.path("level").enumValues;
+
+/** Body fields whose values never reach the logs. */
+const SENSITIVE_KEY = /pass(word)?|token|secret|authorization|cookie|api_?key/i;
+
+/** Longest request body logged, in characters of JSON. */
+const MAX_BODY_LENGTH = 2000;
+
+/** Writes to the Log collection that have not finished yet. */
+const pendingWrites = new Set();
+
+/**
+ * The least severe level that is logged.
+ * @return {String}
+ */
+function minimumLevel() {
+  const level = process.env.LOG_LEVEL;
+  return LEVELS.includes(level) ? level : "info";
+}
+
+/**
+ * Whether entries are also written to the console.
+ * @return {Boolean}
+ */
+function consoleEnabled() {
+  if (process.env.LOG_CONSOLE !== undefined) {
+    return process.env.LOG_CONSOLE === "true";
+  }
+  return process.env.NODE_ENV !== "test";
+}
+
+/**
+ * Whether a value is a plain object, as JSON bodies are.
+ * @param {*} value
+ * @return {Boolean}
+ */
+function isPlainObject(value) {
+  if (!value || typeof value !== "object") {
+    return false;
+  }
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Replace the values of sensitive fields, at any depth, with '[REDACTED]'.
+ * @param {*} value - e.g. a request body.
+ * @return {*} A redacted copy.
+ */
+function redact(value) {
+  if (Array.isArray(value)) {
+    return value.map(redact);
+  }
+  if (value && typeof value === "object" && !(value instanceof Date)) {
+    return Object.fromEntries(
+      Object.entries(value).map(([key, item]) => [
+        key,
+        SENSITIVE_KEY.test(key) ? "[REDACTED]" : redact(item),
+      ])
+    );
+  }
+  return value;
+}
+
+/**
+ * The form of a request body that may be logged: JSON bodies redacted, large
+ * ones only as their size. Binary bodies such as attachment uploads are
+ * logged as their size only; text bodies such as CSV uploads not at all.
+ * @param {*} body - req.body.
+ * @return {Object|Array|undefined}
+ */
+function summarizeBody(body) {
+  if (Buffer.isBuffer(body)) {
+    return { size: body.length };
+  }
+  if (!Array.isArray(body) && !isPlainObject(body)) {
+    return undefined;
+  }
+  const redacted = redact(body);
+  const length = JSON.stringify(redacted).length;
+  return length <= MAX_BODY_LENGTH ? redacted : { truncated: true, length };
+}
+
+/**
+ * Store an entry in the Log collection. Without a connection the entry only
+ * goes to the console; a failed write is reported there too.
+ * @param {Object} entry
+ */
+function persist(entry) {
+  if (mongoose.connection.readyState !== 1) {
+    return;
+  }
+  const doc = { context: {} };
+  Object.entries(entry).forEach(([key, value]) => {
+    if (Log.schema.pathType(key) === "adhocOrUndefined") {
+      doc.context[key] = value;
+    } else {
+      doc[key] = value;
+    }
+  });
+  if (Object.keys(doc.context).length === 0) {
+    delete doc.context;
+  }
+
+  const write = Log.create(doc)
+    .catch((err) => {
+      if (consoleEnabled()) {
+        console.error(
+          JSON.stringify({
+            level: "error",
+            message: `Could not store a log entry: ${err.message}`,
+          })
+        );
+      }
+    })
+    .finally(() => pendingWrites.delete(write));
+  pendingWrites.add(write);
+}
+
+/**
+ * Log an entry.
+ * @param {String} level - One of LEVELS.
+ * @param {String} message - e.g. 'Connected to MongoDB'.
+ * @param {Object} [fields] - Anything else about the event: requestId,
+ *        status, userid, … Fields the Log schema has no path for are stored
+ *        under `context`.
+ */
+function log(level, message, fields = {}) {
+  if (LEVELS.indexOf(level) < LEVELS.indexOf(minimumLevel())) {
+    return;
+  }
+  const entry = { level, message, ...fields, createdAt: new Date() };
+  if (consoleEnabled()) {
+    const line = JSON.stringify(entry);
+    if (level === "error") {
+      console.error(line);
+    } else {
+      console.log(line);
+    }
+  }
+  persist(entry);
+}
+
+/**
+ * Wait until every entry logged so far is stored.
+ * @return {Promise<void>}
+ */
+async function flushLogs() {
+  await Promise.all([...pendingWrites]);
+}
+
+/**
+ * One function per level, e.g. logger.warn(message, fields).
+ */
+const logger = Object.fromEntries(
+  LEVELS.map((level) => [
+    level,
+    (message, fields) => log(level, message, fields),
+  ])
+);
+
+module.exports = {
+  LEVELS,
+  logger,
+  redact,
+  summarizeBody,
+  flushLogs,
+};
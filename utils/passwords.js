@@ -0,0 +1,46 @@
+/**
+ * @fileoverview Password hashing with scrypt, stored as
+ * 'scrypt$<salt hex>$<hash hex>'.
+ */
+
+const crypto = require("crypto");
+const { promisify } = require("util");
+
+const scrypt = promisify(crypto.scrypt);
+
+/** Length in bytes of the derived key. */
+const KEY_LENGTH = 64;
+
+/**
+ * Hash a password with a fresh random salt.
+ * @param {String} password - The plain-text password.
+ * @return {Promise<String>} The encoded hash.
+ */
+async function hashPassword(password) {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(String(password), salt, KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+}
+
+/**
+ * Check a password against a hash made by hashPassword(), in constant time.
+ * @param {String} password - The plain-text password.
+ * @param {String} encoded - The stored hash.
+ * @return {Promise<Boolean>} Whether the password matches.
+ */
+async function verifyPassword(password, encoded) {
+  const [scheme, saltHex, hashHex] = String(encoded).split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) {
+    return false;
+  }
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = await scrypt(
+    String(password),
+    Buffer.from(saltHex, "hex"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+module.exports = { hashPassword, verifyPassword };
@@ -0,0 +1,110 @@
+/**
+ * @fileoverview Date arithmetic of recurring costs: which calendar days a
+ * monthly, weekly or yearly recurrence falls on, and the instants those days
+ * start at in the user's time zone.
+ */
+
+const { startOfZonedDay } = require("./timezone");
+
+/** Supported recurrence frequencies. */
+const FREQUENCIES = ["weekly", "monthly", "yearly"];
+
+/**
+ * Calendar day of the n-th occurrence (0 = the start day). Monthly and yearly
+ * recurrences that start on a day the target month lacks (e.g. the 31st, or
+ * 29 February) fall on that month's last day instead.
+ * @param {Date} startDate - First occurrence's calendar day, at UTC midnight.
+ * @param {String} frequency - One of FREQUENCIES.
+ * @param {Number} index - Occurrence number, from 0.
+ * @return {{ year: Number, month: Number, day: Number }} month is 1–12.
+ */
+function occurrenceDay(startDate, frequency, index) {
+  const year = startDate.getUTCFullYear();
+  const month = startDate.getUTCMonth();
+  const day = startDate.getUTCDate();
+
+  if (frequency === "weekly") {
+    const date = new Date(Date.UTC(year, month, day + 7 * index));
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+    };
+  }
+
+  const months = frequency === "yearly" ? 12 * index : index;
+  const first = new Date(Date.UTC(year, month + months, 1));
+  const lastDay = new Date(
+    Date.UTC(first.getUTCFullYear(), first.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  return {
+    year: first.getUTCFullYear(),
+    month: first.getUTCMonth() + 1,
+    day: Math.min(day, lastDay),
+  };
+}
+
+/** Milliseconds in a day. */
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Index of an occurrence that starts no later than `after`, close below the
+ * first one after it, so that catching up does not walk the whole history.
+ * It stays one period early because the start of a day in a time zone can
+ * be up to 14 hours away from its UTC midnight.
+ * @param {Date} startDate - First occurrence's calendar day, at UTC midnight.
+ * @param {String} frequency - One of FREQUENCIES.
+ * @param {Date|null} after - Occurrences up to this instant already exist.
+ * @return {Number} Occurrence number, from 0.
+ */
+function firstIndexNear(startDate, frequency, after) {
+  if (!after || after.getTime() <= startDate.getTime()) return 0;
+
+  let periods;
+  if (frequency === "weekly") {
+    periods = Math.floor(
+      (after.getTime() - startDate.getTime()) / (7 * DAY_MS)
+    );
+  } else {
+    const months =
+      12 * (after.getUTCFullYear() - startDate.getUTCFullYear()) +
+      after.getUTCMonth() -
+      startDate.getUTCMonth();
+    periods = frequency === "yearly" ? Math.floor(months / 12) : months;
+  }
+  return Math.max(0, periods - 1);
+}
+
+/**
+ * Instants of the occurrences after `after` and up to `until`, each at the
+ * start of its day in `timeZone`, ending at the recurrence's end date.
+ * @param {Object} recurrence - { startDate, endDate, frequency }.
+ * @param {Date|null} after - Occurrences up to this instant already exist.
+ * @param {Date} until - Last instant to produce occurrences for.
+ * @param {String} timeZone - IANA time zone of the user.
+ * @return {Array<Date>}
+ */
+function occurrencesBetween(recurrence, after, until, timeZone) {
+  const { startDate, endDate, frequency } = recurrence;
+  const dates = [];
+  for (let index = firstIndexNear(startDate, frequency, after); ; index++) {
+    const { year, month, day } = occurrenceDay(startDate, frequency, index);
+    if (endDate && Date.UTC(year, month - 1, day) > endDate.getTime()) {
+      break;
+    }
+    const date = startOfZonedDay(year, month, day, timeZone);
+    if (date.getTime() > until.getTime()) {
+      break;
+    }
+    if (!after || date.getTime() > after.getTime()) {
+      dates.push(date);
+    }
+  }
+  return dates;
+}
+
+module.exports = {
+  FREQUENCIES,
+  occurrenceDay,
+  occurrencesBetween,
+};
@@ -0,0 +1,50 @@
+/**
+ * @fileoverview In-process scheduler that materializes recurring costs. A
+ * catch-up run happens as soon as it starts, so periods missed while the app
+ * was down are filled in, and then once per interval.
+ */
+
+const Recurrence = require("../models/Recurrence");
+const { logger } = require("./logger");
+
+/** Default time between runs: one hour. */
+const DEFAULT_INTERVAL_MS = 60 * 60 * 1000;
+
+/**
+ * Start materializing recurring costs periodically.
+ * @param {Number} [intervalMs] - Time between runs (default one hour).
+ * @return {NodeJS.Timeout} The interval timer; pass it to clearInterval() to stop.
+ */
+function startRecurrenceScheduler(intervalMs = DEFAULT_INTERVAL_MS) {
+  let running = false;
+
+  async function run() {
+    // Skip a tick rather than overlap a slow run
+    if (running) return;
+    running = true;
+    try {
+      const created = await Recurrence.materializeDue(new Date());
+      if (created > 0) {
+        logger.info(`Materialized ${created} recurring cost(s)`, {
+          source: "scheduler",
+          created,
+        });
+      }
+    } catch (err) {
+      logger.error("Recurring cost run failed", {
+        source: "scheduler",
+        error: { message: err.message, stack: err.stack },
+      });
+    } finally {
+      running = false;
+    }
+  }
+
+  run();
+  const timer = setInterval(run, intervalMs);
+  // Do not keep the process alive just for the scheduler
+  timer.unref();
+  return timer;
+}
+
+module.exports = { startRecurrenceScheduler };
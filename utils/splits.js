@@ -0,0 +1,238 @@
+/**
+ * @fileoverview Splitting a group cost between members and settling the
+ * resulting balances. All amounts are integer minor units.
+ */
+
+const { toMinor } = require("./currency");
+
+/** Ways a group cost can be split. */
+const SPLIT_METHODS = ["equal", "percentage", "exact"];
+
+/**
+ * Divide an integer total into integer parts proportional to `weights`,
+ * handing the units lost to rounding to the largest remainders (earlier
+ * parts first on ties). The parts always add up to `total` exactly.
+ * @param {Number} total - Integer amount to divide; may be negative.
+ * @param {Array<Number>} weights - Non-negative weights, not all zero.
+ * @return {Array<Number>} One integer part per weight.
+ */
+function allocate(total, weights) {
+  const sign = total < 0 ? -1 : 1;
+  const magnitude = Math.abs(total);
+  const weightSum = weights.reduce((sum, w) => sum + w, 0);
+
+  const exact = weights.map((w) => (magnitude * w) / weightSum);
+  const parts = exact.map(Math.floor);
+  let left = magnitude - parts.reduce((sum, p) => sum + p, 0);
+
+  const order = exact
+    .map((value, i) => ({ i, remainder: value - parts[i] }))
+    .sort((a, b) => b.remainder - a.remainder || a.i - b.i);
+  for (let k = 0; left > 0; k = (k + 1) % order.length, left--) {
+    parts[order[k].i] += 1;
+  }
+  return parts.map((p) => p * sign || 0);
+}
+
+/**
+ * Resolve a split request into each member's share of a cost.
+ * @param {Object} [split] - { method, members? } for 'equal', { method,
+ *        shares: [ { userid, percent } ] } for 'percentage' and { method,
+ *        shares: [ { userid, sum } ] } for 'exact'. Defaults to an equal
+ *        split between all members.
+ * @param {Number} amount - The cost in minor units of `currency`.
+ * @param {String} currency - ISO 4217 code of the cost.
+ * @param {Array<Number>} members - Userids of the group.
+ * @return {{ method?: String, splits?: Array<{ userid: Number, amount: Number, percent?: Number }>, error?: String }}
+ */
+function computeSplits(split, amount, currency, members) {
+  const spec = split || { method: "equal" };
+  if (!SPLIT_METHODS.includes(spec.method)) {
+    return {
+      error: `Split method must be one of: ${SPLIT_METHODS.join(", ")}.`,
+    };
+  }
+
+  let entries;
+  if (spec.method === "equal") {
+    const userids = spec.members === undefined ? members : spec.members;
+    if (!Array.isArray(userids)) {
+      return { error: "split.members must be an array of userids." };
+    }
+    entries = userids.map((userid) => ({ userid: Number(userid) }));
+  } else {
+    if (!Array.isArray(spec.shares)) {
+      return { error: "split.shares must be an array." };
+    }
+    entries = spec.shares.map((share) => ({
+      ...share,
+      userid: Number(share && share.userid),
+    }));
+  }
+
+  if (entries.length === 0) {
+    return { error: "A split needs at least one member." };
+  }
+  const seen = new Set();
+  for (const { userid } of entries) {
+    if (!members.includes(userid)) {
+      return { error: `User ${userid} is not a member of the group.` };
+    }
+    if (seen.has(userid)) {
+      return { error: `User ${userid} appears twice in the split.` };
+    }
+    seen.add(userid);
+  }
+
+  if (spec.method === "equal") {
+    const parts = allocate(
+      amount,
+      entries.map(() => 1)
+    );
+    return {
+      method: "equal",
+      splits: entries.map(({ userid }, i) => ({ userid, amount: parts[i] })),
+    };
+  }
+
+  if (spec.method === "percentage") {
+    const percents = entries.map((e) => Number(e.percent));
+    if (percents.some((p) => !Number.isFinite(p) || p < 0)) {
+      return { error: "Each percent must be a non-negative number." };
+    }
+    const total = percents.reduce((sum, p) => sum + p, 0);
+    if (Math.abs(total - 100) > 1e-9) {
+      return { error: `Percentages must add up to 100, not ${total}.` };
+    }
+    const parts = allocate(amount, percents);
+    return {
+      method: "percentage",
+      splits: entries.map(({ userid }, i) => ({
+        userid,
+        amount: parts[i],
+        percent: percents[i],
+      })),
+    };
+  }
+
+  const sums = entries.map((e) => Number(e.sum));
+  if (sums.some((s) => !Number.isFinite(s) || s < 0)) {
+    return { error: "Each exact share must be a non-negative number." };
+  }
+  const parts = sums.map((s) => toMinor(s, currency));
+  if (parts.reduce((sum, p) => sum + p, 0) !== amount) {
+    return { error: "Exact shares must add up to the cost's sum." };
+  }
+  return {
+    method: "exact",
+    splits: entries.map(({ userid }, i) => ({ userid, amount: parts[i] })),
+  };
+}
+
+/** Most members with a balance settle() finds the fewest transfers for. */
+const MAX_EXACT_SETTLE = 20;
+
+/**
+ * Pay off balances that add up to zero, the largest debtor paying the
+ * largest creditor each time. Takes one transfer fewer than there are
+ * balances at most.
+ * @param {Array<{ userid: Number, net: Number }>} entries - Non-zero balances.
+ * @return {Array<{ from: Number, to: Number, amount: Number }>}
+ */
+function settleGreedily(entries) {
+  const byMagnitude = (a, b) => b.amount - a.amount || a.userid - b.userid;
+  const creditors = [];
+  const debtors = [];
+  entries.forEach(({ userid, net }) => {
+    if (net > 0) creditors.push({ userid, amount: net });
+    if (net < 0) debtors.push({ userid, amount: -net });
+  });
+
+  const transfers = [];
+  while (creditors.length > 0 && debtors.length > 0) {
+    creditors.sort(byMagnitude);
+    debtors.sort(byMagnitude);
+    const creditor = creditors[0];
+    const debtor = debtors[0];
+    const amount = Math.min(creditor.amount, debtor.amount);
+
+    transfers.push({ from: debtor.userid, to: creditor.userid, amount });
+    creditor.amount -= amount;
+    debtor.amount -= amount;
+    if (creditor.amount === 0) creditors.shift();
+    if (debtor.amount === 0) debtors.shift();
+  }
+  return transfers;
+}
+
+/**
+ * Split balances that add up to zero into as many groups that each add up
+ * to zero as possible. groups[mask] is the most zero-sum groups the members
+ * in `mask` can be split into, when the members are taken off one by one.
+ * @param {Array<{ userid: Number, net: Number }>} entries - At most
+ *        MAX_EXACT_SETTLE non-zero balances.
+ * @return {Array<Array<{ userid: Number, net: Number }>>}
+ */
+function zeroSumGroups(entries) {
+  const size = 2 ** entries.length;
+  const sums = new Float64Array(size);
+  const groups = new Uint8Array(size);
+  for (let mask = 1; mask < size; mask++) {
+    const lowest = mask & -mask;
+    sums[mask] = sums[mask ^ lowest] + entries[31 - Math.clz32(lowest)].net;
+    let best = 0;
+    for (let bit = lowest; bit <= mask; bit <<= 1) {
+      if (mask & bit) best = Math.max(best, groups[mask ^ bit]);
+    }
+    groups[mask] = best + (sums[mask] === 0 ? 1 : 0);
+  }
+
+  // Take the members off again along a best path; each stretch between two
+  // zero-sum sets is a group
+  const result = [];
+  let current = [];
+  let mask = size - 1;
+  while (mask > 0) {
+    const target = groups[mask] - (sums[mask] === 0 ? 1 : 0);
+    let index = 0;
+    while (!(mask & (1 << index)) || groups[mask ^ (1 << index)] !== target) {
+      index++;
+    }
+    mask ^= 1 << index;
+    current.push(entries[index]);
+    if (sums[mask] === 0) {
+      result.push(current.reverse());
+      current = [];
+    }
+  }
+  return result.reverse();
+}
+
+/**
+ * Work out who pays whom to clear a group's balances with as few transfers
+ * as possible: the balances are split into as many groups that add up to
+ * zero as possible, and each group of k members is settled in k - 1
+ * transfers. Beyond MAX_EXACT_SETTLE members with a balance the search
+ * would take too long, and all balances are settled as one group.
+ * @param {Map<Number, Number>} nets - Net balance per userid; positive
+ *        means the user is owed money. Must add up to zero.
+ * @return {Array<{ from: Number, to: Number, amount: Number }>}
+ */
+function settle(nets) {
+  const entries = [...nets]
+    .filter(([, net]) => net !== 0)
+    .map(([userid, net]) => ({ userid, net }))
+    .sort((a, b) => a.userid - b.userid);
+
+  const groups =
+    entries.length > MAX_EXACT_SETTLE ? [entries] : zeroSumGroups(entries);
+  return groups.flatMap(settleGreedily);
+}
+
+module.exports = {
+  SPLIT_METHODS,
+  MAX_EXACT_SETTLE,
+  allocate,
+  computeSplits,
+  settle,
+};
@@ -0,0 +1,145 @@
+/**
+ * @fileoverview Where attachment files live. Both stores implement the same
+ * interface, keyed by the attachment's ObjectId:
+ *   save(id, buffer, { filename, contentType }) → Promise<void>
+ *   open(id) → Promise<Readable|null>   (null when the file is missing)
+ *   remove(id) → Promise<void>          (missing files are ignored)
+ * GridFsStorage keeps files in MongoDB next to the data; DiskStorage in a
+ * directory (ATTACHMENT_DIR). createApp() picks one (see createStorage).
+ */
+
+const fs = require("fs");
+const path = require("path");
+const mongoose = require("mongoose");
+
+/** GridFS bucket the files go to: collections attachments.files/.chunks. */
+const BUCKET_NAME = "attachments";
+
+/**
+ * Files stored in a GridFS bucket of a mongoose connection.
+ */
+class GridFsStorage {
+  /**
+   * @param {mongoose.Connection} connection - Read only when a file is
+   *        accessed, so the storage can be created before connecting.
+   */
+  constructor(connection) {
+    this.connection = connection;
+  }
+
+  /** @return {mongoose.mongo.GridFSBucket} */
+  bucket() {
+    return new mongoose.mongo.GridFSBucket(this.connection.db, {
+      bucketName: BUCKET_NAME,
+    });
+  }
+
+  /**
+   * @param {mongoose.Types.ObjectId|String} id
+   * @param {Buffer} buffer
+   * @param {{ filename: String, contentType: String }} meta
+   * @return {Promise<void>}
+   */
+  save(id, buffer, { filename, contentType }) {
+    const upload = this.bucket().openUploadStreamWithId(
+      new mongoose.Types.ObjectId(String(id)),
+      filename,
+      { metadata: { contentType } }
+    );
+    return new Promise((resolve, reject) => {
+      upload.once("finish", resolve);
+      upload.once("error", reject);
+      upload.end(buffer);
+    });
+  }
+
+  /**
+   * @param {mongoose.Types.ObjectId|String} id
+   * @return {Promise<import("stream").Readable|null>}
+   */
+  async open(id) {
+    const _id = new mongoose.Types.ObjectId(String(id));
+    const bucket = this.bucket();
+    const exists = await bucket.find({ _id }).limit(1).hasNext();
+    return exists ? bucket.openDownloadStream(_id) : null;
+  }
+
+  /**
+   * @param {mongoose.Types.ObjectId|String} id
+   * @return {Promise<void>}
+   */
+  async remove(id) {
+    try {
+      await this.bucket().delete(new mongoose.Types.ObjectId(String(id)));
+    } catch (error) {
+      // Already gone
+      if (!/not found/i.test(error.message)) throw error;
+    }
+  }
+}
+
+/**
+ * Files stored in a directory of the local disk, one file per attachment.
+ */
+class DiskStorage {
+  /** @param {String} dir - Created on the first save. */
+  constructor(dir) {
+    this.dir = path.resolve(dir);
+  }
+
+  /**
+   * The file of an attachment. Ids are ObjectIds, so they are safe as names.
+   * @param {mongoose.Types.ObjectId|String} id
+   * @return {String}
+   */
+  pathOf(id) {
+    return path.join(
+      this.dir,
+      new mongoose.Types.ObjectId(String(id)).toHexString()
+    );
+  }
+
+  /**
+   * @param {mongoose.Types.ObjectId|String} id
+   * @param {Buffer} buffer
+   * @return {Promise<void>}
+   */
+  async save(id, buffer) {
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(this.pathOf(id), buffer);
+  }
+
+  /**
+   * @param {mongoose.Types.ObjectId|String} id
+   * @return {Promise<import("stream").Readable|null>}
+   */
+  async open(id) {
+    try {
+      const handle = await fs.promises.open(this.pathOf(id), "r");
+      return handle.createReadStream();
+    } catch (error) {
+      if (error.code === "ENOENT") return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {mongoose.Types.ObjectId|String} id
+   * @return {Promise<void>}
+   */
+  async remove(id) {
+    await fs.promises.rm(this.pathOf(id), { force: true });
+  }
+}
+
+/**
+ * Pick the storage of the app: the disk when a directory is configured,
+ * GridFS otherwise.
+ * @param {{ db: mongoose.Connection, dir?: String }} options
+ * @return {GridFsStorage|DiskStorage}
+ */
+function createStorage({ db, dir }) {
+  return dir ? new DiskStorage(dir) : new GridFsStorage(db);
+}
+
+module.exports = { GridFsStorage, DiskStorage, createStorage };
@@ -0,0 +1,67 @@
+/**
+ * @fileoverview Free-form tags of costs, e.g. 'vacation-2026' or
+ * 'reimbursable'. Tags are compared case-insensitively, so they are stored
+ * trimmed and in lowercase.
+ */
+
+const { ValidationError } = require("./errors");
+
+/** What a tag may look like once normalized. */
+const TAG_PATTERN = /^[a-z0-9][a-z0-9_-]{0,49}$/;
+
+/** Most tags a single cost may have. */
+const MAX_TAGS_PER_COST = 20;
+
+/**
+ * Normalize a single tag: trimmed and in lowercase.
+ * @param {String} tag
+ * @return {String}
+ */
+function normalizeTag(tag) {
+  return tag.trim().toLowerCase();
+}
+
+/**
+ * Check a tag against TAG_PATTERN.
+ * @param {*} tag - A normalized tag.
+ * @return {Boolean}
+ */
+function isValidTag(tag) {
+  return typeof tag === "string" && TAG_PATTERN.test(tag);
+}
+
+/**
+ * Normalize the tags of a request and drop duplicates, keeping the first
+ * occurrence of each.
+ * @param {Array<String>} tags - Validated array of strings.
+ * @param {String} [field] - Body field the tags came in, for error details.
+ * @return {Array<String>|undefined} The tags, or undefined when none are left.
+ * @throws {ValidationError} When a tag does not match TAG_PATTERN or there
+ *         are more than MAX_TAGS_PER_COST.
+ */
+function parseTags(tags, field = "tags") {
+  const fail = (message) => {
+    throw new ValidationError([{ field, in: "body", message }]);
+  };
+
+  const unique = [...new Set(tags.map(normalizeTag))];
+  unique.forEach((tag) => {
+    if (!isValidTag(tag)) {
+      fail(
+        `Invalid tag '${tag}'. Tags are 1–50 letters, digits, '-' or '_', starting with a letter or digit.`
+      );
+    }
+  });
+  if (unique.length > MAX_TAGS_PER_COST) {
+    fail(`A cost may have at most ${MAX_TAGS_PER_COST} tags.`);
+  }
+  return unique.length > 0 ? unique : undefined;
+}
+
+module.exports = {
+  TAG_PATTERN,
+  MAX_TAGS_PER_COST,
+  normalizeTag,
+  isValidTag,
+  parseTags,
+};
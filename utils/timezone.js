@@ -0,0 +1,182 @@
+/**
+ * @fileoverview Helpers for working with IANA time zones using only the
+ * built-in Intl API. Calendar values (year, month, day) are always 1-based
+ * months and refer to the wall clock in the given zone.
+ */
+
+/** Cache of Intl formatters, one per time zone. */
+const formatters = new Map();
+
+/**
+ * Get a formatter that splits an instant into wall-clock parts in a zone.
+ * @param {String} timeZone - IANA time zone name.
+ * @return {Intl.DateTimeFormat}
+ */
+function getFormatter(timeZone) {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      hourCycle: "h23",
+      year: "numeric",
+      month: "numeric",
+      day: "numeric",
+      hour: "numeric",
+      minute: "numeric",
+      second: "numeric",
+    });
+    formatters.set(timeZone, formatter);
+  }
+  return formatter;
+}
+
+/**
+ * Check whether a string is a time zone name Intl understands.
+ * @param {String} timeZone - Candidate IANA time zone name.
+ * @return {Boolean}
+ */
+function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== "string" || timeZone === "") {
+    return false;
+  }
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Split an instant into its wall-clock parts in a zone.
+ * @param {Date} date - The instant.
+ * @param {String} timeZone - IANA time zone name.
+ * @return {{ year: Number, month: Number, day: Number, hour: Number, minute: Number, second: Number }}
+ */
+function getZonedParts(date, timeZone) {
+  const parts = {};
+  getFormatter(timeZone)
+    .formatToParts(date)
+    .forEach(({ type, value }) => {
+      if (type !== "literal") {
+        parts[type] = parseInt(value, 10);
+      }
+    });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+}
+
+/**
+ * Offset of a zone from UTC at a given instant, in milliseconds
+ * (positive east of Greenwich).
+ * @param {Date} date - The instant.
+ * @param {String} timeZone - IANA time zone name.
+ * @return {Number}
+ */
+function getOffset(date, timeZone) {
+  const p = getZonedParts(date, timeZone);
+  const asUtc = Date.UTC(
+    p.year,
+    p.month - 1,
+    p.day,
+    p.hour,
+    p.minute,
+    p.second
+  );
+  // Drop milliseconds, which the formatter does not report
+  return asUtc - (date.getTime() - date.getUTCMilliseconds());
+}
+
+/**
+ * The instant at which a calendar day starts (local midnight) in a zone.
+ * Out-of-range values roll over like Date.UTC, so month 13 is January of the
+ * next year.
+ * @param {Number} year
+ * @param {Number} month - 1–12.
+ * @param {Number} day
+ * @param {String} timeZone - IANA time zone name.
+ * @return {Date}
+ */
+function startOfZonedDay(year, month, day, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day);
+  let result = wallClock - getOffset(new Date(wallClock), timeZone);
+  // A second pass corrects for an offset change between the guess and the answer
+  result = wallClock - getOffset(new Date(result), timeZone);
+  return new Date(result);
+}
+
+/**
+ * The [start, end) instants of a calendar month in a zone.
+ * @param {Number} year
+ * @param {Number} month - 1–12.
+ * @param {String} timeZone - IANA time zone name.
+ * @return {{ start: Date, end: Date }}
+ */
+function getZonedMonthRange(year, month, timeZone) {
+  return {
+    start: startOfZonedDay(year, month, 1, timeZone),
+    end: startOfZonedDay(year, month + 1, 1, timeZone),
+  };
+}
+
+/**
+ * A calendar day as YYYY-MM-DD.
+ * @param {{ year: Number, month: Number, day: Number }} parts
+ * @return {String} e.g. '2025-06-10'.
+ */
+function formatDay({ year, month, day }) {
+  return [
+    String(year).padStart(4, "0"),
+    String(month).padStart(2, "0"),
+    String(day).padStart(2, "0"),
+  ].join("-");
+}
+
+/**
+ * The calendar day of an instant in a zone, as YYYY-MM-DD.
+ * @param {Date} date - The instant.
+ * @param {String} timeZone - IANA time zone name.
+ * @return {String} e.g. '2025-06-10'.
+ */
+function formatZonedDate(date, timeZone) {
+  return formatDay(getZonedParts(date, timeZone));
+}
+
+/**
+ * Check an expense date against the course rule that costs may not be dated
+ * in the past (before today in the user's time zone). The rule is lifted by
+ * setting the ALLOW_PAST_COST_DATES environment variable to "true".
+ * @param {Date} date - The expense date.
+ * @param {String} timeZone - IANA time zone of the cost's user.
+ * @return {Boolean} True if the date is acceptable.
+ */
+function isAllowedCostDate(date, timeZone) {
+  if (process.env.ALLOW_PAST_COST_DATES === "true") {
+    return true;
+  }
+
+  const today = getZonedParts(new Date(), timeZone);
+  const startOfToday = startOfZonedDay(
+    today.year,
+    today.month,
+    today.day,
+    timeZone
+  );
+  return date.getTime() >= startOfToday.getTime();
+}
+
+module.exports = {
+  isValidTimeZone,
+  getZonedParts,
+  formatDay,
+  formatZonedDate,
+  startOfZonedDay,
+  getZonedMonthRange,
+  isAllowedCostDate,
+};